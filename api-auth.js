@@ -0,0 +1,316 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Authentication and per-client authorization for server.js. Clients present an
+// API key (Authorization: Bearer <secret> or X-API-Key) or sign each request
+// with HMAC-SHA256. Every key carries scopes plus optional wallet, mint and
+// notional limits.
+
+export const SCOPES = ["quote", "swap"];
+// A swap scope also allows quoting
+const IMPLIED_SCOPES = { swap: ["quote"] };
+const DEFAULT_SIGNATURE_WINDOW_MS = 5 * 60 * 1000;
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest();
+}
+
+// Compare digests so secret lengths don't leak and timing is constant
+function secretsEqual(a, b) {
+  return crypto.timingSafeEqual(sha256(String(a)), sha256(String(b)));
+}
+
+/**
+ * Canonical string covered by an HMAC request signature
+ * @param {Object} parts - { timestamp, method, path, body } where path includes the query
+ */
+export function signaturePayload({ timestamp, method, path, body = "" }) {
+  return `${timestamp}.${method.toUpperCase()}.${path}.${body}`;
+}
+
+/**
+ * Sign a request for HMAC authentication; returns the headers to send
+ * @param {Object} request - { keyId, secret, method, path, body, timestamp }
+ */
+export function signRequest({
+  keyId,
+  secret,
+  method,
+  path,
+  body = "",
+  timestamp = Date.now(),
+}) {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(signaturePayload({ timestamp, method, path, body }))
+    .digest("hex");
+  return {
+    "X-Api-Key-Id": keyId,
+    "X-Timestamp": String(timestamp),
+    "X-Signature": signature,
+  };
+}
+
+function normalizeKey(entry, index) {
+  const label = entry?.id ? `API key ${entry.id}` : `API key #${index}`;
+  if (!entry?.id || typeof entry.id !== "string") {
+    throw new Error(`${label}: id is required`);
+  }
+  if (!entry.secret || String(entry.secret).length < 16) {
+    throw new Error(`${label}: secret must be at least 16 characters`);
+  }
+  const scopes = entry.scopes || [];
+  const unknown = scopes.filter((scope) => !SCOPES.includes(scope));
+  if (scopes.length === 0 || unknown.length > 0) {
+    throw new Error(
+      `${label}: scopes must be a non-empty list of ${SCOPES.join(", ")}`
+    );
+  }
+  const maxNotional = {};
+  for (const [mint, amount] of Object.entries(entry.maxNotional || {})) {
+    if (!/^\d+$/.test(String(amount))) {
+      throw new Error(
+        `${label}: maxNotional for ${mint} must be an integer amount in base units`
+      );
+    }
+    maxNotional[mint] = BigInt(amount);
+  }
+  return {
+    id: entry.id,
+    secret: String(entry.secret),
+    scopes: new Set(
+      scopes.flatMap((scope) => [scope, ...(IMPLIED_SCOPES[scope] || [])])
+    ),
+    wallets: entry.wallets || null,
+    allowedMints: entry.allowedMints || null,
+    maxNotional,
+  };
+}
+
+/**
+ * ApiKeyStore - The API keys server.js accepts, loaded from API_KEYS_FILE
+ * File format: { "keys": [{ id, secret, scopes, wallets?, allowedMints?, maxNotional? }] }
+ */
+export class ApiKeyStore {
+  constructor(keys = []) {
+    this.keys = new Map();
+    keys.forEach((entry, index) => {
+      const key = normalizeKey(entry, index);
+      if (this.keys.has(key.id)) {
+        throw new Error(`Duplicate API key id ${key.id}`);
+      }
+      this.keys.set(key.id, key);
+    });
+  }
+
+  /**
+   * Load keys from a JSON file
+   * @param {string} filePath - Path to the API keys file
+   */
+  static fromFile(filePath) {
+    const { keys } = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    return new ApiKeyStore(keys);
+  }
+
+  /**
+   * Load keys from API_KEYS_FILE, or null when it is unset
+   * @param {Object} env - Environment to read (defaults to process.env)
+   */
+  static fromEnv(env = process.env) {
+    return env.API_KEYS_FILE ? ApiKeyStore.fromFile(env.API_KEYS_FILE) : null;
+  }
+
+  getById(id) {
+    return this.keys.get(id);
+  }
+
+  /**
+   * Find the key whose secret matches, checking every key so timing stays flat
+   * @param {string} secret - Secret presented by the client
+   */
+  findBySecret(secret) {
+    let found;
+    for (const key of this.keys.values()) {
+      if (secretsEqual(key.secret, secret)) found = key;
+    }
+    return found;
+  }
+}
+
+/**
+ * AuditLog - Append-only JSONL record of who did what through the API
+ */
+export class AuditLog {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  static fromEnv(env = process.env) {
+    return new AuditLog(env.AUDIT_LOG || "logs/audit.jsonl");
+  }
+
+  /**
+   * Append one audit event
+   * @param {Object} event - Event fields; a timestamp is added
+   */
+  record(event) {
+    fs.mkdirSync(path.dirname(path.resolve(this.filePath)), {
+      recursive: true,
+    });
+    fs.appendFileSync(
+      this.filePath,
+      JSON.stringify({ timestamp: new Date().toISOString(), ...event }) + "\n"
+    );
+  }
+}
+
+/**
+ * Check a swap against the limits of the key requesting it
+ * @param {Object} apiKey - Authenticated key (null when auth is disabled)
+ * @param {Object} swap - { walletId, inputMint, outputMint, inputAmount } with inputAmount
+ *   the most the swap may spend, in base units of the input mint
+ * @returns {string|null} Reason the swap is not allowed, or null
+ */
+export function checkSwapLimits(
+  apiKey,
+  { walletId, inputMint, outputMint, inputAmount }
+) {
+  if (!apiKey) return null;
+  if (
+    walletId !== undefined &&
+    apiKey.wallets &&
+    !apiKey.wallets.includes(walletId)
+  ) {
+    return `API key ${apiKey.id} may not use wallet ${walletId}`;
+  }
+  if (apiKey.allowedMints) {
+    const blocked = [inputMint, outputMint].filter(
+      (mint) => mint && !apiKey.allowedMints.includes(mint)
+    );
+    if (blocked.length > 0) {
+      return `API key ${apiKey.id} may not trade ${blocked.join(", ")}`;
+    }
+  }
+  const limit = apiKey.maxNotional[inputMint];
+  if (
+    limit !== undefined &&
+    inputAmount !== undefined &&
+    BigInt(inputAmount) > limit
+  ) {
+    return `Amount ${inputAmount} exceeds the ${limit} limit of API key ${apiKey.id} for ${inputMint}`;
+  }
+  return null;
+}
+
+/**
+ * Build the express middleware factory that guards routes
+ * @param {Object} options - { apiKeys: ApiKeyStore|null, allowUnauthenticated, auditLog,
+ *   signatureWindowMs }. Without keys every request is refused unless
+ *   allowUnauthenticated is set.
+ * @returns {Function} requireScope(scope) => middleware setting req.apiKey
+ */
+export function createAuthenticator({
+  apiKeys,
+  allowUnauthenticated = false,
+  auditLog,
+  signatureWindowMs = DEFAULT_SIGNATURE_WINDOW_MS,
+}) {
+  // signature -> expiry; rejects replays inside the window
+  const seenSignatures = new Map();
+
+  function deny(req, res, status, error, keyId) {
+    auditLog?.record({
+      event: "auth_denied",
+      keyId: keyId ?? null,
+      route: `${req.method} ${req.path}`,
+      ip: req.ip,
+      error,
+    });
+    return res.status(status).json({ error });
+  }
+
+  function verifySignature(req) {
+    const keyId = req.get("X-Api-Key-Id");
+    const timestamp = Number(req.get("X-Timestamp"));
+    const signature = req.get("X-Signature");
+    const apiKey = keyId && apiKeys.getById(keyId);
+    if (!apiKey) {
+      return { error: "Unknown API key", keyId };
+    }
+    if (
+      !Number.isFinite(timestamp) ||
+      Math.abs(Date.now() - timestamp) > signatureWindowMs
+    ) {
+      return {
+        error: "Request timestamp is outside the allowed window",
+        keyId,
+      };
+    }
+    const expected = signRequest({
+      keyId,
+      secret: apiKey.secret,
+      method: req.method,
+      path: req.originalUrl,
+      body: req.rawBody ? req.rawBody.toString("utf8") : "",
+      timestamp,
+    })["X-Signature"];
+    if (!secretsEqual(expected, signature)) {
+      return { error: "Invalid request signature", keyId };
+    }
+
+    const now = Date.now();
+    for (const [seen, expiry] of seenSignatures) {
+      if (expiry < now) seenSignatures.delete(seen);
+    }
+    if (seenSignatures.has(signature)) {
+      return { error: "Request signature was already used", keyId };
+    }
+    seenSignatures.set(signature, now + signatureWindowMs);
+    return { apiKey, method: "hmac" };
+  }
+
+  function authenticate(req) {
+    if (req.get("X-Signature")) {
+      return verifySignature(req);
+    }
+    const bearer = req.get("Authorization")?.match(/^Bearer\s+(.+)$/i)?.[1];
+    const secret = bearer || req.get("X-API-Key");
+    if (!secret) {
+      return { error: "Missing API credentials" };
+    }
+    const apiKey = apiKeys.findBySecret(secret);
+    return apiKey
+      ? { apiKey, method: "api-key" }
+      : { error: "Invalid API key" };
+  }
+
+  return function requireScope(scope) {
+    return (req, res, next) => {
+      if (!apiKeys) {
+        if (!allowUnauthenticated) {
+          return deny(req, res, 401, "API authentication is not configured");
+        }
+        req.apiKey = null;
+        return next();
+      }
+
+      const { apiKey, method, error, keyId } = authenticate(req);
+      if (error) {
+        return deny(req, res, 401, error, keyId);
+      }
+      if (!apiKey.scopes.has(scope)) {
+        return deny(
+          req,
+          res,
+          403,
+          `API key ${apiKey.id} lacks the ${scope} scope`,
+          apiKey.id
+        );
+      }
+      req.apiKey = apiKey;
+      req.authMethod = method;
+      next();
+    };
+  };
+}
@@ -1,15 +1,15 @@
 #!/usr/bin/env node
 
 import { config } from 'dotenv';
-import { Connection, PublicKey, Keypair, LAMPORTS_PER_SOL } from '@solana/web3.js';
-import bs58 from 'bs58';
+import { Connection, PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { loadSignerFromEnv } from './services/WalletStore.js';
 
 config();
 
 async function checkBalance() {
     try {
         const connection = new Connection('https://api.mainnet-beta.solana.com', 'confirmed');
-        const keypair = Keypair.fromSecretKey(bs58.decode(process.env.PRIVATE_KEY));
+        const { keypair } = loadSignerFromEnv();
 
         console.log('🔍 Checking wallet balance...');
         console.log('📍 Wallet Address:', keypair.publicKey.toString());
@@ -1,9 +1,9 @@
 #!/usr/bin/env node
 
 import { config } from 'dotenv';
-import { Connection, PublicKey, Keypair } from '@solana/web3.js';
+import { Connection, PublicKey } from '@solana/web3.js';
 import { getAssociatedTokenAddress, getAccount } from '@solana/spl-token';
-import bs58 from 'bs58';
+import { loadSignerFromEnv } from './services/WalletStore.js';
 
 config();
 
@@ -16,7 +16,7 @@ async function checkTokenAccounts() {
         
         // Initialize connection and keypair
         const connection = new Connection('https://api.mainnet-beta.solana.com', 'confirmed');
-        const keypair = Keypair.fromSecretKey(bs58.decode(process.env.PRIVATE_KEY));
+        const { keypair } = loadSignerFromEnv();
         
         console.log(`💎 Wallet: ${keypair.publicKey.toString()}`);
         
@@ -0,0 +1,252 @@
+import { parseArgs } from 'node:util';
+import { Console } from 'node:console';
+import { Writable } from 'node:stream';
+import readline from 'node:readline/promises';
+import { config } from 'dotenv';
+import { resolveConfig } from './swap-config.js';
+
+const SWAP_USAGE = `Options:
+  --input-mint <mint>    Mint to sell (default: SOL)
+  --output-mint <mint>   Mint to buy (default: USDC)
+  --amount <amount>      Amount to sell in base units, e.g. lamports (default: 100000)
+  --exact-out            Treat --amount as the exact output to receive (base units of
+                         the output mint); the input spent may vary up to the quote's max
+  --idempotency-key <k>  Run this swap at most once; rerunning with the same key prints
+                         the first run's result instead of swapping again
+  --dry-run              Sign and simulate the swap, print the balance changes, compute
+                         units, fee and logs, and send nothing
+  -h, --help             Show this help`;
+
+// Swap pair flags, shared by the swap-* scripts and `jup-swap swap` / `jup-swap quote`
+export const SWAP_OPTIONS = {
+    'input-mint': { type: 'string' },
+    'output-mint': { type: 'string' },
+    amount: { type: 'string' },
+    'exact-out': { type: 'boolean' },
+    'idempotency-key': { type: 'string' },
+    'dry-run': { type: 'boolean' }
+};
+
+/**
+ * Turn parsed swap flags into CoreSwap.performSwap parameters.
+ * Unset flags are left undefined so CoreSwap falls back to its SOL → USDC defaults.
+ * @param {Object} values - parseArgs values for SWAP_OPTIONS
+ */
+export function toSwapParams(values) {
+    return {
+        inputMint: values['input-mint'],
+        outputMint: values['output-mint'],
+        amount: values.amount,
+        swapMode: values['exact-out'] ? 'ExactOut' : undefined,
+        idempotencyKey: values['idempotency-key'],
+        dryRun: values['dry-run']
+    };
+}
+
+/**
+ * Parse the swap pair flags shared by the swap-* scripts.
+ * @param {string[]} argv - Arguments after the script name
+ */
+export function parseSwapArgs(argv = process.argv.slice(2)) {
+    const { values } = parseArgs({
+        args: argv,
+        options: { ...SWAP_OPTIONS, help: { type: 'boolean', short: 'h' } }
+    });
+
+    if (values.help) {
+        console.log(SWAP_USAGE);
+        process.exit(0);
+    }
+
+    return toSwapParams(values);
+}
+
+// Flags every jup-swap command accepts: output mode, config selection and config overrides
+export const COMMON_OPTIONS = {
+    json: { type: 'boolean' },
+    ndjson: { type: 'boolean' },
+    config: { type: 'string' },
+    profile: { type: 'string' },
+    'rpc-endpoint': { type: 'string' },
+    'jupiter-api-base': { type: 'string' },
+    'slippage-bps': { type: 'string' },
+    keystore: { type: 'string' },
+    'wallet-id': { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Parse a command's flags along with the common ones
+ * @param {string[]} argv - Arguments after the command name
+ * @param {Object} options - parseArgs option definitions of the command
+ * @param {boolean} allowPositionals - Whether the command takes arguments besides flags
+ * @returns {Object} { values, positionals }
+ */
+export function parseCommandArgs(argv, options = {}, allowPositionals = false) {
+    return parseArgs({
+        args: argv,
+        options: { ...COMMON_OPTIONS, ...options },
+        allowPositionals
+    });
+}
+
+/**
+ * Load .env into the environment and resolve the layered configuration
+ * (defaults < config file and profile < environment < flags)
+ * @param {Object} flags - Parsed flags: --config and --profile pick the file and profile, and
+ *   flags named in CONFIG_SETTINGS override their setting
+ * @param {Object} env - Environment to read, after .env is loaded (default: process.env)
+ * @returns {Object} resolveConfig() result: { path, profile, settings, sources }
+ */
+export function loadConfig(flags = {}, env = process.env) {
+    config();
+    return resolveConfig({ path: flags.config, profile: flags.profile, env, flags });
+}
+
+// Bumped whenever a field of the JSON output is renamed, removed or changes meaning
+export const OUTPUT_SCHEMA_VERSION = 1;
+
+/**
+ * Output of one command run: text for people, or with --json / --ndjson, JSON records on stdout.
+ * --json writes a single { schemaVersion, command, ok, result | error } document once the command
+ * is done; --ndjson writes one line per stage as it happens ({ type: 'stage' }) and ends with the
+ * same record as --json, with type 'result'.
+ * @param {string} command - Command name, echoed in every record
+ * @param {Object} flags - { json, ndjson }
+ * @param {Writable} stdout - Where JSON records go
+ */
+export function createOutput(command, { json = false, ndjson = false } = {}, stdout = process.stdout) {
+    if (json && ndjson) {
+        throw new Error('Use either --json or --ndjson, not both');
+    }
+    const write = record => stdout.write(`${ndjson ? JSON.stringify(record) : JSON.stringify(record, null, 2)}\n`);
+    const header = type => ({ schemaVersion: OUTPUT_SCHEMA_VERSION, ...(ndjson && { type }), command });
+
+    return {
+        machineReadable: json || ndjson,
+
+        /**
+         * Report progress; only --ndjson streams it
+         * @param {string} stage - Stage reached
+         * @param {Object} data - Stage details
+         */
+        stage(stage, data = {}) {
+            if (ndjson) {
+                write({ ...header('stage'), stage, timestamp: new Date().toISOString(), data });
+            }
+        },
+
+        /**
+         * Report the command's result
+         * @param {*} result - What the command produced
+         * @param {Object} forms - { format: result => text, toJson: result => value for the record }
+         */
+        result(result, { format = String, toJson = value => value } = {}) {
+            if (json || ndjson) {
+                write({ ...header('result'), ok: true, result: toJson(result) });
+            } else {
+                console.log(format(result));
+            }
+        },
+
+        /**
+         * Report a failed command; without --json / --ndjson the caller prints the error
+         * @param {Error} error - What went wrong
+         */
+        error(error) {
+            if (json || ndjson) {
+                write({ ...header('result'), ok: false, error: { message: error.message, code: error.code ?? null } });
+            }
+        }
+    };
+}
+
+const LOG_METHODS = ['log', 'info', 'debug', 'warn', 'dir', 'table', 'time', 'timeLog', 'timeEnd'];
+
+/**
+ * Run fn with everything logged through console sent to stderr, so stdout carries only JSON
+ * @param {Function} fn - Async work to run
+ * @param {Writable} stderr - Where the logs go
+ */
+export async function withLogsOnStderr(fn, stderr = process.stderr) {
+    const logger = new Console({ stdout: stderr, stderr });
+    const saved = Object.fromEntries(LOG_METHODS.map(method => [method, console[method]]));
+    for (const method of LOG_METHODS) {
+        console[method] = logger[method].bind(logger);
+    }
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, saved);
+    }
+}
+
+/**
+ * Ask a question on the terminal without echoing the answer
+ * @param {string} question - Prompt to show
+ * @param {Object} streams - { input (default: process.stdin), output (default: process.stderr) }
+ * @returns {Promise<string>} The line typed
+ */
+export async function promptSecret(question, { input = process.stdin, output = process.stderr } = {}) {
+    if (!input.isTTY) {
+        throw new Error(`Cannot ask "${question.trim()}" without a terminal`);
+    }
+    // readline echoes what is typed to its output, so give it one that discards everything
+    const muted = new Writable({ write: (chunk, encoding, callback) => callback() });
+    const rl = readline.createInterface({ input, output: muted, terminal: true });
+    output.write(question);
+    try {
+        return await rl.question('');
+    } finally {
+        rl.close();
+        output.write('\n');
+    }
+}
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * The keystore passphrase: WALLET_KEYSTORE_PASSPHRASE when set, else typed at a prompt
+ * @param {Object} options - { confirm: ask twice and enforce a minimum length, for a new
+ *   keystore; env: environment to read; interactive: whether a prompt can be answered
+ *   (default: stdin is a terminal); prompt: promptSecret stand-in }
+ */
+export async function readPassphrase({
+    confirm = false,
+    env = process.env,
+    interactive = process.stdin.isTTY,
+    prompt = promptSecret
+} = {}) {
+    if (env.WALLET_KEYSTORE_PASSPHRASE) {
+        return env.WALLET_KEYSTORE_PASSPHRASE;
+    }
+    if (!interactive) {
+        throw new Error('Set WALLET_KEYSTORE_PASSPHRASE, or run in a terminal to type the keystore passphrase');
+    }
+    const passphrase = await prompt('🔑 Keystore passphrase: ');
+    if (confirm) {
+        if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        }
+        if (await prompt('🔑 Repeat the passphrase: ') !== passphrase) {
+            throw new Error('The passphrases do not match');
+        }
+    }
+    return passphrase;
+}
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a duration flag such as 90s, 30m, 12h or 7d into milliseconds
+ * @param {string} value - Number followed by s, m, h or d
+ */
+export function parseDuration(value) {
+    const match = /^(\d+)([smhd])$/.exec(value);
+    if (!match) {
+        throw new Error(`Invalid duration "${value}". Use a number followed by s, m, h or d`);
+    }
+    return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+export default parseSwapArgs;
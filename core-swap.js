@@ -1,64 +1,105 @@
 import { config } from 'dotenv';
 import { 
-    Connection, 
     PublicKey, 
-    Keypair, 
-    VersionedTransaction,
-    TransactionMessage,
-    ComputeBudgetProgram,
     LAMPORTS_PER_SOL
 } from '@solana/web3.js';
-import axios from 'axios';
-import bs58 from 'bs58';
+import { NetworkService } from './services/NetworkService.js';
+import { QuoteService } from './services/QuoteService.js';
+import { TxService } from './services/TxService.js';
+import { PriorityFeeService } from './services/PriorityFeeService.js';
+import { SettlementService } from './services/SettlementService.js';
+import { SimulationService } from './services/SimulationService.js';
+import { IdempotencyStore } from './services/IdempotencyStore.js';
+import { SwapHistory } from './services/SwapHistory.js';
+import { KeypairSigner, signerFromEnv } from './services/Signer.js';
+import { DEFAULT_SLIPPAGE_BPS } from './swap-config.js';
 
 // Load environment variables
 config();
 
-// Jupiter V6 API endpoints
-const JUPITER_QUOTE_API = 'https://quote-api.jup.ag/v6/quote';
-const JUPITER_SWAP_API = 'https://quote-api.jup.ag/v6/swap';
+// Token addresses (mainnet) - used as the default pair when none is given
+export const SOL_MINT = 'So11111111111111111111111111111111111111112';
+export const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
 
-// Token addresses (mainnet)
-const SOL_MINT = 'So11111111111111111111111111111111111111112';
-const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+// Display symbols for well-known mints; anything else is shown abbreviated
+const KNOWN_TOKEN_SYMBOLS = {
+    [SOL_MINT]: 'SOL',
+    [USDC_MINT]: 'USDC'
+};
 
 // Configuration
-const SWAP_AMOUNT = 100000; // 0.0001 SOL in lamports
-const DEFAULT_SLIPPAGE_BPS = 100; // 1% slippage
+export const SWAP_AMOUNT = 100000; // 0.0001 SOL in lamports
+export const SWAP_MODES = ['ExactIn', 'ExactOut'];
 
+/**
+ * CoreSwap - Orchestrates a Jupiter swap on top of the services/ layer
+ * Services can be injected (e.g. fakes in tests); defaults are created otherwise.
+ * The signer is the signer option (see services/Signer.js), else the keypair option, else the
+ * one signerFromEnv finds: the REMOTE_SIGNER_URL service, or a key from PRIVATE_KEY,
+ * KEYPAIR_PATH or MNEMONIC, else wallet WALLET_ID of the encrypted WALLET_KEYSTORE.
+ * With readOnly: true it only quotes and reads balances, and needs neither a signer nor the fee
+ * settings.
+ */
 export class CoreSwap {
     constructor(options = {}) {
+        const {
+            networkService,
+            quoteService,
+            txService,
+            priorityFeeService,
+            settlementService,
+            simulationService,
+            idempotencyStore,
+            history,
+            signer,
+            keypair,
+            ...swapOptions
+        } = options;
+
         this.connection = null;
-        this.keypair = null;
+        this.signer = signer ?? (keypair ? new KeypairSigner(keypair) : null);
+        this.tokenInfoCache = new Map();
         this.options = {
-            useSharedAccounts: options.useSharedAccounts ?? false,
-            onlyDirectRoutes: options.onlyDirectRoutes ?? true,
-            includeDetailedBalance: options.includeDetailedBalance ?? false,
-            ...options
+            useSharedAccounts: swapOptions.useSharedAccounts ?? false,
+            onlyDirectRoutes: swapOptions.onlyDirectRoutes ?? true,
+            includeDetailedBalance: swapOptions.includeDetailedBalance ?? false,
+            verifySettlement: swapOptions.verifySettlement ?? true,
+            slippageBps: swapOptions.slippageBps ?? DEFAULT_SLIPPAGE_BPS,
+            ...swapOptions
         };
+        this.idempotencyStore = idempotencyStore ?? null; // Created on first use
+        this.history = history ?? SwapHistory.fromEnv(); // Ledger of every swap attempt
         this.validateEnvironment();
-        this.initializeConnection();
+        this.initializeServices({
+            networkService,
+            quoteService,
+            txService,
+            priorityFeeService,
+            settlementService,
+            simulationService
+        });
     }
 
     validateEnvironment() {
         console.log('🔍 Validating environment...');
+        if (this.options.readOnly) {
+            console.log('✅ Environment validation passed (read-only)');
+            return;
+        }
         
-        const required = ['PRIVATE_KEY', 'FEE_RECIPIENT', 'FEE_BASIS_POINTS'];
+        // PRIVATE_KEY is only needed when no signer was given and no other signer source is set
+        const signerVars = ['PRIVATE_KEY', 'KEYPAIR_PATH', 'MNEMONIC', 'WALLET_KEYSTORE', 'REMOTE_SIGNER_URL'];
+        const needsPrivateKey = !this.signer && !signerVars.some(key => process.env[key]);
+        const required = [...(needsPrivateKey ? ['PRIVATE_KEY'] : []), 'FEE_RECIPIENT', 'FEE_BASIS_POINTS'];
         const missing = required.filter(key => !process.env[key]);
         
         if (missing.length > 0) {
             throw new Error(`Missing environment variables: ${missing.join(', ')}`);
         }
 
-        // Validate private key
-        try {
-            const privateKeyBytes = bs58.decode(process.env.PRIVATE_KEY);
-            if (privateKeyBytes.length !== 64) {
-                throw new Error('Private key must be 64 bytes');
-            }
-            this.keypair = Keypair.fromSecretKey(privateKeyBytes);
-        } catch (error) {
-            throw new Error(`Invalid private key: ${error.message}`);
+        // Load and validate the signer, unless the caller gave one
+        if (!this.signer) {
+            this.signer = signerFromEnv(process.env);
         }
 
         // Validate fee recipient
@@ -77,35 +118,162 @@ export class CoreSwap {
         console.log('✅ Environment validation passed');
     }
 
-    initializeConnection() {
-        const rpcEndpoint = process.env.RPC_ENDPOINT || 'https://api.mainnet-beta.solana.com';
-        this.connection = new Connection(rpcEndpoint, {
-            commitment: 'confirmed',
-            disableRetryOnRateLimit: false
-        });
-        console.log(`🌐 Connected to: ${rpcEndpoint}`);
+    /**
+     * Create the service layer, keeping any injected instances
+     * @param {Object} services - Optional { networkService, quoteService, txService, priorityFeeService,
+     *   settlementService, simulationService }
+     */
+    initializeServices(services = {}) {
+        this.networkService = services.networkService ?? new NetworkService();
+        this.quoteService = services.quoteService ?? new QuoteService({ baseSlippage: this.options.slippageBps });
+        this.txService = services.txService ?? new TxService(this.networkService);
+        this.priorityFeeService = services.priorityFeeService ?? new PriorityFeeService(this.networkService);
+        this.settlementService = services.settlementService ?? new SettlementService(this.networkService);
+
+        // Kept for callers that talk to the RPC directly (priority fee scripts, profiler)
+        this.connection = this.networkService.getConnection();
+        this.simulationService = services.simulationService ?? new SimulationService(this.connection);
+    }
+
+    /**
+     * Resolve mint, decimals and display symbol for a token (cached per instance)
+     * @param {string} mint - SPL token mint address
+     */
+    async getTokenInfo(mint) {
+        if (this.tokenInfoCache.has(mint)) {
+            return this.tokenInfoCache.get(mint);
+        }
+
+        const accountInfo = await this.connection.getParsedAccountInfo(new PublicKey(mint));
+        const parsed = accountInfo.value?.data?.parsed;
+
+        if (parsed?.type !== 'mint' || parsed.info?.decimals === undefined) {
+            throw new Error(`${mint} is not an SPL token mint`);
+        }
+
+        const tokenInfo = {
+            mint,
+            decimals: parsed.info.decimals,
+            symbol: KNOWN_TOKEN_SYMBOLS[mint] || `${mint.slice(0, 4)}…${mint.slice(-4)}`
+        };
+        this.tokenInfoCache.set(mint, tokenInfo);
+        return tokenInfo;
+    }
+
+    /**
+     * Validate a swap pair and amount, falling back to the SOL → USDC defaults
+     * @param {Object} params - { inputMint, outputMint, amount, swapMode } with amount in base
+     *   units of the input token (ExactIn) or of the output token (ExactOut)
+     */
+    async resolveSwapPair({
+        inputMint = SOL_MINT,
+        outputMint = USDC_MINT,
+        amount = SWAP_AMOUNT,
+        swapMode = 'ExactIn'
+    } = {}) {
+        if (!SWAP_MODES.includes(swapMode)) {
+            throw new Error(`Swap mode must be one of ${SWAP_MODES.join(', ')}, got ${swapMode}`);
+        }
+
+        for (const [label, mint] of [['input', inputMint], ['output', outputMint]]) {
+            try {
+                new PublicKey(mint);
+            } catch (error) {
+                throw new Error(`Invalid ${label} mint address: ${mint}`);
+            }
+        }
+
+        if (inputMint === outputMint) {
+            throw new Error('Input and output mints must be different');
+        }
+
+        const rawAmount = String(amount);
+        if (!/^\d+$/.test(rawAmount) || BigInt(rawAmount) === 0n) {
+            throw new Error(`Amount must be a positive integer in base units, got ${amount}`);
+        }
+
+        const [inputToken, outputToken] = await Promise.all([
+            this.getTokenInfo(inputMint),
+            this.getTokenInfo(outputMint)
+        ]);
+
+        return { inputMint, outputMint, amount: rawAmount, swapMode, inputToken, outputToken };
     }
 
-    async checkBalance() {
-        const balance = await this.connection.getBalance(this.keypair.publicKey);
+    formatAmount(rawAmount, decimals) {
+        return (Number(rawAmount) / 10 ** decimals).toFixed(decimals);
+    }
+
+    /**
+     * Sum the wallet's balance of a token across all of its token accounts
+     * @param {string} mint - SPL token mint address
+     * @param {PublicKey} owner - Wallet to read (default: the signer's)
+     */
+    async getTokenBalance(mint, owner = this.signer.publicKey) {
+        const { value } = await this.connection.getParsedTokenAccountsByOwner(
+            owner,
+            { mint: new PublicKey(mint) }
+        );
+        return value.reduce(
+            (sum, { account }) => sum + BigInt(account.data.parsed.info.tokenAmount.amount),
+            0n
+        );
+    }
+
+    /**
+     * Input the wallet must be able to spend: the amount itself for ExactIn, or the quote's
+     * worst-case input (otherAmountThreshold, slippage included) for ExactOut
+     * @param {Object} pair - Resolved swap pair
+     * @param {Object} quote - Quote for the pair; required for ExactOut
+     */
+    getRequiredInputAmount(pair, quote) {
+        if (pair.swapMode !== 'ExactOut') {
+            return pair.amount;
+        }
+        if (!quote?.otherAmountThreshold) {
+            throw new Error('ExactOut balance check needs a quote with otherAmountThreshold');
+        }
+        return String(quote.otherAmountThreshold);
+    }
+
+    async checkBalance(pair, quote) {
+        pair = pair ?? await this.resolveSwapPair();
+        const { inputMint, inputToken } = pair;
+        const amount = this.getRequiredInputAmount(pair, quote);
+        const balance = await this.networkService.getBalance(this.signer.publicKey, false);
         const solBalance = balance / LAMPORTS_PER_SOL;
         
-        console.log(`💎 Wallet: ${this.keypair.publicKey.toString()}`);
+        console.log(`💎 Wallet: ${this.signer.publicKey.toString()}`);
         console.log(`💰 Balance: ${solBalance.toFixed(9)} SOL`);
+
+        // SPL inputs are paid from token accounts; SOL then only has to cover fees and rent
+        if (inputMint !== SOL_MINT) {
+            const tokenBalance = await this.getTokenBalance(inputMint);
+            console.log(`🪙 ${inputToken.symbol} Balance: ${this.formatAmount(tokenBalance, inputToken.decimals)} ${inputToken.symbol}`);
+
+            if (tokenBalance < BigInt(amount)) {
+                throw new Error(
+                    `Insufficient ${inputToken.symbol} balance. Need ${this.formatAmount(amount, inputToken.decimals)}, ` +
+                    `have ${this.formatAmount(tokenBalance, inputToken.decimals)}`
+                );
+            }
+        }
+
+        const swapLamports = inputMint === SOL_MINT ? Number(amount) : 0;
         
         if (this.options.includeDetailedBalance) {
             // Account for:
-            // - Swap amount
+            // - Swap amount (when swapping SOL)
             // - Token account rent (~0.002 SOL)
             // - Transaction fees (~0.0005 SOL)
             const rentReserve = 2039280; // Rent for token account
             const feeBuffer = 500000; // Buffer for transaction fees
-            const totalRequired = SWAP_AMOUNT + rentReserve + feeBuffer;
+            const totalRequired = swapLamports + rentReserve + feeBuffer;
 
-            if (balance < SWAP_AMOUNT) {
+            if (balance < swapLamports) {
                 throw new Error(
                     `Insufficient balance for swap. Need ${
-                        SWAP_AMOUNT / LAMPORTS_PER_SOL
+                        swapLamports / LAMPORTS_PER_SOL
                     } SOL, have ${solBalance} SOL`
                 );
             }
@@ -115,7 +283,7 @@ export class CoreSwap {
                     `Insufficient balance for swap + fees. Need ${(
                         totalRequired / LAMPORTS_PER_SOL
                     ).toFixed(6)} SOL total:\n` +
-                        `  • Swap amount: ${SWAP_AMOUNT / LAMPORTS_PER_SOL} SOL\n` +
+                        `  • Swap amount: ${swapLamports / LAMPORTS_PER_SOL} SOL\n` +
                         `  • Token account rent: ~${(rentReserve / LAMPORTS_PER_SOL).toFixed(
                             6
                         )} SOL\n` +
@@ -129,58 +297,35 @@ export class CoreSwap {
                 );
             }
         } else {
-            if (balance < SWAP_AMOUNT) {
-                throw new Error(`Insufficient balance. Need ${SWAP_AMOUNT / LAMPORTS_PER_SOL} SOL, have ${solBalance} SOL`);
+            if (balance < swapLamports) {
+                throw new Error(`Insufficient balance. Need ${swapLamports / LAMPORTS_PER_SOL} SOL, have ${solBalance} SOL`);
             }
         }
         
         return balance;
     }
 
-    async getQuote() {
-        console.log('📊 Getting quote from Jupiter V6...');
-        console.time('getQuote');
-        
-        try {
-            const params = {
-                inputMint: SOL_MINT,
-                outputMint: USDC_MINT,
-                amount: SWAP_AMOUNT.toString(),
-                slippageBps: DEFAULT_SLIPPAGE_BPS,
-                onlyDirectRoutes: false, // Allow all routes for better liquidity
-                asLegacyTransaction: false,
-                // Remove platform fee for testing
-                // platformFeeBps: parseInt(process.env.FEE_BASIS_POINTS),
-                // feeAccount: process.env.FEE_RECIPIENT
-            };
-
-            const response = await axios.get(JUPITER_QUOTE_API, { 
-                params,
-                timeout: 10000 
-            });
-            console.timeEnd('getQuote');
+    async getQuote(pair) {
+        const { inputMint, outputMint, amount, swapMode, inputToken, outputToken } = pair ?? await this.resolveSwapPair();
 
-            const quote = response.data;
-            
-            if (!quote || !quote.outAmount) {
-                throw new Error('Invalid quote response from Jupiter');
-            }
+        const quote = await this.quoteService.getQuote({
+            inputMint,
+            outputMint,
+            amount,
+            swapMode,
+            slippageBps: this.options.slippageBps,
+            onlyDirectRoutes: false, // Allow all routes for better liquidity
+            inputToken,
+            outputToken
+            // Platform fee disabled for testing:
+            // platformFeeBps: parseInt(process.env.FEE_BASIS_POINTS),
+            // feeAccount: process.env.FEE_RECIPIENT
+        });
 
-            console.log('✅ Quote received:');
-            console.log(`   📥 Input: ${SWAP_AMOUNT / LAMPORTS_PER_SOL} SOL`);
-            console.log(`   📤 Output: ${(parseInt(quote.outAmount) / 1e6).toFixed(6)} USDC`);
-            console.log(`   💥 Price Impact: ${(parseFloat(quote.priceImpactPct) * 100).toFixed(4)}%`);
-            console.log(`   🛣️  Route: ${this.getRouteInfo(quote)}`);
+        if (process.env.FEE_BASIS_POINTS) {
             console.log(`   💸 Platform Fee: ${process.env.FEE_BASIS_POINTS} bps to ${process.env.FEE_RECIPIENT}`);
-            
-            return quote;
-        } catch (error) {
-            console.timeEnd('getQuote');
-            if (error.response?.data?.error) {
-                throw new Error(`Jupiter API error: ${error.response.data.error}`);
-            }
-            throw new Error(`Quote request failed: ${error.message}`);
         }
+        return quote;
     }
 
     getRouteInfo(quote) {
@@ -192,206 +337,376 @@ export class CoreSwap {
     }
 
     async createSwapTransaction(quote, priorityFeeMicroLamports = 'auto') {
-        console.log('🔨 Creating swap transaction...');
-        console.time('createSwapTransaction');
-        
-        try {
-            const swapPayload = {
-                quoteResponse: quote,
-                userPublicKey: this.keypair.publicKey.toString(),
-                wrapAndUnwrapSol: true,
-                useSharedAccounts: this.options.useSharedAccounts,
-                // Remove platform fee for testing
-                // feeAccount: process.env.FEE_RECIPIENT,
-                asLegacyTransaction: false,
-                useTokenLedger: false
-            };
-
-            // Add priority fee if specified and not zero
-            if (priorityFeeMicroLamports !== 'auto' && priorityFeeMicroLamports > 0) {
-                swapPayload.computeUnitPriceMicroLamports = priorityFeeMicroLamports;
-            } else if (priorityFeeMicroLamports === 'auto' || priorityFeeMicroLamports === 0) {
-                swapPayload.computeUnitPriceMicroLamports = priorityFeeMicroLamports === 0 ? 0 : 'auto';
-            }
-
-            const response = await axios.post(JUPITER_SWAP_API, swapPayload, {
-                timeout: 15000,
-                headers: {
-                    'Content-Type': 'application/json'
-                }
-            });
-            console.timeEnd('createSwapTransaction');
-
-            const { swapTransaction } = response.data;
-            
-            if (!swapTransaction) {
-                throw new Error('No swap transaction returned from Jupiter');
-            }
+        return this.quoteService.createSwapTransaction({
+            quote,
+            userPublicKey: this.signer.publicKey,
+            wrapAndUnwrapSol: true,
+            useSharedAccounts: this.options.useSharedAccounts,
+            // Platform fee disabled for testing:
+            // feeAccount: process.env.FEE_RECIPIENT,
+            computeUnitPriceMicroLamports: priorityFeeMicroLamports
+        });
+    }
 
-            return swapTransaction;
-        } catch (error) {
-            console.timeEnd('createSwapTransaction');
-            if (error.response?.data?.error) {
-                throw new Error(`Jupiter swap API error: ${error.response.data.error}`);
-            }
-            throw new Error(`Swap transaction creation failed: ${error.message}`);
+    /**
+     * Resolve the compute unit price to request from Jupiter
+     * @param {number|string} priorityFeeMicroLamports - Explicit fee, or 'auto' to let Jupiter decide
+     * @param {string} priorityFeeStrategy - PriorityFeeService strategy; takes precedence when set
+     * @param {Object} priorityFeeOptions - Strategy-specific options
+     */
+    async resolvePriorityFee(priorityFeeMicroLamports, priorityFeeStrategy, priorityFeeOptions = {}) {
+        if (!priorityFeeStrategy) {
+            return priorityFeeMicroLamports;
         }
+
+        const fee = await this.priorityFeeService.calculatePriorityFee(priorityFeeStrategy, priorityFeeOptions);
+        console.log(`⚡ Using priority fee ${fee.toLocaleString()} µLAM`);
+        return fee;
     }
 
-    async executeSwap(swapTransaction, priorityFeeMicroLamports = 0) {
+    /**
+     * Sign, simulate, send and confirm a Jupiter swap transaction
+     * @param {string} swapTransaction - Base64 transaction from Jupiter
+     * @param {Function} onSend - Called just before the transaction is sent, once it is signed
+     *   and passed the simulation
+     * @returns {Object} { signature, computeUnitsConsumed }
+     */
+    async executeSwap(swapTransaction, onSend = () => {}) {
         console.log('✍️  Signing and sending transaction...');
         console.time('executeSwap');
         
         try {
-            // Deserialize the transaction
-            const transactionBuf = Buffer.from(swapTransaction, 'base64');
-            let transaction = VersionedTransaction.deserialize(transactionBuf);
-            
-            // Priority fee is already handled in createSwapTransaction via Jupiter API
-            // No need to add it again here to avoid duplicate instructions
+            const transaction = await this.txService.prepareTransaction(swapTransaction, this.signer);
+            const { signature, computeUnitsConsumed } = await this.txService.executeTransaction(transaction, { onSend });
             
-            // Sign the transaction
-            transaction.sign([this.keypair]);
-            
-            // Simulate transaction first
-            console.log('🧪 Simulating transaction...');
-            console.time('simulateTransaction');
-            const simulationOptions = {
-                replaceRecentBlockhash: true,
-                sigVerify: false,
-            };
+            console.timeEnd('executeSwap');
+            return { signature, computeUnitsConsumed };
+        } catch (error) {
+            console.timeEnd('executeSwap');
+            const executionError = new Error(`Transaction execution failed: ${error.message}`);
+            // Set once it was sent: with confirmationResult when it failed on chain, with
+            // code CONFIRMATION_UNKNOWN when its outcome is not known
+            executionError.signature = error.signature;
+            executionError.code = error.code;
+            executionError.confirmationResult = error.confirmationResult;
+            throw executionError;
+        }
+    }
 
-            // For detailed balance mode (index.js behavior), include more simulation details
-            if (!this.options.includeDetailedBalance) {
-                delete simulationOptions.replaceRecentBlockhash;
-                delete simulationOptions.sigVerify;
-            }
+    /**
+     * Run the full swap flow for any SPL pair
+     * @param {Object} params - { inputMint, outputMint, amount, swapMode, priorityFeeMicroLamports,
+     *   priorityFeeStrategy, priorityFeeOptions, idempotencyKey, dryRun }; the pair defaults to
+     *   SOL → USDC and amount (base units) to SWAP_AMOUNT. With swapMode 'ExactOut', amount is the
+     *   output to receive. With an idempotencyKey, repeating the call returns the first call's
+     *   result. With dryRun, the signed transaction is simulated instead of sent
+     * @param {Object} hooks - { onStage: (stage, data) => void, called as the swap reaches the
+     *   quote, built, simulated (dry runs) and confirmed stages }
+     */
+    async performSwap({ idempotencyKey, ...params } = {}, { onStage = () => {} } = {}) {
+        if (!this.signer) {
+            throw new Error('This CoreSwap is read-only; create it with a signer to swap');
+        }
+        // A dry run sends nothing, so there is nothing for the key to guard
+        if (idempotencyKey === undefined || params.dryRun) {
+            return this.runSwap(params, () => {}, onStage);
+        }
+        return this.performIdempotentSwap(idempotencyKey, params, onStage);
+    }
 
-            const simulationResult = await this.connection.simulateTransaction(
-                transaction,
-                this.options.includeDetailedBalance ? simulationOptions : undefined
-            );
-            console.timeEnd('simulateTransaction');
-            
-            if (this.options.includeDetailedBalance) {
-                console.log('🔍 Simulation details:');
-                console.log(
-                    `   Compute units consumed: ${
-                        simulationResult.value.unitsConsumed || 'N/A'
-                    }`
-                );
-                console.log(
-                    `   Logs: ${
-                        simulationResult.value.logs?.slice(-5).join('\n         ') ||
-                        'No logs'
-                    }`
-                );
+    /**
+     * Run a swap at most once per idempotency key, even across restarts
+     * @param {string} idempotencyKey - Caller-chosen key identifying this swap
+     * @param {Object} params - performSwap parameters
+     * @param {Function} onStage - Stage callback, see performSwap
+     */
+    async performIdempotentSwap(idempotencyKey, params, onStage = () => {}) {
+        IdempotencyStore.validateKey(idempotencyKey);
+        this.idempotencyStore = this.idempotencyStore ?? IdempotencyStore.fromEnv();
+        // Keys are per wallet, so two wallets never share one by accident
+        const key = `coreswap:${this.signer.publicKey.toBase58()}:${idempotencyKey}`;
+        const existing = this.idempotencyStore.begin(key, IdempotencyStore.fingerprint(params));
 
-                if (simulationResult.value.err) {
-                    console.error(
-                        '❌ Full simulation error:',
-                        JSON.stringify(simulationResult.value, null, 2)
-                    );
-                    throw new Error(
-                        `Transaction simulation failed: ${JSON.stringify(
-                            simulationResult.value.err
-                        )}`
-                    );
-                }
-            } else {
-                if (simulationResult.value.err) {
-                    throw new Error(`Transaction simulation failed: ${JSON.stringify(simulationResult.value.err)}`);
-                }
-            }
-            
-            console.log('✅ Simulation successful');
-            
-            // Send the transaction with retry logic
-            let signature;
-            let attempts = 0;
-            const maxAttempts = 3;
-            
-            console.time('sendTransaction');
-            while (attempts < maxAttempts) {
-                try {
-                    signature = await this.connection.sendTransaction(transaction, {
-                        skipPreflight: false,
-                        preflightCommitment: 'confirmed',
-                        maxRetries: 3
-                    });
-                    break;
-                } catch (error) {
-                    attempts++;
-                    if (attempts === maxAttempts) throw error;
-                    console.log(`⚠️  Attempt ${attempts} failed, retrying...`);
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                }
-            }
-            console.timeEnd('sendTransaction');
-            
-            console.log(`📨 Transaction sent: ${signature}`);
-            
-            // Wait for confirmation with timeout
-            console.log('⏳ Waiting for confirmation...');
-            console.time('confirmTransaction');
-            const confirmation = await this.connection.confirmTransaction(
-                signature,
-                'confirmed'
-            );
-            console.timeEnd('confirmTransaction');
-            
-            if (confirmation.value.err) {
-                throw new Error(`Transaction failed: ${JSON.stringify(confirmation.value.err)}`);
+        if (existing?.status === 'completed') {
+            console.log(`🔁 Swap with idempotency key ${idempotencyKey} already ran; returning its result`);
+            if (existing.result.error) {
+                throw new Error(existing.result.error);
             }
-            
-            console.timeEnd('executeSwap');
-            return signature;
+            return { ...existing.result, replayed: true };
+        }
+        if (existing) {
+            const error = new Error(existing.status === 'interrupted'
+                ? `Swap with idempotency key ${idempotencyKey} was interrupted before finishing; check the wallet before using a new key`
+                : `Swap with idempotency key ${idempotencyKey} is still in progress`);
+            error.code = existing.status === 'interrupted' ? 'IDEMPOTENCY_INTERRUPTED' : 'IDEMPOTENCY_IN_PROGRESS';
+            throw error;
+        }
+
+        let submitted = false;
+        try {
+            const result = await this.runSwap({ ...params, idempotencyKey }, () => { submitted = true; }, onStage);
+            this.idempotencyStore.complete(key, result);
+            return result;
         } catch (error) {
-            console.timeEnd('executeSwap');
-            throw new Error(`Transaction execution failed: ${error.message}`);
+            // Nothing reached the network, so the key can be used again
+            if (submitted) {
+                this.idempotencyStore.complete(key, { error: error.message });
+            } else {
+                this.idempotencyStore.release(key);
+            }
+            throw error;
         }
     }
 
-    async performSwap({ priorityFeeMicroLamports = 'auto' } = {}) {
+    /**
+     * The swap flow behind performSwap
+     * @param {Object} params - performSwap parameters; idempotencyKey is only recorded in the ledger
+     * @param {Function} onSubmit - Called just before the transaction is sent; failures before
+     *   that, including signing and the pre-send simulation, never reached the network
+     * @param {Function} onStage - Stage callback, see performSwap
+     */
+    async runSwap({
+        inputMint,
+        outputMint,
+        amount,
+        swapMode,
+        priorityFeeMicroLamports = 'auto',
+        priorityFeeStrategy,
+        priorityFeeOptions,
+        idempotencyKey,
+        dryRun = false
+    } = {}, onSubmit = () => {}, onStage = () => {}) {
         console.time('performSwap');
+        const startTime = Date.now();
+        // Filled in as the swap progresses and written to the history ledger either way
+        const attempt = {
+            source: 'coreswap',
+            wallet: this.signer.publicKey.toBase58(),
+            inputMint: inputMint || SOL_MINT,
+            outputMint: outputMint || USDC_MINT,
+            swapMode: swapMode || 'ExactIn',
+            amount: String(amount ?? SWAP_AMOUNT),
+            // Lets callers find out from the ledger how a keyed swap that was interrupted ended
+            ...(idempotencyKey !== undefined && { idempotencyKey })
+        };
         try {
-            console.log('🚀 Starting Jupiter V6 SOL → USDC swap...\n');
-            
-            // Check wallet balance
-            await this.checkBalance();
+            const pair = await this.resolveSwapPair({ inputMint, outputMint, amount, swapMode });
+            const { inputToken, outputToken } = pair;
+
+            console.log(`🚀 Starting Jupiter V6 ${inputToken.symbol} → ${outputToken.symbol} swap...\n`);
             
-            // Get quote from Jupiter
-            const quote = await this.getQuote();
+            let quote;
+            if (pair.swapMode === 'ExactOut') {
+                // The input needed is only known once quoted, so check balance against its worst case
+                quote = await this.getQuote(pair);
+                await this.checkBalance(pair, quote);
+            } else {
+                // Check wallet balance
+                await this.checkBalance(pair);
+                
+                // Get quote from Jupiter
+                quote = await this.getQuote(pair);
+            }
+            Object.assign(attempt, {
+                inAmount: quote.inAmount,
+                outAmount: quote.outAmount,
+                route: quote.metadata?.routeInfo?.route ?? null,
+                slippageBps: quote.slippageBps ?? quote.metadata?.slippageUsed ?? null,
+                priceImpact: quote.metadata?.priceImpact ?? null
+            });
+            onStage('quote', {
+                inAmount: quote.inAmount,
+                outAmount: quote.outAmount,
+                otherAmountThreshold: quote.otherAmountThreshold ?? null,
+                priceImpact: attempt.priceImpact,
+                route: attempt.route
+            });
             
             // Create swap transaction with priority fee
-            const swapTransaction = await this.createSwapTransaction(quote, priorityFeeMicroLamports);
+            const priorityFee = await this.resolvePriorityFee(
+                priorityFeeMicroLamports,
+                priorityFeeStrategy,
+                priorityFeeOptions
+            );
+            attempt.priorityFeeMicroLamports = priorityFee;
+            const swapTransaction = await this.createSwapTransaction(quote, priorityFee);
+            onStage('built', { priorityFeeMicroLamports: priorityFee });
+
+            if (dryRun) {
+                const simulation = await this.simulateSwap(pair, swapTransaction);
+                onStage('simulated', {
+                    computeUnitsConsumed: simulation.computeUnitsConsumed,
+                    feeLamports: simulation.feeLamports
+                });
+                console.timeEnd('performSwap');
+                return {
+                    dryRun: true,
+                    quote,
+                    priorityFeeMicroLamports: priorityFee,
+                    inputMint: pair.inputMint,
+                    outputMint: pair.outputMint,
+                    swapMode: pair.swapMode,
+                    simulation
+                };
+            }
             
-            // Execute the swap - only pass numeric priority fee values to executeSwap
-            const numericPriorityFee = (priorityFeeMicroLamports === 'auto' || priorityFeeMicroLamports === 0) 
-                ? 0 
-                : priorityFeeMicroLamports;
-            const signature = await this.executeSwap(swapTransaction, numericPriorityFee);
+            // Sign, simulate, send and confirm
+            const { signature, computeUnitsConsumed } = await this.executeSwap(swapTransaction, onSubmit);
+            onStage('confirmed', { signature, computeUnitsConsumed });
+            const settlement = await this.verifySettlement(pair, quote, signature);
+            this.recordAttempt({
+                ...attempt,
+                computeUnitsConsumed,
+                signature,
+                status: 'confirmed',
+                settlement,
+                durationMs: Date.now() - startTime
+            });
             
+            // Report what actually settled; the quote is only the fallback when it could not be checked
+            const inputAmount = this.formatAmount(
+                settlement?.inputAmount ?? quote.inAmount ?? pair.amount,
+                inputToken.decimals
+            );
+            const outputAmount = this.formatAmount(settlement?.outputAmount ?? quote.outAmount, outputToken.decimals);
+
             // Success message
             console.log('\n🎉 Swap completed successfully!');
             console.log(`🔗 Explorer: https://solscan.io/tx/${signature}`);
-            console.log(`📊 Swapped: ${SWAP_AMOUNT / LAMPORTS_PER_SOL} SOL → ${(parseInt(quote.outAmount) / 1e6).toFixed(6)} USDC`);
+            console.log(`📊 Swapped: ${inputAmount} ${inputToken.symbol} → ${outputAmount} ${outputToken.symbol}`);
+            if (settlement) {
+                this.logSettlement(settlement, pair);
+            }
             console.log(`💰 Platform Fee: ${process.env.FEE_BASIS_POINTS} bps paid to ${process.env.FEE_RECIPIENT}`);
             
             console.timeEnd('performSwap');
             return {
                 signature,
                 quote,
-                inputAmount: SWAP_AMOUNT / LAMPORTS_PER_SOL,
-                outputAmount: (parseInt(quote.outAmount) / 1e6)
+                priorityFeeMicroLamports: priorityFee,
+                inputMint: pair.inputMint,
+                outputMint: pair.outputMint,
+                swapMode: pair.swapMode,
+                inputAmount: parseFloat(inputAmount),
+                outputAmount: parseFloat(outputAmount),
+                settlement
             };
             
         } catch (error) {
             console.timeEnd('performSwap');
             console.error(`\n❌ Swap failed: ${error.message}`);
+            if (dryRun) {
+                throw error; // Nothing was attempted on chain, so nothing goes in the ledger
+            }
+            // Sent without an on-chain error, such as a confirmation timeout: it may still land
+            const unconfirmed = Boolean(error.signature) && !error.confirmationResult;
+            this.recordAttempt({
+                ...attempt,
+                signature: error.signature ?? null,
+                status: unconfirmed ? 'unconfirmed' : 'failed',
+                error: error.message,
+                durationMs: Date.now() - startTime
+            });
             throw error;
         }
     }
+
+    /**
+     * Sign a swap transaction and simulate it without sending, for dry runs
+     * @param {Object} pair - Resolved swap pair
+     * @param {string} swapTransaction - Base64 transaction from Jupiter
+     * @returns {Object} SimulationService.simulate() report
+     */
+    async simulateSwap(pair, swapTransaction) {
+        console.log('🧪 Dry run: signing and simulating without sending...');
+        const transaction = await this.txService.prepareTransaction(swapTransaction, this.signer);
+        const simulation = await this.simulationService.simulate(transaction, {
+            owner: this.signer.publicKey,
+            mints: [pair.inputMint, pair.outputMint]
+        });
+
+        const tokens = { [pair.inputMint]: pair.inputToken, [pair.outputMint]: pair.outputToken };
+        console.log(`\n${simulation.success ? '✅' : '❌'} Dry run ${simulation.success ? 'succeeded' : 'failed'}; nothing was sent`);
+        for (const { mint, change } of simulation.balanceChanges) {
+            const sign = BigInt(change) > 0n ? '+' : '';
+            console.log(`   ${tokens[mint].symbol}: ${sign}${this.formatAmount(change, tokens[mint].decimals)}`);
+        }
+        console.log(`   💻 Compute units: ${simulation.computeUnitsConsumed ?? 'unknown'}`);
+        console.log(`   ⛽ Network fee: ${simulation.feeLamports === null ? 'unknown' : `${simulation.feeLamports} lamports`}`);
+        console.log(`   📜 Logs (${simulation.logs.length}):`);
+        simulation.logs.forEach(line => console.log(`      ${line}`));
+
+        if (!simulation.success) {
+            const error = new Error(`Simulation failed: ${JSON.stringify(simulation.error)}`);
+            error.simulation = simulation;
+            throw error;
+        }
+        return simulation;
+    }
+
+    /**
+     * Check the confirmed transaction against the quote. The swap already settled, so a failed
+     * check only warns and returns null.
+     * @param {Object} pair - Resolved swap pair
+     * @param {Object} quote - Quote the transaction was built from
+     * @param {string} signature - Confirmed transaction signature
+     */
+    async verifySettlement(pair, quote, signature) {
+        if (!this.options.verifySettlement) {
+            return null;
+        }
+
+        try {
+            return await this.settlementService.verifySwap({
+                signature,
+                owner: this.signer.publicKey,
+                quote: { ...quote, inputMint: pair.inputMint, outputMint: pair.outputMint, swapMode: pair.swapMode },
+                feeAccount: quote.platformFee?.feeBps ? process.env.FEE_RECIPIENT : undefined
+            });
+        } catch (error) {
+            console.warn(`⚠️  Could not verify settlement: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Print realized slippage, fees and rent for a verified swap
+     * @param {Object} settlement - SettlementService.verifySwap() result
+     * @param {Object} pair - Resolved swap pair
+     */
+    logSettlement(settlement, pair) {
+        const { inputToken, outputToken } = pair;
+        const exactOut = settlement.swapMode === 'ExactOut';
+        const quoted = exactOut
+            ? `${this.formatAmount(settlement.quotedInAmount, inputToken.decimals)} ${inputToken.symbol} in`
+            : `${this.formatAmount(settlement.quotedOutAmount, outputToken.decimals)} ${outputToken.symbol} out`;
+        const { baseLamports, priorityLamports, rentLamports, totalLamports } = settlement.fees;
+
+        console.log(`🎯 Quoted: ${quoted}, realized slippage: ${settlement.slippageBps} bps`);
+        console.log(
+            `⛽ SOL spent: ${this.formatAmount(totalLamports, 9)} SOL ` +
+            `(base ${baseLamports}, priority ${priorityLamports}, rent ${rentLamports} lamports)`
+        );
+        if (settlement.worseThanThreshold) {
+            const limit = this.formatAmount(
+                settlement.otherAmountThreshold,
+                exactOut ? inputToken.decimals : outputToken.decimals
+            );
+            console.warn(`⚠️  Fill was worse than the quoted ${exactOut ? 'maximum input' : 'minimum output'} of ${limit}`);
+        }
+    }
+
+    /**
+     * Write an attempt to the history ledger; a ledger failure never fails the swap
+     * @param {Object} attempt - Attempt details
+     */
+    recordAttempt(attempt) {
+        try {
+            this.history.record(attempt);
+        } catch (error) {
+            console.warn(`⚠️  Could not record swap history: ${error.message}`);
+        }
+    }
 }
 
 export default CoreSwap;
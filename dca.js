@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+
+import { parseArgs } from 'node:util';
+import { config } from 'dotenv';
+import { CoreSwap, SOL_MINT, USDC_MINT } from './core-swap.js';
+import { DcaStore } from './services/DcaStore.js';
+import { DcaScheduler } from './services/DcaScheduler.js';
+
+config();
+
+const DCA_USAGE = `Usage: npm run dca -- <command> [options]
+
+Commands:
+  create                 Add a schedule
+  list                   Show every schedule and its progress
+  pause <id>             Stop a schedule until it is resumed
+  resume <id>            Restart a paused schedule from its next cron time
+  cancel <id>            Stop a schedule for good
+  run                    Run due schedules until interrupted
+
+Options for create:
+  --input-mint <mint>    Mint to sell (default: SOL)
+  --output-mint <mint>   Mint to buy (default: USDC)
+  --amount <amount>      Amount to sell per run, in base units of the input mint
+  --cron <expression>    When to run, as a five-field cron expression in UTC
+                         (e.g. "0 9 * * 1-5") or @hourly, @daily, @weekly, @monthly
+  --max-total <amount>   Stop once this much of the input mint has been sold
+  --price-ceiling <p>    Skip runs while one input token is worth more than p output tokens
+                         (sell SOL for USDC: skip while SOL > p USDC)
+  --price-floor <p>      Skip runs while one input token is worth less than p output tokens
+                         (sell SOL for USDC: skip while SOL < p USDC; buy SOL with USDC,
+                         priced in SOL per USDC: p = 0.005 skips while SOL > 200 USDC)
+  --missed <policy>      Runs missed while the scheduler was down: skip (run only the
+                         latest, default) or catch-up (run each of them)
+  --name <name>          Label shown by list
+
+Other options:
+  --once                 With run: run what is due now, then exit (for cron or systemd timers)
+  --json                 With create and list: print JSON
+  -h, --help             Show this help
+
+Schedules are kept in DCA_STORE (default: data/dca-schedules.json).`;
+
+/**
+ * Render schedules as one block each
+ * @param {Object[]} schedules - DcaStore schedules
+ */
+export function formatSchedules(schedules) {
+    if (schedules.length === 0) {
+        return '📭 No DCA schedules';
+    }
+    return schedules.map(schedule => {
+        const icon = { active: '🟢', paused: '⏸️ ', cancelled: '🛑', completed: '🏁' }[schedule.status];
+        const limits = [
+            schedule.maxTotal && `max total ${schedule.maxTotal}`,
+            schedule.priceFloor !== null && `floor ${schedule.priceFloor}`,
+            schedule.priceCeiling !== null && `ceiling ${schedule.priceCeiling}`
+        ].filter(Boolean).join(', ');
+        return [
+            `${icon} ${schedule.id}${schedule.name ? ` (${schedule.name})` : ''}: ${schedule.status}`,
+            `   ${schedule.amount} of ${schedule.inputMint} → ${schedule.outputMint}`,
+            `   cron "${schedule.cron}", missed runs: ${schedule.missedRuns}${limits ? `, ${limits}` : ''}`,
+            `   ${schedule.executedRuns} runs, spent ${schedule.totalSpent}, received ${schedule.totalReceived}`,
+            `   next run: ${schedule.nextRunAt ?? '-'}, last run: ${schedule.lastRunAt ?? '-'}`
+        ].join('\n');
+    }).join('\n\n');
+}
+
+// Main execution
+async function main() {
+    let scheduler;
+    try {
+        const { values, positionals } = parseArgs({
+            allowPositionals: true,
+            options: {
+                'input-mint': { type: 'string' },
+                'output-mint': { type: 'string' },
+                amount: { type: 'string' },
+                cron: { type: 'string' },
+                'max-total': { type: 'string' },
+                'price-ceiling': { type: 'string' },
+                'price-floor': { type: 'string' },
+                missed: { type: 'string' },
+                name: { type: 'string' },
+                once: { type: 'boolean' },
+                json: { type: 'boolean' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+        const [command, id] = positionals;
+
+        if (values.help || !command) {
+            console.log(DCA_USAGE);
+            process.exit(values.help ? 0 : 1);
+        }
+
+        const store = DcaStore.fromEnv();
+        switch (command) {
+        case 'create': {
+            if (!values.amount || !values.cron) {
+                throw new Error('create needs --amount and --cron');
+            }
+            const schedule = store.create({
+                name: values.name,
+                inputMint: values['input-mint'] || SOL_MINT,
+                outputMint: values['output-mint'] || USDC_MINT,
+                amount: values.amount,
+                cron: values.cron,
+                maxTotal: values['max-total'],
+                priceCeiling: values['price-ceiling'],
+                priceFloor: values['price-floor'],
+                missedRuns: values.missed
+            });
+            console.log(values.json
+                ? JSON.stringify(schedule, null, 2)
+                : `✅ Created DCA schedule ${schedule.id}, first run at ${schedule.nextRunAt}`);
+            break;
+        }
+        case 'list':
+            console.log(values.json ? JSON.stringify(store.list(), null, 2) : formatSchedules(store.list()));
+            break;
+        case 'pause':
+        case 'resume':
+        case 'cancel': {
+            if (!id) {
+                throw new Error(`${command} needs a schedule id`);
+            }
+            const schedule = store[command](id);
+            console.log(`✅ Schedule ${id} is now ${schedule.status}`);
+            break;
+        }
+        case 'run': {
+            scheduler = new DcaScheduler({ store, swapper: new CoreSwap() });
+            if (values.once) {
+                const runs = await scheduler.runDue();
+                console.log(`✅ ${runs.length} DCA run${runs.length === 1 ? '' : 's'} made`);
+                break;
+            }
+            const stop = () => {
+                console.log('\n👋 Stopping DCA scheduler');
+                scheduler.stop();
+                process.exit(0);
+            };
+            process.on('SIGINT', stop);
+            process.on('SIGTERM', stop);
+            console.log(`⏰ DCA scheduler running ${store.list().filter(s => s.status === 'active').length} active schedule(s)`);
+            await scheduler.start();
+            return;
+        }
+        default:
+            throw new Error(`Unknown command "${command}". Use create, list, pause, resume, cancel or run`);
+        }
+        process.exit(0);
+    } catch (error) {
+        scheduler?.stop();
+        console.error(`\n💥 Fatal error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main();
+}
+
+export default main;
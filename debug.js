@@ -4,17 +4,16 @@ import { config } from 'dotenv';
 import { 
     Connection, 
     PublicKey, 
-    Keypair, 
     VersionedTransaction,
     LAMPORTS_PER_SOL
 } from '@solana/web3.js';
 import axios from 'axios';
-import bs58 from 'bs58';
+import { signerFromEnv } from './services/Signer.js';
+import { getJupiterEndpoints } from './jupiter-api.js';
 
 config();
 
-const JUPITER_QUOTE_API = 'https://quote-api.jup.ag/v6/quote';
-const JUPITER_SWAP_API = 'https://quote-api.jup.ag/v6/swap';
+const { quote: JUPITER_QUOTE_API, swap: JUPITER_SWAP_API } = getJupiterEndpoints();
 
 const SOL_MINT = 'So11111111111111111111111111111111111111112';
 const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
@@ -24,12 +23,12 @@ async function debug() {
     
     // Initialize connection
     const connection = new Connection('https://api.mainnet-beta.solana.com', 'confirmed');
-    const keypair = Keypair.fromSecretKey(bs58.decode(process.env.PRIVATE_KEY));
+    const signer = signerFromEnv();
     
-    console.log('Wallet:', keypair.publicKey.toString());
+    console.log('Wallet:', signer.publicKey.toString());
     
     // Check balance
-    const balance = await connection.getBalance(keypair.publicKey);
+    const balance = await connection.getBalance(signer.publicKey);
     console.log('Balance:', balance / LAMPORTS_PER_SOL, 'SOL\n');
     
     // Test different swap amounts
@@ -83,7 +82,7 @@ async function debug() {
             console.log('Testing swap transaction creation (no fee)...');
             const swapPayload = {
                 quoteResponse: quote,
-                userPublicKey: keypair.publicKey.toString(),
+                userPublicKey: signer.publicKey.toString(),
                 wrapAndUnwrapSol: true,
                 useSharedAccounts: true,
                 computeUnitPriceMicroLamports: 'auto',
@@ -100,7 +99,7 @@ async function debug() {
             // Test transaction simulation
             const transactionBuf = Buffer.from(swapResponse.data.swapTransaction, 'base64');
             const transaction = VersionedTransaction.deserialize(transactionBuf);
-            transaction.sign([keypair]);
+            await signer.signTransaction(transaction);
             
             console.log('Testing simulation...');
             const simulation = await connection.simulateTransaction(transaction);
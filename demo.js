@@ -2,12 +2,13 @@
 
 import { config } from 'dotenv';
 import axios from 'axios';
+import { getJupiterEndpoints } from './jupiter-api.js';
 
 // Load environment variables
 config();
 
-// Jupiter V6 API endpoints
-const JUPITER_QUOTE_API = 'https://quote-api.jup.ag/v6/quote';
+// Jupiter V6 API endpoints (JUPITER_API_BASE overrides the public API)
+const { quote: JUPITER_QUOTE_API } = getJupiterEndpoints();
 
 // Token addresses (mainnet)
 const SOL_MINT = 'So11111111111111111111111111111111111111112';
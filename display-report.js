@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 
 // Generate and display the performance baseline report
-function displayReport() {
+export function displayReport() {
     const report = `
 ================================================================================
 📊 JUPITER SWAP PERFORMANCE BASELINE REPORT
@@ -115,4 +115,9 @@ EXPECTED IMPROVEMENTS:
     console.log(report);
 }
 
-displayReport();
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    displayReport();
+}
+
+export default displayReport;
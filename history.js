@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+import { parseArgs } from 'node:util';
+import { config } from 'dotenv';
+import { SwapHistory } from './services/SwapHistory.js';
+
+config();
+
+const HISTORY_USAGE = `Usage: npm run history -- [options]
+
+Options:
+  --from <date>          Only attempts at or after this date or ISO time
+  --to <date>            Only attempts up to this date (a plain date covers the whole day)
+  --input-mint <mint>    Only attempts selling this mint
+  --output-mint <mint>   Only attempts buying this mint
+  --mint <mint>          Only attempts with this mint on either side
+  --status <status>      confirmed, failed, or unconfirmed (sent, outcome unknown)
+  --wallet <wallet>      Wallet public key or server walletId
+  --limit <n>            Most recent attempts to show (default: 50)
+  --json                 Print the entries as JSON
+  -h, --help             Show this help
+
+The ledger is read from SWAP_HISTORY (default: data/swap-history.jsonl).`;
+
+// Ledger filters, shared with `jup-swap history`
+export const HISTORY_OPTIONS = {
+    from: { type: 'string' },
+    to: { type: 'string' },
+    'input-mint': { type: 'string' },
+    'output-mint': { type: 'string' },
+    mint: { type: 'string' },
+    status: { type: 'string' },
+    wallet: { type: 'string' },
+    limit: { type: 'string' }
+};
+
+/**
+ * Read the ledger entries matching parsed HISTORY_OPTIONS flags
+ * @param {Object} values - parseArgs values
+ */
+export function queryHistory(values) {
+    return SwapHistory.fromEnv().query({
+        from: values.from,
+        to: values.to,
+        inputMint: values['input-mint'],
+        outputMint: values['output-mint'],
+        mint: values.mint,
+        status: values.status,
+        wallet: values.wallet,
+        limit: values.limit
+    });
+}
+
+// First and last characters of a mint or signature, enough to tell them apart
+function shorten(value) {
+    return value && value.length > 12 ? `${value.slice(0, 4)}…${value.slice(-4)}` : (value ?? '-');
+}
+
+/**
+ * Render entries as one line per attempt
+ * @param {Object[]} entries - SwapHistory entries, newest first
+ */
+export function formatHistory(entries) {
+    if (entries.length === 0) {
+        return '📭 No swap attempts match';
+    }
+    return entries.map(entry => {
+        const icon = { confirmed: '✅', unconfirmed: '❓' }[entry.status] ?? '❌';
+        const pair = `${shorten(entry.inputMint)} → ${shorten(entry.outputMint)}`;
+        // Settled amounts when the swap was verified on chain, quoted ones otherwise
+        const inAmount = entry.settlement?.inputAmount ?? entry.inAmount ?? entry.amount;
+        const outAmount = entry.settlement?.outputAmount ?? entry.outAmount ?? '?';
+        const amounts = `${inAmount} → ${outAmount}`;
+        const outcome = {
+            confirmed: shorten(entry.signature),
+            unconfirmed: `${shorten(entry.signature)} ${entry.error}`
+        }[entry.status] ?? entry.error;
+        return `${icon} ${entry.timestamp}  ${(entry.source ?? '-').padEnd(14)} ${pair}  ${amounts}  ${outcome}`;
+    }).join('\n');
+}
+
+// Main execution
+async function main() {
+    try {
+        const { values } = parseArgs({
+            options: {
+                ...HISTORY_OPTIONS,
+                json: { type: 'boolean' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+
+        if (values.help) {
+            console.log(HISTORY_USAGE);
+            process.exit(0);
+        }
+
+        const entries = queryHistory(values);
+        console.log(values.json ? JSON.stringify(entries, null, 2) : formatHistory(entries));
+        process.exit(0);
+    } catch (error) {
+        console.error(`\n💥 Fatal error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main();
+}
+
+export default main;
@@ -0,0 +1,736 @@
+#!/usr/bin/env node
+
+import { existsSync, realpathSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { text } from 'node:stream/consumers';
+import { Keypair, PublicKey } from '@solana/web3.js';
+import { TOKEN_PROGRAM_ID } from '@solana/spl-token';
+import bs58 from 'bs58';
+import { CoreSwap } from './core-swap.js';
+import { NetworkService } from './services/NetworkService.js';
+import { QuoteService } from './services/QuoteService.js';
+import { PriorityFeeService } from './services/PriorityFeeService.js';
+import {
+    DEFAULT_DERIVATION_PATH,
+    addToKeystore,
+    keypairFromEnv,
+    keypairFromSecret,
+    listKeystore,
+    loadFromKeystore,
+    readKeypairFile
+} from './services/WalletStore.js';
+import { KeypairSigner, signerFromEnv } from './services/Signer.js';
+import { getJupiterEndpoints } from './jupiter-api.js';
+import { DEFAULT_CONFIG_PATH, DEFAULT_KEYSTORE_PATH, describeConfig } from './swap-config.js';
+import {
+    SWAP_OPTIONS,
+    toSwapParams,
+    parseCommandArgs,
+    loadConfig,
+    createOutput,
+    withLogsOnStderr,
+    promptSecret,
+    readPassphrase
+} from './cli-args.js';
+import { HISTORY_OPTIONS, queryHistory, formatHistory } from './history.js';
+
+const USAGE = `Usage: jup-swap <command> [options]
+
+Commands:
+  swap       Swap tokens through Jupiter
+  quote      Quote a swap without sending anything
+  balance    Show the wallet's SOL and token balances
+  tokens     List the wallet's token accounts
+  fees       Estimate priority fees from recent blocks
+  profile    Time the swap flow over several runs
+  report     Print the performance baseline report
+  setup      Generate a test wallet into the keystore and write .env
+  history    Show past swap attempts
+  config     Show the effective configuration (config show)
+  wallet     Manage the encrypted keystore (wallet create|import|export|list)
+
+Config options (every command):
+  --config <path>        Config file (default: JUP_SWAP_CONFIG, else ./${DEFAULT_CONFIG_PATH})
+  --profile <name>       Profile of the config file to apply (default: JUP_SWAP_PROFILE,
+                         else the file's defaultProfile)
+  --rpc-endpoint <url>   Solana RPC endpoint
+  --jupiter-api-base <url>  Jupiter V6 API base URL
+  --slippage-bps <bps>   Slippage for quotes and swaps
+  --keystore <path>      Encrypted keystore (default: WALLET_KEYSTORE, else ./${DEFAULT_KEYSTORE_PATH})
+  --wallet-id <id>       Keystore wallet to sign with (default: WALLET_ID, else default)
+
+Settings are layered: built-in defaults, then the config file and its profile, then the
+environment and .env (see env.example), then flags.
+
+Commands that sign use the --wallet-id wallet of the keystore and ask for its passphrase
+unless WALLET_KEYSTORE_PASSPHRASE is set. A key in PRIVATE_KEY, KEYPAIR_PATH or MNEMONIC
+(see env.example) is used instead until it is moved into the keystore with wallet import.
+With REMOTE_SIGNER_URL set, swaps are signed by that signing service (see signer-server.js)
+and no key is loaded at all.
+
+Every command takes -h, --help for its options. swap, quote, balance, tokens, fees, history,
+config and wallet also take --json, printing one JSON document on stdout with the logs on stderr,
+and --ndjson, printing one JSON line per swap stage and then the result.`;
+
+const PAIR_USAGE = `  --input-mint <mint>    Mint to sell (default: SOL)
+  --output-mint <mint>   Mint to buy (default: USDC)
+  --amount <amount>      Amount to sell in base units, e.g. lamports (default: 100000)
+  --exact-out            Treat --amount as the exact output to receive (base units of
+                         the output mint)`;
+
+const COMMON_USAGE = `  --json                 Print the result as JSON on stdout, with the logs on stderr
+  --ndjson               Same, as one JSON line per stage followed by the result line
+  -h, --help             Show this help`;
+
+/**
+ * Turn a --priority-fee value into CoreSwap.performSwap priority fee parameters
+ * @param {string} value - auto (Jupiter decides), median (of recent fees), none, or micro-lamports
+ */
+export function parsePriorityFee(value = 'auto') {
+    if (value === 'auto') return {};
+    if (value === 'none') return { priorityFeeMicroLamports: 0 };
+    // Median of recent prioritization fees, as swap-priority.js pays
+    if (value === 'median') return { priorityFeeStrategy: 'statistical', priorityFeeOptions: { percentile: 50 } };
+    if (/^\d+$/.test(value)) return { priorityFeeMicroLamports: Number(value) };
+    throw new Error(`Invalid priority fee "${value}". Use auto, median, none or a number of micro-lamports`);
+}
+
+function formatAmount(amount, decimals) {
+    return (Number(amount) / 10 ** decimals).toFixed(decimals);
+}
+
+/**
+ * The quote fields shared by the quote and swap JSON output
+ * @param {Object} quote - Jupiter quote
+ */
+function describeQuote(quote) {
+    const labels = (quote.routePlan ?? []).map(step => step.swapInfo?.label || 'Unknown');
+    return {
+        inAmount: String(quote.inAmount),
+        outAmount: String(quote.outAmount),
+        otherAmountThreshold: quote.otherAmountThreshold === undefined ? null : String(quote.otherAmountThreshold),
+        slippageBps: quote.slippageBps ?? null,
+        // Jupiter reports impact as a fraction
+        priceImpactPct: Number(((quote.metadata?.priceImpact ?? parseFloat(quote.priceImpactPct || 0)) * 100).toFixed(4)),
+        route: labels.length > 0 ? labels.join(' → ') : 'Direct'
+    };
+}
+
+/**
+ * The JSON form of a swap: the pair, the quote it was built from, and what settled
+ * or, for a dry run, what the simulation showed
+ * @param {Object} result - CoreSwap.performSwap() result
+ */
+export function swapToJson(result) {
+    return {
+        signature: result.signature ?? null,
+        dryRun: result.dryRun ?? false,
+        replayed: result.replayed ?? false,
+        inputMint: result.inputMint,
+        outputMint: result.outputMint,
+        swapMode: result.swapMode,
+        ...describeQuote(result.quote),
+        priorityFeeMicroLamports: result.priorityFeeMicroLamports ?? null,
+        settlement: result.settlement ?? null,
+        simulation: result.simulation ?? null
+    };
+}
+
+/**
+ * The JSON form of a priority fee analysis, in micro-lamports per compute unit
+ * @param {Object} analysis - PriorityFeeService.analyzePriorityFees() result
+ */
+export function feesToJson(analysis) {
+    return {
+        timestamp: new Date(analysis.timestamp).toISOString(),
+        strategies: Object.fromEntries(Object.entries(analysis.strategies).map(([strategy, { fee, error }]) =>
+            [strategy, { fee, error: error ?? null }])),
+        recommendations: analysis.recommendations,
+        network: analysis.network.sampleSize
+            ? analysis.network
+            : { sampleSize: 0, min: null, max: null, avg: null, ...(analysis.network.error && { error: analysis.network.error }) }
+    };
+}
+
+/**
+ * Render the outcome of a swap; CoreSwap has already logged its progress
+ * @param {Object} result - CoreSwap.performSwap() result
+ */
+export function formatSwapResult(result) {
+    if (result.dryRun) {
+        return `🧪 Dry run ${result.simulation.success ? 'simulated successfully' : 'failed in simulation'}; nothing was sent`;
+    }
+    return `✅ Swap confirmed: ${result.signature}`;
+}
+
+/**
+ * Render a quote
+ * @param {Object} quote - Result of the quote command
+ */
+export function formatQuote(quote) {
+    const { inputToken, outputToken } = quote;
+    const input = `${formatAmount(quote.inAmount, inputToken.decimals)} ${inputToken.symbol}`;
+    const output = `${formatAmount(quote.outAmount, outputToken.decimals)} ${outputToken.symbol}`;
+    // The threshold is the least received for ExactIn and the most spent for ExactOut
+    const threshold = quote.swapMode === 'ExactOut'
+        ? `maximum spent: ${formatAmount(quote.otherAmountThreshold, inputToken.decimals)} ${inputToken.symbol}`
+        : `minimum received: ${formatAmount(quote.otherAmountThreshold, outputToken.decimals)} ${outputToken.symbol}`;
+    return [
+        `💱 ${input} → ${output} (${quote.swapMode})`,
+        `   ${threshold}`,
+        `   price impact: ${quote.priceImpactPct}%`,
+        `   route: ${quote.route}`
+    ].join('\n');
+}
+
+/**
+ * Render wallet balances
+ * @param {Object} balance - Result of the balance command
+ */
+export function formatBalance(balance) {
+    return [
+        `💎 Wallet: ${balance.wallet}`,
+        `💰 SOL: ${formatAmount(balance.lamports, 9)}`,
+        ...balance.tokens.map(token => `🪙 ${token.symbol}: ${token.uiAmount}`)
+    ].join('\n');
+}
+
+/**
+ * Render a wallet's token accounts
+ * @param {Object} tokens - Result of the tokens command
+ */
+export function formatTokenAccounts(tokens) {
+    if (tokens.accounts.length === 0) {
+        return `📭 No token accounts found for ${tokens.wallet}`;
+    }
+    return [
+        `💎 Wallet: ${tokens.wallet}`,
+        ...tokens.accounts.map((account, index) => `${index + 1}. ${account.mint} - Balance: ${account.uiAmount}`)
+    ].join('\n');
+}
+
+/**
+ * Render a priority fee analysis
+ * @param {Object} analysis - PriorityFeeService.analyzePriorityFees() result
+ */
+export function formatFees(analysis) {
+    const lines = ['⚡ Priority fees (µLAM per compute unit)'];
+    for (const [strategy, { fee, error }] of Object.entries(analysis.strategies)) {
+        lines.push(`   ${strategy}: ${fee === null ? `unavailable (${error})` : fee.toLocaleString()}`);
+    }
+    const recommended = Object.entries(analysis.recommendations)
+        .map(([urgency, fee]) => `${urgency} ${fee === null ? '-' : fee.toLocaleString()}`);
+    lines.push(`   recommended: ${recommended.join(', ')}`);
+    const { network } = analysis;
+    if (network.sampleSize) {
+        lines.push(`   recent blocks: ${network.sampleSize} samples, min ${network.min}, avg ${network.avg}, max ${network.max}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Render the effective configuration
+ * @param {Object} config - describeConfig() result
+ */
+export function formatConfig(config) {
+    const width = Math.max(...Object.keys(config.settings).map(key => key.length));
+    return [
+        `⚙️  Profile: ${config.profile ?? 'none'}`,
+        `📄 Config file: ${config.path ?? 'none'}`,
+        ...Object.entries(config.settings).map(([key, { value, source }]) =>
+            `   ${key.padEnd(width)}  ${value ?? '-'}  (${source})`)
+    ].join('\n');
+}
+
+/**
+ * Turn an imported secret key into a keypair
+ * @param {string} secret - Base58 secret key, JSON byte array or mnemonic, as typed or piped in
+ * @param {string} derivationPath - Where a mnemonic's key is derived
+ */
+function parseSecretKey(secret, derivationPath) {
+    try {
+        return keypairFromSecret(secret, { derivationPath });
+    } catch (error) {
+        throw new Error(`Invalid secret key: ${error.message}`);
+    }
+}
+
+/**
+ * Render a wallet command's result: the keystore listing, an exported key or a saved wallet
+ * @param {Object} result - wallet command result
+ */
+export function formatWallet(result) {
+    if (result.wallets) {
+        if (result.wallets.length === 0) {
+            return `📭 No wallets in ${result.keystore}. Create one with: jup-swap wallet create`;
+        }
+        return [
+            `🔐 Wallets in ${result.keystore}:`,
+            ...result.wallets.map(({ walletId, publicKey }) =>
+                `${walletId === result.signer ? ' *' : '  '} ${walletId}  ${publicKey}`),
+            `   (* signs swaps)`
+        ].join('\n');
+    }
+    if (result.secretKey) {
+        return typeof result.secretKey === 'string' ? result.secretKey : JSON.stringify(result.secretKey);
+    }
+    return `✅ Wallet ${result.walletId} (${result.publicKey}) saved to ${result.keystore}`;
+}
+
+/**
+ * jup-swap commands: the flags each takes, what it does and how its result is printed.
+ * run(values, context, output, positionals) returns the result to print, or undefined when the
+ * command prints its own output; format() renders it as text and toJson(), where given, maps it
+ * onto the documented schema. Only commands marked positionals take arguments besides flags.
+ */
+export const COMMANDS = {
+    swap: {
+        usage: `Usage: jup-swap swap [options]
+
+Options:
+${PAIR_USAGE}
+  --priority-fee <fee>   auto (Jupiter decides), median of recent fees, none, or a
+                         number of micro-lamports per compute unit (default: the
+                         priorityFee setting, auto unless configured)
+  --detailed-balance     Also check SOL covers token account rent and fees
+  --idempotency-key <k>  Run this swap at most once; rerunning with the same key prints
+                         the first run's result instead of swapping again
+  --dry-run              Sign and simulate the swap, print the balance changes, compute
+                         units, fee and logs, and send nothing
+${COMMON_USAGE}`,
+        options: {
+            ...SWAP_OPTIONS,
+            'priority-fee': { type: 'string' },
+            'detailed-balance': { type: 'boolean' }
+        },
+        async run(values, { config, createSwapper }, output) {
+            const priorityFee = parsePriorityFee(values['priority-fee'] ?? config.settings.priorityFee);
+            const swapper = await createSwapper({ includeDetailedBalance: values['detailed-balance'] ?? false });
+            return swapper.performSwap({ ...toSwapParams(values), ...priorityFee }, { onStage: output.stage });
+        },
+        format: formatSwapResult,
+        toJson: swapToJson
+    },
+
+    quote: {
+        usage: `Usage: jup-swap quote [options]
+
+Options:
+${PAIR_USAGE}
+${COMMON_USAGE}`,
+        options: {
+            'input-mint': SWAP_OPTIONS['input-mint'],
+            'output-mint': SWAP_OPTIONS['output-mint'],
+            amount: SWAP_OPTIONS.amount,
+            'exact-out': SWAP_OPTIONS['exact-out']
+        },
+        async run(values, { createSwapper }) {
+            const swapper = await createSwapper({ readOnly: true });
+            const { inputMint, outputMint, amount, swapMode } = toSwapParams(values);
+            const pair = await swapper.resolveSwapPair({ inputMint, outputMint, amount, swapMode });
+            const quote = await swapper.getQuote(pair);
+            return {
+                inputMint: pair.inputMint,
+                outputMint: pair.outputMint,
+                swapMode: pair.swapMode,
+                inputToken: pair.inputToken,
+                outputToken: pair.outputToken,
+                ...describeQuote(quote)
+            };
+        },
+        format: formatQuote
+    },
+
+    balance: {
+        usage: `Usage: jup-swap balance [--mint <mint>]...
+
+Options:
+  --mint <mint>          Also show the balance of this token; repeat for more
+${COMMON_USAGE}`,
+        options: {
+            mint: { type: 'string', multiple: true }
+        },
+        async run(values, { createSwapper, loadAddress }) {
+            const owner = loadAddress();
+            const swapper = await createSwapper({ readOnly: true });
+            const lamports = await swapper.networkService.getBalance(owner, false);
+            const tokens = [];
+            for (const mint of new Set(values.mint ?? [])) {
+                const token = await swapper.getTokenInfo(mint);
+                const amount = await swapper.getTokenBalance(mint, owner);
+                tokens.push({ ...token, amount: String(amount), uiAmount: formatAmount(amount, token.decimals) });
+            }
+            return { wallet: owner.toBase58(), lamports: String(lamports), tokens };
+        },
+        format: formatBalance
+    },
+
+    tokens: {
+        usage: `Usage: jup-swap tokens
+
+Lists every SPL token account the wallet owns.
+
+Options:
+${COMMON_USAGE}`,
+        options: {},
+        async run(values, { createSwapper, loadAddress }) {
+            const owner = loadAddress();
+            const swapper = await createSwapper({ readOnly: true });
+            const { value } = await swapper.connection.getParsedTokenAccountsByOwner(owner, { programId: TOKEN_PROGRAM_ID });
+            return {
+                wallet: owner.toBase58(),
+                accounts: value.map(({ pubkey, account }) => {
+                    const { mint, tokenAmount } = account.data.parsed.info;
+                    return {
+                        account: pubkey.toBase58(),
+                        mint,
+                        amount: tokenAmount.amount,
+                        decimals: tokenAmount.decimals,
+                        uiAmount: formatAmount(tokenAmount.amount, tokenAmount.decimals)
+                    };
+                })
+            };
+        },
+        format: formatTokenAccounts
+    },
+
+    fees: {
+        usage: `Usage: jup-swap fees
+
+Estimates priority fees with each PriorityFeeService strategy and recommends one per urgency.
+Set HELIUS_API_KEY to include Helius estimates.
+
+Options:
+${COMMON_USAGE}`,
+        options: {},
+        async run(values, { config, createNetworkService }) {
+            const priorityFeeService = new PriorityFeeService(createNetworkService(), {
+                heliusApiKey: config.settings.heliusApiKey,
+                maxFee: config.settings.maxPriorityFeeMicroLamports
+            });
+            return priorityFeeService.analyzePriorityFees();
+        },
+        format: formatFees,
+        toJson: feesToJson
+    },
+
+    profile: {
+        usage: `Usage: jup-swap profile [--runs <n>]
+
+Makes real swaps, half without and half with a priority fee, and reports how long each
+phase took.
+
+Options:
+  --runs <n>             Number of test swaps (default: 10)
+  -h, --help             Show this help`,
+        options: {
+            runs: { type: 'string' }
+        },
+        async run(values) {
+            const testRuns = values.runs === undefined ? 10 : Number(values.runs);
+            if (!Number.isInteger(testRuns) || testRuns < 1) {
+                throw new Error(`Runs must be a positive whole number, got ${values.runs}`);
+            }
+            // Loaded on demand: the profiler installs its own signal handlers
+            const { PerformanceProfiler } = await import('./performance-profiler.js');
+            await new PerformanceProfiler({ testRuns }).runAllTests();
+        }
+    },
+
+    report: {
+        usage: `Usage: jup-swap report
+
+Prints the performance baseline report.`,
+        options: {},
+        async run() {
+            const { displayReport } = await import('./display-report.js');
+            displayReport();
+        }
+    },
+
+    setup: {
+        usage: `Usage: jup-swap setup
+
+Generates a new mainnet test wallet as the "default" wallet of the encrypted keystore,
+asking for the keystore passphrase, and writes a .env pointing at the keystore with the
+fee settings. An existing .env is overwritten.`,
+        options: {},
+        async run() {
+            const { default: setup } = await import('./setup.js');
+            await setup();
+        }
+    },
+
+    history: {
+        usage: `Usage: jup-swap history [options]
+
+Options:
+  --from <date>          Only attempts at or after this date or ISO time
+  --to <date>            Only attempts up to this date (a plain date covers the whole day)
+  --input-mint <mint>    Only attempts selling this mint
+  --output-mint <mint>   Only attempts buying this mint
+  --mint <mint>          Only attempts with this mint on either side
+  --status <status>      confirmed, failed, or unconfirmed (sent, outcome unknown)
+  --wallet <wallet>      Wallet public key or server walletId
+  --limit <n>            Most recent attempts to show (default: 50)
+${COMMON_USAGE}
+
+The ledger is read from SWAP_HISTORY (default: data/swap-history.jsonl).`,
+        options: HISTORY_OPTIONS,
+        async run(values) {
+            return queryHistory(values);
+        },
+        format: formatHistory
+    },
+
+    config: {
+        usage: `Usage: jup-swap config show [options]
+
+Prints every setting after layering the defaults, the config file and its profile, the
+environment and the flags, and where each value came from. Secrets are masked.
+
+Options:
+  --config <path>        Config file (default: JUP_SWAP_CONFIG, else ./${DEFAULT_CONFIG_PATH})
+  --profile <name>       Profile to apply (default: JUP_SWAP_PROFILE, else the file's defaultProfile)
+${COMMON_USAGE}`,
+        options: {},
+        positionals: true,
+        async run(values, { config }, output, positionals) {
+            if (positionals.length !== 1 || positionals[0] !== 'show') {
+                throw new Error('Usage: jup-swap config show');
+            }
+            return describeConfig(config);
+        },
+        format: formatConfig
+    },
+
+    wallet: {
+        usage: `Usage: jup-swap wallet <create|import|export|list> [options]
+
+Manages the encrypted keystore (scrypt key derivation, AES-256-GCM) the swap commands sign
+from. Every wallet of a keystore shares its passphrase, which is asked for unless
+WALLET_KEYSTORE_PASSPHRASE is set; creating the first wallet sets it.
+
+  create                 Generate a new wallet
+  import                 Store an existing secret key, typed at a prompt or piped on stdin
+                         as base58, a JSON array of 64 bytes or a BIP39 mnemonic
+  export                 Print a wallet's secret key
+  list                   List the wallets and their public keys
+
+Options:
+  --keystore <path>      Keystore file (default: WALLET_KEYSTORE, else ./${DEFAULT_KEYSTORE_PATH})
+  --wallet-id <id>       Wallet to create, import or export (default: WALLET_ID, else default)
+  --key-file <path>      import: read a Solana CLI keypair file instead
+  --derivation-path <p>  import: where a mnemonic's key is derived (default: ${DEFAULT_DERIVATION_PATH})
+  --format <format>      export: base58 (default) or json, the Solana CLI keypair format
+${COMMON_USAGE}`,
+        options: {
+            'key-file': { type: 'string' },
+            'derivation-path': { type: 'string' },
+            format: { type: 'string' }
+        },
+        positionals: true,
+        async run(values, context, output, positionals) {
+            const { keystore, walletId } = context.config.settings;
+            const [action, ...extra] = positionals;
+            if (!['create', 'import', 'export', 'list'].includes(action) || extra.length > 0) {
+                throw new Error('Usage: jup-swap wallet <create|import|export|list>');
+            }
+
+            if (action === 'list') {
+                return { keystore, signer: walletId, wallets: listKeystore(keystore) };
+            }
+
+            if (action === 'export') {
+                const format = values.format ?? 'base58';
+                if (!['base58', 'json'].includes(format)) {
+                    throw new Error(`Invalid format "${format}". Use base58 or json`);
+                }
+                const keypair = loadFromKeystore(keystore, walletId, await context.readPassphrase());
+                console.warn('⚠️  Anyone holding this secret key controls the wallet; keep it out of logs and shell history');
+                return {
+                    walletId,
+                    publicKey: keypair.publicKey.toBase58(),
+                    secretKey: format === 'json' ? [...keypair.secretKey] : bs58.encode(keypair.secretKey)
+                };
+            }
+
+            const wallets = listKeystore(keystore);
+            if (wallets.some(wallet => wallet.walletId === walletId)) {
+                throw new Error(`Wallet ${walletId} already exists in ${keystore}; choose another --wallet-id`);
+            }
+            const keypair = action === 'create'
+                ? Keypair.generate()
+                : values['key-file']
+                    ? readKeypairFile(values['key-file'])
+                    : parseSecretKey(await context.readSecret(), values['derivation-path']);
+            // The first wallet sets the keystore's passphrase, so it is typed twice
+            const passphrase = await context.readPassphrase({ confirm: wallets.length === 0 });
+            addToKeystore(keystore, walletId, keypair, passphrase);
+            return { action, walletId, publicKey: keypair.publicKey.toBase58(), keystore };
+        },
+        format: formatWallet
+    }
+};
+
+/**
+ * Services and streams the commands share, built from the loaded config
+ * @param {Object} config - loadConfig() result
+ * @returns {Object} { config, createNetworkService, createSwapper, loadAddress, loadKeypair,
+ *   loadSigner, readPassphrase, readSecret, stdout, stderr }
+ */
+export function createContext(config = loadConfig()) {
+    const { rpcEndpoint, jupiterApiBase, slippageBps, keystore, walletId } = config.settings;
+    const createNetworkService = () => new NetworkService({ rpcEndpoint });
+    const createQuoteService = () => {
+        const { quote, swap } = getJupiterEndpoints(jupiterApiBase);
+        return new QuoteService({ jupiterQuoteApi: quote, jupiterSwapApi: swap, baseSlippage: slippageBps });
+    };
+    let keypair; // Decrypted once per run
+    const keystoreFlag = ['keystore', 'walletId'].some(key => config.sources[key].startsWith('flag'));
+
+    const context = {
+        config,
+        stdout: process.stdout,
+        stderr: process.stderr,
+        createNetworkService,
+        readPassphrase: options => readPassphrase(options),
+        // A piped secret is read whole; at a terminal it is typed without echo
+        readSecret: () => process.stdin.isTTY
+            ? promptSecret('🔑 Secret key (base58, JSON byte array or mnemonic): ')
+            : text(process.stdin),
+
+        /**
+         * The keypair to sign with: a key from PRIVATE_KEY, KEYPAIR_PATH or MNEMONIC while one is
+         * set and neither --keystore nor --wallet-id asks for the keystore, else the keystore wallet
+         */
+        async loadKeypair() {
+            const fromKey = keystoreFlag ? null : keypairFromEnv(process.env);
+            if (fromKey) {
+                return fromKey.keypair;
+            }
+            if (!existsSync(keystore)) {
+                throw new Error(`No keystore at ${keystore}. Create a wallet with: jup-swap wallet create`);
+            }
+            keypair = keypair ?? loadFromKeystore(keystore, walletId, await context.readPassphrase());
+            return keypair;
+        },
+
+        /**
+         * The signer of swaps: the REMOTE_SIGNER_URL service unless --keystore or --wallet-id
+         * asks for the keystore, else the loadKeypair() keypair
+         */
+        async loadSigner() {
+            if (process.env.REMOTE_SIGNER_URL && !keystoreFlag) {
+                return signerFromEnv(process.env);
+            }
+            return new KeypairSigner(await context.loadKeypair());
+        },
+
+        /**
+         * The address of the loadSigner() wallet, found without unlocking it: the remote signer's
+         * or env key's public key, else the public key the keystore keeps next to the encrypted one
+         */
+        loadAddress() {
+            if (process.env.REMOTE_SIGNER_URL && !keystoreFlag) {
+                return signerFromEnv(process.env).publicKey;
+            }
+            const fromKey = keystoreFlag ? null : keypairFromEnv(process.env);
+            if (fromKey) {
+                return fromKey.keypair.publicKey;
+            }
+            if (!existsSync(keystore)) {
+                throw new Error(`No keystore at ${keystore}. Create a wallet with: jup-swap wallet create`);
+            }
+            const wallets = listKeystore(keystore);
+            const wallet = wallets.find(entry => entry.walletId === walletId);
+            if (!wallet) {
+                throw new Error(`Wallet ${walletId} is not in ${keystore}; available: ${wallets.map(entry => entry.walletId).join(', ') || 'none'}`);
+            }
+            return new PublicKey(wallet.publicKey);
+        },
+
+        /**
+         * CoreSwap with the command services; with readOnly: true it has no signer, for commands
+         * that only quote or read balances
+         */
+        async createSwapper(options = {}) {
+            return new CoreSwap({
+                slippageBps,
+                ...options,
+                ...(!options.readOnly && { signer: await context.loadSigner() }),
+                networkService: createNetworkService(),
+                quoteService: createQuoteService()
+            });
+        }
+    };
+    return context;
+}
+
+/**
+ * Parse a command line, run the command and print its result
+ * @param {string[]} argv - Arguments after the program name, starting with the command
+ * @param {Object} context - createContext() result, replaceable in tests
+ * @returns {*} The command's result, or null when only help was printed
+ */
+export async function runCommand(argv, context) {
+    const [name, ...args] = argv;
+    if (!name || name === 'help' || name === '--help' || name === '-h') {
+        console.log(USAGE);
+        return null;
+    }
+    const command = Object.hasOwn(COMMANDS, name) ? COMMANDS[name] : null;
+    if (!command) {
+        throw new Error(`Unknown command "${name}". Run jup-swap --help for the list`);
+    }
+
+    const { values, positionals } = parseCommandArgs(args, command.options, command.positionals ?? false);
+    if (values.help) {
+        console.log(command.usage);
+        return null;
+    }
+
+    const output = createOutput(name, values, context?.stdout);
+    let result;
+    try {
+        // A config error is reported like any other failure of the command
+        context = context ?? createContext(loadConfig(values));
+        const run = () => command.run(values, context, output, positionals);
+        result = output.machineReadable ? await withLogsOnStderr(run, context.stderr) : await run();
+    } catch (error) {
+        output.error(error);
+        throw error;
+    }
+    if (result !== undefined) {
+        output.result(result, command);
+    }
+    return result;
+}
+
+// Main execution
+async function main(argv = process.argv.slice(2)) {
+    try {
+        await runCommand(argv);
+        process.exit(0);
+    } catch (error) {
+        console.error(`\n💥 Fatal error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run if this file is executed directly; npm links bin entries, so compare real paths
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+    process.on('SIGINT', () => {
+        console.log('\n👋 Interrupted by user');
+        process.exit(1);
+    });
+
+    process.on('SIGTERM', () => {
+        console.log('\n👋 Terminated');
+        process.exit(1);
+    });
+
+    main();
+}
+
+export default main;
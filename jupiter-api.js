@@ -0,0 +1,24 @@
+// Jupiter V6 API location. Set JUPITER_API_BASE to point every client at another
+// deployment, e.g. the local mock (http://localhost:3002/v6) for offline runs.
+export const DEFAULT_JUPITER_API_BASE = 'https://quote-api.jup.ag/v6';
+
+/**
+ * Resolve the Jupiter API base URL (read lazily so dotenv has loaded by then)
+ */
+export function getJupiterApiBase() {
+    return (process.env.JUPITER_API_BASE || DEFAULT_JUPITER_API_BASE).replace(/\/+$/, '');
+}
+
+/**
+ * Quote and swap endpoint URLs for an API base
+ * @param {string} apiBase - Base URL (default: the configured one)
+ */
+export function getJupiterEndpoints(apiBase = getJupiterApiBase()) {
+    const base = apiBase.replace(/\/+$/, '');
+    return {
+        quote: `${base}/quote`,
+        swap: `${base}/swap`
+    };
+}
+
+export default getJupiterEndpoints;
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+
+import { parseArgs } from 'node:util';
+import { config } from 'dotenv';
+import { CoreSwap, SOL_MINT, USDC_MINT } from './core-swap.js';
+import { parseDuration } from './cli-args.js';
+import { LimitOrderStore } from './services/LimitOrderStore.js';
+import { LimitOrderEngine } from './services/LimitOrderEngine.js';
+
+config();
+
+const LIMIT_ORDER_USAGE = `Usage: npm run limit-order -- <command> [options]
+
+Commands:
+  create                 Place an order
+  list                   Show every order and its fills
+  cancel <id>            Withdraw an open order, or one held for review
+  resume <id>            Reopen an order held for review once its interrupted fill
+                         is known not to have landed
+  run                    Watch open orders and fill them until interrupted
+
+Options for create:
+  --input-mint <mint>    Mint to sell (default: SOL)
+  --output-mint <mint>   Mint to buy (default: USDC)
+  --amount <amount>      Amount to sell, in base units of the input mint
+  --min-price <p>        Fill while one input token gets at least p output tokens
+                         (sell SOL once SOL ≥ p USDC)
+  --max-price <p>        Fill while one output token costs at most p input tokens
+                         (buy SOL with USDC once SOL ≤ p USDC)
+  --slice <amount>       Fill at most this much of the input per swap
+  --expires-in <time>    Expire after a duration such as 30m, 12h or 7d
+  --expires-at <date>    Expire at an ISO date or time
+
+Other options:
+  --once                 With run: check open orders once, then exit
+  --json                 With create and list: print JSON
+  -h, --help             Show this help
+
+Orders are kept in LIMIT_ORDER_STORE (default: data/limit-orders.json). A fill interrupted
+by a crash is looked up in the swap history; when it is not there, the order is held in
+needs_review instead of risking a second swap.`;
+
+/**
+ * Render orders as one block each
+ * @param {Object[]} orders - LimitOrderStore orders
+ */
+export function formatOrders(orders) {
+    if (orders.length === 0) {
+        return '📭 No limit orders';
+    }
+    return orders.map(order => {
+        const icon = { open: '🟢', needs_review: '🚧', filled: '🏁', cancelled: '🛑', expired: '⌛', failed: '❌' }[order.status];
+        const limit = order.minPrice !== null
+            ? `when 1 input ≥ ${order.minPrice} output`
+            : `when 1 output ≤ ${order.maxPrice} input`;
+        return [
+            `${icon} ${order.id}: ${order.status}`,
+            `   sell ${order.amount} of ${order.inputMint} for ${order.outputMint} ${limit}`,
+            `   filled ${order.filledAmount}, received ${order.receivedAmount}` +
+                `${order.sliceAmount ? `, slices of ${order.sliceAmount}` : ''}`,
+            `   last price: ${order.lastPrice ?? '-'}, expires: ${order.expiresAt ?? 'never'}`,
+            ...(order.reviewReason ? [`   review: ${order.reviewReason}`] : [])
+        ].join('\n');
+    }).join('\n\n');
+}
+
+// Main execution
+async function main() {
+    let engine;
+    try {
+        const { values, positionals } = parseArgs({
+            allowPositionals: true,
+            options: {
+                'input-mint': { type: 'string' },
+                'output-mint': { type: 'string' },
+                amount: { type: 'string' },
+                'min-price': { type: 'string' },
+                'max-price': { type: 'string' },
+                slice: { type: 'string' },
+                'expires-in': { type: 'string' },
+                'expires-at': { type: 'string' },
+                once: { type: 'boolean' },
+                json: { type: 'boolean' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+        const [command, id] = positionals;
+
+        if (values.help || !command) {
+            console.log(LIMIT_ORDER_USAGE);
+            process.exit(values.help ? 0 : 1);
+        }
+
+        const store = LimitOrderStore.fromEnv();
+        switch (command) {
+        case 'create': {
+            if (!values.amount) {
+                throw new Error('create needs --amount');
+            }
+            const order = store.create({
+                inputMint: values['input-mint'] || SOL_MINT,
+                outputMint: values['output-mint'] || USDC_MINT,
+                amount: values.amount,
+                minPrice: values['min-price'],
+                maxPrice: values['max-price'],
+                sliceAmount: values.slice,
+                expiresAt: values['expires-in']
+                    ? new Date(Date.now() + parseDuration(values['expires-in'])).toISOString()
+                    : values['expires-at']
+            });
+            console.log(values.json ? JSON.stringify(order, null, 2) : `✅ Placed limit order ${order.id}`);
+            break;
+        }
+        case 'list':
+            console.log(values.json ? JSON.stringify(store.list(), null, 2) : formatOrders(store.list()));
+            break;
+        case 'cancel': {
+            if (!id) {
+                throw new Error('cancel needs an order id');
+            }
+            store.cancel(id);
+            console.log(`✅ Order ${id} cancelled`);
+            break;
+        }
+        case 'resume': {
+            if (!id) {
+                throw new Error('resume needs an order id');
+            }
+            store.resume(id);
+            console.log(`✅ Order ${id} reopened`);
+            break;
+        }
+        case 'run': {
+            const swapper = new CoreSwap();
+            engine = new LimitOrderEngine({ store, quoteService: swapper.quoteService, swapper });
+            if (values.once) {
+                const results = await engine.checkOrders();
+                console.log(`✅ Checked ${results.length} open order${results.length === 1 ? '' : 's'}`);
+                break;
+            }
+            const stop = () => {
+                console.log('\n👋 Stopping limit order engine');
+                engine.stop();
+                process.exit(0);
+            };
+            process.on('SIGINT', stop);
+            process.on('SIGTERM', stop);
+            console.log(`👀 Watching ${store.list().filter(order => order.status === 'open').length} open order(s)`);
+            await engine.start();
+            return;
+        }
+        default:
+            throw new Error(`Unknown command "${command}". Use create, list, cancel, resume or run`);
+        }
+        process.exit(0);
+    } catch (error) {
+        engine?.stop();
+        console.error(`\n💥 Fatal error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main();
+}
+
+export default main;
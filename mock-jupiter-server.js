@@ -0,0 +1,289 @@
+#!/usr/bin/env node
+
+import express from "express";
+import fs from "fs";
+import crypto from "crypto";
+import {
+  PublicKey,
+  TransactionMessage,
+  TransactionInstruction,
+  VersionedTransaction,
+  ComputeBudgetProgram,
+} from "@solana/web3.js";
+import bs58 from "bs58";
+
+// Local stand-in for the Jupiter V6 quote/swap API. Point clients at it with
+// JUPITER_API_BASE=http://localhost:3002/v6 to run without network access.
+
+const SOL_MINT = "So11111111111111111111111111111111111111112";
+const USDC_MINT = "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v";
+const MEMO_PROGRAM_ID = new PublicKey(
+  "MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr"
+);
+
+// Pricing model: USD price and decimals per mint
+export const DEFAULT_TOKENS = {
+  [SOL_MINT]: { symbol: "SOL", decimals: 9, priceUsd: 150 },
+  [USDC_MINT]: { symbol: "USDC", decimals: 6, priceUsd: 1 },
+};
+
+const DEFAULT_OPTIONS = {
+  tokens: DEFAULT_TOKENS,
+  liquidityUsd: 5_000_000, // Pool depth used to derive price impact
+  lpFeeBps: 25, // AMM fee charged on the input
+  routeLabel: "Raydium",
+  computeUnitLimit: 200_000,
+  autoPriorityFeeMicroLamports: 5000, // Used for computeUnitPriceMicroLamports: "auto"
+  fixtures: null,
+};
+
+/**
+ * Load recorded responses: { quotes: [{ request, response }], swaps: [{ request, response }] }
+ * @param {string|Object} source - Path to a fixture JSON file, or the parsed object
+ */
+export function loadFixtures(source) {
+  if (!source) return { quotes: [], swaps: [] };
+  const fixtures =
+    typeof source === "string"
+      ? JSON.parse(fs.readFileSync(source, "utf8"))
+      : source;
+  return { quotes: fixtures.quotes || [], swaps: fixtures.swaps || [] };
+}
+
+// A fixture matches when every field it names equals the incoming value
+function findFixture(entries, actual) {
+  return entries.find(({ request = {} }) =>
+    Object.entries(request).every(
+      ([key, value]) => String(actual[key]) === String(value)
+    )
+  );
+}
+
+function badRequest(res, error, errorCode) {
+  return res.status(400).json({ error, ...(errorCode && { errorCode }) });
+}
+
+/**
+ * Price a quote request with the configured model, in Jupiter's response shape
+ * @param {Object} params - Quote query parameters
+ * @param {Object} options - Pricing model options
+ */
+export function quoteFromModel(params, options = DEFAULT_OPTIONS) {
+  const {
+    inputMint,
+    outputMint,
+    amount,
+    swapMode = "ExactIn",
+    slippageBps = 50,
+    platformFeeBps = 0,
+  } = params;
+  const inToken = options.tokens[inputMint];
+  const outToken = options.tokens[outputMint];
+  if (!inToken || !outToken) {
+    const error = new Error("Could not find any route");
+    error.code = "COULD_NOT_FIND_ANY_ROUTE";
+    throw error;
+  }
+
+  const slippage = Number(slippageBps) / 10000;
+  const lpFee = options.lpFeeBps / 10000;
+  const platformFee = Number(platformFeeBps) / 10000;
+  let inAmount, outAmount, otherAmountThreshold, priceImpact, platformFeeAmount;
+
+  if (swapMode === "ExactOut") {
+    outAmount = Number(amount);
+    const outUsd = (outAmount / 10 ** outToken.decimals) * outToken.priceUsd;
+    priceImpact = outUsd / (options.liquidityUsd + outUsd);
+    const inUsd = outUsd / ((1 - lpFee) * (1 - priceImpact));
+    const baseIn = Math.ceil(
+      (inUsd / inToken.priceUsd) * 10 ** inToken.decimals
+    );
+    // ExactOut platform fees are charged on the input
+    platformFeeAmount = Math.ceil(baseIn * platformFee);
+    inAmount = baseIn + platformFeeAmount;
+    otherAmountThreshold = Math.ceil(inAmount * (1 + slippage));
+  } else {
+    inAmount = Number(amount);
+    const inUsd = (inAmount / 10 ** inToken.decimals) * inToken.priceUsd;
+    priceImpact = inUsd / (options.liquidityUsd + inUsd);
+    const grossOut = Math.floor(
+      ((inUsd * (1 - lpFee) * (1 - priceImpact)) / outToken.priceUsd) *
+        10 ** outToken.decimals
+    );
+    // ExactIn platform fees are charged on the output
+    platformFeeAmount = Math.floor(grossOut * platformFee);
+    outAmount = grossOut - platformFeeAmount;
+    otherAmountThreshold = Math.floor(outAmount * (1 - slippage));
+  }
+
+  const ammKey = new PublicKey(
+    crypto
+      .createHash("sha256")
+      .update(`${options.routeLabel}:${inputMint}:${outputMint}`)
+      .digest()
+  ).toBase58();
+
+  return {
+    inputMint,
+    inAmount: String(inAmount),
+    outputMint,
+    outAmount: String(outAmount),
+    otherAmountThreshold: String(otherAmountThreshold),
+    swapMode,
+    slippageBps: Number(slippageBps),
+    platformFee:
+      Number(platformFeeBps) > 0
+        ? {
+            amount: String(platformFeeAmount),
+            feeBps: Number(platformFeeBps),
+          }
+        : null,
+    priceImpactPct: String(priceImpact),
+    routePlan: [
+      {
+        swapInfo: {
+          ammKey,
+          label: options.routeLabel,
+          inputMint,
+          outputMint,
+          inAmount: String(inAmount),
+          outAmount: String(outAmount),
+          feeAmount: String(Math.floor(inAmount * lpFee)),
+          feeMint: inputMint,
+        },
+        percent: 100,
+      },
+    ],
+    contextSlot: 0,
+    timeTaken: 0.001,
+  };
+}
+
+/**
+ * Build an unsigned v0 transaction standing in for a Jupiter swap: compute budget
+ * instructions plus a memo describing the quoted trade, paid by userPublicKey
+ * @param {Object} body - /swap request body
+ * @param {Object} options - Mock server options
+ */
+export function buildMockSwapTransaction(body, options = DEFAULT_OPTIONS) {
+  const { quoteResponse, userPublicKey, computeUnitPriceMicroLamports } = body;
+  const payer = new PublicKey(userPublicKey);
+
+  const computeUnitPrice =
+    computeUnitPriceMicroLamports === "auto"
+      ? options.autoPriorityFeeMicroLamports
+      : Number(computeUnitPriceMicroLamports) || 0;
+
+  const instructions = [
+    ComputeBudgetProgram.setComputeUnitLimit({
+      units: options.computeUnitLimit,
+    }),
+  ];
+  if (computeUnitPrice > 0) {
+    instructions.push(
+      ComputeBudgetProgram.setComputeUnitPrice({
+        microLamports: computeUnitPrice,
+      })
+    );
+  }
+  instructions.push(
+    new TransactionInstruction({
+      programId: MEMO_PROGRAM_ID,
+      keys: [],
+      data: Buffer.from(
+        `mock-jupiter swap ${quoteResponse.inAmount} ${quoteResponse.inputMint} -> ${quoteResponse.outAmount} ${quoteResponse.outputMint}`
+      ),
+    })
+  );
+
+  const message = new TransactionMessage({
+    payerKey: payer,
+    recentBlockhash: bs58.encode(crypto.randomBytes(32)),
+    instructions,
+  }).compileToV0Message();
+
+  return {
+    swapTransaction: Buffer.from(
+      new VersionedTransaction(message).serialize()
+    ).toString("base64"),
+    lastValidBlockHeight: 0,
+    prioritizationFeeLamports: Math.ceil(
+      (computeUnitPrice * options.computeUnitLimit) / 1e6
+    ),
+    computeUnitLimit: options.computeUnitLimit,
+    dynamicSlippageReport: null,
+    simulationError: null,
+  };
+}
+
+/**
+ * Create the mock Jupiter express app; routes are served under /v6 like the real API
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS; `fixtures` takes a path or object
+ */
+export function createMockJupiterApp(options = {}) {
+  const settings = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+    tokens: { ...DEFAULT_TOKENS, ...options.tokens },
+  };
+  const fixtures = loadFixtures(settings.fixtures);
+
+  const app = express();
+  app.use(express.json());
+  const router = express.Router();
+
+  router.get("/quote", (req, res) => {
+    const { inputMint, outputMint, amount } = req.query;
+    if (!inputMint || !outputMint || !amount) {
+      return badRequest(res, "inputMint, outputMint and amount are required");
+    }
+    if (!/^\d+$/.test(String(amount)) || Number(amount) === 0) {
+      return badRequest(res, "amount must be a positive integer");
+    }
+
+    const fixture = findFixture(fixtures.quotes, req.query);
+    if (fixture) {
+      return res.json(fixture.response);
+    }
+
+    try {
+      res.json(quoteFromModel(req.query, settings));
+    } catch (error) {
+      badRequest(res, error.message, error.code);
+    }
+  });
+
+  router.post("/swap", (req, res) => {
+    const { quoteResponse, userPublicKey } = req.body || {};
+    if (!quoteResponse || !userPublicKey) {
+      return badRequest(res, "quoteResponse and userPublicKey are required");
+    }
+
+    const fixture = findFixture(fixtures.swaps, req.body);
+    if (fixture) {
+      return res.json(fixture.response);
+    }
+
+    try {
+      res.json(buildMockSwapTransaction(req.body, settings));
+    } catch (error) {
+      badRequest(res, `Failed to build swap transaction: ${error.message}`);
+    }
+  });
+
+  app.use("/v6", router);
+  return app;
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const PORT = process.env.MOCK_JUPITER_PORT || 3002;
+  createMockJupiterApp({
+    fixtures: process.env.MOCK_JUPITER_FIXTURES,
+  }).listen(PORT, () => {
+    console.log(`Mock Jupiter V6 API listening on port ${PORT}`);
+    console.log(`Use it with JUPITER_API_BASE=http://localhost:${PORT}/v6`);
+  });
+}
+
+export default createMockJupiterApp;
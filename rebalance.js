@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+import { parseArgs } from 'node:util';
+import { config } from 'dotenv';
+import { CoreSwap, SOL_MINT, USDC_MINT } from './core-swap.js';
+import { withLogsOnStderr } from './cli-args.js';
+import { Rebalancer } from './services/Rebalancer.js';
+
+config();
+
+const REBALANCE_USAGE = `Usage: npm run rebalance -- --target SOL=60 --target USDC=40 [options]
+
+Swaps the wallet back to its target weights once a holding drifts outside the band.
+
+Options:
+  --target <mint=pct>    Target weight in percent; repeat it or separate with commas.
+                         SOL and USDC may be given by symbol, other tokens by mint
+  --band <pct>           Percentage points a weight may drift before rebalancing (default: 5)
+  --quote-mint <mint>    Mint holdings are valued in (default: USDC)
+  --sol-reserve <lamports>  SOL kept for fees and rent, never sold (default: 50000000)
+  --min-trade <value>    Skip trades worth less than this many quote tokens (default: 1)
+  --dry-run              Show the plan without swapping
+  --json                 Print the plan and results as JSON
+  -h, --help             Show this help`;
+
+const TARGET_SYMBOLS = { SOL: SOL_MINT, USDC: USDC_MINT };
+
+/**
+ * Turn ["SOL=60", "USDC=40"] or ["SOL=60,USDC=40"] into { [mint]: 60, ... }
+ * @param {string[]} values - --target values
+ */
+export function parseTargets(values) {
+    const targets = {};
+    for (const entry of values.flatMap(value => value.split(','))) {
+        const [name, weight] = entry.split('=');
+        if (!name || weight === undefined) {
+            throw new Error(`Invalid target "${entry}". Use <mint or symbol>=<percent>`);
+        }
+        const mint = TARGET_SYMBOLS[name.trim().toUpperCase()] ?? name.trim();
+        if (mint in targets) {
+            throw new Error(`Target for ${name} given twice`);
+        }
+        targets[mint] = Number(weight);
+    }
+    return targets;
+}
+
+/**
+ * Render a rebalance plan
+ * @param {Object} plan - Result of Rebalancer.plan()
+ */
+export function formatPlan(plan) {
+    const symbols = Object.fromEntries(plan.holdings.map(holding => [holding.mint, holding.symbol]));
+    const lines = [`📊 Portfolio value: ${plan.totalValue.toFixed(2)} (${symbols[plan.quoteMint] ?? plan.quoteMint})`];
+    for (const holding of plan.holdings) {
+        const drift = `${holding.drift >= 0 ? '+' : ''}${holding.drift.toFixed(2)}`;
+        lines.push(`   ${holding.symbol}: ${(Number(holding.balance) / 10 ** holding.decimals).toFixed(holding.decimals)}` +
+            ` @ ${holding.price} = ${holding.value.toFixed(2)}` +
+            ` (${holding.weight.toFixed(2)}% vs ${holding.targetWeight}% target, ${drift})`);
+    }
+    if (plan.withinBand) {
+        lines.push(`✅ Every weight is within ${plan.band} points of its target; nothing to do`);
+    } else if (plan.trades.length === 0) {
+        lines.push('✅ Out of band, but every trade is below the minimum size');
+    } else {
+        lines.push('🔁 Trades:');
+        for (const trade of plan.trades) {
+            lines.push(`   sell ${trade.amount} ${symbols[trade.inputMint]} for ${symbols[trade.outputMint]}` +
+                ` (about ${trade.value.toFixed(2)})`);
+        }
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Run the rebalance command. With --json the plan is the only thing written to stdout; the
+ * swapper's logs go to stderr
+ * @param {string[]} argv - Command-line arguments
+ * @param {Object} options - { createSwapper: makes the CoreSwap (default: new CoreSwap()),
+ *   stdout: where the JSON goes (default: process.stdout), stderr: where logs go under --json
+ *   (default: process.stderr) }
+ * @returns {Promise<number>} Exit code
+ */
+export async function runRebalance(argv, { createSwapper = () => new CoreSwap(), stdout = process.stdout, stderr = process.stderr } = {}) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            target: { type: 'string', multiple: true },
+            band: { type: 'string' },
+            'quote-mint': { type: 'string' },
+            'sol-reserve': { type: 'string' },
+            'min-trade': { type: 'string' },
+            'dry-run': { type: 'boolean' },
+            json: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (values.help || !values.target) {
+        console.log(REBALANCE_USAGE);
+        return values.help ? 0 : 1;
+    }
+
+    const run = async () => {
+        const targets = parseTargets(values.target);
+        Rebalancer.validateTargets(targets);
+        const rebalancer = new Rebalancer({ swapper: createSwapper() }, {
+            quoteMint: values['quote-mint'],
+            solReserve: values['sol-reserve'],
+            minTradeValue: values['min-trade'] === undefined ? undefined : Number(values['min-trade'])
+        });
+        const plan = await rebalancer.plan(targets, values.band === undefined ? 5 : Number(values.band));
+        if (!values.json) {
+            console.log(`\n${formatPlan(plan)}`);
+        }
+
+        if (values['dry-run'] || plan.trades.length === 0) {
+            if (values.json) stdout.write(`${JSON.stringify(plan, null, 2)}\n`);
+            return 0;
+        }
+
+        const results = await rebalancer.execute(plan);
+        if (values.json) {
+            stdout.write(`${JSON.stringify({ ...plan, results }, null, 2)}\n`);
+        } else {
+            const executed = results.filter(result => result.status === 'executed').length;
+            console.log(`\n${executed === plan.trades.length ? '✅' : '❌'} ${executed} of ${plan.trades.length} trades made`);
+        }
+        return results.every(result => result.status === 'executed') ? 0 : 1;
+    };
+    return values.json ? withLogsOnStderr(run, stderr) : run();
+}
+
+// Main execution
+async function main() {
+    try {
+        process.exit(await runRebalance(process.argv.slice(2)));
+    } catch (error) {
+        console.error(`\n💥 Fatal error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main();
+}
+
+export default main;
@@ -1,187 +1,1167 @@
+import { config } from "dotenv";
 import express from "express";
 import cors from "cors";
+import crypto from "crypto";
 import {
   Connection,
   PublicKey,
-  Keypair,
   VersionedTransaction,
   LAMPORTS_PER_SOL,
 } from "@solana/web3.js";
 import axios from "axios";
-import bs58 from "bs58";
+import { getJupiterEndpoints } from "./jupiter-api.js";
+import { DEFAULT_SLIPPAGE_BPS, resolveConfig } from "./swap-config.js";
+import { QuoteService } from "./services/QuoteService.js";
+import { NetworkService } from "./services/NetworkService.js";
+import { TxService } from "./services/TxService.js";
+import { SwapJobService } from "./services/SwapJobService.js";
+import { IdempotencyStore } from "./services/IdempotencyStore.js";
+import { SwapHistory } from "./services/SwapHistory.js";
+import { SimulationService } from "./services/SimulationService.js";
+import { WalletStore, keypairFromSecret } from "./services/WalletStore.js";
+import { asSigner } from "./services/Signer.js";
+import {
+  ApiKeyStore,
+  AuditLog,
+  checkSwapLimits,
+  createAuthenticator,
+} from "./api-auth.js";
 
-const app = express();
-app.use(cors());
-app.use(express.json());
+config();
 
-const JUPITER_QUOTE_API = "https://quote-api.jup.ag/v6/quote";
-const JUPITER_SWAP_API = "https://quote-api.jup.ag/v6/swap";
 const SOL_MINT = "So11111111111111111111111111111111111111112";
 const USDC_MINT = "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v";
 const SWAP_AMOUNT = 100000; // 0.0000001 SOL
-const DEFAULT_SLIPPAGE_BPS = 50;
+const SWAP_MODES = ["ExactIn", "ExactOut"];
+const DEFAULT_RPC_ENDPOINT = "https://api.mainnet-beta.solana.com";
+// Decimals of well-known mints, so pricing them needs no RPC call
+const KNOWN_MINT_DECIMALS = { [SOL_MINT]: 9, [USDC_MINT]: 6 };
+// How long /swap/submit accepts a transaction from /swap/build; blockhashes
+// expire after roughly 60-90 seconds anyway
+const BUILT_TRANSACTION_TTL_MS = 2 * 60 * 1000;
 
-app.post("/swap", async (req, res) => {
-  const logs = [];
-  function log(msg) {
-    logs.push(msg);
-  }
+function isValidMint(mint) {
   try {
-    const { privateKey, feeRecipient, feeBps, rpcEndpoint } = req.body;
-    if (!privateKey || !feeRecipient || !feeBps) {
-      return res.status(400).json({ error: "Missing required fields", logs });
+    new PublicKey(mint);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function isPositiveInteger(value) {
+  return /^\d+$/.test(String(value)) && BigInt(value) > 0n;
+}
+
+/**
+ * Validate quote parameters from a GET /quote query or a /swap/build body
+ * @param {Object} query - { inputMint, outputMint, amount, swapMode, slippageBps, onlyDirectRoutes }
+ * @param {number} defaultSlippageBps - Slippage when the query sets none
+ * @returns {Object} { error } or { params } ready for QuoteService.getQuote
+ */
+function parseQuoteParams(query, defaultSlippageBps = DEFAULT_SLIPPAGE_BPS) {
+  const {
+    inputMint,
+    outputMint,
+    amount,
+    swapMode = "ExactIn",
+    slippageBps = defaultSlippageBps,
+    onlyDirectRoutes = "false",
+  } = query;
+  if (!inputMint || !outputMint || amount === undefined) {
+    return { error: "inputMint, outputMint and amount are required" };
+  }
+  for (const [label, mint] of [
+    ["input", inputMint],
+    ["output", outputMint],
+  ]) {
+    if (!isValidMint(mint)) {
+      return { error: `Invalid ${label} mint address: ${mint}` };
+    }
+  }
+  if (inputMint === outputMint) {
+    return { error: "Input and output mints must be different" };
+  }
+  if (!isPositiveInteger(amount)) {
+    return { error: "Amount must be a positive integer in base units" };
+  }
+  if (!SWAP_MODES.includes(swapMode)) {
+    return { error: `swapMode must be one of ${SWAP_MODES.join(", ")}` };
+  }
+  const slippage = Number(slippageBps);
+  if (!Number.isInteger(slippage) || slippage < 0 || slippage > 10000) {
+    return { error: "slippageBps must be an integer between 0 and 10000" };
+  }
+  if (!["true", "false"].includes(String(onlyDirectRoutes))) {
+    return { error: "onlyDirectRoutes must be true or false" };
+  }
+  return {
+    params: {
+      inputMint,
+      outputMint,
+      amount: String(amount),
+      swapMode,
+      slippageBps: slippage,
+      onlyDirectRoutes: String(onlyDirectRoutes) === "true",
+    },
+  };
+}
+
+// "auto" lets Jupiter pick; otherwise whole micro-lamports per compute unit
+function parsePriorityFee(value = "auto") {
+  if (value === "auto") return { priorityFee: "auto" };
+  if (!/^\d+$/.test(String(value))) {
+    return {
+      error: 'priorityFeeMicroLamports must be "auto" or a whole number',
+    };
+  }
+  return { priorityFee: Number(value) };
+}
+
+// What GET /swaps/:id shows of a job
+function jobView(job) {
+  const { owner, ...view } = job;
+  return view;
+}
+
+/**
+ * Write one Server-Sent Event
+ * @param {Object} res - express response opened as text/event-stream
+ * @param {Object} event - Job stage event
+ * @param {number} index - Position of the event in the job's history
+ */
+function writeStageEvent(res, event, index) {
+  res.write(
+    `id: ${index}\nevent: ${event.stage}\ndata: ${JSON.stringify(event)}\n\n`
+  );
+}
+
+/**
+ * Read the platform fee the server charges on client-signed swaps from
+ * FEE_RECIPIENT / FEE_BASIS_POINTS; null when no fee is configured
+ * @param {Object} env - Environment to read (defaults to process.env)
+ */
+function platformFeeFromEnv(env = process.env) {
+  if (!env.FEE_RECIPIENT) return null;
+  return {
+    feeAccount: env.FEE_RECIPIENT,
+    feeBps: parseInt(env.FEE_BASIS_POINTS || "0"),
+  };
+}
+
+function validatePlatformFee(platformFee) {
+  if (!platformFee) return null;
+  const { feeAccount, feeBps } = platformFee;
+  if (!isValidMint(feeAccount)) {
+    throw new Error(`Invalid platform fee account: ${feeAccount}`);
+  }
+  if (!Number.isInteger(feeBps) || feeBps < 0 || feeBps > 10000) {
+    throw new Error("Platform fee basis points must be between 0 and 10000");
+  }
+  return feeBps > 0 ? { feeAccount, feeBps } : null;
+}
+
+// Hash of a transaction message, the part every signature covers
+function messageDigest(transaction) {
+  return crypto
+    .createHash("sha256")
+    .update(transaction.message.serialize())
+    .digest("hex");
+}
+
+function isFullySigned(transaction) {
+  return transaction.signatures
+    .slice(0, transaction.message.header.numRequiredSignatures)
+    .every((signature) => signature.some((byte) => byte !== 0));
+}
+
+function defaultConnectionFactory(endpoint) {
+  return new Connection(endpoint, {
+    commitment: "confirmed",
+    disableRetryOnRateLimit: false,
+  });
+}
+
+// Record the outcome of a response in its audit event once it has been sent
+function auditResponse(req, res, auditLog, event) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body?.signature) event.signature = body.signature;
+    if (body?.error) event.error = body.error;
+    return json(body);
+  };
+  res.on("finish", () => {
+    auditLog.record({
+      ...event,
+      keyId: req.apiKey?.id ?? null,
+      authMethod: req.authMethod ?? null,
+      ip: req.ip,
+      status: res.statusCode,
+      outcome: res.statusCode < 400 ? "succeeded" : "failed",
+    });
+  });
+  return event;
+}
+
+/**
+ * Write a swap attempt to the history ledger once its response is sent. The
+ * signature and error are taken from the response body; callers add quote
+ * details to the returned attempt as they learn them, and set its status when
+ * the response code does not tell it.
+ */
+function recordSwapHistory(req, res, history, attempt) {
+  const startTime = Date.now();
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body?.signature) attempt.signature = body.signature;
+    if (body?.error) attempt.error = body.error;
+    return json(body);
+  };
+  res.on("finish", () => {
+    try {
+      history.record({
+        keyId: req.apiKey?.id ?? null,
+        ...attempt,
+        status:
+          attempt.status ?? (res.statusCode < 400 ? "confirmed" : "failed"),
+        durationMs: Date.now() - startTime,
+      });
+    } catch (e) {
+      console.warn(`⚠️  Could not record swap history: ${e.message}`);
     }
-    // Validate and create keypair
-    let keypair;
+  });
+  return attempt;
+}
+
+/**
+ * Create the JupiterSwap REST app
+ * @param {Object} options - { jupiterEndpoints: { quote, swap }, quoteService, createConnection,
+ *   createNetworkService, rpcEndpoint, slippageBps, platformFee: { feeAccount, feeBps },
+ *   walletStore, allowInsecurePrivateKey, allowClientRpcEndpoint, apiKeys,
+ *   allowUnauthenticated, auditLog, idempotencyStore, history }. Endpoints, quote service, connection and network service
+ *   default to the live services, slippageBps to DEFAULT_SLIPPAGE_BPS; the rest default to
+ *   their env settings (RPC_ENDPOINT, FEE_RECIPIENT /
+ *   FEE_BASIS_POINTS, WalletStore.fromEnv(), ALLOW_INSECURE_PRIVATE_KEY,
+ *   ALLOW_CLIENT_RPC_ENDPOINT, API_KEYS_FILE,
+ *   ALLOW_UNAUTHENTICATED, AUDIT_LOG, IDEMPOTENCY_STORE, SWAP_HISTORY)
+ */
+export function createApp(options = {}) {
+  const { quote: JUPITER_QUOTE_API, swap: JUPITER_SWAP_API } =
+    options.jupiterEndpoints || getJupiterEndpoints();
+  const createConnection = options.createConnection || defaultConnectionFactory;
+  const quoteService =
+    options.quoteService ||
+    new QuoteService({
+      jupiterQuoteApi: JUPITER_QUOTE_API,
+      jupiterSwapApi: JUPITER_SWAP_API,
+    });
+  const rpcEndpoint =
+    options.rpcEndpoint || process.env.RPC_ENDPOINT || DEFAULT_RPC_ENDPOINT;
+  // Slippage of quotes whose request sets none
+  const defaultSlippageBps = options.slippageBps ?? DEFAULT_SLIPPAGE_BPS;
+  let readConnection; // Shared connection for read-only lookups
+  const mintDecimals = new Map(Object.entries(KNOWN_MINT_DECIMALS));
+  const createNetworkService =
+    options.createNetworkService ||
+    ((endpoint) => new NetworkService({ rpcEndpoint: endpoint }));
+  let txService; // Created on first use
+  let swapJobs;
+  // Fee charged on client-signed swaps built by /swap/build
+  const platformFee = validatePlatformFee(
+    options.platformFee !== undefined
+      ? options.platformFee
+      : platformFeeFromEnv()
+  );
+  // message digest -> { expiresAt, attempt } of transactions handed out by
+  // /swap/build, where attempt holds the quote details for the history ledger
+  const builtTransactions = new Map();
+  const walletStore = options.walletStore || WalletStore.fromEnv();
+  // Development only: lets clients send a raw base58 secret key as `privateKey`
+  const allowInsecurePrivateKey =
+    options.allowInsecurePrivateKey ??
+    process.env.ALLOW_INSECURE_PRIVATE_KEY === "true";
+  // Development only: lets /swap clients pick the RPC endpoint the server-signed
+  // transaction is sent through
+  const allowClientRpcEndpoint =
+    options.allowClientRpcEndpoint ??
+    process.env.ALLOW_CLIENT_RPC_ENDPOINT === "true";
+  const auditLog = options.auditLog || AuditLog.fromEnv();
+  const idempotencyStore =
+    options.idempotencyStore || IdempotencyStore.fromEnv();
+  const history = options.history || SwapHistory.fromEnv();
+  const requireScope = createAuthenticator({
+    apiKeys:
+      options.apiKeys !== undefined ? options.apiKeys : ApiKeyStore.fromEnv(),
+    allowUnauthenticated:
+      options.allowUnauthenticated ??
+      process.env.ALLOW_UNAUTHENTICATED === "true",
+    auditLog,
+  });
+
+  const app = express();
+  app.use(cors());
+  app.use(
+    express.json({
+      // HMAC signatures cover the exact bytes the client sent
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    })
+  );
+
+  /**
+   * Middleware for routes that execute swaps: a repeated Idempotency-Key gets
+   * the stored response instead of running the route again. Handlers set
+   * res.locals.swapSubmitted once a swap may have reached the network; error
+   * responses before that free the key for another attempt.
+   */
+  function idempotent(req, res, next) {
+    const idempotencyKey = req.get("Idempotency-Key");
+    if (idempotencyKey === undefined) return next();
     try {
-      const privateKeyBytes = bs58.decode(privateKey);
-      if (privateKeyBytes.length !== 64)
-        throw new Error("Private key must be 64 bytes");
-      keypair = Keypair.fromSecretKey(privateKeyBytes);
+      IdempotencyStore.validateKey(idempotencyKey);
     } catch (e) {
-      return res
-        .status(400)
-        .json({ error: "Invalid private key: " + e.message, logs });
+      return res.status(400).json({ error: e.message });
     }
-    // Validate fee recipient
+    // Keys are per API key, so clients cannot collide with each other
+    const key = `http:${req.apiKey?.id ?? "-"}:${idempotencyKey}`;
+    let existing;
     try {
-      new PublicKey(feeRecipient);
+      existing = idempotencyStore.begin(
+        key,
+        IdempotencyStore.fingerprint({
+          method: req.method,
+          path: req.path,
+          body: req.body,
+        })
+      );
+    } catch (e) {
+      return res.status(422).json({ error: e.message });
+    }
+    if (existing?.status === "completed") {
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.result.status).json(existing.result.body);
+    }
+    if (existing) {
+      return res.status(409).json({
+        error:
+          existing.status === "interrupted"
+            ? "The request with this Idempotency-Key was interrupted by a server restart; check the wallet before retrying with a new key"
+            : "A request with this Idempotency-Key is still in progress",
+        status: existing.status,
+      });
+    }
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode < 400 || res.locals.swapSubmitted) {
+        idempotencyStore.complete(key, { status: res.statusCode, body });
+      } else {
+        idempotencyStore.release(key);
+      }
+      return json(body);
+    };
+    next();
+  }
+
+  // Middleware of routes that execute swaps
+  const swapRoute = [requireScope("swap"), idempotent];
+
+  /**
+   * Answer a /swap dry run: sign and simulate the transaction, send nothing
+   * @param {Object} res - express response
+   * @param {Connection} connection - RPC connection of the request
+   * @param {string} swapTransaction - Base64 transaction from Jupiter
+   * @param {Object} context - { signer, quote, logs }
+   */
+  async function simulateSwap(
+    res,
+    connection,
+    swapTransaction,
+    { signer, quote, logs }
+  ) {
+    logs.push("🧪 Dry run: signing and simulating without sending...");
+    let simulation;
+    try {
+      const transaction = VersionedTransaction.deserialize(
+        Buffer.from(swapTransaction, "base64")
+      );
+      await signer.signTransaction(transaction);
+      simulation = await new SimulationService(connection).simulate(
+        transaction,
+        { owner: signer.publicKey, mints: [SOL_MINT, USDC_MINT] }
+      );
     } catch (e) {
       return res
-        .status(400)
-        .json({ error: "Invalid fee recipient address", logs });
+        .status(500)
+        .json({ error: "Simulation request failed: " + e.message, logs });
+    }
+    if (!simulation.success) {
+      return res.status(400).json({
+        error: `Simulation failed: ${JSON.stringify(simulation.error)}`,
+        simulation,
+        logs,
+      });
+    }
+    logs.push("✅ Dry run succeeded; nothing was sent");
+    return res.json({ success: true, dryRun: true, quote, simulation, logs });
+  }
+
+  function getTxService() {
+    txService = txService || new TxService(createNetworkService(rpcEndpoint));
+    return txService;
+  }
+
+  function getSwapJobs() {
+    swapJobs =
+      swapJobs ||
+      new SwapJobService(
+        { quoteService, txService: getTxService(), walletStore },
+        { platformFee, history }
+      );
+    return swapJobs;
+  }
+
+  async function getMintDecimals(mint) {
+    if (!mintDecimals.has(mint)) {
+      readConnection = readConnection || createConnection(rpcEndpoint);
+      const info = await readConnection.getParsedAccountInfo(
+        new PublicKey(mint)
+      );
+      const parsed = info.value?.data?.parsed;
+      if (parsed?.type !== "mint") {
+        throw new Error(`${mint} is not an SPL token mint`);
+      }
+      mintDecimals.set(mint, parsed.info.decimals);
+    }
+    return mintDecimals.get(mint);
+  }
+
+  // Quote any pair without signing anything
+  app.get("/quote", requireScope("quote"), async (req, res) => {
+    const { params, error } = parseQuoteParams(req.query, defaultSlippageBps);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    try {
+      const quote = await quoteService.getQuote(params);
+      res.json({ quote });
+    } catch (e) {
+      res.status(502).json({ error: e.message });
+    }
+  });
+
+  // Price of one whole `mint` token (or `amount` base units) in `vsMint`, from a quote
+  app.get("/price", requireScope("quote"), async (req, res) => {
+    const { mint, vsMint = USDC_MINT, amount } = req.query;
+    if (!mint) {
+      return res.status(400).json({ error: "mint is required" });
+    }
+    for (const [label, value] of [
+      ["mint", mint],
+      ["vsMint", vsMint],
+    ]) {
+      if (!isValidMint(value)) {
+        return res.status(400).json({ error: `Invalid ${label}: ${value}` });
+      }
     }
-    // Validate fee bps
-    const feeBpsInt = parseInt(feeBps);
-    if (isNaN(feeBpsInt) || feeBpsInt < 0 || feeBpsInt > 10000) {
+    if (mint === vsMint) {
+      return res.status(400).json({ error: "mint and vsMint must differ" });
+    }
+    if (amount !== undefined && !isPositiveInteger(amount)) {
       return res
         .status(400)
-        .json({ error: "Fee basis points must be between 0 and 10000", logs });
+        .json({ error: "Amount must be a positive integer in base units" });
+    }
+    let decimals, vsDecimals;
+    try {
+      [decimals, vsDecimals] = await Promise.all([
+        getMintDecimals(mint),
+        getMintDecimals(vsMint),
+      ]);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    try {
+      const quote = await quoteService.getQuote({
+        inputMint: mint,
+        outputMint: vsMint,
+        amount: amount ?? (10n ** BigInt(decimals)).toString(),
+        slippageBps: defaultSlippageBps,
+        inputToken: { symbol: "tokens", decimals },
+        outputToken: { symbol: "tokens", decimals: vsDecimals },
+      });
+      const inUi = Number(quote.inAmount) / 10 ** decimals;
+      const outUi = Number(quote.outAmount) / 10 ** vsDecimals;
+      res.json({
+        mint,
+        vsMint,
+        price: outUi / inUi,
+        inAmount: quote.inAmount,
+        outAmount: quote.outAmount,
+        priceImpact: quote.metadata.priceImpact,
+        route: quote.metadata.routeInfo.route,
+        timestamp: quote.metadata.timestamp,
+      });
+    } catch (e) {
+      res.status(502).json({ error: e.message });
     }
-    // Connect
-    const endpoint = rpcEndpoint || "https://api.mainnet-beta.solana.com";
-    const connection = new Connection(endpoint, {
-      commitment: "confirmed",
-      disableRetryOnRateLimit: false,
+  });
+
+  app.get("/wallets", requireScope("swap"), (req, res) => {
+    const allowed = req.apiKey?.wallets;
+    res.json({
+      wallets: walletStore
+        .list()
+        .filter(({ walletId }) => !allowed || allowed.includes(walletId))
+        .map(({ walletId, publicKey }) => ({ walletId, publicKey })),
     });
-    log(`🌐 Connected to: ${endpoint}`);
-    // Check balance
-    const balance = await connection.getBalance(keypair.publicKey);
-    const sol = balance / LAMPORTS_PER_SOL;
-    log(`💰 Wallet balance: ${sol} SOL`);
-    if (sol < 0.001) {
+  });
+
+  // Swap history ledger; keys limited to some wallets only see those wallets
+  app.get("/history", requireScope("swap"), (req, res) => {
+    const { from, to, inputMint, outputMint, mint, status, wallet, source } =
+      req.query;
+    try {
+      const entries = history.query({
+        from,
+        to,
+        inputMint,
+        outputMint,
+        mint,
+        status,
+        wallet,
+        source,
+        limit: req.query.limit,
+        walletIds: req.apiKey?.wallets,
+      });
+      res.json({ entries });
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  });
+
+  // Build an unsigned swap for the client to sign with its own wallet
+  app.post("/swap/build", requireScope("swap"), async (req, res) => {
+    const audit = auditResponse(req, res, auditLog, { event: "swap_build" });
+    const {
+      userPublicKey,
+      inputMint = SOL_MINT,
+      outputMint = USDC_MINT,
+    } = req.body;
+    if (!userPublicKey || !isValidMint(userPublicKey)) {
       return res
         .status(400)
-        .json({
-          error: "Insufficient SOL balance. Please fund your wallet.",
-          logs,
-        });
+        .json({ error: "userPublicKey must be a valid wallet address" });
     }
-    // Get quote
-    log("📊 Getting quote from Jupiter V6...");
-    const params = {
-      inputMint: SOL_MINT,
-      outputMint: USDC_MINT,
-      amount: SWAP_AMOUNT.toString(),
-      slippageBps: DEFAULT_SLIPPAGE_BPS,
-      onlyDirectRoutes: true,
-      asLegacyTransaction: false,
-      platformFeeBps: feeBpsInt,
-      feeAccount: feeRecipient,
-    };
+    const { params, error } = parseQuoteParams(
+      { ...req.body, inputMint, outputMint },
+      defaultSlippageBps
+    );
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { priorityFee, error: priorityFeeError } = parsePriorityFee(
+      req.body.priorityFeeMicroLamports
+    );
+    if (priorityFeeError) {
+      return res.status(400).json({ error: priorityFeeError });
+    }
+    Object.assign(audit, {
+      wallet: userPublicKey,
+      inputMint,
+      outputMint,
+      swapMode: params.swapMode,
+      amount: params.amount,
+    });
+    const limits = { inputMint, outputMint };
+    const limitError = checkSwapLimits(req.apiKey, {
+      ...limits,
+      inputAmount: params.swapMode === "ExactIn" ? params.amount : undefined,
+    });
+    if (limitError) {
+      return res.status(403).json({ error: limitError });
+    }
+
     let quote;
     try {
-      const response = await axios.get(JUPITER_QUOTE_API, {
-        params,
-        timeout: 10000,
+      quote = await quoteService.getQuote({
+        ...params,
+        ...(platformFee && {
+          platformFeeBps: platformFee.feeBps,
+          feeAccount: platformFee.feeAccount,
+        }),
       });
-      quote = response.data;
-      if (!quote || !quote.outAmount)
-        throw new Error("Invalid quote response from Jupiter");
     } catch (e) {
+      return res.status(502).json({ error: e.message });
+    }
+    if (params.swapMode === "ExactOut") {
+      // The most the client can be charged once slippage is applied
+      const maxInputLimitError = checkSwapLimits(req.apiKey, {
+        ...limits,
+        inputAmount: quote.otherAmountThreshold,
+      });
+      if (maxInputLimitError) {
+        return res.status(403).json({ error: maxInputLimitError });
+      }
+    }
+
+    let swapTransaction;
+    try {
+      swapTransaction = await quoteService.createSwapTransaction({
+        quote,
+        userPublicKey,
+        feeAccount: platformFee?.feeAccount,
+        computeUnitPriceMicroLamports: priorityFee,
+      });
+    } catch (e) {
+      return res.status(502).json({ error: e.message });
+    }
+
+    const now = Date.now();
+    for (const [digest, built] of builtTransactions) {
+      if (built.expiresAt < now) builtTransactions.delete(digest);
+    }
+    const expiresAt = now + BUILT_TRANSACTION_TTL_MS;
+    builtTransactions.set(
+      messageDigest(
+        VersionedTransaction.deserialize(Buffer.from(swapTransaction, "base64"))
+      ),
+      {
+        expiresAt,
+        // Only this key may submit it, and its limits are checked again then
+        keyId: req.apiKey?.id ?? null,
+        limits: {
+          ...limits,
+          inputAmount:
+            params.swapMode === "ExactIn"
+              ? params.amount
+              : quote.otherAmountThreshold,
+        },
+        attempt: {
+          inputMint,
+          outputMint,
+          swapMode: params.swapMode,
+          amount: params.amount,
+          inAmount: quote.inAmount,
+          outAmount: quote.outAmount,
+          route: quote.metadata.routeInfo.route,
+          slippageBps: params.slippageBps,
+          priceImpact: quote.metadata.priceImpact,
+          priorityFeeMicroLamports: priorityFee,
+        },
+      }
+    );
+    res.json({
+      swapTransaction,
+      quote,
+      platformFee,
+      priorityFeeMicroLamports: priorityFee,
+      expiresAt: new Date(expiresAt).toISOString(),
+    });
+  });
+
+  // Simulate, send and confirm a transaction from /swap/build once the client signed it
+  app.post("/swap/submit", swapRoute, async (req, res) => {
+    const audit = auditResponse(req, res, auditLog, { event: "swap_submit" });
+    const { signedTransaction } = req.body;
+    if (!signedTransaction) {
+      return res.status(400).json({ error: "signedTransaction is required" });
+    }
+    let transaction;
+    try {
+      transaction = VersionedTransaction.deserialize(
+        Buffer.from(signedTransaction, "base64")
+      );
+    } catch (e) {
+      return res
+        .status(400)
+        .json({ error: "signedTransaction is not a valid transaction" });
+    }
+    audit.wallet = transaction.message.staticAccountKeys[0].toBase58();
+    // Only relay swaps this server built, and each of them once
+    const digest = messageDigest(transaction);
+    const built = builtTransactions.get(digest);
+    if (!built || built.expiresAt < Date.now()) {
+      return res.status(400).json({
+        error: "Transaction was not built by /swap/build or has expired",
+      });
+    }
+    if (built.keyId !== (req.apiKey?.id ?? null)) {
       return res
+        .status(403)
+        .json({ error: "Transaction was built with another API key" });
+    }
+    const limitError = checkSwapLimits(req.apiKey, built.limits);
+    if (limitError) {
+      return res.status(403).json({ error: limitError });
+    }
+    if (!isFullySigned(transaction)) {
+      return res.status(400).json({ error: "Transaction is not fully signed" });
+    }
+    builtTransactions.delete(digest);
+
+    res.locals.swapSubmitted = true;
+    const attempt = recordSwapHistory(req, res, history, {
+      source: "client-signed",
+      wallet: audit.wallet,
+      ...built.attempt,
+    });
+    try {
+      const { signature, confirmationTime, computeUnitsConsumed } =
+        await getTxService().executeTransaction(transaction);
+      attempt.computeUnitsConsumed = computeUnitsConsumed;
+      res.json({ success: true, signature, confirmationTime });
+    } catch (e) {
+      // Set once the transaction was sent; without a confirmation result its
+      // outcome is not known, such as after a confirmation timeout
+      attempt.signature = e.signature ?? null;
+      if (e.signature && !e.confirmationResult) attempt.status = "unconfirmed";
+      res
         .status(500)
-        .json({ error: "Quote request failed: " + e.message, logs });
-    }
-    log("✅ Quote received:");
-    log(`   📥 Input: ${SWAP_AMOUNT / LAMPORTS_PER_SOL} SOL`);
-    log(`   📤 Output: ${(parseInt(quote.outAmount) / 1e6).toFixed(6)} USDC`);
-    log(
-      `   💥 Price Impact: ${(parseFloat(quote.priceImpactPct) * 100).toFixed(
-        4
-      )}%`
+        .json({ error: "Transaction execution failed: " + e.message });
+    }
+  });
+
+  // Start a swap in the background; progress is polled or streamed by job id
+  app.post("/swaps", swapRoute, (req, res) => {
+    const audit = auditResponse(req, res, auditLog, { event: "swap_job" });
+    const {
+      walletId,
+      inputMint = SOL_MINT,
+      outputMint = USDC_MINT,
+    } = req.body;
+    if (!walletId) {
+      return res.status(400).json({ error: "walletId is required" });
+    }
+    if (!walletStore.has(walletId)) {
+      return res.status(400).json({ error: `Unknown walletId: ${walletId}` });
+    }
+    const { params, error } = parseQuoteParams(
+      { ...req.body, inputMint, outputMint },
+      defaultSlippageBps
     );
-    log(
-      `   🛤️  Route: ${
-        quote.routePlan?.map((r) => r.swapInfo?.label).join(" → ") || "Direct"
-      }`
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { priorityFee, error: priorityFeeError } = parsePriorityFee(
+      req.body.priorityFeeMicroLamports
     );
-    log(`   💸 Platform Fee: ${feeBpsInt} bps to ${feeRecipient}`);
-    // Create swap transaction
-    log("🔨 Creating swap transaction...");
-    let swapTransaction;
+    if (priorityFeeError) {
+      return res.status(400).json({ error: priorityFeeError });
+    }
+    Object.assign(audit, {
+      walletId,
+      wallet: walletStore.get(walletId).publicKey.toBase58(),
+      inputMint,
+      outputMint,
+      swapMode: params.swapMode,
+      amount: params.amount,
+    });
+    const limits = { walletId, inputMint, outputMint };
+    const limitError = checkSwapLimits(req.apiKey, {
+      ...limits,
+      inputAmount: params.swapMode === "ExactIn" ? params.amount : undefined,
+    });
+    if (limitError) {
+      return res.status(403).json({ error: limitError });
+    }
+
+    const job = getSwapJobs().submit(
+      { walletId, ...params, priorityFeeMicroLamports: priorityFee },
+      {
+        owner: req.apiKey?.id ?? null,
+        // ExactOut spends up to the quote's max input, known once quoted
+        authorizeQuote: (quote) =>
+          params.swapMode === "ExactOut"
+            ? checkSwapLimits(req.apiKey, {
+                ...limits,
+                inputAmount: quote.otherAmountThreshold,
+              })
+            : null,
+      }
+    );
+    res.locals.swapSubmitted = true;
+    audit.jobId = job.id;
+    res.status(202).json({
+      job: jobView(job),
+      statusUrl: `/swaps/${job.id}`,
+      eventsUrl: `/swaps/${job.id}/events`,
+    });
+  });
+
+  // Jobs are only visible to the API key that created them
+  function findJob(req, res) {
+    const job = swapJobs?.get(req.params.id);
+    if (!job || job.owner !== (req.apiKey?.id ?? null)) {
+      res.status(404).json({ error: `Unknown swap job: ${req.params.id}` });
+      return null;
+    }
+    return job;
+  }
+
+  app.get("/swaps/:id", requireScope("swap"), (req, res) => {
+    const job = findJob(req, res);
+    if (job) res.json({ job: jobView(job) });
+  });
+
+  // Server-Sent Events: replays the stages so far, then streams new ones
+  // until the job is confirmed or failed
+  app.get("/swaps/:id/events", requireScope("swap"), (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.flushHeaders();
+
+    const sent = job.events.length;
+    job.events.forEach((event, index) => writeStageEvent(res, event, index));
+    if (swapJobs.isFinished(job)) {
+      return res.end();
+    }
+    let index = sent;
+    const unsubscribe = swapJobs.subscribe(job.id, (event) => {
+      writeStageEvent(res, event, index++);
+      if (swapJobs.isFinished(job)) res.end();
+    });
+    req.on("close", unsubscribe);
+  });
+
+  app.post("/swap", swapRoute, async (req, res) => {
+    const audit = auditResponse(req, res, auditLog, { event: "swap" });
+    const logs = [];
+    function log(msg) {
+      logs.push(msg);
+    }
     try {
-      const swapPayload = {
-        quoteResponse: quote,
-        userPublicKey: keypair.publicKey.toString(),
-        wrapAndUnwrapSol: true,
-        useSharedAccounts: false,
-        feeAccount: feeRecipient,
+      const {
+        walletId,
+        privateKey,
+        feeRecipient,
+        feeBps,
+        rpcEndpoint: requestRpcEndpoint,
+        swapMode = "ExactIn",
+        amount = SWAP_AMOUNT,
+        dryRun = false,
+      } = req.body;
+      if (privateKey !== undefined && !allowInsecurePrivateKey) {
+        return res.status(400).json({
+          error:
+            "privateKey is not accepted; reference a server-side wallet with walletId",
+          logs,
+        });
+      }
+      if (requestRpcEndpoint !== undefined && !allowClientRpcEndpoint) {
+        return res.status(400).json({
+          error:
+            "rpcEndpoint is not accepted; the server uses its configured RPC endpoint",
+          logs,
+        });
+      }
+      if ((!walletId && !privateKey) || !feeRecipient || !feeBps) {
+        return res.status(400).json({ error: "Missing required fields", logs });
+      }
+      if (!SWAP_MODES.includes(swapMode)) {
+        return res.status(400).json({
+          error: `swapMode must be one of ${SWAP_MODES.join(", ")}`,
+          logs,
+        });
+      }
+      if (typeof dryRun !== "boolean") {
+        return res
+          .status(400)
+          .json({ error: "dryRun must be a boolean", logs });
+      }
+      // ExactIn: lamports of SOL to sell. ExactOut: USDC base units to receive.
+      const amountStr = String(amount);
+      if (!/^\d+$/.test(amountStr) || BigInt(amountStr) === 0n) {
+        return res.status(400).json({
+          error: "Amount must be a positive integer in base units",
+          logs,
+        });
+      }
+      Object.assign(audit, {
+        walletId: walletId ?? null,
+        inputMint: SOL_MINT,
+        outputMint: USDC_MINT,
+        swapMode,
+        amount: amountStr,
+        ...(dryRun && { dryRun }),
+      });
+      // Resolve the signing wallet; server wallets may be keypairs or signers
+      let signer;
+      if (privateKey) {
+        // Any wallet outside the key's server wallets, so a restricted key may
+        // not bring its own
+        if (req.apiKey?.wallets) {
+          return res.status(403).json({
+            error: `API key ${req.apiKey.id} may not use a privateKey wallet`,
+            logs,
+          });
+        }
+        try {
+          signer = asSigner(keypairFromSecret(privateKey));
+        } catch (e) {
+          return res
+            .status(400)
+            .json({ error: "Invalid private key: " + e.message, logs });
+        }
+        log("⚠️  Using privateKey from the request body (insecure dev mode)");
+      } else {
+        if (!walletStore.has(walletId)) {
+          return res
+            .status(400)
+            .json({ error: `Unknown walletId: ${walletId}`, logs });
+        }
+        signer = asSigner(walletStore.get(walletId));
+        log(`👛 Wallet: ${walletId} (${signer.publicKey.toBase58()})`);
+      }
+      audit.wallet = signer.publicKey.toBase58();
+      const attemptDetails = {
+        source: "server",
+        walletId: privateKey ? null : walletId,
+        wallet: audit.wallet,
+        inputMint: SOL_MINT,
+        outputMint: USDC_MINT,
+        swapMode,
+        amount: amountStr,
+        slippageBps: defaultSlippageBps,
+      };
+      // ExactIn spends exactly `amount`; ExactOut is re-checked once quoted
+      const limitError = checkSwapLimits(req.apiKey, {
+        walletId: privateKey ? undefined : walletId,
+        inputMint: SOL_MINT,
+        outputMint: USDC_MINT,
+        inputAmount: swapMode === "ExactIn" ? amountStr : undefined,
+      });
+      if (limitError) {
+        return res.status(403).json({ error: limitError, logs });
+      }
+      // Validate fee recipient
+      try {
+        new PublicKey(feeRecipient);
+      } catch (e) {
+        return res
+          .status(400)
+          .json({ error: "Invalid fee recipient address", logs });
+      }
+      // Validate fee bps
+      const feeBpsInt = parseInt(feeBps);
+      if (isNaN(feeBpsInt) || feeBpsInt < 0 || feeBpsInt > 10000) {
+        return res
+          .status(400)
+          .json({ error: "Fee basis points must be between 0 and 10000", logs });
+      }
+      // Connect
+      const endpoint = requestRpcEndpoint || rpcEndpoint;
+      const connection = createConnection(endpoint);
+      log(`🌐 Connected to: ${endpoint}`);
+      // Check balance
+      const balance = await connection.getBalance(signer.publicKey);
+      const sol = balance / LAMPORTS_PER_SOL;
+      log(`💰 Wallet balance: ${sol} SOL`);
+      if (sol < 0.001) {
+        return res
+          .status(400)
+          .json({
+            error: "Insufficient SOL balance. Please fund your wallet.",
+            logs,
+          });
+      }
+      // Only requests that pass the checks above are swap attempts; a dry run
+      // sends nothing, so it stays out of the swap history too
+      const attempt = dryRun
+        ? attemptDetails
+        : recordSwapHistory(req, res, history, attemptDetails);
+      // Get quote
+      log("📊 Getting quote from Jupiter V6...");
+      const params = {
+        inputMint: SOL_MINT,
+        outputMint: USDC_MINT,
+        amount: amountStr,
+        swapMode,
+        slippageBps: defaultSlippageBps,
+        onlyDirectRoutes: true,
         asLegacyTransaction: false,
-        useTokenLedger: false,
+        platformFeeBps: feeBpsInt,
+        feeAccount: feeRecipient,
       };
-      const response = await axios.post(JUPITER_SWAP_API, swapPayload, {
-        timeout: 15000,
-        headers: { "Content-Type": "application/json" },
+      let quote;
+      try {
+        const response = await axios.get(JUPITER_QUOTE_API, {
+          params,
+          timeout: 10000,
+        });
+        quote = response.data;
+        if (!quote || !quote.outAmount)
+          throw new Error("Invalid quote response from Jupiter");
+      } catch (e) {
+        return res
+          .status(500)
+          .json({ error: "Quote request failed: " + e.message, logs });
+      }
+      Object.assign(attempt, {
+        inAmount: quote.inAmount,
+        outAmount: quote.outAmount,
+        route:
+          quote.routePlan?.map((r) => r.swapInfo?.label).join(" → ") || null,
+        priceImpact: quote.priceImpactPct,
       });
-      swapTransaction = response.data.swapTransaction;
-      if (!swapTransaction)
-        throw new Error("No swap transaction returned from Jupiter");
-    } catch (e) {
-      return res
-        .status(500)
-        .json({
-          error: "Swap transaction creation failed: " + e.message,
+      log("✅ Quote received:");
+      log(`   📥 Input: ${parseInt(quote.inAmount) / LAMPORTS_PER_SOL} SOL`);
+      log(`   📤 Output: ${(parseInt(quote.outAmount) / 1e6).toFixed(6)} USDC`);
+      if (swapMode === "ExactOut") {
+        // Worst-case input once slippage is applied; the wallet must cover it
+        const maxInput = parseInt(quote.otherAmountThreshold);
+        log(`   🔒 Max Input: ${maxInput / LAMPORTS_PER_SOL} SOL`);
+        const maxInputLimitError = checkSwapLimits(req.apiKey, {
+          inputMint: SOL_MINT,
+          inputAmount: quote.otherAmountThreshold,
+        });
+        if (maxInputLimitError) {
+          return res.status(403).json({ error: maxInputLimitError, logs });
+        }
+        if (balance < maxInput) {
+          return res.status(400).json({
+            error: `Insufficient SOL balance for ExactOut swap. Need up to ${
+              maxInput / LAMPORTS_PER_SOL
+            } SOL, have ${sol} SOL`,
+            logs,
+          });
+        }
+      }
+      log(
+        `   💥 Price Impact: ${(parseFloat(quote.priceImpactPct) * 100).toFixed(
+          4
+        )}%`
+      );
+      log(
+        `   🛤️  Route: ${
+          quote.routePlan?.map((r) => r.swapInfo?.label).join(" → ") || "Direct"
+        }`
+      );
+      log(`   💸 Platform Fee: ${feeBpsInt} bps to ${feeRecipient}`);
+      // Create swap transaction
+      log("🔨 Creating swap transaction...");
+      let swapTransaction;
+      try {
+        const swapPayload = {
+          quoteResponse: quote,
+          userPublicKey: signer.publicKey.toString(),
+          wrapAndUnwrapSol: true,
+          useSharedAccounts: false,
+          feeAccount: feeRecipient,
+          asLegacyTransaction: false,
+          useTokenLedger: false,
+        };
+        const response = await axios.post(JUPITER_SWAP_API, swapPayload, {
+          timeout: 15000,
+          headers: { "Content-Type": "application/json" },
+        });
+        swapTransaction = response.data.swapTransaction;
+        if (!swapTransaction)
+          throw new Error("No swap transaction returned from Jupiter");
+      } catch (e) {
+        return res
+          .status(500)
+          .json({
+            error: "Swap transaction creation failed: " + e.message,
+            logs,
+          });
+      }
+      if (dryRun) {
+        return simulateSwap(res, connection, swapTransaction, {
+          signer,
+          quote,
           logs,
         });
+      }
+      // Sign and send
+      let signature;
+      let confirmation;
+      try {
+        const transaction = VersionedTransaction.deserialize(
+          Buffer.from(swapTransaction, "base64")
+        );
+        await signer.signTransaction(transaction);
+        log("📨 Sending transaction...");
+        res.locals.swapSubmitted = true;
+        signature = await connection.sendTransaction(transaction, {
+          skipPreflight: false,
+          preflightCommitment: "confirmed",
+          maxRetries: 3,
+        });
+        log(`📨 Transaction sent: ${signature}`);
+        log("⏳ Waiting for confirmation...");
+        confirmation = await connection.confirmTransaction(
+          signature,
+          "confirmed"
+        );
+        if (confirmation.value.err)
+          throw new Error(
+            `Transaction failed: ${JSON.stringify(confirmation.value.err)}`
+          );
+      } catch (e) {
+        attempt.signature = signature ?? null;
+        // Sent, but no confirmation came back: it may still land
+        if (signature && !confirmation) attempt.status = "unconfirmed";
+        return res
+          .status(500)
+          .json({ error: "Transaction execution failed: " + e.message, logs });
+      }
+      log("🎉 Swap completed successfully!");
+      log(`🔗 Explorer: https://solscan.io/tx/${signature}`);
+      res.json({ success: true, signature, logs });
+    } catch (error) {
+      res.status(500).json({ error: error.message, logs });
     }
-    // Sign and send
-    let signature;
-    try {
-      const transaction = VersionedTransaction.deserialize(
-        Buffer.from(swapTransaction, "base64")
+  });
+
+  return app;
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const PORT = process.env.PORT || 3001;
+  const walletStore = WalletStore.fromEnv();
+  // Same layered config as the CLI; the profile comes from JUP_SWAP_PROFILE
+  const { profile, settings } = resolveConfig();
+  createApp({
+    walletStore,
+    rpcEndpoint: settings.rpcEndpoint,
+    jupiterEndpoints: getJupiterEndpoints(settings.jupiterApiBase),
+    slippageBps: settings.slippageBps,
+  }).listen(PORT, () => {
+    console.log(`JupiterSwap backend listening on port ${PORT}`);
+    if (profile) {
+      console.log(`⚙️  Config profile: ${profile}`);
+    }
+    console.log(
+      `👛 Wallets: ${
+        walletStore.list().map((w) => w.walletId).join(", ") || "none"
+      }`
+    );
+    if (!process.env.API_KEYS_FILE) {
+      console.warn(
+        process.env.ALLOW_UNAUTHENTICATED === "true"
+          ? "⚠️  ALLOW_UNAUTHENTICATED is on: every route is open"
+          : "🔒 API_KEYS_FILE is not set: protected routes will answer 401"
       );
-      transaction.sign([keypair]);
-      log("📨 Sending transaction...");
-      signature = await connection.sendTransaction(transaction, {
-        skipPreflight: false,
-        preflightCommitment: "confirmed",
-        maxRetries: 3,
-      });
-      log(`📨 Transaction sent: ${signature}`);
-      log("⏳ Waiting for confirmation...");
-      const confirmation = await connection.confirmTransaction(
-        signature,
-        "confirmed"
+    }
+    if (process.env.ALLOW_INSECURE_PRIVATE_KEY === "true") {
+      console.warn(
+        "⚠️  ALLOW_INSECURE_PRIVATE_KEY is on: /swap accepts raw private keys"
       );
-      if (confirmation.value.err)
-        throw new Error(
-          `Transaction failed: ${JSON.stringify(confirmation.value.err)}`
-        );
-    } catch (e) {
-      return res
-        .status(500)
-        .json({ error: "Transaction execution failed: " + e.message, logs });
     }
-    log("🎉 Swap completed successfully!");
-    log(`🔗 Explorer: https://solscan.io/tx/${signature}`);
-    res.json({ success: true, signature, logs });
-  } catch (error) {
-    res.status(500).json({ error: error.message, logs });
-  }
-});
+    if (process.env.ALLOW_CLIENT_RPC_ENDPOINT === "true") {
+      console.warn(
+        "⚠️  ALLOW_CLIENT_RPC_ENDPOINT is on: /swap sends through any rpcEndpoint"
+      );
+    }
+  });
+}
 
-const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => {
-  console.log(`JupiterSwap backend listening on port ${PORT}`);
-});
+export default createApp;
@@ -0,0 +1,122 @@
+// Field order and bounds of a five-field cron expression
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+const MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+const MINUTE_MS = 60 * 1000;
+const SEARCH_LIMIT_MS = 5 * 366 * 24 * 60 * MINUTE_MS; // Expressions like "0 0 30 2 *" never match
+
+// Expand one field ("*", "5", "1-5", "*/15", "0-30/10", "1,15") into the values it allows
+function parseField(text, { name, min, max }) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const match = /^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/.exec(part);
+        if (!match) {
+            throw new Error(`bad ${name} "${part}"`);
+        }
+        const [, start, end, step] = match;
+        const from = start === '*' ? min : Number(start);
+        const to = end !== undefined ? Number(end) : (start === '*' || step ? max : from);
+        const every = step === undefined ? 1 : Number(step);
+        if (from < min || to > max || from > to || every < 1) {
+            throw new Error(`${name} "${part}" is outside ${min}-${max}`);
+        }
+        for (let value = from; value <= to; value += every) {
+            values.add(value);
+        }
+    }
+    return values;
+}
+
+/**
+ * CronSchedule - Standard five-field cron expressions, evaluated in UTC
+ * Fields are minute, hour, day of month, month and day of week, each accepting *, numbers,
+ * ranges, lists and steps. @hourly, @daily, @weekly and @monthly are accepted too.
+ */
+export class CronSchedule {
+    /**
+     * @param {string} expression - e.g. "0 9 * * 1-5" for 09:00 UTC on weekdays
+     */
+    constructor(expression) {
+        this.expression = String(expression).trim();
+        const fields = (MACROS[this.expression] ?? this.expression).split(/\s+/);
+        if (fields.length !== FIELDS.length) {
+            throw new Error(`Invalid cron expression "${this.expression}": expected 5 fields`);
+        }
+
+        try {
+            [this.minutes, this.hours, this.daysOfMonth, this.months, this.daysOfWeek] =
+                fields.map((field, index) => parseField(field, FIELDS[index]));
+        } catch (error) {
+            throw new Error(`Invalid cron expression "${this.expression}": ${error.message}`);
+        }
+        if (this.daysOfWeek.delete(7)) this.daysOfWeek.add(0);
+
+        // As in cron, a restricted day of month and day of week match when either does
+        this.anyDayOfMonth = fields[2] === '*';
+        this.anyDayOfWeek = fields[4] === '*';
+    }
+
+    /**
+     * Whether the schedule fires on this date's day
+     * @param {Date} date - Day to check
+     */
+    matchesDay(date) {
+        const dayOfMonth = this.daysOfMonth.has(date.getUTCDate());
+        const dayOfWeek = this.daysOfWeek.has(date.getUTCDay());
+        if (this.anyDayOfMonth) return dayOfWeek;
+        if (this.anyDayOfWeek) return dayOfMonth;
+        return dayOfMonth || dayOfWeek;
+    }
+
+    /**
+     * Whether the schedule fires at this minute
+     * @param {Date} date - Time to check
+     */
+    matches(date) {
+        return this.minutes.has(date.getUTCMinutes())
+            && this.hours.has(date.getUTCHours())
+            && this.months.has(date.getUTCMonth() + 1)
+            && this.matchesDay(date);
+    }
+
+    /**
+     * First time the schedule fires strictly after the given time
+     * @param {Date} after - Start of the search
+     */
+    next(after = new Date()) {
+        const date = new Date(Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+        const limit = after.getTime() + SEARCH_LIMIT_MS;
+
+        while (date.getTime() <= limit) {
+            if (!this.months.has(date.getUTCMonth() + 1)) {
+                date.setUTCMonth(date.getUTCMonth() + 1, 1);
+                date.setUTCHours(0, 0);
+            } else if (!this.matchesDay(date)) {
+                date.setUTCDate(date.getUTCDate() + 1);
+                date.setUTCHours(0, 0);
+            } else if (!this.hours.has(date.getUTCHours())) {
+                date.setUTCHours(date.getUTCHours() + 1, 0);
+            } else if (!this.minutes.has(date.getUTCMinutes())) {
+                date.setUTCMinutes(date.getUTCMinutes() + 1);
+            } else {
+                return date;
+            }
+        }
+
+        throw new Error(`Cron expression "${this.expression}" never fires`);
+    }
+}
+
+export default CronSchedule;
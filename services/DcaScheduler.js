@@ -0,0 +1,228 @@
+import { CronSchedule } from './CronSchedule.js';
+
+const MAX_COUNTED_RUNS = 10000; // Missed runs are counted up to this many per tick
+
+/**
+ * DcaScheduler - Runs due DCA schedules from a DcaStore through CoreSwap.performSwap
+ * Each run swaps the schedule's amount (capped by what is left of maxTotal) unless the price
+ * is outside the schedule's floor/ceiling. Runs missed while the scheduler was down are
+ * either skipped, leaving only the latest, or caught up one swap per missed run.
+ * A run whose swap was interrupted may have landed, so its schedule is paused until someone
+ * checks the wallet and resumes it.
+ */
+export class DcaScheduler {
+    /**
+     * @param {Object} services - { store: DcaStore, swapper: CoreSwap }
+     * @param {Object} options - { maxCatchUp: most missed runs caught up per tick,
+     *   pollInterval: longest wait between checks in ms }
+     */
+    constructor({ store, swapper }, options = {}) {
+        this.store = store;
+        this.swapper = swapper;
+        this.maxCatchUp = options.maxCatchUp || 10;
+        this.pollInterval = options.pollInterval || 60000;
+        this.timer = null;
+        this.stopped = true;
+    }
+
+    /**
+     * Run every active schedule that is due
+     * @param {Date} now - Current time
+     * @returns {Object[]} The runs made, each with its scheduleId
+     */
+    async runDue(now = new Date()) {
+        this.store.load();
+        const runs = [];
+        for (const schedule of this.store.list()) {
+            if (schedule.status === 'active' && Date.parse(schedule.nextRunAt) <= now.getTime()) {
+                runs.push(...await this.runSchedule(schedule.id, now));
+            }
+        }
+        return runs;
+    }
+
+    /**
+     * Run the due occurrences of one schedule and move it to its next run
+     * @param {string} id - Schedule id
+     * @param {Date} now - Current time
+     */
+    async runSchedule(id, now = new Date()) {
+        const schedule = this.store.get(id);
+        const cron = new CronSchedule(schedule.cron);
+        const due = [];
+        let time = new Date(schedule.nextRunAt);
+        while (time <= now && due.length < MAX_COUNTED_RUNS) {
+            due.push(time.toISOString());
+            time = cron.next(time);
+        }
+        const toRun = schedule.missedRuns === 'catch-up' ? due.slice(-this.maxCatchUp) : due.slice(-1);
+        const missed = due.length - toRun.length;
+
+        // Move on before swapping, so a crash mid-run never repeats these occurrences
+        this.store.update(id, current => {
+            current.nextRunAt = cron.next(now).toISOString();
+            if (missed > 0) {
+                current.runs.push({
+                    scheduledFor: due[0],
+                    at: now.toISOString(),
+                    status: 'skipped',
+                    reason: `${missed} missed run${missed === 1 ? '' : 's'}`
+                });
+                console.log(`⏭️  DCA ${id}: skipped ${missed} missed run${missed === 1 ? '' : 's'}`);
+            }
+        });
+
+        const runs = [];
+        for (const scheduledFor of toRun) {
+            // The CLI may pause or cancel the schedule between runs
+            this.store.load();
+            const current = this.store.get(id);
+            if (current.status !== 'active') break;
+
+            const run = await this.executeRun(current, scheduledFor);
+            // Left for the scheduler running it to record
+            if (run.status !== 'in_progress') {
+                this.store.update(id, updated => this.applyRun(updated, run));
+            }
+            runs.push({ scheduleId: id, ...run });
+        }
+        return runs;
+    }
+
+    /**
+     * Make one run: check the budget and price, then swap
+     * @param {Object} schedule - Schedule to run
+     * @param {string} scheduledFor - ISO time of the occurrence
+     */
+    async executeRun(schedule, scheduledFor) {
+        const run = { scheduledFor, at: new Date().toISOString() };
+        const { id, inputMint, outputMint, priceCeiling, priceFloor } = schedule;
+
+        let amount = BigInt(schedule.amount);
+        if (schedule.maxTotal !== null) {
+            const remaining = BigInt(schedule.maxTotal) - BigInt(schedule.totalSpent);
+            if (remaining <= 0n) {
+                return { ...run, status: 'skipped', reason: 'max total reached' };
+            }
+            if (remaining < amount) amount = remaining;
+        }
+
+        try {
+            // Output per input, so a USDC → SOL buy is priced in SOL per USDC
+            if (priceCeiling !== null || priceFloor !== null) {
+                run.price = await this.getPrice(schedule, amount);
+                if (priceCeiling !== null && run.price > priceCeiling) {
+                    console.log(`⏭️  DCA ${id}: price ${run.price} is above the ceiling of ${priceCeiling}`);
+                    return { ...run, status: 'skipped', reason: `price ${run.price} above ceiling ${priceCeiling}` };
+                }
+                if (priceFloor !== null && run.price < priceFloor) {
+                    console.log(`⏭️  DCA ${id}: price ${run.price} is below the floor of ${priceFloor}`);
+                    return { ...run, status: 'skipped', reason: `price ${run.price} below floor ${priceFloor}` };
+                }
+            }
+
+            console.log(`🔁 DCA ${id}: swapping ${amount} of ${inputMint} for ${outputMint}`);
+            // One key per occurrence, so two schedulers sharing the store never both swap it.
+            // A crash does not retry it: nextRunAt has already moved on
+            const result = await this.swapper.performSwap({
+                inputMint,
+                outputMint,
+                amount: String(amount),
+                idempotencyKey: `dca:${id}:${scheduledFor}`
+            });
+            return {
+                ...run,
+                status: 'executed',
+                signature: result.signature,
+                inputAmount: String(result.settlement?.inputAmount ?? result.quote?.inAmount ?? amount),
+                outputAmount: String(result.settlement?.outputAmount ?? result.quote?.outAmount ?? 0)
+            };
+        } catch (error) {
+            if (error.code === 'IDEMPOTENCY_IN_PROGRESS') {
+                console.warn(`⏳ DCA ${id}: the run for ${scheduledFor} is still running elsewhere`);
+                return { ...run, status: 'in_progress' };
+            }
+            if (error.code === 'IDEMPOTENCY_INTERRUPTED') {
+                console.error(`🚧 DCA ${id}: the run for ${scheduledFor} was interrupted and may have swapped; pausing until the wallet is checked`);
+                return { ...run, status: 'interrupted', error: error.message };
+            }
+            console.error(`❌ DCA ${id}: run failed: ${error.message}`);
+            return { ...run, status: 'failed', error: error.message };
+        }
+    }
+
+    /**
+     * Price of one whole input token in output tokens, from a fresh quote; the inverse of the
+     * usual price when buying, such as SOL per USDC for a USDC → SOL schedule
+     * @param {Object} schedule - Schedule being run
+     * @param {bigint} amount - Amount about to be swapped, in input base units
+     */
+    async getPrice(schedule, amount) {
+        const pair = await this.swapper.resolveSwapPair({
+            inputMint: schedule.inputMint,
+            outputMint: schedule.outputMint,
+            amount: String(amount)
+        });
+        const quote = await this.swapper.getQuote(pair);
+        const input = Number(quote.inAmount) / 10 ** pair.inputToken.decimals;
+        const output = Number(quote.outAmount) / 10 ** pair.outputToken.decimals;
+        return output / input;
+    }
+
+    /**
+     * Add a run to a schedule's totals, completing it once maxTotal is spent and pausing it
+     * after an interrupted run
+     * @param {Object} schedule - Schedule to update in place
+     * @param {Object} run - Result of executeRun()
+     */
+    applyRun(schedule, run) {
+        schedule.runs.push(run);
+        schedule.lastRunAt = run.at;
+        if (run.status === 'interrupted' && schedule.status === 'active') {
+            schedule.status = 'paused';
+        }
+        if (run.status !== 'executed') return;
+
+        schedule.executedRuns++;
+        schedule.totalSpent = String(BigInt(schedule.totalSpent) + BigInt(run.inputAmount));
+        schedule.totalReceived = String(BigInt(schedule.totalReceived) + BigInt(run.outputAmount));
+        if (schedule.maxTotal !== null && BigInt(schedule.totalSpent) >= BigInt(schedule.maxTotal)) {
+            schedule.status = 'completed';
+            schedule.nextRunAt = null;
+            console.log(`🏁 DCA ${schedule.id}: max total of ${schedule.maxTotal} reached`);
+        }
+    }
+
+    /**
+     * Check for due runs until stop() is called, waking for the next run or every pollInterval
+     */
+    start() {
+        this.stopped = false;
+        const tick = async () => {
+            try {
+                await this.runDue();
+            } catch (error) {
+                console.error(`❌ DCA check failed: ${error.message}`);
+            }
+            if (this.stopped) return;
+
+            const nextRuns = this.store.list()
+                .filter(schedule => schedule.status === 'active')
+                .map(schedule => Date.parse(schedule.nextRunAt) - Date.now());
+            const delay = Math.max(1000, Math.min(this.pollInterval, ...nextRuns));
+            this.timer = setTimeout(tick, delay);
+        };
+        return tick();
+    }
+
+    /**
+     * Stop checking for due runs; a run in progress still finishes
+     */
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+}
+
+export default DcaScheduler;
@@ -0,0 +1,205 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { PublicKey } from '@solana/web3.js';
+import { CronSchedule } from './CronSchedule.js';
+
+export const DCA_STATUSES = ['active', 'paused', 'cancelled', 'completed'];
+export const MISSED_RUN_POLICIES = ['skip', 'catch-up'];
+const MAX_RECENT_RUNS = 50; // Runs kept on each schedule; the swap history has the rest
+
+function isPositiveInteger(value) {
+    return /^\d+$/.test(String(value)) && BigInt(value) > 0n;
+}
+
+function parsePrice(value, name) {
+    if (value === undefined || value === null || value === '') return null;
+    const price = Number(value);
+    if (!Number.isFinite(price) || price <= 0) {
+        throw new Error(`${name} must be a positive number`);
+    }
+    return price;
+}
+
+/**
+ * DcaStore - Persists dollar-cost averaging schedules and their progress
+ * Schedules live in a JSON file shared by the dca CLI and the running scheduler, so every
+ * change re-reads the file first and writes it back whole.
+ */
+export class DcaStore {
+    /**
+     * @param {Object} options - { path: JSON file, or null to keep schedules in memory }
+     */
+    constructor(options = {}) {
+        this.path = options.path ?? null;
+        this.schedules = new Map(); // id -> schedule
+        this.load();
+    }
+
+    /**
+     * Create a store persisted to DCA_STORE (default data/dca-schedules.json)
+     * @param {Object} env - Environment to read (defaults to process.env)
+     */
+    static fromEnv(env = process.env) {
+        return new DcaStore({ path: env.DCA_STORE || 'data/dca-schedules.json' });
+    }
+
+    /**
+     * Re-read schedules from disk, picking up changes made by other processes
+     */
+    load() {
+        if (!this.path || !fs.existsSync(this.path)) return;
+        const { schedules = [] } = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+        this.schedules = new Map(schedules.map(schedule => [schedule.id, schedule]));
+    }
+
+    /**
+     * Write every schedule; a temp file plus rename keeps the file whole if we crash mid-write
+     */
+    save() {
+        if (!this.path) return;
+        fs.mkdirSync(path.dirname(path.resolve(this.path)), { recursive: true });
+        const tempPath = `${this.path}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ schedules: [...this.schedules.values()] }, null, 2));
+        fs.renameSync(tempPath, this.path);
+    }
+
+    /**
+     * Validate and add a schedule
+     * @param {Object} params - { name, inputMint, outputMint, amount (base units per run), cron,
+     *   maxTotal (base units of the input mint), priceCeiling, priceFloor, missedRuns }
+     * @param {Date} now - Creation time; the first run is the next cron time after it
+     */
+    create(params, now = new Date()) {
+        const { name = null, inputMint, outputMint, amount, cron, maxTotal, missedRuns = 'skip' } = params;
+
+        for (const [label, mint] of [['input', inputMint], ['output', outputMint]]) {
+            try {
+                new PublicKey(mint);
+            } catch (error) {
+                throw new Error(`Invalid ${label} mint address: ${mint}`);
+            }
+        }
+        if (inputMint === outputMint) {
+            throw new Error('Input and output mints must be different');
+        }
+        if (!isPositiveInteger(amount)) {
+            throw new Error(`Amount must be a positive integer in base units, got ${amount}`);
+        }
+        if (maxTotal !== undefined && maxTotal !== null && !isPositiveInteger(maxTotal)) {
+            throw new Error(`Max total must be a positive integer in base units, got ${maxTotal}`);
+        }
+        if (!MISSED_RUN_POLICIES.includes(missedRuns)) {
+            throw new Error(`Missed runs must be one of ${MISSED_RUN_POLICIES.join(', ')}, got ${missedRuns}`);
+        }
+        const priceCeiling = parsePrice(params.priceCeiling, 'Price ceiling');
+        const priceFloor = parsePrice(params.priceFloor, 'Price floor');
+        if (priceCeiling !== null && priceFloor !== null && priceFloor > priceCeiling) {
+            throw new Error('Price floor must not be above the price ceiling');
+        }
+        const schedule = new CronSchedule(cron);
+
+        this.load();
+        const record = {
+            id: crypto.randomBytes(4).toString('hex'),
+            name,
+            inputMint,
+            outputMint,
+            amount: String(amount),
+            cron: schedule.expression,
+            maxTotal: maxTotal === undefined || maxTotal === null ? null : String(maxTotal),
+            priceCeiling,
+            priceFloor,
+            missedRuns,
+            status: 'active',
+            totalSpent: '0',
+            totalReceived: '0',
+            executedRuns: 0,
+            nextRunAt: schedule.next(now).toISOString(),
+            lastRunAt: null,
+            runs: [],
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString()
+        };
+        this.schedules.set(record.id, record);
+        this.save();
+        return record;
+    }
+
+    /**
+     * Look up a schedule by id
+     * @param {string} id - Schedule id
+     */
+    get(id) {
+        return this.schedules.get(id);
+    }
+
+    /**
+     * Every schedule, oldest first
+     */
+    list() {
+        return [...this.schedules.values()];
+    }
+
+    /**
+     * Re-read the file, change one schedule and write it back
+     * @param {string} id - Schedule id
+     * @param {Function} change - Called with the schedule to modify in place
+     */
+    update(id, change) {
+        this.load();
+        const schedule = this.schedules.get(id);
+        if (!schedule) {
+            throw new Error(`Unknown DCA schedule: ${id}`);
+        }
+        change(schedule);
+        schedule.runs = schedule.runs.slice(-MAX_RECENT_RUNS);
+        schedule.updatedAt = new Date().toISOString();
+        this.save();
+        return schedule;
+    }
+
+    /**
+     * Stop an active schedule from running until it is resumed
+     * @param {string} id - Schedule id
+     */
+    pause(id) {
+        return this.update(id, schedule => {
+            if (schedule.status !== 'active') {
+                throw new Error(`Schedule ${id} is ${schedule.status}, not active`);
+            }
+            schedule.status = 'paused';
+        });
+    }
+
+    /**
+     * Restart a paused schedule; runs missed while paused are not caught up
+     * @param {string} id - Schedule id
+     * @param {Date} now - Resume time
+     */
+    resume(id, now = new Date()) {
+        return this.update(id, schedule => {
+            if (schedule.status !== 'paused') {
+                throw new Error(`Schedule ${id} is ${schedule.status}, not paused`);
+            }
+            schedule.status = 'active';
+            schedule.nextRunAt = new CronSchedule(schedule.cron).next(now).toISOString();
+        });
+    }
+
+    /**
+     * Stop a schedule for good; it stays listed with its totals
+     * @param {string} id - Schedule id
+     */
+    cancel(id) {
+        return this.update(id, schedule => {
+            if (['cancelled', 'completed'].includes(schedule.status)) {
+                throw new Error(`Schedule ${id} is already ${schedule.status}`);
+            }
+            schedule.status = 'cancelled';
+            schedule.nextRunAt = null;
+        });
+    }
+}
+
+export default DcaStore;
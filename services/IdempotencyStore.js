@@ -0,0 +1,147 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // Keys are remembered for a day
+const MAX_KEY_LENGTH = 255;
+
+// JSON with sorted object keys, so equal requests hash equally
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * IdempotencyStore - Remembers swap submissions by idempotency key so a retried
+ * request gets the original result instead of a second swap.
+ * Records are written to a JSON file and survive restarts; a swap that was still
+ * running when the process stopped comes back as "interrupted", never re-run.
+ */
+export class IdempotencyStore {
+    /**
+     * @param {Object} options - { path: JSON file, or null to keep records in memory; ttlMs }
+     */
+    constructor(options = {}) {
+        this.path = options.path ?? null;
+        this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+        this.records = new Map(); // key -> { fingerprint, status, result, createdAt, updatedAt }
+        this.load();
+    }
+
+    /**
+     * Create a store persisted to IDEMPOTENCY_STORE (default data/idempotency.json)
+     * @param {Object} env - Environment to read (defaults to process.env)
+     */
+    static fromEnv(env = process.env) {
+        return new IdempotencyStore({ path: env.IDEMPOTENCY_STORE || 'data/idempotency.json' });
+    }
+
+    /**
+     * Hash a request so a reused key can be told apart from a genuine retry
+     * @param {*} request - JSON-serializable description of the request
+     */
+    static fingerprint(request) {
+        return crypto.createHash('sha256').update(stableStringify(request)).digest('hex');
+    }
+
+    /**
+     * Check that a key is usable
+     * @param {string} key - Client-supplied idempotency key
+     */
+    static validateKey(key) {
+        if (typeof key !== 'string' || key.length === 0 || key.length > MAX_KEY_LENGTH) {
+            throw new Error(`Idempotency key must be 1 to ${MAX_KEY_LENGTH} characters`);
+        }
+    }
+
+    /**
+     * Read persisted records, dropping expired ones and marking unfinished ones interrupted
+     */
+    load() {
+        if (!this.path || !fs.existsSync(this.path)) return;
+        const { records = {} } = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+        for (const [key, record] of Object.entries(records)) {
+            this.records.set(key, record.status === 'in_progress'
+                ? { ...record, status: 'interrupted' }
+                : record);
+        }
+        this.prune();
+    }
+
+    /**
+     * Write every record; a temp file plus rename keeps the file whole if we crash mid-write
+     */
+    save() {
+        if (!this.path) return;
+        fs.mkdirSync(path.dirname(path.resolve(this.path)), { recursive: true });
+        const tempPath = `${this.path}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ records: Object.fromEntries(this.records) }, null, 2));
+        fs.renameSync(tempPath, this.path);
+    }
+
+    /**
+     * Forget records older than the TTL
+     */
+    prune() {
+        const cutoff = Date.now() - this.ttlMs;
+        for (const [key, record] of this.records) {
+            if (Date.parse(record.createdAt) < cutoff) this.records.delete(key);
+        }
+    }
+
+    /**
+     * Claim a key for a request. Returns null when the caller should go ahead, or the
+     * existing record ({ status: 'in_progress' | 'completed' | 'interrupted', result })
+     * when the key was seen before. Throws (code IDEMPOTENCY_KEY_REUSED) when the key
+     * was used for a different request.
+     * @param {string} key - Idempotency key, namespaced by the caller
+     * @param {string} fingerprint - IdempotencyStore.fingerprint() of the request
+     */
+    begin(key, fingerprint) {
+        this.prune();
+        const existing = this.records.get(key);
+        if (existing) {
+            if (existing.fingerprint !== fingerprint) {
+                const error = new Error('Idempotency key was already used for a different request');
+                error.code = 'IDEMPOTENCY_KEY_REUSED';
+                throw error;
+            }
+            return existing;
+        }
+
+        const now = new Date().toISOString();
+        this.records.set(key, { fingerprint, status: 'in_progress', result: null, createdAt: now, updatedAt: now });
+        this.save();
+        return null;
+    }
+
+    /**
+     * Store the outcome of a claimed key; later claims get it back
+     * @param {string} key - Idempotency key
+     * @param {*} result - JSON-serializable result
+     */
+    complete(key, result) {
+        const record = this.records.get(key);
+        if (!record) return;
+        Object.assign(record, { status: 'completed', result, updatedAt: new Date().toISOString() });
+        this.save();
+    }
+
+    /**
+     * Give up a claimed key when nothing was executed, so the request can be retried under it
+     * @param {string} key - Idempotency key
+     */
+    release(key) {
+        if (this.records.delete(key)) this.save();
+    }
+}
+
+export default IdempotencyStore;
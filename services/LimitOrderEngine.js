@@ -0,0 +1,284 @@
+/**
+ * LimitOrderEngine - Watches open limit orders and swaps once the quoted price reaches them
+ * Every pass quotes each open order's next fill with QuoteService.getQuote. A minPrice order
+ * fills while one input token gets at least minPrice output tokens; a maxPrice order while one
+ * output token costs at most maxPrice input tokens. Orders with a sliceAmount fill that much at
+ * a time, so a large order can fill in parts as the price allows. An order whose swaps keep
+ * failing is marked failed after maxFailures attempts in a row.
+ * A fill interrupted by a crash, or sent but never confirmed, may have landed, so it is never
+ * retried under a new key: the swap history settles an interrupted fill when it recorded the
+ * outcome, else the order waits in needs_review until someone checks the wallet and resumes or
+ * cancels it.
+ */
+export class LimitOrderEngine {
+    /**
+     * @param {Object} services - { store: LimitOrderStore, quoteService, swapper: CoreSwap,
+     *   history: SwapHistory to settle interrupted fills with (default: the swapper's) }
+     * @param {Object} options - { pollInterval: ms between passes, maxFailures }
+     */
+    constructor({ store, quoteService, swapper, history }, options = {}) {
+        this.store = store;
+        this.quoteService = quoteService;
+        this.swapper = swapper;
+        this.history = history ?? swapper.history ?? null;
+        this.pollInterval = options.pollInterval || 15000;
+        this.maxFailures = options.maxFailures || 3;
+        this.timer = null;
+        this.stopped = true;
+    }
+
+    /**
+     * Check every open order once
+     * @param {Date} now - Current time
+     * @returns {Object[]} What happened to each order: { orderId, status, price, ... }
+     */
+    async checkOrders(now = new Date()) {
+        this.store.load();
+        const results = [];
+        for (const order of this.store.list()) {
+            if (order.status === 'open') {
+                results.push({ orderId: order.id, ...await this.checkOrder(order, now) });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Expire, skip or fill one order
+     * @param {Object} order - Open order
+     * @param {Date} now - Current time
+     */
+    async checkOrder(order, now) {
+        const { id, inputMint, outputMint } = order;
+        if (order.expiresAt && Date.parse(order.expiresAt) <= now.getTime()) {
+            this.store.update(id, current => { current.status = 'expired'; });
+            console.log(`⌛ Limit order ${id} expired`);
+            return { status: 'expired' };
+        }
+
+        const remaining = BigInt(order.amount) - BigInt(order.filledAmount);
+        const size = order.sliceAmount && BigInt(order.sliceAmount) < remaining
+            ? BigInt(order.sliceAmount)
+            : remaining;
+
+        let price;
+        try {
+            price = await this.getPrice(order, size);
+        } catch (error) {
+            console.warn(`⚠️  Limit order ${id}: quote failed: ${error.message}`);
+            return { status: 'error', error: error.message };
+        }
+        this.store.update(id, current => {
+            current.lastPrice = price;
+            current.lastCheckedAt = now.toISOString();
+        });
+        if (!this.isTriggered(order, price)) {
+            return { status: 'waiting', price };
+        }
+
+        // The engine may have been told to stop watching while the quote was in flight
+        this.store.load();
+        if (this.store.get(id).status !== 'open') {
+            return { status: this.store.get(id).status, price };
+        }
+
+        console.log(`🎯 Limit order ${id}: price ${price} reached, swapping ${size} of ${inputMint} for ${outputMint}`);
+        const execution = { at: new Date().toISOString(), price, amount: String(size) };
+        // Keyed by attempt, so a fill retried after a crash replays instead of swapping twice
+        const idempotencyKey = `limit:${id}:${order.attempts}`;
+        try {
+            const result = await this.swapper.performSwap({
+                inputMint,
+                outputMint,
+                amount: String(size),
+                idempotencyKey
+            });
+            Object.assign(execution, {
+                status: 'executed',
+                signature: result.signature,
+                inputAmount: String(result.settlement?.inputAmount ?? result.quote?.inAmount ?? size),
+                outputAmount: String(result.settlement?.outputAmount ?? result.quote?.outAmount ?? 0)
+            });
+        } catch (error) {
+            if (error.code === 'IDEMPOTENCY_IN_PROGRESS') {
+                console.warn(`⏳ Limit order ${id}: its fill is still running elsewhere`);
+                return { status: 'in_progress', price };
+            }
+            if (error.code === 'IDEMPOTENCY_INTERRUPTED') {
+                return this.settleInterrupted(order, idempotencyKey, execution);
+            }
+            // Sent, and not known to have failed on chain: it may still land
+            if (error.signature && !error.confirmationResult) {
+                return this.holdForReview(id, `Fill ${idempotencyKey} was sent as ${error.signature} but not confirmed (${error.message}); check whether it landed`, execution);
+            }
+            console.error(`❌ Limit order ${id}: swap failed: ${error.message}`);
+            Object.assign(execution, { status: 'failed', error: error.message });
+        }
+
+        return this.recordExecution(id, execution);
+    }
+
+    /**
+     * Settle a fill whose swap was interrupted mid-flight from the swap history. A confirmed
+     * entry counts as the fill and one that failed before sending as a failure; otherwise the
+     * swap may have landed, and the order is held in needs_review under the same attempt.
+     * @param {Object} order - Order being filled
+     * @param {string} idempotencyKey - Key of the interrupted swap
+     * @param {Object} execution - { at, price, amount } of the fill
+     */
+    settleInterrupted(order, idempotencyKey, execution) {
+        const { id } = order;
+        const entry = this.findHistoryEntry(idempotencyKey);
+        if (entry?.status === 'confirmed') {
+            console.log(`🔁 Limit order ${id}: interrupted fill found confirmed in the swap history`);
+            Object.assign(execution, {
+                status: 'executed',
+                signature: entry.signature,
+                inputAmount: String(entry.settlement?.inputAmount ?? entry.inAmount ?? execution.amount),
+                outputAmount: String(entry.settlement?.outputAmount ?? entry.outAmount ?? 0)
+            });
+        } else if (entry?.status === 'failed' && !entry.signature) {
+            console.error(`❌ Limit order ${id}: interrupted fill failed before sending: ${entry.error}`);
+            Object.assign(execution, { status: 'failed', error: entry.error });
+        } else {
+            return this.holdForReview(id, entry
+                ? `Fill ${idempotencyKey} was sent as ${entry.signature} but ended ${entry.status}; check whether it landed`
+                : `Fill ${idempotencyKey} was interrupted and is not in the swap history; check the wallet`, execution);
+        }
+
+        return this.recordExecution(id, execution);
+    }
+
+    /**
+     * Hold an order whose fill may have landed in needs_review, leaving its attempt unchanged so
+     * nothing swaps again under a new key until it is resumed
+     * @param {string} id - Order id
+     * @param {string} reason - What to check before resuming
+     * @param {Object} execution - { at, price, amount } of the fill
+     */
+    holdForReview(id, reason, execution) {
+        console.error(`🚧 Limit order ${id}: ${reason}`);
+        this.store.update(id, current => {
+            current.status = 'needs_review';
+            current.reviewReason = reason;
+        });
+        return { ...execution, status: 'needs_review', error: reason };
+    }
+
+    /**
+     * Add a fill attempt to its order and report what it did to the order
+     * @param {string} id - Order id
+     * @param {Object} execution - Outcome of the fill attempt
+     */
+    recordExecution(id, execution) {
+        const updated = this.store.update(id, current => this.applyExecution(current, execution));
+        const outcome = { executed: updated.status === 'filled' ? 'filled' : 'partially_filled', failed: 'failed' };
+        return { ...execution, status: outcome[execution.status] };
+    }
+
+    /**
+     * Latest swap history entry of a keyed swap, or null
+     * @param {string} idempotencyKey - Key the swap ran under
+     */
+    findHistoryEntry(idempotencyKey) {
+        if (!this.history) return null;
+        try {
+            return this.history.readAll().findLast(entry => entry.idempotencyKey === idempotencyKey) ?? null;
+        } catch (error) {
+            console.warn(`⚠️  Could not read the swap history: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Whether a quoted price satisfies the order
+     * @param {Object} order - Order with minPrice or maxPrice
+     * @param {number} price - Output tokens per input token
+     */
+    isTriggered(order, price) {
+        if (order.minPrice !== null) {
+            return price >= order.minPrice;
+        }
+        return price > 0 && 1 / price <= order.maxPrice;
+    }
+
+    /**
+     * Output tokens per whole input token for a fill of the given size
+     * @param {Object} order - Order being checked
+     * @param {bigint} size - Input amount of the next fill, in base units
+     */
+    async getPrice(order, size) {
+        const { inputToken, outputToken } = await this.swapper.resolveSwapPair({
+            inputMint: order.inputMint,
+            outputMint: order.outputMint,
+            amount: String(size)
+        });
+        const quote = await this.quoteService.getQuote({
+            inputMint: order.inputMint,
+            outputMint: order.outputMint,
+            amount: String(size),
+            swapMode: 'ExactIn',
+            inputToken,
+            outputToken
+        });
+        const input = Number(quote.inAmount) / 10 ** inputToken.decimals;
+        const output = Number(quote.outAmount) / 10 ** outputToken.decimals;
+        return output / input;
+    }
+
+    /**
+     * Add an execution to an order's fills, marking it filled once the whole amount is swapped
+     * or failed after too many failed swaps in a row
+     * @param {Object} order - Order to update in place
+     * @param {Object} execution - Outcome of one fill attempt
+     */
+    applyExecution(order, execution) {
+        order.executions.push(execution);
+        order.attempts++;
+        if (execution.status !== 'executed') {
+            order.failures++;
+            if (order.failures >= this.maxFailures) {
+                order.status = 'failed';
+                console.error(`🛑 Limit order ${order.id} failed ${order.failures} times in a row; giving up`);
+            }
+            return;
+        }
+
+        order.failures = 0;
+        order.filledAmount = String(BigInt(order.filledAmount) + BigInt(execution.inputAmount));
+        order.receivedAmount = String(BigInt(order.receivedAmount) + BigInt(execution.outputAmount));
+        if (BigInt(order.filledAmount) >= BigInt(order.amount)) {
+            order.status = 'filled';
+            console.log(`🏁 Limit order ${order.id} filled`);
+        }
+    }
+
+    /**
+     * Check open orders every pollInterval until stop() is called
+     */
+    start() {
+        this.stopped = false;
+        const tick = async () => {
+            try {
+                await this.checkOrders();
+            } catch (error) {
+                console.error(`❌ Limit order check failed: ${error.message}`);
+            }
+            if (!this.stopped) {
+                this.timer = setTimeout(tick, this.pollInterval);
+            }
+        };
+        return tick();
+    }
+
+    /**
+     * Stop checking orders; a fill in progress still finishes
+     */
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+}
+
+export default LimitOrderEngine;
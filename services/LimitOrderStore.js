@@ -0,0 +1,195 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { PublicKey } from '@solana/web3.js';
+
+export const LIMIT_ORDER_STATUSES = ['open', 'needs_review', 'filled', 'cancelled', 'expired', 'failed'];
+const MAX_RECENT_EXECUTIONS = 50; // Executions kept on each order; the swap history has the rest
+
+function isPositiveInteger(value) {
+    return /^\d+$/.test(String(value)) && BigInt(value) > 0n;
+}
+
+function parsePrice(value, name) {
+    if (value === undefined || value === null || value === '') return null;
+    const price = Number(value);
+    if (!Number.isFinite(price) || price <= 0) {
+        throw new Error(`${name} must be a positive number`);
+    }
+    return price;
+}
+
+/**
+ * LimitOrderStore - Persists limit orders and their fills
+ * Orders live in a JSON file shared by the limit-order CLI and the running engine, so every
+ * change re-reads the file first and writes it back whole.
+ */
+export class LimitOrderStore {
+    /**
+     * @param {Object} options - { path: JSON file, or null to keep orders in memory }
+     */
+    constructor(options = {}) {
+        this.path = options.path ?? null;
+        this.orders = new Map(); // id -> order
+        this.load();
+    }
+
+    /**
+     * Create a store persisted to LIMIT_ORDER_STORE (default data/limit-orders.json)
+     * @param {Object} env - Environment to read (defaults to process.env)
+     */
+    static fromEnv(env = process.env) {
+        return new LimitOrderStore({ path: env.LIMIT_ORDER_STORE || 'data/limit-orders.json' });
+    }
+
+    /**
+     * Re-read orders from disk, picking up changes made by other processes
+     */
+    load() {
+        if (!this.path || !fs.existsSync(this.path)) return;
+        const { orders = [] } = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+        this.orders = new Map(orders.map(order => [order.id, order]));
+    }
+
+    /**
+     * Write every order; a temp file plus rename keeps the file whole if we crash mid-write
+     */
+    save() {
+        if (!this.path) return;
+        fs.mkdirSync(path.dirname(path.resolve(this.path)), { recursive: true });
+        const tempPath = `${this.path}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ orders: [...this.orders.values()] }, null, 2));
+        fs.renameSync(tempPath, this.path);
+    }
+
+    /**
+     * Validate and add an order
+     * @param {Object} params - { inputMint, outputMint, amount (base units of the input mint),
+     *   minPrice (output tokens per input token) or maxPrice (input tokens per output token),
+     *   sliceAmount (most input per fill), expiresAt }
+     * @param {Date} now - Creation time
+     */
+    create(params, now = new Date()) {
+        const { inputMint, outputMint, amount, sliceAmount, expiresAt } = params;
+
+        for (const [label, mint] of [['input', inputMint], ['output', outputMint]]) {
+            try {
+                new PublicKey(mint);
+            } catch (error) {
+                throw new Error(`Invalid ${label} mint address: ${mint}`);
+            }
+        }
+        if (inputMint === outputMint) {
+            throw new Error('Input and output mints must be different');
+        }
+        if (!isPositiveInteger(amount)) {
+            throw new Error(`Amount must be a positive integer in base units, got ${amount}`);
+        }
+        if (sliceAmount !== undefined && sliceAmount !== null && !isPositiveInteger(sliceAmount)) {
+            throw new Error(`Slice amount must be a positive integer in base units, got ${sliceAmount}`);
+        }
+        const minPrice = parsePrice(params.minPrice, 'Min price');
+        const maxPrice = parsePrice(params.maxPrice, 'Max price');
+        if ((minPrice === null) === (maxPrice === null)) {
+            throw new Error('Give exactly one of min price or max price');
+        }
+        const expiry = expiresAt === undefined || expiresAt === null ? null : Date.parse(expiresAt);
+        if (Number.isNaN(expiry) || (expiry !== null && expiry <= now.getTime())) {
+            throw new Error(`Expiry must be a future date, got ${expiresAt}`);
+        }
+
+        this.load();
+        const order = {
+            id: crypto.randomBytes(4).toString('hex'),
+            inputMint,
+            outputMint,
+            amount: String(amount),
+            minPrice,
+            maxPrice,
+            sliceAmount: sliceAmount === undefined || sliceAmount === null ? null : String(sliceAmount),
+            expiresAt: expiry === null ? null : new Date(expiry).toISOString(),
+            status: 'open',
+            filledAmount: '0',
+            receivedAmount: '0',
+            attempts: 0, // Swaps tried, successful or not
+            failures: 0, // Swaps failed in a row
+            lastPrice: null,
+            lastCheckedAt: null,
+            executions: [],
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString()
+        };
+        this.orders.set(order.id, order);
+        this.save();
+        return order;
+    }
+
+    /**
+     * Look up an order by id
+     * @param {string} id - Order id
+     */
+    get(id) {
+        return this.orders.get(id);
+    }
+
+    /**
+     * Every order, oldest first
+     */
+    list() {
+        return [...this.orders.values()];
+    }
+
+    /**
+     * Re-read the file, change one order and write it back
+     * @param {string} id - Order id
+     * @param {Function} change - Called with the order to modify in place
+     */
+    update(id, change) {
+        this.load();
+        const order = this.orders.get(id);
+        if (!order) {
+            throw new Error(`Unknown limit order: ${id}`);
+        }
+        change(order);
+        order.executions = order.executions.slice(-MAX_RECENT_EXECUTIONS);
+        order.updatedAt = new Date().toISOString();
+        this.save();
+        return order;
+    }
+
+    /**
+     * Withdraw an open order, or one held for review; what was already filled stays filled
+     * @param {string} id - Order id
+     */
+    cancel(id) {
+        return this.update(id, order => {
+            if (order.status !== 'open' && order.status !== 'needs_review') {
+                throw new Error(`Order ${id} is ${order.status}, not open`);
+            }
+            order.status = 'cancelled';
+        });
+    }
+
+    /**
+     * Reopen an order held for review once its interrupted fill is known not to have landed.
+     * The fill is counted as a failed attempt, so the next one runs under a new idempotency key.
+     * @param {string} id - Order id
+     */
+    resume(id) {
+        return this.update(id, order => {
+            if (order.status !== 'needs_review') {
+                throw new Error(`Order ${id} is ${order.status}, not needs_review`);
+            }
+            order.executions.push({
+                at: new Date().toISOString(),
+                status: 'failed',
+                error: `Resumed after review: ${order.reviewReason}`
+            });
+            order.attempts++;
+            order.status = 'open';
+            delete order.reviewReason;
+        });
+    }
+}
+
+export default LimitOrderStore;
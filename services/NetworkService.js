@@ -1,4 +1,5 @@
 import { Connection } from '@solana/web3.js';
+import { RpcCassette } from './RpcCassette.js';
 
 /**
  * NetworkService - Handles RPC connections, caching, and parallel calls
@@ -11,6 +12,7 @@ export class NetworkService {
         this.cache = new Map();
         this.cacheTimeout = options.cacheTimeout || 30000; // 30 seconds default
         this.requestPool = new Map(); // For deduplicating parallel requests
+        this.cassette = this.createCassette(options.cassette);
         this.initializeConnection();
     }
 
@@ -23,8 +25,22 @@ export class NetworkService {
             disableRetryOnRateLimit: false,
             confirmTransactionInitialTimeout: 60000,
             wsEndpoint: this.rpcEndpoint.replace('https://', 'wss://'),
+            ...(this.cassette && { fetch: this.cassette.fetch }),
         });
         console.log(`🌐 NetworkService connected to: ${this.rpcEndpoint}`);
+        if (this.cassette) {
+            console.log(`📼 RPC cassette ${this.cassette.mode} mode: ${this.cassette.path}`);
+        }
+    }
+
+    /**
+     * Resolve the record/replay cassette from options, falling back to RPC_CASSETTE_MODE
+     * @param {RpcCassette|Object} cassette - Cassette instance or { mode, path }
+     */
+    createCassette(cassette) {
+        if (cassette instanceof RpcCassette) return cassette;
+        if (cassette) return new RpcCassette(cassette);
+        return RpcCassette.fromEnv();
     }
 
     /**
@@ -188,12 +204,20 @@ export class NetworkService {
      */
     async confirmTransaction(signature, commitment = 'confirmed', timeout = 60000) {
         try {
-            const confirmation = await Promise.race([
-                this.connection.confirmTransaction(signature, commitment),
-                new Promise((_, reject) => 
-                    setTimeout(() => reject(new Error('Transaction confirmation timeout')), timeout)
-                )
-            ]);
+            // Confirmation arrives over the websocket, which the cassette cannot see,
+            // so its result is recorded here instead
+            const confirmation = this.cassette?.mode === 'replay'
+                ? this.cassette.replay('confirmTransaction').response
+                : await Promise.race([
+                    this.connection.confirmTransaction(signature, commitment),
+                    new Promise((_, reject) =>
+                        setTimeout(() => reject(new Error('Transaction confirmation timeout')), timeout)
+                    )
+                ]);
+
+            if (this.cassette?.mode === 'record') {
+                this.cassette.record('confirmTransaction', [signature, commitment], confirmation);
+            }
 
             if (confirmation.value.err) {
                 const error = new Error('Transaction confirmation failed');
@@ -210,6 +234,31 @@ export class NetworkService {
         }
     }
 
+    /**
+     * Fetch a confirmed transaction with parsed accounts and token balances.
+     * RPC nodes can lag behind confirmation, so a missing transaction is polled for.
+     * @param {string} signature - Transaction signature
+     * @param {Object} options - { commitment, attempts, retryDelay }
+     */
+    async getTransaction(signature, options = {}) {
+        const { commitment = 'confirmed', attempts = 5, retryDelay = 1000 } = options;
+
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            const transaction = await this.connection.getParsedTransaction(signature, {
+                commitment,
+                maxSupportedTransactionVersion: 0
+            });
+            if (transaction) {
+                return transaction;
+            }
+            if (attempt < attempts) {
+                await new Promise(resolve => setTimeout(resolve, retryDelay));
+            }
+        }
+
+        throw new Error(`Transaction ${signature} not found after ${attempts} attempts`);
+    }
+
     /**
      * Get recent prioritization fees with parallel RPC calls
      * @param {Array} accounts - Array of account addresses to check
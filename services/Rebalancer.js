@@ -0,0 +1,194 @@
+import { PublicKey } from '@solana/web3.js';
+import { TOKEN_PROGRAM_ID } from '@solana/spl-token';
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+/**
+ * Rebalancer - Plans and makes the swaps that bring a wallet back to target weights
+ * Holdings are the wallet's native SOL (less a reserve kept for fees and rent) and its SPL token
+ * accounts, valued in the quote mint at the price of one whole token from a Jupiter quote. The
+ * wallet is rebalanced only once some holding has drifted from its target by more than the
+ * band; it is then brought back to every target, selling the most overweight holdings into the
+ * most underweight ones.
+ */
+export class Rebalancer {
+    /**
+     * @param {Object} services - { swapper: CoreSwap }
+     * @param {Object} options - { quoteMint: mint values are in, solReserve: lamports never sold,
+     *   minTradeValue: smallest trade worth making, in quote tokens }
+     */
+    constructor({ swapper }, options = {}) {
+        this.swapper = swapper;
+        this.quoteMint = options.quoteMint || USDC_MINT;
+        this.solReserve = BigInt(options.solReserve ?? 50000000);
+        this.minTradeValue = options.minTradeValue ?? 1;
+    }
+
+    /**
+     * Check target weights: known mints, positive percentages adding up to 100
+     * @param {Object} targets - { [mint]: weight in percent }
+     */
+    static validateTargets(targets) {
+        const entries = Object.entries(targets);
+        if (entries.length < 2) {
+            throw new Error('Give target weights for at least two mints');
+        }
+        for (const [mint, weight] of entries) {
+            try {
+                new PublicKey(mint);
+            } catch (error) {
+                throw new Error(`Invalid target mint address: ${mint}`);
+            }
+            if (!Number.isFinite(weight) || weight <= 0) {
+                throw new Error(`Target weight for ${mint} must be a positive percentage, got ${weight}`);
+            }
+        }
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        if (Math.abs(total - 100) > 1e-9) {
+            throw new Error(`Target weights must add up to 100, got ${total}`);
+        }
+    }
+
+    /**
+     * Balances of the target mints, in base units
+     * @param {string[]} mints - Mints to read
+     */
+    async getBalances(mints) {
+        const owner = this.swapper.signer.publicKey;
+        const [lamports, { value: accounts }] = await Promise.all([
+            this.swapper.networkService.getBalance(owner, false),
+            this.swapper.connection.getParsedTokenAccountsByOwner(owner, { programId: TOKEN_PROGRAM_ID })
+        ]);
+        const balances = Object.fromEntries(mints.map(mint => [mint, 0n]));
+        for (const { account } of accounts) {
+            const { mint, tokenAmount } = account.data.parsed.info;
+            // Wrapped SOL is counted with native SOL below
+            if (mint in balances && mint !== SOL_MINT) {
+                balances[mint] += BigInt(tokenAmount.amount);
+            }
+        }
+        if (SOL_MINT in balances) {
+            const spendable = BigInt(lamports) - this.solReserve;
+            balances[SOL_MINT] = spendable > 0n ? spendable : 0n;
+        }
+        return balances;
+    }
+
+    /**
+     * Price of one whole token of a mint in quote tokens
+     * @param {Object} token - { mint, decimals }
+     */
+    async getPrice(token) {
+        if (token.mint === this.quoteMint) return 1;
+        const pair = await this.swapper.resolveSwapPair({
+            inputMint: token.mint,
+            outputMint: this.quoteMint,
+            amount: String(10n ** BigInt(token.decimals))
+        });
+        const quote = await this.swapper.getQuote(pair);
+        return Number(quote.outAmount) / 10 ** pair.outputToken.decimals /
+            (Number(quote.inAmount) / 10 ** token.decimals);
+    }
+
+    /**
+     * Value the wallet and work out the swaps needed to reach the targets
+     * @param {Object} targets - { [mint]: weight in percent }
+     * @param {number} band - Percentage points a weight may drift before rebalancing
+     * @returns {Object} { quoteMint, totalValue, band, withinBand, holdings, trades }
+     */
+    async plan(targets, band = 5) {
+        Rebalancer.validateTargets(targets);
+        if (!Number.isFinite(band) || band < 0) {
+            throw new Error(`Drift band must be a non-negative percentage, got ${band}`);
+        }
+
+        const mints = Object.keys(targets);
+        const balances = await this.getBalances(mints);
+        const holdings = [];
+        for (const mint of mints) {
+            const token = await this.swapper.getTokenInfo(mint);
+            const price = await this.getPrice(token);
+            const value = Number(balances[mint]) / 10 ** token.decimals * price;
+            holdings.push({ ...token, balance: String(balances[mint]), price, value, targetWeight: targets[mint] });
+        }
+        const totalValue = holdings.reduce((sum, holding) => sum + holding.value, 0);
+        if (totalValue === 0) {
+            throw new Error('The wallet holds none of the target mints');
+        }
+        for (const holding of holdings) {
+            holding.weight = holding.value / totalValue * 100;
+            holding.drift = holding.weight - holding.targetWeight;
+        }
+
+        const withinBand = holdings.every(holding => Math.abs(holding.drift) <= band);
+        return {
+            quoteMint: this.quoteMint,
+            totalValue,
+            band,
+            withinBand,
+            holdings,
+            trades: withinBand ? [] : this.planTrades(holdings, totalValue)
+        };
+    }
+
+    /**
+     * Pair overweight holdings with underweight ones, largest first
+     * @param {Object[]} holdings - Valued holdings with targetWeight
+     * @param {number} totalValue - Wallet value in quote tokens
+     */
+    planTrades(holdings, totalValue) {
+        const excess = holdings.map(holding => ({
+            holding,
+            value: holding.value - holding.targetWeight / 100 * totalValue
+        }));
+        const sellers = excess.filter(entry => entry.value > 0).sort((a, b) => b.value - a.value);
+        const buyers = excess.filter(entry => entry.value < 0)
+            .map(entry => ({ ...entry, value: -entry.value }))
+            .sort((a, b) => b.value - a.value);
+
+        const trades = [];
+        while (sellers.length > 0 && buyers.length > 0) {
+            const [seller] = sellers;
+            const [buyer] = buyers;
+            const value = Math.min(seller.value, buyer.value);
+            const { mint, decimals, price, balance } = seller.holding;
+            const wanted = BigInt(Math.floor(value / price * 10 ** decimals));
+            const amount = wanted < BigInt(balance) ? wanted : BigInt(balance);
+            if (value >= this.minTradeValue && amount > 0n) {
+                trades.push({ inputMint: mint, outputMint: buyer.holding.mint, amount: String(amount), value });
+            }
+            seller.value -= value;
+            buyer.value -= value;
+            if (seller.value <= 1e-9) sellers.shift();
+            if (buyer.value <= 1e-9) buyers.shift();
+        }
+        return trades;
+    }
+
+    /**
+     * Make a plan's trades through CoreSwap.performSwap, stopping at the first failure
+     * @param {Object} plan - Result of plan()
+     * @returns {Object[]} The trades with their status and signature or error
+     */
+    async execute(plan) {
+        const results = [];
+        for (const trade of plan.trades) {
+            try {
+                const result = await this.swapper.performSwap({
+                    inputMint: trade.inputMint,
+                    outputMint: trade.outputMint,
+                    amount: trade.amount
+                });
+                results.push({ ...trade, status: 'executed', signature: result.signature });
+            } catch (error) {
+                console.error(`❌ Rebalance stopped: ${error.message}`);
+                results.push({ ...trade, status: 'failed', error: error.message });
+                break;
+            }
+        }
+        return results;
+    }
+}
+
+export default Rebalancer;
@@ -0,0 +1,146 @@
+import fs from 'fs';
+import path from 'path';
+
+export const CASSETTE_MODES = ['record', 'replay'];
+
+/**
+ * RpcCassette - Records Solana JSON-RPC traffic to a file and replays it offline
+ * Plugs into Connection through its `fetch` option, so every RPC method is covered.
+ * Replay serves each method's responses in the order they were recorded.
+ */
+export class RpcCassette {
+    constructor(options = {}) {
+        this.mode = options.mode;
+        this.path = options.path;
+
+        if (!CASSETTE_MODES.includes(this.mode)) {
+            throw new Error(`Invalid cassette mode "${this.mode}". Use one of: ${CASSETTE_MODES.join(', ')}`);
+        }
+        if (!this.path) {
+            throw new Error('Cassette path is required');
+        }
+
+        this.interactions = [];
+        this.cursors = new Map(); // method -> index of the next unplayed interaction
+        this.fetchImpl = options.fetch || globalThis.fetch;
+        this.fetch = this.fetch.bind(this);
+
+        if (this.mode === 'replay') {
+            this.load();
+        }
+    }
+
+    /**
+     * Create a cassette from RPC_CASSETTE_MODE / RPC_CASSETTE, or null when unset
+     */
+    static fromEnv() {
+        const mode = process.env.RPC_CASSETTE_MODE;
+        if (!mode) return null;
+        return new RpcCassette({
+            mode,
+            path: process.env.RPC_CASSETTE || 'fixtures/rpc-cassette.json'
+        });
+    }
+
+    /**
+     * Load recorded interactions for replay
+     */
+    load() {
+        if (!fs.existsSync(this.path)) {
+            throw new Error(`Cassette not found: ${this.path}`);
+        }
+        const cassette = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+        this.interactions = cassette.interactions || [];
+        console.log(`📼 Replaying ${this.interactions.length} RPC interactions from ${this.path}`);
+    }
+
+    /**
+     * Write all interactions recorded so far
+     */
+    save() {
+        fs.mkdirSync(path.dirname(this.path), { recursive: true });
+        fs.writeFileSync(this.path, JSON.stringify({
+            recordedAt: new Date().toISOString(),
+            interactions: this.interactions
+        }, null, 2));
+    }
+
+    /**
+     * Append an interaction and flush the cassette so partial sessions are kept
+     * @param {string} method - RPC method name
+     * @param {Array} params - Request params
+     * @param {*} response - Response body
+     * @param {number} status - HTTP status of the response
+     */
+    record(method, params, response, status = 200) {
+        this.interactions.push({ method, params, status, response });
+        this.save();
+    }
+
+    /**
+     * Take the next unplayed interaction for a method
+     * @param {string} method - RPC method name
+     */
+    replay(method) {
+        let index = this.cursors.get(method) ?? 0;
+        while (index < this.interactions.length && this.interactions[index].method !== method) {
+            index++;
+        }
+        if (index >= this.interactions.length) {
+            throw new Error(`No recorded ${method} response left in cassette ${this.path}`);
+        }
+        this.cursors.set(method, index + 1);
+        return this.interactions[index];
+    }
+
+    /**
+     * fetch() replacement handed to Connection
+     * @param {string} url - RPC endpoint
+     * @param {Object} init - Request options built by Connection
+     */
+    async fetch(url, init) {
+        const request = JSON.parse(init.body);
+        // Batched requests are recorded as a single interaction
+        const method = Array.isArray(request) ? request.map(r => r.method).join(',') : request.method;
+        const params = Array.isArray(request) ? request.map(r => r.params) : request.params;
+
+        if (this.mode === 'replay') {
+            const { status, response } = this.replay(method);
+            const body = typeof response === 'string'
+                ? response
+                : JSON.stringify(this.withRequestIds(response, request));
+            return new Response(body, {
+                status,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+
+        const res = await this.fetchImpl(url, init);
+        const text = await res.text();
+        let response;
+        try {
+            response = JSON.parse(text);
+        } catch {
+            response = text;
+        }
+        this.record(method, params, response, res.status);
+        return new Response(text, { status: res.status, statusText: res.statusText, headers: res.headers });
+    }
+
+    /**
+     * Rewrite recorded JSON-RPC ids to match the live request
+     * @param {*} response - Recorded response body
+     * @param {Object|Array} request - Current request body
+     */
+    withRequestIds(response, request) {
+        if (Array.isArray(response) && Array.isArray(request)) {
+            return response.map((entry, i) => ({ ...entry, id: request[i]?.id ?? entry.id }));
+        }
+        if (response && typeof response === 'object' && !Array.isArray(request)) {
+            return { ...response, id: request.id };
+        }
+        return response;
+    }
+}
+
+export default RpcCassette;
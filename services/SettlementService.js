@@ -0,0 +1,140 @@
+import { PublicKey } from '@solana/web3.js';
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const LAMPORTS_PER_SIGNATURE = 5000n; // Base fee charged per signature
+
+// Sum of a token's balance per account, keyed by account index
+function tokenAmounts(tokenBalances = []) {
+    const amounts = new Map();
+    for (const { accountIndex, mint, owner, uiTokenAmount } of tokenBalances) {
+        amounts.set(accountIndex, { mint, owner, amount: BigInt(uiTokenAmount.amount) });
+    }
+    return amounts;
+}
+
+// Signed slippage in basis points: positive when the fill was worse than quoted
+function slippageBps(quoted, realized, worseWhenHigher) {
+    if (quoted === 0n) return 0;
+    const shortfall = worseWhenHigher ? realized - quoted : quoted - realized;
+    return Number((shortfall * 1000000n) / quoted) / 100;
+}
+
+/**
+ * SettlementService - Checks what a confirmed swap actually did on chain
+ * Diffs the pre/post balances of the confirmed transaction to find the realized input and
+ * output, the platform fee taken, and the lamports spent on fees and rent, then compares
+ * them with the quote the swap was built from.
+ */
+export class SettlementService {
+    constructor(networkService, options = {}) {
+        this.networkService = networkService;
+        this.options = {
+            attempts: options.attempts || 5, // getTransaction polls while the RPC catches up
+            retryDelay: options.retryDelay ?? 1000
+        };
+    }
+
+    /**
+     * Fetch a confirmed swap and report its realized amounts against the quote
+     * @param {Object} params - { signature, owner: wallet PublicKey or address, quote,
+     *   feeAccount: platform fee token account or its owner (optional) }
+     * @returns {Object} Settlement with base-unit amounts as strings and slippage in bps
+     */
+    async verifySwap({ signature, owner, quote, feeAccount }) {
+        const transaction = await this.networkService.getTransaction(signature, this.options);
+        if (transaction.meta?.err) {
+            throw new Error(`Transaction ${signature} failed on chain: ${JSON.stringify(transaction.meta.err)}`);
+        }
+        return this.analyze(transaction, { owner, quote, feeAccount });
+    }
+
+    /**
+     * Work out the settlement of a parsed transaction
+     * @param {Object} transaction - Result of getParsedTransaction
+     * @param {Object} params - { owner, quote, feeAccount }
+     */
+    analyze(transaction, { owner, quote, feeAccount }) {
+        const { meta } = transaction;
+        const wallet = new PublicKey(owner).toBase58();
+        const accountKeys = transaction.transaction.message.accountKeys.map(key => key.pubkey.toBase58());
+        const walletIndex = accountKeys.indexOf(wallet);
+        if (walletIndex === -1) {
+            throw new Error(`Wallet ${wallet} is not part of transaction ${transaction.transaction.signatures[0]}`);
+        }
+
+        const preTokens = tokenAmounts(meta.preTokenBalances);
+        const postTokens = tokenAmounts(meta.postTokenBalances);
+        const tokenDelta = (matches) => {
+            let delta = 0n;
+            for (const index of new Set([...preTokens.keys(), ...postTokens.keys()])) {
+                const entry = postTokens.get(index) ?? preTokens.get(index);
+                if (!matches(entry, index)) continue;
+                delta += (postTokens.get(index)?.amount ?? 0n) - (preTokens.get(index)?.amount ?? 0n);
+            }
+            return delta;
+        };
+
+        // Rent for accounts this swap opened, less rent refunded by wallet token accounts it closed
+        let rentLamports = 0n;
+        meta.preBalances.forEach((pre, index) => {
+            const post = meta.postBalances[index];
+            if (index === walletIndex) return;
+            if (pre === 0 && post > 0) {
+                rentLamports += BigInt(post);
+            } else if (pre > 0 && post === 0 && preTokens.get(index)?.owner === wallet) {
+                const wrapped = preTokens.get(index).mint === SOL_MINT ? preTokens.get(index).amount : 0n;
+                rentLamports -= BigInt(pre) - wrapped;
+            }
+        });
+
+        const networkFee = BigInt(meta.fee);
+        const baseFee = BigInt(transaction.transaction.signatures.length) * LAMPORTS_PER_SIGNATURE;
+        const fees = {
+            baseLamports: String(baseFee < networkFee ? baseFee : networkFee),
+            priorityLamports: String(networkFee > baseFee ? networkFee - baseFee : 0n),
+            rentLamports: String(rentLamports),
+            totalLamports: String(networkFee + rentLamports)
+        };
+
+        // SOL moves as lamports (wrapped and unwrapped within the swap) plus any wSOL the wallet holds
+        const mintDelta = (mint) => {
+            const tokens = tokenDelta(entry => entry.owner === wallet && entry.mint === mint);
+            if (mint !== SOL_MINT) return tokens;
+            const lamports = BigInt(meta.postBalances[walletIndex] - meta.preBalances[walletIndex]);
+            return lamports + networkFee + rentLamports + tokens;
+        };
+
+        const inputAmount = -mintDelta(quote.inputMint);
+        const outputAmount = mintDelta(quote.outputMint);
+        const threshold = BigInt(quote.otherAmountThreshold);
+        const exactOut = quote.swapMode === 'ExactOut';
+
+        const feeAccountKey = feeAccount ? new PublicKey(feeAccount).toBase58() : null;
+        const platformFee = feeAccountKey
+            ? tokenDelta((entry, index) => accountKeys[index] === feeAccountKey || entry.owner === feeAccountKey)
+            : null;
+
+        return {
+            signature: transaction.transaction.signatures[0],
+            slot: transaction.slot,
+            swapMode: quote.swapMode ?? 'ExactIn',
+            inputMint: quote.inputMint,
+            outputMint: quote.outputMint,
+            inputAmount: String(inputAmount),
+            outputAmount: String(outputAmount),
+            quotedInAmount: String(quote.inAmount),
+            quotedOutAmount: String(quote.outAmount),
+            otherAmountThreshold: String(quote.otherAmountThreshold),
+            // ExactIn fixes the input, so slippage shows in the output; ExactOut the other way round
+            slippageBps: exactOut
+                ? slippageBps(BigInt(quote.inAmount), inputAmount, true)
+                : slippageBps(BigInt(quote.outAmount), outputAmount, false),
+            worseThanThreshold: exactOut ? inputAmount > threshold : outputAmount < threshold,
+            platformFeeAmount: platformFee === null ? null : String(platformFee),
+            fees,
+            computeUnitsConsumed: meta.computeUnitsConsumed ?? null
+        };
+    }
+}
+
+export default SettlementService;
@@ -0,0 +1,206 @@
+import crypto from 'crypto';
+import { PublicKey } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { KEY_ENV_VARS, loadSignerFromEnv } from './WalletStore.js';
+
+// DER prefix of an Ed25519 SubjectPublicKeyInfo; the 32 raw key bytes follow it
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+/**
+ * Check an Ed25519 signature of a message
+ * @param {PublicKey} publicKey - Key that should have signed
+ * @param {Uint8Array} message - Signed bytes
+ * @param {Uint8Array} signature - 64-byte signature
+ */
+export function verifySignature(publicKey, message, signature) {
+    const key = crypto.createPublicKey({
+        key: Buffer.concat([ED25519_SPKI_PREFIX, publicKey.toBuffer()]),
+        format: 'der',
+        type: 'spki'
+    });
+    return crypto.verify(null, message, key, signature);
+}
+
+/**
+ * Index of a key among the transaction's required signers, or -1
+ * @param {VersionedTransaction} transaction - Transaction to sign
+ * @param {PublicKey} publicKey - Signer's public key
+ */
+export function signerIndex(transaction, publicKey) {
+    const { staticAccountKeys, header } = transaction.message;
+    return staticAccountKeys
+        .slice(0, header.numRequiredSignatures)
+        .findIndex(key => key.equals(publicKey));
+}
+
+/**
+ * KeypairSigner - Signs with a keypair held in this process
+ */
+export class KeypairSigner {
+    /**
+     * @param {Keypair} keypair - Signing keypair
+     */
+    constructor(keypair) {
+        this.keypair = keypair;
+    }
+
+    get publicKey() {
+        return this.keypair.publicKey;
+    }
+
+    /**
+     * Add this signer's signature to a transaction
+     * @param {VersionedTransaction} transaction - Transaction to sign, signed in place
+     * @returns {VersionedTransaction} The same transaction
+     */
+    async signTransaction(transaction) {
+        transaction.sign([this.keypair]);
+        return transaction;
+    }
+}
+
+/**
+ * RemoteSigner - Signs through a signing service over HTTP, so the key never enters this process
+ * The service (see signer-server.js) answers POST /sign { publicKey, transaction: base64 } with
+ * { signature: base58 } and GET /public-key with { publicKey }. Signatures are checked against the
+ * expected public key before they are added, so a misbehaving service cannot produce a
+ * transaction that fails on-chain or signs with another wallet.
+ */
+export class RemoteSigner {
+    /**
+     * @param {Object} options - { url: service base URL, publicKey: expected signer (PublicKey or
+     *   address), token: bearer token, timeoutMs: per-request timeout (default 10000) }
+     */
+    constructor({ url, publicKey, token = null, timeoutMs = 10000 }) {
+        if (!url) {
+            throw new Error('RemoteSigner needs the signing service URL');
+        }
+        if (!publicKey) {
+            throw new Error('RemoteSigner needs the public key of the signing wallet');
+        }
+        this.url = url.replace(/\/+$/, '');
+        this.publicKey = new PublicKey(publicKey);
+        this.token = token;
+        this.timeoutMs = timeoutMs;
+    }
+
+    /**
+     * Create a signer for the service's wallet, asking the service for its public key
+     * @param {Object} options - RemoteSigner options; publicKey may be omitted
+     */
+    static async connect(options) {
+        if (options.publicKey) {
+            return new RemoteSigner(options);
+        }
+        const probe = new RemoteSigner({ ...options, publicKey: PublicKey.default });
+        const { publicKey } = await probe.request('GET', '/public-key');
+        return new RemoteSigner({ ...options, publicKey });
+    }
+
+    /**
+     * Signer configured by REMOTE_SIGNER_URL, REMOTE_SIGNER_PUBLIC_KEY and REMOTE_SIGNER_TOKEN
+     * @param {Object} env - Environment to read (default process.env)
+     */
+    static fromEnv(env = process.env) {
+        if (!env.REMOTE_SIGNER_PUBLIC_KEY) {
+            throw new Error('REMOTE_SIGNER_URL is set but REMOTE_SIGNER_PUBLIC_KEY is not');
+        }
+        let publicKey;
+        try {
+            publicKey = new PublicKey(env.REMOTE_SIGNER_PUBLIC_KEY);
+        } catch {
+            throw new Error(`Invalid REMOTE_SIGNER_PUBLIC_KEY: ${env.REMOTE_SIGNER_PUBLIC_KEY}`);
+        }
+        return new RemoteSigner({
+            url: env.REMOTE_SIGNER_URL,
+            publicKey,
+            token: env.REMOTE_SIGNER_TOKEN || null
+        });
+    }
+
+    /**
+     * Call the signing service and return its JSON answer
+     * @param {string} method - HTTP method
+     * @param {string} path - Path below the service URL
+     * @param {Object} body - JSON request body, if any
+     */
+    async request(method, path, body) {
+        let response;
+        try {
+            response = await fetch(`${this.url}${path}`, {
+                method,
+                headers: {
+                    ...(body && { 'Content-Type': 'application/json' }),
+                    ...(this.token && { Authorization: `Bearer ${this.token}` })
+                },
+                body: body && JSON.stringify(body),
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+        } catch (error) {
+            throw new Error(`Remote signer ${this.url} is unreachable: ${error.message}`);
+        }
+
+        const answer = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(`Remote signer ${this.url} refused ${path} (${response.status}): ${answer.error ?? response.statusText}`);
+        }
+        return answer;
+    }
+
+    /**
+     * Have the service sign a transaction and add its signature
+     * @param {VersionedTransaction} transaction - Transaction to sign, signed in place
+     * @returns {VersionedTransaction} The same transaction
+     */
+    async signTransaction(transaction) {
+        const index = signerIndex(transaction, this.publicKey);
+        if (index === -1) {
+            throw new Error(`Transaction does not need a signature from ${this.publicKey.toBase58()}`);
+        }
+
+        const { signature } = await this.request('POST', '/sign', {
+            publicKey: this.publicKey.toBase58(),
+            transaction: Buffer.from(transaction.serialize()).toString('base64')
+        });
+        let bytes;
+        try {
+            bytes = bs58.decode(signature);
+        } catch {
+            bytes = null;
+        }
+        if (bytes?.length !== 64 || !verifySignature(this.publicKey, transaction.message.serialize(), bytes)) {
+            throw new Error(`Remote signer ${this.url} returned an invalid signature for ${this.publicKey.toBase58()}`);
+        }
+
+        transaction.signatures[index] = bytes;
+        return transaction;
+    }
+}
+
+/**
+ * Wrap a bare keypair in a KeypairSigner; signers are returned as they are
+ * @param {Keypair|Object} signerOrKeypair - Keypair, or an object with publicKey and signTransaction
+ */
+export function asSigner(signerOrKeypair) {
+    return typeof signerOrKeypair?.signTransaction === 'function'
+        ? signerOrKeypair
+        : new KeypairSigner(signerOrKeypair);
+}
+
+/**
+ * The signer the environment configures: a RemoteSigner when REMOTE_SIGNER_URL is set, else a
+ * KeypairSigner for the key loadSignerFromEnv finds
+ * @param {Object} env - Environment to read (default process.env)
+ */
+export function signerFromEnv(env = process.env) {
+    if (env.REMOTE_SIGNER_URL) {
+        const keys = KEY_ENV_VARS.filter(key => env[key]);
+        if (keys.length > 0) {
+            throw new Error(`Set either REMOTE_SIGNER_URL or a local key, not both; found ${keys.join(' and ')}`);
+        }
+        return RemoteSigner.fromEnv(env);
+    }
+    return new KeypairSigner(loadSignerFromEnv(env).keypair);
+}
+
+export default RemoteSigner;
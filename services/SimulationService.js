@@ -0,0 +1,78 @@
+import { PublicKey } from '@solana/web3.js';
+import { AccountLayout, getAssociatedTokenAddressSync } from '@solana/spl-token';
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// Lamports of a native account, or the amount held by a token account, from either
+// getMultipleAccountsInfo (data is a Buffer) or a simulation (data is [base64, 'base64'])
+function accountAmount(account, native) {
+    if (!account) return 0n;
+    if (native) return BigInt(account.lamports);
+    const data = Buffer.isBuffer(account.data) ? account.data : Buffer.from(account.data[0], 'base64');
+    return data.length < AccountLayout.span ? 0n : AccountLayout.decode(data).amount;
+}
+
+/**
+ * SimulationService - Dry runs a signed swap transaction without sending it
+ * Simulates the transaction with the wallet's SOL account and the associated token accounts of
+ * the swapped mints attached, and diffs them against their current state to report the balance
+ * changes the swap would make, along with compute units, the network fee and the program logs.
+ * Token balances are read from associated token accounts of the classic token program.
+ */
+export class SimulationService {
+    /**
+     * @param {Connection} connection - RPC connection to simulate against
+     */
+    constructor(connection) {
+        this.connection = connection;
+    }
+
+    /**
+     * Simulate a signed transaction and report what it would change
+     * @param {VersionedTransaction} transaction - Signed swap transaction
+     * @param {Object} params - { owner: wallet PublicKey or address, mints: mints whose balances to report }
+     * @returns {Object} { success, error, computeUnitsConsumed, feeLamports,
+     *   balanceChanges: [{ mint, account, before, after, change }], logs }; amounts are base-unit strings
+     */
+    async simulate(transaction, { owner, mints }) {
+        const wallet = new PublicKey(owner);
+        const accounts = [...new Set(mints)].map(mint => ({
+            mint,
+            native: mint === SOL_MINT,
+            // SOL swaps wrap and unwrap within the transaction, so the wallet's lamports tell the story
+            address: mint === SOL_MINT
+                ? wallet.toBase58()
+                : getAssociatedTokenAddressSync(new PublicKey(mint), wallet).toBase58()
+        }));
+        const addresses = accounts.map(account => account.address);
+
+        const [before, fee, { value }] = await Promise.all([
+            this.connection.getMultipleAccountsInfo(addresses.map(address => new PublicKey(address))),
+            this.connection.getFeeForMessage(transaction.message, 'confirmed'),
+            this.connection.simulateTransaction(transaction, {
+                replaceRecentBlockhash: true,
+                sigVerify: false,
+                commitment: 'confirmed',
+                accounts: { encoding: 'base64', addresses }
+            })
+        ]);
+
+        const balanceChanges = accounts.map(({ mint, native, address }, index) => {
+            const pre = accountAmount(before[index], native);
+            // A failed simulation returns no accounts; nothing would change
+            const post = value.err ? pre : accountAmount(value.accounts?.[index], native);
+            return { mint, account: address, before: String(pre), after: String(post), change: String(post - pre) };
+        });
+
+        return {
+            success: !value.err,
+            error: value.err ?? null,
+            computeUnitsConsumed: value.unitsConsumed ?? null,
+            feeLamports: fee.value ?? null,
+            balanceChanges,
+            logs: value.logs ?? []
+        };
+    }
+}
+
+export default SimulationService;
@@ -0,0 +1,113 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// unconfirmed: sent, but its outcome was not known when the attempt ended
+export const SWAP_STATUSES = ['confirmed', 'failed', 'unconfirmed'];
+const DEFAULT_QUERY_LIMIT = 50;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Accept ISO timestamps or plain dates; a plain `to` date covers that whole day
+function parseDate(value, name, endOfDay = false) {
+    if (value === undefined || value === null || value === '') return null;
+    const time = Date.parse(endOfDay && DATE_ONLY.test(value) ? `${value}T23:59:59.999Z` : value);
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid ${name} date: ${value}`);
+    }
+    return time;
+}
+
+/**
+ * SwapHistory - Append-only JSONL ledger of every swap attempt
+ * Each line records the pair, amounts, route, slippage, priority fee, compute units,
+ * signature, final status and error of one attempt, whichever entry point ran it.
+ */
+export class SwapHistory {
+    /**
+     * @param {Object} options - { path: JSONL file }
+     */
+    constructor(options = {}) {
+        this.path = options.path;
+        if (!this.path) {
+            throw new Error('Swap history path is required');
+        }
+    }
+
+    /**
+     * Create a ledger at SWAP_HISTORY (default data/swap-history.jsonl)
+     * @param {Object} env - Environment to read (defaults to process.env)
+     */
+    static fromEnv(env = process.env) {
+        return new SwapHistory({ path: env.SWAP_HISTORY || 'data/swap-history.jsonl' });
+    }
+
+    /**
+     * Append one attempt; an id and timestamp are added
+     * @param {Object} attempt - { source, wallet, walletId, inputMint, outputMint, swapMode, amount,
+     *   inAmount, outAmount, route, slippageBps, priceImpact, priorityFeeMicroLamports,
+     *   computeUnitsConsumed, signature, status, error, durationMs, idempotencyKey }
+     */
+    record(attempt) {
+        const entry = {
+            id: crypto.randomUUID(),
+            timestamp: new Date().toISOString(),
+            ...attempt
+        };
+        fs.mkdirSync(path.dirname(path.resolve(this.path)), { recursive: true });
+        fs.appendFileSync(this.path, JSON.stringify(entry) + '\n');
+        return entry;
+    }
+
+    /**
+     * Read every entry, oldest first; a torn last line from a crash is skipped
+     */
+    readAll() {
+        if (!fs.existsSync(this.path)) return [];
+        return fs.readFileSync(this.path, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .flatMap(line => {
+                try {
+                    return [JSON.parse(line)];
+                } catch {
+                    return [];
+                }
+            });
+    }
+
+    /**
+     * Find attempts, newest first
+     * @param {Object} filters - { from, to, inputMint, outputMint, mint (either side), status,
+     *   wallet (public key or walletId), walletIds (only these server wallets), source, limit }
+     */
+    query(filters = {}) {
+        const { inputMint, outputMint, mint, status, wallet, walletIds, source } = filters;
+        const from = parseDate(filters.from, 'from');
+        const to = parseDate(filters.to, 'to', true);
+        if (status && !SWAP_STATUSES.includes(status)) {
+            throw new Error(`Invalid status "${status}". Use one of: ${SWAP_STATUSES.join(', ')}`);
+        }
+        const limit = filters.limit === undefined ? DEFAULT_QUERY_LIMIT : Number(filters.limit);
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new Error('limit must be a positive integer');
+        }
+
+        return this.readAll()
+            .filter(entry => {
+                const time = Date.parse(entry.timestamp);
+                return (from === null || time >= from)
+                    && (to === null || time <= to)
+                    && (!inputMint || entry.inputMint === inputMint)
+                    && (!outputMint || entry.outputMint === outputMint)
+                    && (!mint || entry.inputMint === mint || entry.outputMint === mint)
+                    && (!status || entry.status === status)
+                    && (!wallet || entry.wallet === wallet || entry.walletId === wallet)
+                    && (!walletIds || walletIds.includes(entry.walletId))
+                    && (!source || entry.source === source);
+            })
+            .reverse()
+            .slice(0, limit);
+    }
+}
+
+export default SwapHistory;
@@ -0,0 +1,231 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { asSigner } from './Signer.js';
+
+// Stages a job reports, in pipeline order; a job ends in confirmed or failed
+export const JOB_STAGES = ['queued', 'quote', 'built', 'simulated', 'sent', 'confirmed', 'failed'];
+const TERMINAL_STAGES = ['confirmed', 'failed'];
+
+/**
+ * SwapJobService - Runs swaps in the background and reports each stage as it happens
+ * A job signs with a server wallet and goes quote → built → simulated → sent → confirmed,
+ * or to failed from any stage. Listeners receive every stage event through subscribe().
+ */
+export class SwapJobService extends EventEmitter {
+    /**
+     * @param {Object} services - { quoteService, txService, walletStore }
+     * @param {Object} options - { platformFee: { feeAccount, feeBps }, maxJobs, history }, where
+     *   history is a SwapHistory that receives each finished job
+     */
+    constructor({ quoteService, txService, walletStore }, options = {}) {
+        super();
+        this.quoteService = quoteService;
+        this.txService = txService;
+        this.walletStore = walletStore;
+        this.platformFee = options.platformFee || null;
+        this.maxJobs = options.maxJobs || 1000; // Finished jobs beyond this are forgotten, oldest first
+        this.history = options.history || null;
+        this.jobs = new Map(); // id -> job
+        this.setMaxListeners(0); // One listener per open event stream
+    }
+
+    /**
+     * Queue a swap and start it; returns the job right away
+     * @param {Object} request - { walletId, inputMint, outputMint, amount, swapMode, slippageBps,
+     *   onlyDirectRoutes, priorityFeeMicroLamports }
+     * @param {Object} options - { owner, authorizeQuote(quote) => error message or null }
+     */
+    submit(request, options = {}) {
+        if (!this.walletStore.has(request.walletId)) {
+            throw new Error(`Unknown walletId: ${request.walletId}`);
+        }
+
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            owner: options.owner ?? null,
+            status: 'queued',
+            stage: 'queued',
+            request,
+            signature: null,
+            error: null,
+            details: {}, // Quote, fee and compute unit figures for the history ledger
+            events: [],
+            createdAt: now,
+            updatedAt: now
+        };
+        this.jobs.set(job.id, job);
+        this.prune();
+        this.advance(job, 'queued');
+
+        this.run(job, options.authorizeQuote).catch(error => {
+            this.fail(job, error);
+        });
+        return job;
+    }
+
+    /**
+     * Look up a job by id
+     * @param {string} id - Job id
+     */
+    get(id) {
+        return this.jobs.get(id);
+    }
+
+    /**
+     * Listen for a job's stage events until it finishes; returns an unsubscribe function
+     * @param {string} id - Job id
+     * @param {Function} listener - Called with each stage event
+     */
+    subscribe(id, listener) {
+        const handler = event => {
+            if (event.jobId !== id) return;
+            listener(event);
+            if (TERMINAL_STAGES.includes(event.stage)) this.off('stage', handler);
+        };
+        this.on('stage', handler);
+        return () => this.off('stage', handler);
+    }
+
+    /**
+     * Whether a job has reached confirmed or failed
+     * @param {Object} job - Job to check
+     */
+    isFinished(job) {
+        return TERMINAL_STAGES.includes(job.stage);
+    }
+
+    /**
+     * Drive a job through the swap pipeline
+     * @param {Object} job - Job created by submit()
+     * @param {Function} authorizeQuote - Optional check of the quote before building
+     */
+    async run(job, authorizeQuote) {
+        const { walletId, priorityFeeMicroLamports = 'auto', ...quoteParams } = job.request;
+        const signer = asSigner(this.walletStore.get(walletId));
+        job.status = 'running';
+
+        const quote = await this.quoteService.getQuote({
+            ...quoteParams,
+            ...(this.platformFee && {
+                platformFeeBps: this.platformFee.feeBps,
+                feeAccount: this.platformFee.feeAccount
+            })
+        });
+        Object.assign(job.details, {
+            inAmount: quote.inAmount,
+            outAmount: quote.outAmount,
+            route: quote.metadata.routeInfo.route,
+            slippageBps: quote.slippageBps ?? quote.metadata.slippageUsed,
+            priceImpact: quote.metadata.priceImpact
+        });
+        this.advance(job, 'quote', {
+            inAmount: quote.inAmount,
+            outAmount: quote.outAmount,
+            otherAmountThreshold: quote.otherAmountThreshold,
+            priceImpact: quote.metadata.priceImpact,
+            route: quote.metadata.routeInfo.route,
+            recommendedSlippage: quote.recommendedSlippage
+        });
+
+        const denied = authorizeQuote?.(quote);
+        if (denied) {
+            throw new Error(denied);
+        }
+
+        const swapTransaction = await this.quoteService.createSwapTransaction({
+            quote,
+            userPublicKey: signer.publicKey,
+            feeAccount: this.platformFee?.feeAccount,
+            computeUnitPriceMicroLamports: priorityFeeMicroLamports
+        });
+        const transaction = await this.txService.prepareTransaction(swapTransaction, signer);
+        job.details.priorityFeeMicroLamports = priorityFeeMicroLamports;
+        this.advance(job, 'built', { priorityFeeMicroLamports });
+
+        const simulation = await this.txService.simulateTransaction(transaction);
+        if (!simulation.success) {
+            throw new Error(`Simulation failed: ${JSON.stringify(simulation.result.value.err)}`);
+        }
+        job.details.computeUnitsConsumed = simulation.analysis.computeUnitsConsumed;
+        this.advance(job, 'simulated', {
+            computeUnitsConsumed: simulation.analysis.computeUnitsConsumed
+        });
+
+        const signature = await this.txService.sendTransaction(transaction);
+        job.signature = signature;
+        this.advance(job, 'sent', { signature });
+
+        const { confirmationTime } = await this.txService.confirmTransaction(signature);
+        job.status = 'confirmed';
+        this.advance(job, 'confirmed', { signature, confirmationTime });
+        this.recordHistory(job);
+    }
+
+    /**
+     * Mark a job failed, recording the stage it failed after
+     * @param {Object} job - Failed job
+     * @param {Error} error - What went wrong
+     */
+    fail(job, error) {
+        job.status = 'failed';
+        job.error = error.message;
+        this.advance(job, 'failed', { error: error.message, after: job.stage });
+        this.recordHistory(job);
+    }
+
+    /**
+     * Write a finished job to the history ledger, if one is configured
+     * @param {Object} job - Confirmed or failed job
+     */
+    recordHistory(job) {
+        if (!this.history) return;
+        const { walletId, inputMint, outputMint, swapMode, amount } = job.request;
+        try {
+            this.history.record({
+                source: 'server-job',
+                jobId: job.id,
+                keyId: job.owner,
+                walletId,
+                wallet: this.walletStore.get(walletId)?.publicKey.toBase58() ?? null,
+                inputMint,
+                outputMint,
+                swapMode,
+                amount,
+                ...job.details,
+                signature: job.signature,
+                status: job.status,
+                error: job.error,
+                durationMs: Date.parse(job.updatedAt) - Date.parse(job.createdAt)
+            });
+        } catch (error) {
+            console.warn(`⚠️  Could not record swap history: ${error.message}`);
+        }
+    }
+
+    /**
+     * Record a stage on the job and notify subscribers
+     * @param {Object} job - Job that progressed
+     * @param {string} stage - Stage reached
+     * @param {Object} data - Stage details
+     */
+    advance(job, stage, data = {}) {
+        const event = { jobId: job.id, stage, timestamp: new Date().toISOString(), ...data };
+        job.stage = stage;
+        job.updatedAt = event.timestamp;
+        job.events.push(event);
+        this.emit('stage', event);
+    }
+
+    /**
+     * Forget the oldest finished jobs once more than maxJobs are held
+     */
+    prune() {
+        for (const [id, job] of this.jobs) {
+            if (this.jobs.size <= this.maxJobs) break;
+            if (this.isFinished(job)) this.jobs.delete(id);
+        }
+    }
+}
+
+export default SwapJobService;
@@ -0,0 +1,199 @@
+const MIN_CHILD_FRACTION = 0.25; // A child shrunk for price impact keeps at least this share of its even split
+
+function isPositiveInteger(value) {
+    return /^\d+$/.test(String(value)) && BigInt(value) > 0n;
+}
+
+/**
+ * TwapExecutor - Splits a large swap into child swaps spread evenly over a time window
+ * Each child is quoted before it is sent. While the quote's price impact is above the target,
+ * the child is shrunk and what it leaves is spread over the children still to come; once the
+ * impact is above the limit, the order stops with the rest unfilled. The last child swaps
+ * whatever is left.
+ */
+export class TwapExecutor {
+    /**
+     * @param {Object} services - { swapper: CoreSwap }
+     * @param {Object} options - { sleep: (ms) => Promise, replaceable in tests }
+     */
+    constructor({ swapper }, options = {}) {
+        this.swapper = swapper;
+        this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    }
+
+    /**
+     * Check TWAP parameters, applying the defaults
+     * @param {Object} params - { inputMint, outputMint, amount, slices, duration,
+     *   maxPriceImpactPct, targetPriceImpactPct }
+     */
+    static validate(params) {
+        const { amount, slices = 10, duration = 0, maxPriceImpactPct = null } = params;
+        if (!isPositiveInteger(amount)) {
+            throw new Error(`Amount must be a positive integer in base units, got ${amount}`);
+        }
+        if (!Number.isInteger(Number(slices)) || Number(slices) < 1 || BigInt(Number(slices)) > BigInt(amount)) {
+            throw new Error(`Slices must be a whole number between 1 and the amount, got ${slices}`);
+        }
+        if (!Number.isFinite(Number(duration)) || Number(duration) < 0) {
+            throw new Error(`Duration must be a non-negative number of milliseconds, got ${duration}`);
+        }
+        const limit = maxPriceImpactPct === null ? null : Number(maxPriceImpactPct);
+        if (limit !== null && !(limit > 0)) {
+            throw new Error('Max price impact must be a positive percentage');
+        }
+        const target = params.targetPriceImpactPct === undefined || params.targetPriceImpactPct === null
+            ? (limit === null ? null : limit / 2)
+            : Number(params.targetPriceImpactPct);
+        if (target !== null && (!(target > 0) || (limit !== null && target > limit))) {
+            throw new Error('Target price impact must be a positive percentage no higher than the max');
+        }
+        return {
+            ...params,
+            amount: String(amount),
+            slices: Number(slices),
+            duration: Number(duration),
+            maxPriceImpactPct: limit,
+            targetPriceImpactPct: target
+        };
+    }
+
+    /**
+     * Swap the whole amount in child swaps and summarize the fills
+     * @param {Object} params - { inputMint, outputMint, amount (base units of the input mint),
+     *   slices (child swaps, default 10), duration (ms the children are spread over),
+     *   maxPriceImpactPct (stop above this), targetPriceImpactPct (shrink children above this,
+     *   default half the max) }; percentages are as printed, so 1 is 1%
+     * @returns {Object} Summary with status completed, aborted or failed, the children, and the
+     *   average execution price against the first quote
+     */
+    async execute(params) {
+        const { inputMint, outputMint, amount, slices, duration, maxPriceImpactPct, targetPriceImpactPct } =
+            TwapExecutor.validate(params);
+        const total = BigInt(amount);
+        const interval = duration / slices;
+        const startedAt = Date.now();
+        const summary = {
+            inputMint,
+            outputMint,
+            amount,
+            slices,
+            status: 'completed',
+            reason: null,
+            filledAmount: '0',
+            receivedAmount: '0',
+            firstQuotePrice: null,
+            averagePrice: null,
+            priceDifferenceBps: null,
+            children: [],
+            startedAt: new Date(startedAt).toISOString(),
+            finishedAt: null
+        };
+        let filled = 0n;
+        let tokens;
+
+        for (let index = 0; index < slices && filled < total; index++) {
+            const wait = startedAt + index * interval - Date.now();
+            if (wait > 0) {
+                await this.sleep(wait);
+            }
+
+            const remaining = total - filled;
+            const last = index === slices - 1;
+            const planned = last ? remaining : remaining / BigInt(slices - index);
+            let size = planned;
+            let quoted;
+            try {
+                quoted = await this.quote(inputMint, outputMint, size);
+                tokens = quoted.pair;
+                summary.firstQuotePrice ??= quoted.price;
+
+                if (!last && targetPriceImpactPct !== null && quoted.impactPct > targetPriceImpactPct) {
+                    const fraction = Math.max(MIN_CHILD_FRACTION, targetPriceImpactPct / quoted.impactPct);
+                    size = BigInt(Math.max(1, Math.floor(Number(planned) * fraction)));
+                    console.log(`📉 TWAP child ${index + 1}: price impact ${quoted.impactPct}% is above the target of ${targetPriceImpactPct}%, shrinking to ${size}`);
+                    quoted = await this.quote(inputMint, outputMint, size);
+                }
+            } catch (error) {
+                Object.assign(summary, { status: 'failed', reason: `Quote for child ${index + 1} failed: ${error.message}` });
+                break;
+            }
+
+            if (maxPriceImpactPct !== null && quoted.impactPct > maxPriceImpactPct) {
+                Object.assign(summary, {
+                    status: 'aborted',
+                    reason: `Price impact ${quoted.impactPct}% is above the limit of ${maxPriceImpactPct}%`
+                });
+                console.warn(`🛑 TWAP stopped before child ${index + 1}: ${summary.reason}`);
+                break;
+            }
+
+            console.log(`🧩 TWAP child ${index + 1}/${slices}: swapping ${size} of ${inputMint}`);
+            const child = { index, at: new Date().toISOString(), amount: String(size), priceImpactPct: quoted.impactPct };
+            summary.children.push(child);
+            try {
+                const result = await this.swapper.performSwap({ inputMint, outputMint, amount: String(size) });
+                Object.assign(child, {
+                    status: 'executed',
+                    signature: result.signature,
+                    inputAmount: String(result.settlement?.inputAmount ?? result.quote?.inAmount ?? size),
+                    outputAmount: String(result.settlement?.outputAmount ?? result.quote?.outAmount ?? 0)
+                });
+                child.price = this.price(tokens, child.inputAmount, child.outputAmount);
+                filled += size;
+            } catch (error) {
+                Object.assign(child, { status: 'failed', error: error.message });
+                Object.assign(summary, { status: 'failed', reason: `Child ${index + 1} failed: ${error.message}` });
+                console.error(`❌ TWAP stopped: ${summary.reason}`);
+                break;
+            }
+        }
+
+        const executed = summary.children.filter(child => child.status === 'executed');
+        const spent = executed.reduce((sum, child) => sum + BigInt(child.inputAmount), 0n);
+        const received = executed.reduce((sum, child) => sum + BigInt(child.outputAmount), 0n);
+        summary.filledAmount = String(filled);
+        summary.receivedAmount = String(received);
+        if (executed.length > 0) {
+            summary.averagePrice = this.price(tokens, spent, received);
+            // Positive when the fills came out worse than the first quote
+            summary.priceDifferenceBps = Math.round(
+                (summary.firstQuotePrice - summary.averagePrice) / summary.firstQuotePrice * 10000
+            );
+        }
+        summary.finishedAt = new Date().toISOString();
+        return summary;
+    }
+
+    /**
+     * Quote one child swap
+     * @param {string} inputMint - Mint sold
+     * @param {string} outputMint - Mint bought
+     * @param {bigint} size - Input amount, in base units
+     * @returns {Object} { pair, quote, price (output tokens per input token), impactPct }
+     */
+    async quote(inputMint, outputMint, size) {
+        const pair = await this.swapper.resolveSwapPair({ inputMint, outputMint, amount: String(size) });
+        const quote = await this.swapper.getQuote(pair);
+        return {
+            pair,
+            quote,
+            price: this.price(pair, quote.inAmount, quote.outAmount),
+            // Jupiter reports impact as a fraction; limits are in percent
+            impactPct: Number(((quote.metadata?.priceImpact ?? parseFloat(quote.priceImpactPct || 0)) * 100).toFixed(4))
+        };
+    }
+
+    /**
+     * Output tokens per whole input token
+     * @param {Object} pair - Resolved pair with inputToken and outputToken decimals
+     * @param {string|bigint} inputAmount - Input, in base units
+     * @param {string|bigint} outputAmount - Output, in base units
+     */
+    price({ inputToken, outputToken }, inputAmount, outputAmount) {
+        const input = Number(inputAmount) / 10 ** inputToken.decimals;
+        const output = Number(outputAmount) / 10 ** outputToken.decimals;
+        return output / input;
+    }
+}
+
+export default TwapExecutor;
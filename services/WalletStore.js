@@ -0,0 +1,463 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { Keypair } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { mnemonicToSeedSync, validateMnemonic } from '@scure/bip39';
+import { wordlist } from '@scure/bip39/wordlists/english';
+
+// Path Phantom, Solflare and `solana-keygen recover 'prompt://?key=0/0'` derive the first account at
+export const DEFAULT_DERIVATION_PATH = "m/44'/501'/0'/0'";
+const HARDENED_OFFSET = 0x80000000;
+
+// Environment variables holding a plain signing key; at most one may be set
+export const KEY_ENV_VARS = ['PRIVATE_KEY', 'KEYPAIR_PATH', 'MNEMONIC'];
+
+const KEYSTORE_VERSION = 1;
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+export const WALLET_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * Turn a base58 secret key into a Keypair, rejecting anything that is not 64 bytes
+ * @param {string} secret - Base58 encoded secret key
+ */
+export function keypairFromBase58(secret) {
+    const bytes = bs58.decode(secret);
+    if (bytes.length !== 64) {
+        throw new Error('Private key must be 64 bytes');
+    }
+    return Keypair.fromSecretKey(bytes);
+}
+
+/**
+ * Turn a Solana CLI style byte array into a Keypair
+ * @param {number[]} bytes - The 64 bytes of the secret key, public key half included
+ */
+export function keypairFromBytes(bytes) {
+    if (!Array.isArray(bytes) || bytes.length !== 64 ||
+        !bytes.every(byte => Number.isInteger(byte) && byte >= 0 && byte <= 255)) {
+        throw new Error('expected a JSON array of 64 bytes');
+    }
+    try {
+        return Keypair.fromSecretKey(Uint8Array.from(bytes));
+    } catch {
+        throw new Error('the public key half does not match the secret key');
+    }
+}
+
+/**
+ * Read a Solana CLI keypair file (a JSON array of 64 bytes), such as ~/.config/solana/id.json
+ * @param {string} filePath - Path to the keypair file; a leading ~ is the home directory
+ */
+export function readKeypairFile(filePath) {
+    const resolved = filePath.replace(/^~(?=$|[\\/])/, os.homedir());
+    try {
+        return keypairFromBytes(JSON.parse(fs.readFileSync(resolved, 'utf8')));
+    } catch (error) {
+        throw new Error(`Invalid keypair file ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Derive an ed25519 seed along a path with SLIP-0010; ed25519 only has hardened children
+ * @param {Buffer} seed - BIP39 seed
+ * @param {string} derivationPath - Path such as m/44'/501'/0'/0'
+ * @returns {Buffer} 32-byte seed for Keypair.fromSeed
+ */
+export function deriveEd25519Seed(seed, derivationPath) {
+    const [root, ...segments] = derivationPath.split('/');
+    if (root !== 'm' || !segments.every(segment => /^\d+'$/.test(segment) && parseInt(segment) < HARDENED_OFFSET)) {
+        throw new Error(`Invalid derivation path "${derivationPath}": use hardened indexes only, like ${DEFAULT_DERIVATION_PATH}`);
+    }
+
+    let digest = crypto.createHmac('sha512', 'ed25519 seed').update(seed).digest();
+    for (const segment of segments) {
+        const data = Buffer.alloc(37); // 0x00 || parent key || index
+        digest.copy(data, 1, 0, 32);
+        data.writeUInt32BE(parseInt(segment) + HARDENED_OFFSET, 33);
+        digest = crypto.createHmac('sha512', digest.subarray(32)).update(data).digest();
+    }
+    return digest.subarray(0, 32);
+}
+
+/**
+ * Derive a Keypair from a BIP39 mnemonic
+ * @param {string} mnemonic - English BIP39 words; case and spacing do not matter
+ * @param {Object} options - { derivationPath (default: DEFAULT_DERIVATION_PATH),
+ *   passphrase: optional BIP39 passphrase }
+ */
+export function keypairFromMnemonic(mnemonic, { derivationPath = DEFAULT_DERIVATION_PATH, passphrase = '' } = {}) {
+    const words = mnemonic.trim().toLowerCase().split(/\s+/).join(' ');
+    if (!validateMnemonic(words, wordlist)) {
+        throw new Error('not a valid BIP39 mnemonic (unknown word, wrong word count or bad checksum)');
+    }
+    return Keypair.fromSeed(deriveEd25519Seed(mnemonicToSeedSync(words, passphrase), derivationPath));
+}
+
+/**
+ * Turn a secret in any supported format into a Keypair: a JSON array of 64 bytes, a BIP39
+ * mnemonic (several words) or a base58 secret key
+ * @param {string} secret - Secret as pasted, piped or read from the environment
+ * @param {Object} mnemonicOptions - { derivationPath, passphrase } for a mnemonic
+ */
+export function keypairFromSecret(secret, mnemonicOptions = {}) {
+    const trimmed = secret.trim();
+    if (trimmed.startsWith('[')) {
+        let bytes;
+        try {
+            bytes = JSON.parse(trimmed);
+        } catch {
+            throw new Error('expected a JSON array of 64 bytes');
+        }
+        return keypairFromBytes(bytes);
+    }
+    if (/\s/.test(trimmed)) {
+        return keypairFromMnemonic(trimmed, mnemonicOptions);
+    }
+    return keypairFromBase58(trimmed);
+}
+
+/**
+ * The signing key named by the environment, if any:
+ *   PRIVATE_KEY   - base58 secret key, JSON byte array or mnemonic
+ *   KEYPAIR_PATH  - Solana CLI keypair file
+ *   MNEMONIC      - BIP39 mnemonic, derived at DERIVATION_PATH with MNEMONIC_PASSPHRASE
+ * @param {Object} env - Environment to read (defaults to process.env)
+ * @returns {Object|null} { keypair, source }, or null when none of them is set
+ */
+export function keypairFromEnv(env = process.env) {
+    const set = KEY_ENV_VARS.filter(key => env[key]);
+    if (set.length > 1) {
+        throw new Error(`Set only one of ${KEY_ENV_VARS.join(', ')}; found ${set.join(' and ')}`);
+    }
+    const mnemonicOptions = {
+        derivationPath: env.DERIVATION_PATH || DEFAULT_DERIVATION_PATH,
+        passphrase: env.MNEMONIC_PASSPHRASE || ''
+    };
+
+    switch (set[0]) {
+        case 'PRIVATE_KEY':
+            try {
+                return { keypair: keypairFromSecret(env.PRIVATE_KEY, mnemonicOptions), source: 'env:PRIVATE_KEY' };
+            } catch (error) {
+                throw new Error(`Invalid private key: ${error.message}`);
+            }
+        case 'KEYPAIR_PATH':
+            return { keypair: readKeypairFile(env.KEYPAIR_PATH), source: env.KEYPAIR_PATH };
+        case 'MNEMONIC':
+            try {
+                return {
+                    keypair: keypairFromMnemonic(env.MNEMONIC, mnemonicOptions),
+                    source: `env:MNEMONIC (${mnemonicOptions.derivationPath})`
+                };
+            } catch (error) {
+                throw new Error(`Invalid mnemonic: ${error.message}`);
+            }
+        default:
+            return null;
+    }
+}
+
+function deriveKey(passphrase, salt, { N, r, p }) {
+    return crypto.scryptSync(passphrase, salt, 32, { N, r, p, maxmem: SCRYPT_MAXMEM });
+}
+
+/**
+ * Encrypt a keypair for the keystore (scrypt key derivation, AES-256-GCM)
+ * @param {Keypair} keypair - Keypair to protect
+ * @param {string} passphrase - Keystore passphrase
+ */
+export function encryptKeypair(keypair, passphrase) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt, SCRYPT_PARAMS), iv);
+    const ciphertext = Buffer.concat([cipher.update(keypair.secretKey), cipher.final()]);
+
+    return {
+        publicKey: keypair.publicKey.toBase58(),
+        crypto: {
+            kdf: 'scrypt',
+            kdfparams: { ...SCRYPT_PARAMS, salt: salt.toString('hex') },
+            cipher: 'aes-256-gcm',
+            iv: iv.toString('hex'),
+            authTag: cipher.getAuthTag().toString('hex'),
+            ciphertext: ciphertext.toString('hex')
+        }
+    };
+}
+
+/**
+ * Decrypt a keystore entry; a wrong passphrase fails the GCM authentication check
+ * @param {Object} entry - Entry produced by encryptKeypair
+ * @param {string} passphrase - Keystore passphrase
+ */
+export function decryptKeypair(entry, passphrase) {
+    const { kdf, kdfparams, cipher, iv, authTag, ciphertext } = entry.crypto || {};
+    if (kdf !== 'scrypt' || cipher !== 'aes-256-gcm') {
+        throw new Error(`Unsupported keystore entry (${kdf}/${cipher})`);
+    }
+
+    let secretKey;
+    try {
+        const key = deriveKey(passphrase, Buffer.from(kdfparams.salt, 'hex'), kdfparams);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'hex'));
+        decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+        secretKey = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]);
+    } catch (error) {
+        throw new Error('Could not decrypt keystore entry (wrong passphrase?)');
+    }
+
+    const keypair = Keypair.fromSecretKey(secretKey);
+    if (keypair.publicKey.toBase58() !== entry.publicKey) {
+        throw new Error(`Keystore entry does not match its public key ${entry.publicKey}`);
+    }
+    return keypair;
+}
+
+/**
+ * Read a keystore file: { version, wallets: { [walletId]: encrypted entry } }
+ * @param {string} keystorePath - Path to the keystore JSON
+ */
+export function readKeystore(keystorePath) {
+    if (!fs.existsSync(keystorePath)) {
+        return { version: KEYSTORE_VERSION, wallets: {} };
+    }
+    const keystore = JSON.parse(fs.readFileSync(keystorePath, 'utf8'));
+    if (keystore.version !== KEYSTORE_VERSION) {
+        throw new Error(`Unsupported keystore version ${keystore.version} in ${keystorePath}`);
+    }
+    return { version: KEYSTORE_VERSION, wallets: keystore.wallets || {} };
+}
+
+/**
+ * Encrypt a keypair into a keystore file under walletId, creating the file if needed.
+ * Every wallet of a keystore shares one passphrase, so it must open the wallets already there.
+ * @param {string} keystorePath - Path to the keystore JSON
+ * @param {string} walletId - Name clients use to reference the wallet
+ * @param {Keypair} keypair - Keypair to store
+ * @param {string} passphrase - Keystore passphrase
+ */
+export function addToKeystore(keystorePath, walletId, keypair, passphrase) {
+    WalletStore.validateWalletId(walletId);
+    const keystore = readKeystore(keystorePath);
+    if (keystore.wallets[walletId]) {
+        throw new Error(`Wallet ${walletId} already exists in ${keystorePath}`);
+    }
+    const [existing] = Object.values(keystore.wallets);
+    if (existing) {
+        decryptKeypair(existing, passphrase);
+    }
+    keystore.wallets[walletId] = encryptKeypair(keypair, passphrase);
+    fs.mkdirSync(path.dirname(path.resolve(keystorePath)), { recursive: true });
+    fs.writeFileSync(keystorePath, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+    return keystore.wallets[walletId];
+}
+
+/**
+ * Public keys of a keystore's wallets, read without the passphrase
+ * @param {string} keystorePath - Path to the keystore JSON
+ * @returns {Array} [{ walletId, publicKey }]
+ */
+export function listKeystore(keystorePath) {
+    return Object.entries(readKeystore(keystorePath).wallets)
+        .map(([walletId, entry]) => ({ walletId, publicKey: entry.publicKey }));
+}
+
+/**
+ * Decrypt one wallet of a keystore
+ * @param {string} keystorePath - Path to the keystore JSON
+ * @param {string} walletId - Wallet to decrypt
+ * @param {string} passphrase - Keystore passphrase
+ */
+export function loadFromKeystore(keystorePath, walletId, passphrase) {
+    if (!fs.existsSync(keystorePath)) {
+        throw new Error(`Keystore not found: ${keystorePath}`);
+    }
+    const { wallets } = readKeystore(keystorePath);
+    if (!wallets[walletId]) {
+        throw new Error(`Wallet ${walletId} is not in ${keystorePath}; available: ${Object.keys(wallets).join(', ') || 'none'}`);
+    }
+    try {
+        return decryptKeypair(wallets[walletId], passphrase);
+    } catch (error) {
+        throw new Error(`Failed to load wallet ${walletId} from ${keystorePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Load the one signer a swap runs with: the key named by PRIVATE_KEY, KEYPAIR_PATH or MNEMONIC
+ * (see keypairFromEnv), else wallet WALLET_ID (default "default") of WALLET_KEYSTORE, opened
+ * with WALLET_KEYSTORE_PASSPHRASE
+ * @param {Object} env - Environment to read (defaults to process.env)
+ * @returns {Object} { keypair, source }
+ */
+export function loadSignerFromEnv(env = process.env) {
+    const fromKey = keypairFromEnv(env);
+    if (fromKey) {
+        return fromKey;
+    }
+    if (!env.WALLET_KEYSTORE) {
+        throw new Error(`No signer configured: set ${KEY_ENV_VARS.join(', ')} or WALLET_KEYSTORE`);
+    }
+    if (!env.WALLET_KEYSTORE_PASSPHRASE) {
+        throw new Error('WALLET_KEYSTORE is set but WALLET_KEYSTORE_PASSPHRASE is not');
+    }
+    const walletId = env.WALLET_ID || 'default';
+    return {
+        keypair: loadFromKeystore(env.WALLET_KEYSTORE, walletId, env.WALLET_KEYSTORE_PASSPHRASE),
+        source: `${env.WALLET_KEYSTORE}#${walletId}`
+    };
+}
+
+/**
+ * WalletStore - Server-side signing keys referenced by walletId
+ * Keys are loaded from env, Solana CLI keypair files or an encrypted keystore,
+ * so clients never have to send secrets over the wire.
+ */
+export class WalletStore {
+    constructor() {
+        this.wallets = new Map(); // walletId -> { keypair (or signer), source }
+    }
+
+    /**
+     * Build a store from the environment:
+     *   PRIVATE_KEY, KEYPAIR_PATH or MNEMONIC -> "default" (see keypairFromEnv)
+     *   WALLET_KEY_<ID>              -> "<id>" (base58 secret key, JSON byte array or mnemonic)
+     *   WALLET_DIR                   -> one wallet per <id>.json keypair file
+     *   WALLET_KEYSTORE (+ _PASSPHRASE) -> every wallet in the encrypted keystore
+     * @param {Object} env - Environment to read (defaults to process.env)
+     */
+    static fromEnv(env = process.env) {
+        const store = new WalletStore();
+
+        const defaultKey = keypairFromEnv(env);
+        if (defaultKey) {
+            store.add('default', defaultKey.keypair, defaultKey.source);
+        }
+
+        const mnemonicOptions = { derivationPath: env.DERIVATION_PATH || DEFAULT_DERIVATION_PATH };
+        for (const [key, value] of Object.entries(env)) {
+            const match = key.match(/^WALLET_KEY_(.+)$/);
+            if (match && value) {
+                store.addSecret(match[1].toLowerCase().replace(/_/g, '-'), value, `env:${key}`, mnemonicOptions);
+            }
+        }
+
+        if (env.WALLET_DIR) {
+            store.loadKeypairDir(env.WALLET_DIR);
+        }
+
+        if (env.WALLET_KEYSTORE) {
+            if (!env.WALLET_KEYSTORE_PASSPHRASE) {
+                throw new Error('WALLET_KEYSTORE is set but WALLET_KEYSTORE_PASSPHRASE is not');
+            }
+            store.loadKeystore(env.WALLET_KEYSTORE, env.WALLET_KEYSTORE_PASSPHRASE);
+        }
+
+        return store;
+    }
+
+    /**
+     * Check that a wallet id is safe to use in URLs, file names and logs
+     * @param {string} walletId - Wallet id to check
+     */
+    static validateWalletId(walletId) {
+        if (typeof walletId !== 'string' || !WALLET_ID_PATTERN.test(walletId)) {
+            throw new Error(`Invalid wallet id "${walletId}": use lowercase letters, digits, "-" and "_"`);
+        }
+    }
+
+    /**
+     * Register a keypair, or a signer such as a RemoteSigner (see Signer.js), under walletId
+     * @param {string} walletId - Name clients use to reference the wallet
+     * @param {Keypair|Object} keypair - Signing keypair, or an object with publicKey and
+     *   signTransaction
+     * @param {string} source - Where the key came from, for listings and errors
+     */
+    add(walletId, keypair, source = 'memory') {
+        WalletStore.validateWalletId(walletId);
+        if (this.wallets.has(walletId)) {
+            throw new Error(`Duplicate wallet id "${walletId}" (${source} and ${this.wallets.get(walletId).source})`);
+        }
+        this.wallets.set(walletId, { keypair, source });
+        return keypair;
+    }
+
+    /**
+     * Register a secret key in any format keypairFromSecret accepts
+     * @param {string} walletId - Wallet id
+     * @param {string} secret - Base58 secret key, JSON byte array or mnemonic
+     * @param {string} source - Where the key came from
+     * @param {Object} mnemonicOptions - { derivationPath, passphrase } for a mnemonic
+     */
+    addSecret(walletId, secret, source, mnemonicOptions = {}) {
+        let keypair;
+        try {
+            keypair = keypairFromSecret(secret, mnemonicOptions);
+        } catch (error) {
+            throw new Error(`Invalid private key for wallet ${walletId} (${source}): ${error.message}`);
+        }
+        return this.add(walletId, keypair, source);
+    }
+
+    /**
+     * Load every <walletId>.json Solana CLI keypair file (a JSON array of 64 bytes) in a directory
+     * @param {string} dir - Directory holding keypair files
+     */
+    loadKeypairDir(dir) {
+        for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+            const filePath = path.join(dir, file);
+            this.add(path.basename(file, '.json'), readKeypairFile(filePath), filePath);
+        }
+    }
+
+    /**
+     * Decrypt and load every wallet in an encrypted keystore
+     * @param {string} keystorePath - Path to the keystore JSON
+     * @param {string} passphrase - Keystore passphrase
+     */
+    loadKeystore(keystorePath, passphrase) {
+        if (!fs.existsSync(keystorePath)) {
+            throw new Error(`Keystore not found: ${keystorePath}`);
+        }
+        const { wallets } = readKeystore(keystorePath);
+        for (const [walletId, entry] of Object.entries(wallets)) {
+            try {
+                this.add(walletId, decryptKeypair(entry, passphrase), keystorePath);
+            } catch (error) {
+                throw new Error(`Failed to load wallet ${walletId} from ${keystorePath}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Get the keypair or signer for a wallet id, or undefined when unknown
+     * @param {string} walletId - Wallet id
+     */
+    get(walletId) {
+        return this.wallets.get(walletId)?.keypair;
+    }
+
+    has(walletId) {
+        return this.wallets.has(walletId);
+    }
+
+    /**
+     * Public view of the store: ids, public keys and sources, never secrets
+     */
+    list() {
+        return [...this.wallets.entries()].map(([walletId, { keypair, source }]) => ({
+            walletId,
+            publicKey: keypair.publicKey.toBase58(),
+            source
+        }));
+    }
+
+    get size() {
+        return this.wallets.size;
+    }
+}
+
+export default WalletStore;
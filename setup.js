@@ -1,32 +1,40 @@
 #!/usr/bin/env node
 
-import { Keypair, PublicKey } from '@solana/web3.js';
-import bs58 from 'bs58';
+import { Keypair } from '@solana/web3.js';
 import fs from 'fs';
+import { addToKeystore, listKeystore } from './services/WalletStore.js';
+import { DEFAULT_KEYSTORE_PATH } from './swap-config.js';
+import { readPassphrase } from './cli-args.js';
 
-console.log('🔧 Jupiter Swap Setup Tool\n');
+const WALLET_ID = 'default';
+
+async function generateTestWallet(keystorePath) {
+    const wallets = listKeystore(keystorePath);
+    if (wallets.some(wallet => wallet.walletId === WALLET_ID)) {
+        throw new Error(`${keystorePath} already has a "${WALLET_ID}" wallet; add another with: jup-swap wallet create --wallet-id <id>`);
+    }
 
-function generateTestWallet() {
     console.log('🔐 Generating test wallet...');
     
-    // Generate a new keypair
+    // Generate a new keypair and encrypt it into the keystore; the secret never touches .env
     const keypair = Keypair.generate();
-    const privateKey = bs58.encode(keypair.secretKey);
     const publicKey = keypair.publicKey.toString();
+    const passphrase = await readPassphrase({ confirm: wallets.length === 0 });
+    addToKeystore(keystorePath, WALLET_ID, keypair, passphrase);
     
     console.log('✅ Test wallet generated:');
     console.log(`   Public Key: ${publicKey}`);
-    console.log(`   Private Key: ${privateKey.slice(0, 20)}...${privateKey.slice(-10)}`);
-    console.log(`   Full Private Key: ${privateKey}`);
+    console.log(`   Keystore: ${keystorePath} (wallet "${WALLET_ID}")`);
     
-    return { privateKey, publicKey };
+    return { publicKey, keystorePath };
 }
 
 function createEnvFile(wallet) {
     console.log('\n📝 Creating .env file...');
     
-    const envContent = `# Solana wallet private key (Base58 encoded)
-PRIVATE_KEY=${wallet.privateKey}
+    const envContent = `# Encrypted keystore holding the signing wallet; jup-swap asks for its passphrase
+# unless WALLET_KEYSTORE_PASSPHRASE is set
+WALLET_KEYSTORE=${wallet.keystorePath}
 
 # Fee recipient wallet address (using same wallet for demo)
 FEE_RECIPIENT=${wallet.publicKey}
@@ -70,7 +78,7 @@ function displayInstructions(wallet) {
     console.log('3️⃣  SAFETY REMINDERS:');
     console.log('   ⚠️  Start with small amounts (0.001 SOL)');
     console.log('   ⚠️  This is mainnet - real money!');
-    console.log('   ⚠️  Keep your private key secure');
+    console.log('   ⚠️  Keep your keystore passphrase secure; without it the wallet is lost');
     console.log('   ⚠️  Test thoroughly before larger amounts\n');
     
     console.log('4️⃣  CUSTOMIZATION:');
@@ -87,12 +95,13 @@ function displayInstructions(wallet) {
 
 // Main execution
 async function main() {
+    console.log('🔧 Jupiter Swap Setup Tool\n');
     try {
-        console.log('This will generate a new test wallet and set up your .env file.');
+        console.log('This will generate a new test wallet in the encrypted keystore and set up your .env file.');
         console.log('⚠️  WARNING: This creates a real mainnet wallet!\n');
         
         // Generate test wallet
-        const wallet = generateTestWallet();
+        const wallet = await generateTestWallet(process.env.WALLET_KEYSTORE || DEFAULT_KEYSTORE_PATH);
         
         // Create .env file
         createEnvFile(wallet);
@@ -109,4 +118,9 @@ async function main() {
     }
 }
 
-main();
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main();
+}
+
+export default main;
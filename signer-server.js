@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+import express from "express";
+import crypto from "crypto";
+import { config } from "dotenv";
+import { VersionedTransaction } from "@solana/web3.js";
+import bs58 from "bs58";
+import { KeypairSigner, signerIndex } from "./services/Signer.js";
+import { loadSignerFromEnv } from "./services/WalletStore.js";
+
+// Signing service for RemoteSigner. It holds one key, so that CoreSwap and
+// jup-swap can swap with REMOTE_SIGNER_URL instead of a key of their own. Run it
+// as its own user, bound to localhost or a private network, with SIGNER_TOKEN.
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest();
+}
+
+/**
+ * Express app serving GET /public-key and POST /sign for one keypair
+ * @param {Object} options - { keypair: the key to sign with, token: bearer
+ *   token clients must present, or null to accept every request (tests only) }
+ */
+export function createSignerApp({ keypair, token = null }) {
+  const signer = new KeypairSigner(keypair);
+  const publicKey = signer.publicKey.toBase58();
+  const app = express();
+  app.use(express.json({ limit: "64kb" }));
+
+  app.use((req, res, next) => {
+    if (token === null) return next();
+    const bearer =
+      req.get("Authorization")?.match(/^Bearer\s+(.+)$/i)?.[1] ?? "";
+    if (!crypto.timingSafeEqual(sha256(bearer), sha256(token))) {
+      return res.status(401).json({ error: "Invalid signer token" });
+    }
+    next();
+  });
+
+  app.get("/public-key", (req, res) => {
+    res.json({ publicKey });
+  });
+
+  app.post("/sign", async (req, res) => {
+    const { publicKey: requested, transaction: serialized } = req.body || {};
+    if (requested && requested !== publicKey) {
+      return res
+        .status(400)
+        .json({ error: `This signer holds ${publicKey}, not ${requested}` });
+    }
+    if (typeof serialized !== "string") {
+      return res
+        .status(400)
+        .json({ error: "transaction (base64) is required" });
+    }
+
+    let transaction;
+    try {
+      transaction = VersionedTransaction.deserialize(
+        Buffer.from(serialized, "base64")
+      );
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ error: `Invalid transaction: ${error.message}` });
+    }
+    const index = signerIndex(transaction, signer.publicKey);
+    if (index === -1) {
+      return res.status(400).json({
+        error: `Transaction does not need a signature from ${publicKey}`,
+      });
+    }
+
+    await signer.signTransaction(transaction);
+    console.log(`✍️  Signed for ${publicKey}`);
+    res.json({ signature: bs58.encode(transaction.signatures[index]) });
+  });
+
+  return app;
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  config();
+  if (!process.env.SIGNER_TOKEN) {
+    console.error(
+      "❌ Set SIGNER_TOKEN; clients send it as REMOTE_SIGNER_TOKEN"
+    );
+    process.exit(1);
+  }
+  const PORT = process.env.SIGNER_PORT || 3003;
+  const HOST = process.env.SIGNER_HOST || "127.0.0.1";
+  let signer;
+  try {
+    signer = loadSignerFromEnv();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  const { keypair, source } = signer;
+  const app = createSignerApp({ keypair, token: process.env.SIGNER_TOKEN });
+  app.listen(PORT, HOST, () => {
+    const publicKey = keypair.publicKey.toBase58();
+    console.log(`Signer for ${publicKey} (${source}) on ${HOST}:${PORT}`);
+    console.log(`Use it with REMOTE_SIGNER_URL=http://${HOST}:${PORT}`);
+  });
+}
+
+export default createSignerApp;
@@ -3,6 +3,7 @@
 import { config } from 'dotenv';
 import axios from 'axios';
 import fs from 'fs';
+import { getJupiterEndpoints } from './jupiter-api.js';
 
 console.log('🎯 Jupiter V6 Implementation Summary\n');
 console.log('=====================================\n');
@@ -14,7 +15,7 @@ async function testJupiterAPI() {
     console.log('1️⃣  JUPITER V6 API CONNECTIVITY:');
     
     try {
-        const response = await axios.get('https://quote-api.jup.ag/v6/quote', {
+        const response = await axios.get(getJupiterEndpoints().quote, {
             params: {
                 inputMint: 'So11111111111111111111111111111111111111112', // SOL
                 outputMint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
@@ -42,7 +43,7 @@ function checkImplementation() {
         { name: 'index.js', desc: 'Main swap bot implementation' },
         { name: 'demo.js', desc: 'API testing demo (no wallet needed)' },
         { name: 'setup.js', desc: 'Wallet generation and setup tool' },
-        { name: 'test.js', desc: 'Environment validation tests' },
+        { name: 'test', desc: 'Automated test suite (npm test)' },
         { name: 'package.json', desc: 'Node.js project configuration' },
         { name: '.env', desc: 'Environment variables' },
         { name: 'env.example', desc: 'Environment template' },
@@ -87,7 +88,7 @@ function showUsageInstructions() {
     
     console.log('   🧪 TESTING:');
     console.log('   node demo.js               # Test Jupiter API (no wallet needed)');
-    console.log('   node test.js               # Validate environment setup\n');
+    console.log('   npm test                   # Run the automated test suite\n');
     
     console.log('   🚀 TRADING:');
     console.log('   node index.js              # Execute SOL → USDC swap');
@@ -97,7 +98,11 @@ function showUsageInstructions() {
 function showConfiguration() {
     console.log('5️⃣  CONFIGURATION OPTIONS:');
     console.log('\n   Environment Variables (.env):');
-    console.log('   PRIVATE_KEY         = Base58-encoded Solana private key');
+    console.log('   WALLET_KEYSTORE     = Encrypted keystore holding the wallet (jup-swap wallet)');
+    console.log('   PRIVATE_KEY         = Or: base58 private key or JSON byte array');
+    console.log('   KEYPAIR_PATH        = Or: Solana CLI keypair file (~/.config/solana/id.json)');
+    console.log('   MNEMONIC            = Or: BIP39 mnemonic, derived at DERIVATION_PATH');
+    console.log('   REMOTE_SIGNER_URL   = Or: signing service holding the key (npm run signer)');
     console.log('   FEE_RECIPIENT       = Address to receive platform fees');
     console.log('   FEE_BASIS_POINTS    = Fee amount (30 = 0.3%)');
     console.log('   RPC_ENDPOINT        = Custom RPC (optional)\n');
@@ -0,0 +1,254 @@
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_JUPITER_API_BASE } from './jupiter-api.js';
+import { WALLET_ID_PATTERN } from './services/WalletStore.js';
+
+// Looked for in the working directory unless --config or JUP_SWAP_CONFIG names a file
+export const DEFAULT_CONFIG_PATH = 'jup-swap.config.json';
+
+// Encrypted keystore the jup-swap wallet commands manage and sign from
+export const DEFAULT_KEYSTORE_PATH = 'wallets.keystore.json';
+
+// Slippage for CoreSwap, the CLI and the server's quotes unless a request sets its own
+export const DEFAULT_SLIPPAGE_BPS = 50;
+
+const PRIORITY_FEE_KEYWORDS = ['auto', 'median', 'none'];
+
+// Each validator returns the normalized value, or throws the reason it is invalid
+const VALIDATORS = {
+    url(value) {
+        if (typeof value !== 'string' || !/^https?:\/\/\S+$/.test(value)) {
+            throw new Error('must be an http(s) URL');
+        }
+        return value.replace(/\/+$/, '');
+    },
+    bps(value) {
+        const bps = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+        if (!Number.isInteger(bps) || bps < 0 || bps > 10000) {
+            throw new Error('must be an integer between 0 and 10000');
+        }
+        return bps;
+    },
+    count(value) {
+        const count = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+        if (!Number.isSafeInteger(count) || count < 0) {
+            throw new Error('must be a non-negative integer');
+        }
+        return count;
+    },
+    priorityFee(value) {
+        if (PRIORITY_FEE_KEYWORDS.includes(value) || (Number.isSafeInteger(value) && value >= 0) ||
+            (typeof value === 'string' && /^\d+$/.test(value))) {
+            return String(value);
+        }
+        throw new Error(`must be ${PRIORITY_FEE_KEYWORDS.join(', ')} or a number of micro-lamports`);
+    },
+    walletId(value) {
+        if (typeof value !== 'string' || !WALLET_ID_PATTERN.test(value)) {
+            throw new Error('must be a wallet id of lowercase letters, digits, "-" and "_"');
+        }
+        return value;
+    },
+    string(value) {
+        if (typeof value !== 'string' || value.trim() === '') {
+            throw new Error('must be a non-empty string');
+        }
+        return value;
+    }
+};
+
+/**
+ * Settings the config layers can set: their type, environment variable, CLI flag and default
+ */
+export const CONFIG_SETTINGS = {
+    rpcEndpoint: {
+        type: 'url',
+        env: 'RPC_ENDPOINT',
+        flag: 'rpc-endpoint',
+        default: 'https://api.mainnet-beta.solana.com'
+    },
+    jupiterApiBase: {
+        type: 'url',
+        env: 'JUPITER_API_BASE',
+        flag: 'jupiter-api-base',
+        default: DEFAULT_JUPITER_API_BASE
+    },
+    slippageBps: {
+        type: 'bps',
+        env: 'SLIPPAGE_BPS',
+        flag: 'slippage-bps',
+        default: DEFAULT_SLIPPAGE_BPS
+    },
+    priorityFee: {
+        type: 'priorityFee',
+        env: 'PRIORITY_FEE',
+        flag: 'priority-fee',
+        default: 'auto'
+    },
+    maxPriorityFeeMicroLamports: {
+        type: 'count',
+        env: 'MAX_PRIORITY_FEE_MICRO_LAMPORTS',
+        default: 50000
+    },
+    keystore: {
+        type: 'string',
+        env: 'WALLET_KEYSTORE',
+        flag: 'keystore',
+        default: DEFAULT_KEYSTORE_PATH
+    },
+    walletId: {
+        type: 'walletId',
+        env: 'WALLET_ID',
+        flag: 'wallet-id',
+        default: 'default'
+    },
+    heliusApiKey: {
+        type: 'string',
+        env: 'HELIUS_API_KEY',
+        default: null,
+        secret: true
+    }
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check one layer of settings against CONFIG_SETTINGS
+ * @param {Object} layer - { setting: raw value }
+ * @param {Function} describe - (setting) => where the value came from, for error messages
+ * @returns {Object} Normalized settings
+ */
+function validateSettings(layer, describe) {
+    const settings = {};
+    for (const [key, value] of Object.entries(layer)) {
+        const setting = CONFIG_SETTINGS[key];
+        if (!setting) {
+            throw new Error(`Unknown setting ${describe(key)}. Known settings: ${Object.keys(CONFIG_SETTINGS).join(', ')}`);
+        }
+        try {
+            settings[key] = VALIDATORS[setting.type](value);
+        } catch (error) {
+            throw new Error(`${describe(key)} ${error.message}, got ${JSON.stringify(value)}`);
+        }
+    }
+    return settings;
+}
+
+/**
+ * Read and validate a config file
+ * @param {string} filePath - Path of the JSON file
+ * @returns {Object} { settings, profiles: { [name]: settings }, defaultProfile }
+ */
+export function readConfigFile(filePath) {
+    let file;
+    try {
+        file = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read config file ${filePath}: ${error.message}`);
+    }
+    if (!isPlainObject(file)) {
+        throw new Error(`Config file ${filePath} must hold a JSON object`);
+    }
+    for (const key of Object.keys(file)) {
+        if (!['defaultProfile', 'settings', 'profiles'].includes(key)) {
+            throw new Error(`Unknown key "${key}" in ${filePath}; use defaultProfile, settings and profiles`);
+        }
+    }
+
+    const { settings = {}, profiles = {}, defaultProfile = null } = file;
+    if (!isPlainObject(settings)) {
+        throw new Error(`"settings" in ${filePath} must be an object`);
+    }
+    if (!isPlainObject(profiles) || !Object.values(profiles).every(isPlainObject)) {
+        throw new Error(`"profiles" in ${filePath} must map profile names to objects of settings`);
+    }
+    if (defaultProfile !== null && !Object.hasOwn(profiles, defaultProfile)) {
+        throw new Error(`defaultProfile "${defaultProfile}" is not one of the profiles in ${filePath}`);
+    }
+
+    return {
+        settings: validateSettings(settings, key => `"${key}" in ${filePath}`),
+        profiles: Object.fromEntries(Object.entries(profiles).map(([name, profile]) =>
+            [name, validateSettings(profile, key => `"${key}" in profile "${name}" of ${filePath}`)])),
+        defaultProfile
+    };
+}
+
+/**
+ * Resolve the effective configuration. Later layers win:
+ * built-in defaults < the file's shared settings < the selected profile < environment < flags.
+ * @param {Object} options - { path: config file (default: JUP_SWAP_CONFIG, else
+ *   ./jup-swap.config.json when it exists), profile (default: JUP_SWAP_PROFILE, else the file's
+ *   defaultProfile), env: environment to read, flags: parsed CLI flags keyed by flag name }
+ * @returns {Object} { path, profile, settings, sources }, where sources names the layer each
+ *   setting came from
+ */
+export function resolveConfig({ path: configPath, profile, env = process.env, flags = {} } = {}) {
+    const requestedPath = configPath ?? env.JUP_SWAP_CONFIG;
+    const filePath = requestedPath ?? (fs.existsSync(DEFAULT_CONFIG_PATH) ? DEFAULT_CONFIG_PATH : null);
+    const file = filePath ? readConfigFile(filePath) : null;
+
+    const profileName = profile ?? env.JUP_SWAP_PROFILE ?? file?.defaultProfile ?? null;
+    if (profileName !== null && !Object.hasOwn(file?.profiles ?? {}, profileName)) {
+        throw new Error(file
+            ? `Profile "${profileName}" is not in ${filePath}; available: ${Object.keys(file.profiles).join(', ') || 'none'}`
+            : `Profile "${profileName}" needs a config file; create ${DEFAULT_CONFIG_PATH} or set JUP_SWAP_CONFIG`);
+    }
+
+    const layers = [
+        { source: 'default', settings: Object.fromEntries(Object.entries(CONFIG_SETTINGS).map(([key, setting]) => [key, setting.default])) },
+        { source: 'file', settings: file?.settings ?? {} },
+        { source: `profile ${profileName}`, settings: profileName ? file.profiles[profileName] : {} },
+        {
+            source: 'env',
+            settings: validateSettings(
+                Object.fromEntries(Object.entries(CONFIG_SETTINGS)
+                    .filter(([, setting]) => env[setting.env])
+                    .map(([key, setting]) => [key, env[setting.env]])),
+                key => CONFIG_SETTINGS[key].env
+            )
+        },
+        {
+            source: 'flag',
+            settings: validateSettings(
+                Object.fromEntries(Object.entries(CONFIG_SETTINGS)
+                    .filter(([, setting]) => setting.flag && flags[setting.flag] !== undefined)
+                    .map(([key, setting]) => [key, flags[setting.flag]])),
+                key => `--${CONFIG_SETTINGS[key].flag}`
+            )
+        }
+    ];
+
+    const settings = {};
+    const sources = {};
+    for (const layer of layers) {
+        for (const [key, value] of Object.entries(layer.settings)) {
+            settings[key] = value;
+            sources[key] = layer.source === 'env'
+                ? `env ${CONFIG_SETTINGS[key].env}`
+                : layer.source === 'flag' ? `flag --${CONFIG_SETTINGS[key].flag}` : layer.source;
+        }
+    }
+
+    return { path: filePath ? path.resolve(filePath) : null, profile: profileName, settings, sources };
+}
+
+/**
+ * The resolved configuration with secrets masked, for display
+ * @param {Object} resolved - resolveConfig() result
+ * @returns {Object} { path, profile, settings: { [key]: { value, source } } }
+ */
+export function describeConfig(resolved) {
+    return {
+        path: resolved.path,
+        profile: resolved.profile,
+        settings: Object.fromEntries(Object.entries(resolved.settings).map(([key, value]) => [key, {
+            value: CONFIG_SETTINGS[key].secret && value !== null ? '********' : value,
+            source: resolved.sources[key]
+        }]))
+    };
+}
+
+export default resolveConfig;
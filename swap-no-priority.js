@@ -1,14 +1,15 @@
 #!/usr/bin/env node
 
 import { CoreSwap } from './core-swap.js';
+import { parseSwapArgs } from './cli-args.js';
 
 // Main execution
 async function main() {
     try {
-        console.log('🚀 Starting Jupiter V6 SOL → USDC swap...\n');
+        const swapArgs = parseSwapArgs();
         
         const swapper = new CoreSwap();
-        await swapper.performSwap({ priorityFeeMicroLamports: 0 });
+        await swapper.performSwap({ ...swapArgs, priorityFeeMicroLamports: 0 });
         process.exit(0);
     } catch (error) {
         console.error(`\n💥 Fatal error: ${error.message}`);
@@ -4,10 +4,9 @@ import { config } from 'dotenv';
 import { 
     Connection, 
     PublicKey, 
-    Keypair,
     LAMPORTS_PER_SOL
 } from '@solana/web3.js';
-import bs58 from 'bs58';
+import { loadSignerFromEnv } from './services/WalletStore.js';
 
 // Load environment variables
 config();
@@ -41,8 +40,7 @@ class PriorityFeeDemo {
     }
 
     initializeWallet() {
-        const privateKeyBytes = bs58.decode(process.env.PRIVATE_KEY);
-        this.keypair = Keypair.fromSecretKey(privateKeyBytes);
+        this.keypair = loadSignerFromEnv().keypair;
         console.log(`💎 Wallet: ${this.keypair.publicKey.toString()}`);
     }
 
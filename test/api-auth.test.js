@@ -0,0 +1,149 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+import {
+    ApiKeyStore,
+    AuditLog,
+    checkSwapLimits,
+    createAuthenticator,
+    signRequest
+} from '../api-auth.js';
+import { SOL_MINT, USDC_MINT, BONK_MINT, listen } from './helpers.js';
+
+const SECRET = 'quote-secret-0123456789';
+
+describe('ApiKeyStore', () => {
+    it('validates key definitions', () => {
+        assert.throws(() => new ApiKeyStore([{ secret: SECRET, scopes: ['quote'] }]), {
+            message: 'API key #0: id is required'
+        });
+        assert.throws(() => new ApiKeyStore([{ id: 'ui', secret: 'short', scopes: ['quote'] }]), {
+            message: 'API key ui: secret must be at least 16 characters'
+        });
+        assert.throws(() => new ApiKeyStore([{ id: 'ui', secret: SECRET, scopes: ['admin'] }]), {
+            message: 'API key ui: scopes must be a non-empty list of quote, swap'
+        });
+        assert.throws(() => new ApiKeyStore([{ id: 'ui', secret: SECRET, scopes: ['quote'], maxNotional: { [SOL_MINT]: '1.5' } }]), {
+            message: `API key ui: maxNotional for ${SOL_MINT} must be an integer amount in base units`
+        });
+        assert.throws(() => new ApiKeyStore([
+            { id: 'ui', secret: SECRET, scopes: ['quote'] },
+            { id: 'ui', secret: `${SECRET}x`, scopes: ['quote'] }
+        ]), { message: 'Duplicate API key id ui' });
+    });
+
+    it('finds keys by secret and lets swap imply quote', () => {
+        const store = new ApiKeyStore([{ id: 'bot', secret: SECRET, scopes: ['swap'] }]);
+        const key = store.findBySecret(SECRET);
+        assert.equal(key.id, 'bot');
+        assert.deepEqual([...key.scopes].sort(), ['quote', 'swap']);
+        assert.equal(store.findBySecret('wrong-secret-0123456789'), undefined);
+    });
+
+    it('is not configured without API_KEYS_FILE', () => {
+        assert.equal(ApiKeyStore.fromEnv({}), null);
+    });
+});
+
+describe('checkSwapLimits', () => {
+    const [key] = new ApiKeyStore([{
+        id: 'desk',
+        secret: SECRET,
+        scopes: ['swap'],
+        wallets: ['ops'],
+        allowedMints: [SOL_MINT, USDC_MINT],
+        maxNotional: { [SOL_MINT]: '1000000000' }
+    }]).keys.values();
+
+    it('allows everything when auth is disabled', () => {
+        assert.equal(checkSwapLimits(null, { walletId: 'x', inputMint: BONK_MINT, inputAmount: '1' }), null);
+    });
+
+    it('allows swaps inside every limit', () => {
+        const swap = { walletId: 'ops', inputMint: SOL_MINT, outputMint: USDC_MINT, inputAmount: '1000000000' };
+        assert.equal(checkSwapLimits(key, swap), null);
+    });
+
+    it('rejects other wallets, mints and larger amounts', () => {
+        assert.equal(
+            checkSwapLimits(key, { walletId: 'treasury', inputMint: SOL_MINT, outputMint: USDC_MINT }),
+            'API key desk may not use wallet treasury'
+        );
+        assert.equal(
+            checkSwapLimits(key, { walletId: 'ops', inputMint: SOL_MINT, outputMint: BONK_MINT }),
+            `API key desk may not trade ${BONK_MINT}`
+        );
+        assert.equal(
+            checkSwapLimits(key, { walletId: 'ops', inputMint: SOL_MINT, outputMint: USDC_MINT, inputAmount: '1000000001' }),
+            `Amount 1000000001 exceeds the 1000000000 limit of API key desk for ${SOL_MINT}`
+        );
+    });
+});
+
+describe('createAuthenticator', () => {
+    let server;
+    const auditEvents = [];
+
+    before(async () => {
+        const requireScope = createAuthenticator({
+            apiKeys: new ApiKeyStore([{ id: 'ui', secret: SECRET, scopes: ['quote'] }]),
+            auditLog: { record: event => auditEvents.push(event) }
+        });
+        const app = express();
+        app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+        app.post('/quote', requireScope('quote'), (req, res) => res.json({ keyId: req.apiKey.id }));
+        server = await listen(app);
+    });
+    after(() => server.close());
+
+    const post = (headers, body = '{"amount":"1"}') =>
+        fetch(`${server.url}/quote?pair=SOL-USDC`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body
+        });
+
+    it('signs the path with its query string', async () => {
+        const headers = signRequest({ keyId: 'ui', secret: SECRET, method: 'POST', path: '/quote?pair=SOL-USDC', body: '{"amount":"1"}' });
+        const response = await post(headers);
+        assert.equal(response.status, 200);
+        assert.deepEqual(await response.json(), { keyId: 'ui' });
+    });
+
+    it('rejects a replayed signature', async () => {
+        const headers = signRequest({ keyId: 'ui', secret: SECRET, method: 'POST', path: '/quote?pair=SOL-USDC', body: '{"amount":"2"}' });
+        assert.equal((await post(headers, '{"amount":"2"}')).status, 200);
+
+        const replay = await post(headers, '{"amount":"2"}');
+        assert.equal(replay.status, 401);
+        assert.deepEqual(await replay.json(), { error: 'Request signature was already used' });
+        assert.equal(auditEvents.at(-1).keyId, 'ui');
+    });
+
+    it('rejects signatures from unknown keys', async () => {
+        const headers = signRequest({ keyId: 'ghost', secret: SECRET, method: 'POST', path: '/quote?pair=SOL-USDC', body: '{"amount":"1"}' });
+        const response = await post(headers);
+        assert.equal(response.status, 401);
+        assert.deepEqual(await response.json(), { error: 'Unknown API key' });
+    });
+});
+
+describe('AuditLog', () => {
+    it('appends one JSON line per event', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+        const log = new AuditLog(path.join(dir, 'nested', 'audit.jsonl'));
+        log.record({ event: 'swap', keyId: 'bot' });
+        log.record({ event: 'auth_denied', keyId: null });
+
+        const lines = fs.readFileSync(log.filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.deepEqual(lines.map(({ event, keyId }) => ({ event, keyId })), [
+            { event: 'swap', keyId: 'bot' },
+            { event: 'auth_denied', keyId: null }
+        ]);
+        assert.ok(!Number.isNaN(Date.parse(lines[0].timestamp)));
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+});
@@ -0,0 +1,621 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Keypair } from '@solana/web3.js';
+import { CoreSwap } from '../core-swap.js';
+import { IdempotencyStore } from '../services/IdempotencyStore.js';
+import { addToKeystore } from '../services/WalletStore.js';
+import { RemoteSigner } from '../services/Signer.js';
+import {
+    SOL_MINT,
+    USDC_MINT,
+    quietConsole,
+    useSwapEnv,
+    createFakeConnection,
+    createFakeNetworkService
+} from './helpers.js';
+
+// Detailed balance checks reserve token account rent and a fee buffer on top of the swap
+const RENT_RESERVE = 2039280;
+const FEE_BUFFER = 500000;
+
+function createSwap({ balance = 0, tokenBalances, ...options } = {}) {
+    const networkService = createFakeNetworkService({
+        balance,
+        connection: createFakeConnection({ tokenBalances })
+    });
+    return new CoreSwap({
+        networkService,
+        quoteService: {},
+        txService: {},
+        priorityFeeService: {},
+        history: { record: () => {} },
+        ...options
+    });
+}
+
+describe('CoreSwap.validateEnvironment', () => {
+    let env;
+
+    beforeEach(() => quietConsole());
+    afterEach(() => {
+        env?.restore();
+        mock.restoreAll();
+    });
+
+    it('loads the keypair from a valid environment', () => {
+        env = useSwapEnv();
+        const swap = createSwap();
+        assert.equal(swap.signer.publicKey.toBase58(), env.keypair.publicKey.toBase58());
+    });
+
+    it('lists every missing variable', () => {
+        env = useSwapEnv({ PRIVATE_KEY: undefined, FEE_BASIS_POINTS: undefined });
+        assert.throws(() => createSwap(), {
+            message: 'Missing environment variables: PRIVATE_KEY, FEE_BASIS_POINTS'
+        });
+    });
+
+    it('rejects a private key that is not 64 bytes', () => {
+        env = useSwapEnv({ PRIVATE_KEY: '3yZe7d' });
+        assert.throws(() => createSwap(), {
+            message: 'Invalid private key: Private key must be 64 bytes'
+        });
+    });
+
+    it('rejects a private key that is not base58', () => {
+        env = useSwapEnv({ PRIVATE_KEY: '0OIl' });
+        assert.throws(() => createSwap(), /^Error: Invalid private key/);
+    });
+
+    it('signs with a keypair or signer given as an option instead of PRIVATE_KEY', () => {
+        env = useSwapEnv({ PRIVATE_KEY: undefined });
+        const keypair = Keypair.generate();
+        assert.equal(createSwap({ keypair }).signer.keypair, keypair);
+        const signer = { publicKey: keypair.publicKey, signTransaction: async transaction => transaction };
+        assert.equal(createSwap({ signer }).signer, signer);
+    });
+
+    it('needs no signer or fee settings when read-only, and then refuses to swap', async () => {
+        env = useSwapEnv({ PRIVATE_KEY: undefined, FEE_RECIPIENT: undefined, FEE_BASIS_POINTS: undefined });
+        const owner = Keypair.generate().publicKey;
+        const swap = createSwap({ readOnly: true, tokenBalances: { [USDC_MINT]: 2500000n } });
+
+        assert.equal(swap.signer, null);
+        assert.equal(await swap.getTokenBalance(USDC_MINT, owner), 2500000n);
+        await assert.rejects(swap.performSwap(), { message: 'This CoreSwap is read-only; create it with a signer to swap' });
+    });
+
+    it('signs through the REMOTE_SIGNER_URL service without a local key', () => {
+        const publicKey = Keypair.generate().publicKey.toBase58();
+        env = useSwapEnv({ PRIVATE_KEY: undefined, REMOTE_SIGNER_URL: 'http://127.0.0.1:3003', REMOTE_SIGNER_PUBLIC_KEY: publicKey });
+        const { signer } = createSwap();
+        assert.ok(signer instanceof RemoteSigner);
+        assert.equal(signer.publicKey.toBase58(), publicKey);
+    });
+
+    it('loads a Solana CLI keypair file from KEYPAIR_PATH', () => {
+        const keypair = Keypair.generate();
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'core-swap-keypair-'));
+        const keyFile = path.join(tmpDir, 'id.json');
+        fs.writeFileSync(keyFile, JSON.stringify([...keypair.secretKey]));
+        try {
+            env = useSwapEnv({ PRIVATE_KEY: undefined, KEYPAIR_PATH: keyFile });
+            assert.equal(createSwap().signer.publicKey.toBase58(), keypair.publicKey.toBase58());
+
+            env.restore();
+            env = useSwapEnv({ KEYPAIR_PATH: keyFile });
+            assert.throws(() => createSwap(), /Set only one of PRIVATE_KEY, KEYPAIR_PATH, MNEMONIC/);
+        } finally {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        }
+    });
+
+    describe('with WALLET_KEYSTORE', () => {
+        let tmpDir;
+        let keystorePath;
+        const trading = Keypair.generate();
+
+        beforeEach(() => {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'core-swap-keystore-'));
+            keystorePath = path.join(tmpDir, 'wallets.keystore.json');
+            addToKeystore(keystorePath, 'trading', trading, 'correct horse');
+        });
+        afterEach(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+        it('loads WALLET_ID from the keystore', () => {
+            env = useSwapEnv({
+                PRIVATE_KEY: undefined,
+                WALLET_KEYSTORE: keystorePath,
+                WALLET_KEYSTORE_PASSPHRASE: 'correct horse',
+                WALLET_ID: 'trading'
+            });
+            assert.equal(createSwap().signer.publicKey.toBase58(), trading.publicKey.toBase58());
+        });
+
+        it('needs the passphrase and the right wallet id', () => {
+            env = useSwapEnv({ PRIVATE_KEY: undefined, WALLET_KEYSTORE: keystorePath });
+            assert.throws(() => createSwap(), /WALLET_KEYSTORE is set but WALLET_KEYSTORE_PASSPHRASE is not/);
+
+            env.restore();
+            env = useSwapEnv({ PRIVATE_KEY: undefined, WALLET_KEYSTORE: keystorePath, WALLET_KEYSTORE_PASSPHRASE: 'correct horse' });
+            assert.throws(() => createSwap(), /Wallet default is not in .*; available: trading/);
+        });
+    });
+
+    it('rejects an invalid fee recipient', () => {
+        env = useSwapEnv({ FEE_RECIPIENT: 'not-a-wallet' });
+        assert.throws(() => createSwap(), { message: 'Invalid fee recipient address' });
+    });
+
+    for (const feeBps of ['-1', '10001', 'abc']) {
+        it(`rejects fee basis points ${feeBps}`, () => {
+            env = useSwapEnv({ FEE_BASIS_POINTS: feeBps });
+            assert.throws(() => createSwap(), {
+                message: 'Fee basis points must be between 0 and 10000'
+            });
+        });
+    }
+
+    it('accepts the fee basis point bounds', () => {
+        for (const feeBps of ['0', '10000']) {
+            env = useSwapEnv({ FEE_BASIS_POINTS: feeBps });
+            assert.doesNotThrow(() => createSwap());
+            env.restore();
+        }
+    });
+});
+
+describe('CoreSwap.checkBalance', () => {
+    let env;
+
+    beforeEach(() => {
+        quietConsole();
+        env = useSwapEnv();
+    });
+    afterEach(() => {
+        env.restore();
+        mock.restoreAll();
+    });
+
+    describe('SOL input', () => {
+        it('passes when the balance covers exactly the swap amount', async () => {
+            const swap = createSwap({ balance: 100000 });
+            const pair = await swap.resolveSwapPair({ amount: 100000 });
+            assert.equal(await swap.checkBalance(pair), 100000);
+        });
+
+        it('fails one lamport short of the swap amount', async () => {
+            const swap = createSwap({ balance: 99999 });
+            const pair = await swap.resolveSwapPair({ amount: 100000 });
+            await assert.rejects(swap.checkBalance(pair), /^Error: Insufficient balance\. Need 0\.0001 SOL/);
+        });
+    });
+
+    describe('with includeDetailedBalance', () => {
+        const amount = 100000;
+        const totalRequired = amount + RENT_RESERVE + FEE_BUFFER;
+
+        it('passes when the balance covers swap, rent and fee buffer', async () => {
+            const swap = createSwap({ balance: totalRequired, includeDetailedBalance: true });
+            const pair = await swap.resolveSwapPair({ amount });
+            assert.equal(await swap.checkBalance(pair), totalRequired);
+        });
+
+        it('fails one lamport short of swap, rent and fee buffer', async () => {
+            const swap = createSwap({ balance: totalRequired - 1, includeDetailedBalance: true });
+            const pair = await swap.resolveSwapPair({ amount });
+            await assert.rejects(swap.checkBalance(pair), /Insufficient balance for swap \+ fees/);
+        });
+
+        it('reports the swap amount itself when it is not covered', async () => {
+            const swap = createSwap({ balance: amount - 1, includeDetailedBalance: true });
+            const pair = await swap.resolveSwapPair({ amount });
+            await assert.rejects(swap.checkBalance(pair), /^Error: Insufficient balance for swap\. Need/);
+        });
+    });
+
+    describe('ExactOut', () => {
+        const quote = { inAmount: '250000', outAmount: '1000000', otherAmountThreshold: '300000' };
+
+        it('passes when the balance covers the quote otherAmountThreshold', async () => {
+            const swap = createSwap({ balance: 300000 });
+            const pair = await swap.resolveSwapPair({ amount: 1000000, swapMode: 'ExactOut' });
+            assert.equal(await swap.checkBalance(pair, quote), 300000);
+        });
+
+        it('fails one lamport short of the quote otherAmountThreshold', async () => {
+            const swap = createSwap({ balance: 299999 });
+            const pair = await swap.resolveSwapPair({ amount: 1000000, swapMode: 'ExactOut' });
+            await assert.rejects(swap.checkBalance(pair, quote), /Insufficient balance\. Need 0\.0003 SOL/);
+        });
+
+        it('requires a quote', async () => {
+            const swap = createSwap({ balance: 10 ** 9 });
+            const pair = await swap.resolveSwapPair({ amount: 1000000, swapMode: 'ExactOut' });
+            await assert.rejects(swap.checkBalance(pair), /needs a quote with otherAmountThreshold/);
+        });
+    });
+
+    describe('SPL token input', () => {
+        it('checks the token balance instead of spending SOL', async () => {
+            const swap = createSwap({ balance: 0, tokenBalances: { [USDC_MINT]: 1000000n } });
+            const pair = await swap.resolveSwapPair({
+                inputMint: USDC_MINT,
+                outputMint: SOL_MINT,
+                amount: 1000000
+            });
+            assert.equal(await swap.checkBalance(pair), 0);
+        });
+
+        it('fails when the token balance is one unit short', async () => {
+            const swap = createSwap({ balance: 10 ** 9, tokenBalances: { [USDC_MINT]: 999999n } });
+            const pair = await swap.resolveSwapPair({
+                inputMint: USDC_MINT,
+                outputMint: SOL_MINT,
+                amount: 1000000
+            });
+            await assert.rejects(
+                swap.checkBalance(pair),
+                { message: 'Insufficient USDC balance. Need 1.000000, have 0.999999' }
+            );
+        });
+    });
+});
+
+describe('CoreSwap.performSwap with an idempotency key', () => {
+    let env;
+    let swap;
+    let runs;
+
+    beforeEach(() => {
+        quietConsole();
+        env = useSwapEnv();
+        swap = createSwap({ idempotencyStore: new IdempotencyStore() });
+        runs = 0;
+    });
+    afterEach(() => {
+        env.restore();
+        mock.restoreAll();
+    });
+
+    // Stand in for the swap flow: fails when told to, after reporting submission if asked
+    function stubRunSwap({ error, submitted = true } = {}) {
+        mock.method(swap, 'runSwap', async (params, onSubmit = () => {}) => {
+            runs++;
+            if (submitted) onSubmit();
+            if (error) throw new Error(error);
+            return { signature: `sig-${runs}`, inputMint: params.inputMint };
+        });
+    }
+
+    it('returns the first result for a repeated key', async () => {
+        stubRunSwap();
+        const first = await swap.performSwap({ inputMint: SOL_MINT, idempotencyKey: 'order-1' });
+        const second = await swap.performSwap({ inputMint: SOL_MINT, idempotencyKey: 'order-1' });
+        assert.equal(runs, 1);
+        assert.equal(first.signature, 'sig-1');
+        assert.deepEqual(second, { ...first, replayed: true });
+    });
+
+    it('runs again without a key', async () => {
+        stubRunSwap();
+        await swap.performSwap({ inputMint: SOL_MINT });
+        await swap.performSwap({ inputMint: SOL_MINT });
+        assert.equal(runs, 2);
+    });
+
+    it('rejects a key reused with different parameters', async () => {
+        stubRunSwap();
+        await swap.performSwap({ inputMint: SOL_MINT, idempotencyKey: 'order-1' });
+        await assert.rejects(
+            swap.performSwap({ inputMint: USDC_MINT, idempotencyKey: 'order-1' }),
+            { code: 'IDEMPOTENCY_KEY_REUSED' }
+        );
+    });
+
+    it('replays a failure that happened after submission', async () => {
+        stubRunSwap({ error: 'Transaction execution failed: timeout' });
+        for (let attempt = 0; attempt < 2; attempt++) {
+            await assert.rejects(
+                swap.performSwap({ idempotencyKey: 'order-1' }),
+                { message: 'Transaction execution failed: timeout' }
+            );
+        }
+        assert.equal(runs, 1);
+    });
+
+    it('frees the key when the swap failed before submission', async () => {
+        stubRunSwap({ error: 'Insufficient SOL balance', submitted: false });
+        await assert.rejects(swap.performSwap({ idempotencyKey: 'order-1' }));
+        await assert.rejects(swap.performSwap({ idempotencyKey: 'order-1' }));
+        assert.equal(runs, 2);
+    });
+
+    it('refuses to rerun a swap interrupted by a restart', async () => {
+        const store = new IdempotencyStore();
+        const key = `coreswap:${swap.signer.publicKey.toBase58()}:order-1`;
+        store.begin(key, IdempotencyStore.fingerprint({}));
+        store.records.get(key).status = 'interrupted';
+        swap.idempotencyStore = store;
+        stubRunSwap();
+        await assert.rejects(swap.performSwap({ idempotencyKey: 'order-1' }), { code: 'IDEMPOTENCY_INTERRUPTED' });
+        assert.equal(runs, 0);
+    });
+});
+
+describe('CoreSwap.performSwap history and settlement', () => {
+    let env;
+    let swap;
+    let entries;
+    let verified;
+
+    const SETTLEMENT = {
+        swapMode: 'ExactIn',
+        inputAmount: '100000',
+        outputAmount: '14800',
+        quotedInAmount: '100000',
+        quotedOutAmount: '15000',
+        otherAmountThreshold: '14850',
+        slippageBps: 133.33,
+        worseThanThreshold: true,
+        platformFeeAmount: null,
+        fees: { baseLamports: '5000', priorityLamports: '2000', rentLamports: '0', totalLamports: '7000' },
+        computeUnitsConsumed: 42000
+    };
+
+    beforeEach(() => {
+        quietConsole();
+        env = useSwapEnv();
+        entries = [];
+        verified = [];
+        swap = createSwap({
+            history: { record: entry => entries.push(entry) },
+            settlementService: {
+                verifySwap: async params => {
+                    verified.push(params);
+                    return SETTLEMENT;
+                }
+            }
+        });
+        mock.method(swap, 'resolveSwapPair', async () => ({
+            inputMint: SOL_MINT,
+            outputMint: USDC_MINT,
+            amount: '100000',
+            swapMode: 'ExactIn',
+            inputToken: { symbol: 'SOL', decimals: 9 },
+            outputToken: { symbol: 'USDC', decimals: 6 }
+        }));
+        mock.method(swap, 'checkBalance', async () => {});
+        mock.method(swap, 'getQuote', async () => ({
+            inAmount: '100000',
+            outAmount: '15000',
+            slippageBps: 100,
+            metadata: { priceImpact: 0.0001, routeInfo: { route: 'Raydium' } }
+        }));
+        mock.method(swap, 'resolvePriorityFee', async () => 5000);
+        mock.method(swap, 'createSwapTransaction', async () => 'base64tx');
+    });
+    afterEach(() => {
+        env.restore();
+        mock.restoreAll();
+    });
+
+    it('records a confirmed swap with its quote, fee and compute units', async () => {
+        mock.method(swap, 'executeSwap', async () => ({ signature: 'sig1', computeUnitsConsumed: 42000 }));
+        await swap.performSwap({});
+        assert.equal(entries.length, 1);
+        assert.deepEqual({ ...entries[0], durationMs: undefined }, {
+            source: 'coreswap',
+            wallet: swap.signer.publicKey.toBase58(),
+            inputMint: SOL_MINT,
+            outputMint: USDC_MINT,
+            swapMode: 'ExactIn',
+            amount: '100000',
+            inAmount: '100000',
+            outAmount: '15000',
+            route: 'Raydium',
+            slippageBps: 100,
+            priceImpact: 0.0001,
+            priorityFeeMicroLamports: 5000,
+            computeUnitsConsumed: 42000,
+            signature: 'sig1',
+            status: 'confirmed',
+            settlement: SETTLEMENT,
+            durationMs: undefined
+        });
+    });
+
+    it('records the idempotency key of a keyed swap', async () => {
+        mock.method(swap, 'executeSwap', async () => ({ signature: 'sig1', computeUnitsConsumed: 42000 }));
+        swap.idempotencyStore = new IdempotencyStore();
+        await swap.performSwap({ idempotencyKey: 'limit:order-1:0' });
+        assert.equal(entries[0].idempotencyKey, 'limit:order-1:0');
+    });
+
+    it('reports the realized amounts and flags fills below the quoted minimum', async () => {
+        mock.method(swap, 'executeSwap', async () => ({ signature: 'sig1', computeUnitsConsumed: 42000 }));
+        const result = await swap.performSwap({});
+        assert.equal(result.outputAmount, 0.0148);
+        assert.equal(result.settlement, SETTLEMENT);
+        assert.equal(verified[0].signature, 'sig1');
+        assert.ok(verified[0].owner.equals(swap.signer.publicKey));
+        assert.equal(verified[0].quote.outputMint, USDC_MINT);
+        assert.equal(verified[0].feeAccount, undefined);
+        assert.ok(console.warn.mock.calls.some(call => call.arguments[0].includes('worse than the quoted minimum output of 0.014850')));
+    });
+
+    it('falls back to the quote when the settlement cannot be checked', async () => {
+        swap.settlementService = { verifySwap: async () => { throw new Error('Transaction sig1 not found after 5 attempts'); } };
+        mock.method(swap, 'executeSwap', async () => ({ signature: 'sig1', computeUnitsConsumed: 42000 }));
+        const result = await swap.performSwap({});
+        assert.equal(result.outputAmount, 0.015);
+        assert.equal(result.settlement, null);
+    });
+
+    it('skips the check with verifySettlement: false', async () => {
+        swap.options.verifySettlement = false;
+        mock.method(swap, 'executeSwap', async () => ({ signature: 'sig1', computeUnitsConsumed: 42000 }));
+        assert.equal((await swap.performSwap({})).settlement, null);
+        assert.equal(verified.length, 0);
+    });
+
+    it('records a failed swap with its error and signature', async () => {
+        mock.method(swap, 'executeSwap', async () => {
+            const error = new Error('Transaction execution failed: Slippage tolerance exceeded');
+            error.signature = 'sig2';
+            error.confirmationResult = { err: { InstructionError: [3, { Custom: 6001 }] } };
+            throw error;
+        });
+        await assert.rejects(swap.performSwap({}));
+        assert.equal(entries[0].status, 'failed');
+        assert.equal(entries[0].signature, 'sig2');
+        assert.equal(entries[0].error, 'Transaction execution failed: Slippage tolerance exceeded');
+    });
+
+    it('records a swap sent but never confirmed as unconfirmed, with its signature', async () => {
+        mock.method(swap, 'executeSwap', async () => {
+            const error = new Error('Transaction execution failed: Transaction confirmation failed: timeout');
+            error.signature = 'sig3';
+            error.code = 'CONFIRMATION_UNKNOWN';
+            throw error;
+        });
+        await assert.rejects(swap.performSwap({}));
+        assert.equal(entries[0].status, 'unconfirmed');
+        assert.equal(entries[0].signature, 'sig3');
+    });
+
+    it('reports each stage it reaches through onStage', async () => {
+        mock.method(swap, 'executeSwap', async () => ({ signature: 'sig1', computeUnitsConsumed: 42000 }));
+        const stages = [];
+        await swap.performSwap({}, { onStage: (stage, data) => stages.push([stage, data]) });
+
+        assert.deepEqual(stages, [
+            ['quote', { inAmount: '100000', outAmount: '15000', otherAmountThreshold: null, priceImpact: 0.0001, route: 'Raydium' }],
+            ['built', { priorityFeeMicroLamports: 5000 }],
+            ['confirmed', { signature: 'sig1', computeUnitsConsumed: 42000 }]
+        ]);
+    });
+
+    it('still returns the swap when the ledger cannot be written', async () => {
+        swap.history = { record: () => { throw new Error('disk full'); } };
+        mock.method(swap, 'executeSwap', async () => ({ signature: 'sig1', computeUnitsConsumed: 42000 }));
+        assert.equal((await swap.performSwap({})).signature, 'sig1');
+    });
+
+    describe('with an idempotency key', () => {
+        let sends;
+
+        beforeEach(() => {
+            swap.idempotencyStore = new IdempotencyStore();
+            sends = 0;
+        });
+
+        // TxService stand-in whose first execution fails at `stage`; later ones confirm
+        function failFirstExecution(stage) {
+            let executions = 0;
+            swap.txService = {
+                prepareTransaction: async () => {
+                    if (stage === 'sign' && executions++ === 0) throw new Error('Remote signer unavailable');
+                    return {};
+                },
+                executeTransaction: async (transaction, { onSend }) => {
+                    if (stage === 'simulate' && executions++ === 0) {
+                        throw new Error('Pre-execution simulation failed: {"InstructionError":[3,{"Custom":6001}]}');
+                    }
+                    onSend();
+                    sends++;
+                    if (stage === 'confirm' && executions++ === 0) {
+                        const error = new Error('Transaction confirmation failed: timeout');
+                        error.signature = 'sig-lost';
+                        error.code = 'CONFIRMATION_UNKNOWN';
+                        throw error;
+                    }
+                    return { signature: 'sig1', computeUnitsConsumed: 42000 };
+                }
+            };
+        }
+
+        for (const stage of ['sign', 'simulate']) {
+            it(`frees the key when the ${stage} step fails before sending`, async () => {
+                failFirstExecution(stage);
+                await assert.rejects(swap.performSwap({ idempotencyKey: 'order-1' }));
+                const result = await swap.performSwap({ idempotencyKey: 'order-1' });
+                assert.equal(result.signature, 'sig1');
+                assert.equal(result.replayed, undefined);
+                assert.equal(sends, 1);
+            });
+        }
+
+        it('replays a failure once the transaction was sent', async () => {
+            failFirstExecution('confirm');
+            for (let attempt = 0; attempt < 2; attempt++) {
+                await assert.rejects(
+                    swap.performSwap({ idempotencyKey: 'order-1' }),
+                    { message: 'Transaction execution failed: Transaction confirmation failed: timeout' }
+                );
+            }
+            assert.equal(sends, 1);
+        });
+    });
+
+    describe('with dryRun', () => {
+        const SIMULATION = {
+            success: true,
+            error: null,
+            computeUnitsConsumed: 61000,
+            feeLamports: 5000,
+            balanceChanges: [
+                { mint: SOL_MINT, account: 'wallet', before: '1000000000', after: '999895000', change: '-105000' },
+                { mint: USDC_MINT, account: 'ata', before: '0', after: '15000', change: '15000' }
+            ],
+            logs: ['Program JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4 success']
+        };
+        let simulated;
+
+        beforeEach(() => {
+            simulated = [];
+            swap.txService = { prepareTransaction: async (transaction, signer) => ({ transaction, signer }) };
+            swap.simulationService = {
+                simulate: async (transaction, params) => {
+                    simulated.push({ transaction, params });
+                    return simulated.result ?? SIMULATION;
+                }
+            };
+            mock.method(swap, 'executeSwap', async () => { throw new Error('must not send'); });
+        });
+
+        it('signs and simulates without sending or recording the swap', async () => {
+            const result = await swap.performSwap({ dryRun: true, idempotencyKey: 'order-1' });
+
+            assert.equal(result.dryRun, true);
+            assert.equal(result.simulation, SIMULATION);
+            assert.equal(result.priorityFeeMicroLamports, 5000);
+            assert.equal(swap.executeSwap.mock.callCount(), 0);
+            assert.equal(simulated[0].transaction.transaction, 'base64tx');
+            assert.equal(simulated[0].transaction.signer, swap.signer);
+            assert.deepEqual(simulated[0].params.mints, [SOL_MINT, USDC_MINT]);
+            assert.deepEqual(entries, []);
+            assert.equal(swap.idempotencyStore, null);
+            assert.ok(console.log.mock.calls.some(call => call.arguments[0] === '   USDC: +0.015000'));
+        });
+
+        it('reports the simulated stage instead of confirmed', async () => {
+            const stages = [];
+            await swap.performSwap({ dryRun: true }, { onStage: stage => stages.push(stage) });
+            assert.deepEqual(stages, ['quote', 'built', 'simulated']);
+        });
+
+        it('fails when the simulation fails', async () => {
+            simulated.result = { ...SIMULATION, success: false, error: { InstructionError: [2, { Custom: 6001 }] }, balanceChanges: [] };
+            await assert.rejects(swap.performSwap({ dryRun: true }), error => {
+                assert.equal(error.message, 'Simulation failed: {"InstructionError":[2,{"Custom":6001}]}');
+                assert.equal(error.simulation.success, false);
+                return true;
+            });
+            assert.deepEqual(entries, []);
+        });
+    });
+});
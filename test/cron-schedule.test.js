@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CronSchedule } from '../services/CronSchedule.js';
+
+const next = (expression, after) => new CronSchedule(expression).next(new Date(after)).toISOString();
+
+describe('CronSchedule', () => {
+    it('finds the next matching minute in UTC', () => {
+        assert.equal(next('*/15 * * * *', '2026-01-01T00:14:30Z'), '2026-01-01T00:15:00.000Z');
+        assert.equal(next('*/15 * * * *', '2026-01-01T00:15:00Z'), '2026-01-01T00:30:00.000Z');
+        assert.equal(next('30 9 * * *', '2026-01-01T10:00:00Z'), '2026-01-02T09:30:00.000Z');
+        assert.equal(next('0 0 1 * *', '2026-12-15T00:00:00Z'), '2027-01-01T00:00:00.000Z');
+    });
+
+    it('supports ranges, lists and stepped ranges', () => {
+        // Friday 16 October 2026 → Monday
+        assert.equal(next('0 9 * * 1-5', '2026-10-16T10:00:00Z'), '2026-10-19T09:00:00.000Z');
+        assert.equal(next('0 6,18 * * *', '2026-01-01T07:00:00Z'), '2026-01-01T18:00:00.000Z');
+        assert.equal(next('10-40/15 * * * *', '2026-01-01T00:26:00Z'), '2026-01-01T00:40:00.000Z');
+        assert.equal(next('0 0 * * 7', '2026-10-16T00:00:00Z'), '2026-10-18T00:00:00.000Z');
+    });
+
+    it('matches either a restricted day of month or day of week', () => {
+        // 1 February 2026 is a Sunday; the first Friday is the 6th, before the 13th
+        assert.equal(next('0 0 13 * 5', '2026-02-01T00:00:00Z'), '2026-02-06T00:00:00.000Z');
+    });
+
+    it('expands macros', () => {
+        assert.equal(next('@hourly', '2026-01-01T00:01:00Z'), '2026-01-01T01:00:00.000Z');
+        assert.equal(next('@weekly', '2026-10-16T00:00:00Z'), '2026-10-18T00:00:00.000Z');
+        assert.ok(new CronSchedule('@daily').matches(new Date('2026-03-04T00:00:00Z')));
+    });
+
+    it('rejects malformed expressions and ones that never fire', () => {
+        assert.throws(() => new CronSchedule('* * *'), /Invalid cron expression "\* \* \*": expected 5 fields/);
+        assert.throws(() => new CronSchedule('61 * * * *'), /minute "61" is outside 0-59/);
+        assert.throws(() => new CronSchedule('0 0 * * mon'), /bad day of week "mon"/);
+        assert.throws(() => new CronSchedule('5-1 * * * *'), /minute "5-1" is outside 0-59/);
+        assert.throws(() => new CronSchedule('0 0 30 2 *').next(new Date('2026-01-01T00:00:00Z')), /never fires/);
+    });
+});
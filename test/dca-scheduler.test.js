@@ -0,0 +1,186 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DcaScheduler } from '../services/DcaScheduler.js';
+import { DcaStore } from '../services/DcaStore.js';
+import { SOL_MINT, USDC_MINT, quietConsole } from './helpers.js';
+
+const CREATED = new Date('2026-01-01T00:05:00Z');
+
+/**
+ * CoreSwap stand-in: quotes 1 SOL at `price` USDC and settles swaps at that price
+ */
+function createSwapper({ price = 150, fail = false } = {}) {
+    const swaps = [];
+    const quoteFor = amount => ({ inAmount: String(amount), outAmount: String(Math.floor(Number(amount) * price / 1000)) });
+    return {
+        swaps,
+        async resolveSwapPair(params) {
+            return { ...params, inputToken: { decimals: 9 }, outputToken: { decimals: 6 } };
+        },
+        async getQuote(pair) {
+            return quoteFor(pair.amount);
+        },
+        async performSwap(params) {
+            swaps.push(params);
+            if (fail) throw new Error('Insufficient SOL balance');
+            const quote = quoteFor(params.amount);
+            return { signature: `sig-${swaps.length}`, quote, settlement: { inputAmount: quote.inAmount, outputAmount: quote.outAmount } };
+        }
+    };
+}
+
+describe('DcaScheduler', () => {
+    let store;
+
+    beforeEach(() => {
+        quietConsole();
+        store = new DcaStore();
+    });
+    afterEach(() => mock.restoreAll());
+
+    function create(params = {}) {
+        return store.create({
+            inputMint: SOL_MINT,
+            outputMint: USDC_MINT,
+            amount: '100000000',
+            cron: '0 * * * *',
+            ...params
+        }, CREATED).id;
+    }
+
+    it('swaps due schedules through performSwap and advances them', async () => {
+        const id = create();
+        const swapper = createSwapper();
+        const scheduler = new DcaScheduler({ store, swapper });
+
+        assert.deepEqual(await scheduler.runDue(new Date('2026-01-01T00:59:00Z')), []);
+        const runs = await scheduler.runDue(new Date('2026-01-01T01:00:30Z'));
+
+        assert.equal(runs.length, 1);
+        assert.equal(runs[0].status, 'executed');
+        assert.deepEqual(swapper.swaps, [{
+            inputMint: SOL_MINT,
+            outputMint: USDC_MINT,
+            amount: '100000000',
+            idempotencyKey: `dca:${id}:2026-01-01T01:00:00.000Z`
+        }]);
+        const schedule = store.get(id);
+        assert.equal(schedule.nextRunAt, '2026-01-01T02:00:00.000Z');
+        assert.equal(schedule.executedRuns, 1);
+        assert.equal(schedule.totalSpent, '100000000');
+        assert.equal(schedule.totalReceived, '15000000');
+        assert.equal(schedule.runs[0].signature, 'sig-1');
+    });
+
+    it('runs only the latest missed run when skipping', async () => {
+        const id = create();
+        const swapper = createSwapper();
+        await new DcaScheduler({ store, swapper }).runDue(new Date('2026-01-01T04:10:00Z'));
+
+        assert.equal(swapper.swaps.length, 1);
+        assert.match(swapper.swaps[0].idempotencyKey, /2026-01-01T04:00:00.000Z$/);
+        assert.deepEqual(store.get(id).runs.map(run => run.status), ['skipped', 'executed']);
+        assert.equal(store.get(id).runs[0].reason, '3 missed runs');
+        assert.equal(store.get(id).nextRunAt, '2026-01-01T05:00:00.000Z');
+    });
+
+    it('catches up each missed run, up to maxCatchUp', async () => {
+        const id = create({ missedRuns: 'catch-up' });
+        const swapper = createSwapper();
+        await new DcaScheduler({ store, swapper }, { maxCatchUp: 3 }).runDue(new Date('2026-01-01T04:10:00Z'));
+
+        assert.deepEqual(swapper.swaps.map(swap => swap.idempotencyKey.slice(-24)), [
+            '2026-01-01T02:00:00.000Z',
+            '2026-01-01T03:00:00.000Z',
+            '2026-01-01T04:00:00.000Z'
+        ]);
+        assert.equal(store.get(id).runs[0].reason, '1 missed run');
+        assert.equal(store.get(id).executedRuns, 3);
+    });
+
+    it('caps the last run at maxTotal and then completes', async () => {
+        const id = create({ maxTotal: '250000000', missedRuns: 'catch-up' });
+        const swapper = createSwapper();
+        await new DcaScheduler({ store, swapper }).runDue(new Date('2026-01-01T05:00:00Z'));
+
+        assert.deepEqual(swapper.swaps.map(swap => swap.amount), ['100000000', '100000000', '50000000']);
+        const schedule = store.get(id);
+        assert.equal(schedule.status, 'completed');
+        assert.equal(schedule.totalSpent, '250000000');
+        assert.equal(schedule.nextRunAt, null);
+    });
+
+    it('skips runs while the price is outside the floor or ceiling', async () => {
+        const ceilingId = create({ priceCeiling: 140 });
+        const floorId = create({ priceFloor: 200 });
+        const inRangeId = create({ priceFloor: 100, priceCeiling: 200 });
+        const swapper = createSwapper({ price: 150 });
+        await new DcaScheduler({ store, swapper }).runDue(new Date('2026-01-01T01:00:00Z'));
+
+        assert.equal(store.get(ceilingId).runs[0].reason, 'price 150 above ceiling 140');
+        assert.equal(store.get(floorId).runs[0].reason, 'price 150 below floor 200');
+        assert.equal(store.get(inRangeId).runs[0].status, 'executed');
+        assert.equal(store.get(inRangeId).runs[0].price, 150);
+        assert.equal(swapper.swaps.length, 1);
+    });
+
+    it('records failed swaps and keeps the schedule active', async () => {
+        const id = create();
+        await new DcaScheduler({ store, swapper: createSwapper({ fail: true }) }).runDue(new Date('2026-01-01T01:00:00Z'));
+        const schedule = store.get(id);
+        assert.equal(schedule.status, 'active');
+        assert.equal(schedule.runs[0].status, 'failed');
+        assert.equal(schedule.runs[0].error, 'Insufficient SOL balance');
+        assert.equal(schedule.totalSpent, '0');
+    });
+
+    it('leaves a run still in progress elsewhere for that scheduler to record', async () => {
+        const id = create();
+        const swapper = createSwapper();
+        swapper.performSwap = async () => {
+            const error = new Error(`Swap with idempotency key dca:${id}:2026-01-01T01:00:00.000Z is still in progress`);
+            error.code = 'IDEMPOTENCY_IN_PROGRESS';
+            throw error;
+        };
+        const runs = await new DcaScheduler({ store, swapper }).runDue(new Date('2026-01-01T01:00:00Z'));
+
+        assert.equal(runs[0].status, 'in_progress');
+        assert.equal(store.get(id).status, 'active');
+        assert.deepEqual(store.get(id).runs, []);
+    });
+
+    it('pauses the schedule after an interrupted run, without catching up further', async () => {
+        const id = create({ missedRuns: 'catch-up' });
+        const swapper = createSwapper();
+        swapper.performSwap = async params => {
+            swapper.swaps.push(params);
+            const error = new Error(`Swap with idempotency key ${params.idempotencyKey} was interrupted before finishing; check the wallet before using a new key`);
+            error.code = 'IDEMPOTENCY_INTERRUPTED';
+            throw error;
+        };
+        await new DcaScheduler({ store, swapper }).runDue(new Date('2026-01-01T03:00:00Z'));
+
+        const schedule = store.get(id);
+        assert.equal(swapper.swaps.length, 1);
+        assert.equal(schedule.status, 'paused');
+        assert.equal(schedule.runs[0].status, 'interrupted');
+        assert.match(schedule.runs[0].error, /was interrupted before finishing/);
+        assert.equal(schedule.executedRuns, 0);
+    });
+
+    it('leaves paused schedules alone and stops catching up once paused', async () => {
+        const pausedId = create();
+        store.pause(pausedId);
+        const id = create({ missedRuns: 'catch-up' });
+        const swapper = createSwapper();
+        const performSwap = swapper.performSwap;
+        swapper.performSwap = async params => {
+            store.pause(id); // As if the CLI paused it during the first run
+            return performSwap.call(swapper, params);
+        };
+        await new DcaScheduler({ store, swapper }).runDue(new Date('2026-01-01T03:00:00Z'));
+
+        assert.equal(swapper.swaps.length, 1);
+        assert.equal(store.get(pausedId).runs.length, 0);
+    });
+});
@@ -0,0 +1,82 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { DcaStore } from '../services/DcaStore.js';
+import { SOL_MINT, USDC_MINT } from './helpers.js';
+
+const NOW = new Date('2026-01-01T00:05:00Z');
+const PARAMS = { inputMint: SOL_MINT, outputMint: USDC_MINT, amount: '100000', cron: '0 * * * *' };
+
+describe('DcaStore', () => {
+    let tmpDir;
+
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dca-store-'));
+    });
+    after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+    it('creates a schedule due at the next cron time', () => {
+        const schedule = new DcaStore().create({ ...PARAMS, maxTotal: 1000000, priceFloor: '100' }, NOW);
+        assert.match(schedule.id, /^[0-9a-f]{8}$/);
+        assert.equal(schedule.status, 'active');
+        assert.equal(schedule.nextRunAt, '2026-01-01T01:00:00.000Z');
+        assert.equal(schedule.maxTotal, '1000000');
+        assert.equal(schedule.priceFloor, 100);
+        assert.equal(schedule.priceCeiling, null);
+        assert.equal(schedule.missedRuns, 'skip');
+        assert.equal(schedule.totalSpent, '0');
+    });
+
+    for (const [label, params, error] of [
+        ['a bad mint', { inputMint: 'nope' }, 'Invalid input mint address: nope'],
+        ['the same mint twice', { outputMint: SOL_MINT }, 'Input and output mints must be different'],
+        ['a fractional amount', { amount: '1.5' }, 'Amount must be a positive integer in base units, got 1.5'],
+        ['a zero max total', { maxTotal: '0' }, 'Max total must be a positive integer in base units, got 0'],
+        ['an unknown missed run policy', { missedRuns: 'later' }, 'Missed runs must be one of skip, catch-up, got later'],
+        ['a negative price', { priceCeiling: '-1' }, 'Price ceiling must be a positive number'],
+        ['a floor above the ceiling', { priceFloor: '200', priceCeiling: '100' }, 'Price floor must not be above the price ceiling'],
+        ['a bad cron expression', { cron: 'hourly' }, 'Invalid cron expression "hourly": expected 5 fields']
+    ]) {
+        it(`rejects ${label}`, () => {
+            assert.throws(() => new DcaStore().create({ ...PARAMS, ...params }, NOW), { message: error });
+        });
+    }
+
+    it('pauses, resumes from the next cron time and cancels', () => {
+        const store = new DcaStore();
+        const { id } = store.create(PARAMS, NOW);
+        assert.equal(store.pause(id).status, 'paused');
+        assert.throws(() => store.pause(id), /is paused, not active/);
+
+        const resumed = store.resume(id, new Date('2026-01-02T10:30:00Z'));
+        assert.equal(resumed.status, 'active');
+        assert.equal(resumed.nextRunAt, '2026-01-02T11:00:00.000Z');
+
+        assert.equal(store.cancel(id).status, 'cancelled');
+        assert.equal(store.get(id).nextRunAt, null);
+        assert.throws(() => store.cancel(id), /already cancelled/);
+        assert.throws(() => store.resume(id), /is cancelled, not paused/);
+        assert.throws(() => store.pause('missing'), /Unknown DCA schedule: missing/);
+    });
+
+    it('shares schedules through the file', () => {
+        const file = path.join(tmpDir, 'nested', 'dca.json');
+        const cli = new DcaStore({ path: file });
+        const scheduler = new DcaStore({ path: file });
+        const { id } = cli.create(PARAMS, NOW);
+
+        scheduler.load();
+        assert.equal(scheduler.get(id).status, 'active');
+        cli.pause(id);
+        scheduler.update(id, schedule => { schedule.executedRuns = 1; });
+        assert.equal(scheduler.get(id).status, 'paused');
+        assert.equal(new DcaStore({ path: file }).get(id).executedRuns, 1);
+        assert.deepEqual(fs.readdirSync(path.dirname(file)), ['dca.json']);
+    });
+
+    it('reads DCA_STORE from the environment', () => {
+        assert.equal(DcaStore.fromEnv({ DCA_STORE: path.join(tmpDir, 'x.json') }).path, path.join(tmpDir, 'x.json'));
+    });
+});
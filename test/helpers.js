@@ -0,0 +1,140 @@
+import { mock } from 'node:test';
+import { Writable } from 'node:stream';
+import { Keypair, PublicKey } from '@solana/web3.js';
+import { getAssociatedTokenAddressSync } from '@solana/spl-token';
+import bs58 from 'bs58';
+
+export const SOL_MINT = 'So11111111111111111111111111111111111111112';
+export const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+export const BONK_MINT = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+
+const MINT_DECIMALS = { [SOL_MINT]: 9, [USDC_MINT]: 6, [BONK_MINT]: 5 };
+const SWAP_ENV_KEYS = [
+    'PRIVATE_KEY',
+    'KEYPAIR_PATH',
+    'MNEMONIC',
+    'DERIVATION_PATH',
+    'MNEMONIC_PASSPHRASE',
+    'FEE_RECIPIENT',
+    'FEE_BASIS_POINTS',
+    'WALLET_KEYSTORE',
+    'WALLET_KEYSTORE_PASSPHRASE',
+    'WALLET_ID',
+    'REMOTE_SIGNER_URL',
+    'REMOTE_SIGNER_PUBLIC_KEY',
+    'REMOTE_SIGNER_TOKEN'
+];
+
+/**
+ * Silence the services' emoji logging and timers for the current test
+ */
+export function quietConsole() {
+    for (const method of ['log', 'info', 'warn', 'error', 'time', 'timeEnd']) {
+        mock.method(console, method, () => {});
+    }
+}
+
+/**
+ * Point the CoreSwap environment at a fresh wallet; returns the wallet and a restore function
+ * @param {Object} overrides - Values to set instead of the defaults (undefined deletes the key)
+ */
+export function useSwapEnv(overrides = {}) {
+    const saved = Object.fromEntries(SWAP_ENV_KEYS.map(key => [key, process.env[key]]));
+    const keypair = Keypair.generate();
+    const values = {
+        PRIVATE_KEY: bs58.encode(keypair.secretKey),
+        FEE_RECIPIENT: Keypair.generate().publicKey.toBase58(),
+        FEE_BASIS_POINTS: '30',
+        ...overrides
+    };
+
+    for (const key of SWAP_ENV_KEYS) {
+        if (values[key] === undefined) delete process.env[key];
+        else process.env[key] = values[key];
+    }
+
+    const restore = () => {
+        for (const [key, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    };
+    return { keypair, restore };
+}
+
+/**
+ * Connection stand-in answering the parsed account lookups CoreSwap makes
+ * @param {Object} options - { tokenBalances: { [mint]: bigint|string } }
+ */
+export function createFakeConnection({ tokenBalances = {} } = {}) {
+    return {
+        async getParsedAccountInfo(publicKey) {
+            const decimals = MINT_DECIMALS[publicKey.toBase58()];
+            return {
+                value: decimals === undefined
+                    ? null
+                    : { data: { parsed: { type: 'mint', info: { decimals } } } }
+            };
+        },
+        // Filtered by mint, or every account of the wallet when filtered by programId
+        async getParsedTokenAccountsByOwner(owner, { mint }) {
+            const mints = mint ? [mint.toBase58()] : Object.keys(tokenBalances);
+            return {
+                value: mints.filter(address => tokenBalances[address] !== undefined).map(address => ({
+                    pubkey: getAssociatedTokenAddressSync(new PublicKey(address), owner),
+                    account: {
+                        data: {
+                            parsed: {
+                                info: {
+                                    mint: address,
+                                    tokenAmount: { amount: String(tokenBalances[address]), decimals: MINT_DECIMALS[address] }
+                                }
+                            }
+                        }
+                    }
+                }))
+            };
+        }
+    };
+}
+
+/**
+ * NetworkService stand-in with a fixed SOL balance and prioritization fee samples
+ * @param {Object} options - { balance, fees: number[], connection }
+ */
+export function createFakeNetworkService({ balance = 0, fees = [], connection = createFakeConnection() } = {}) {
+    return {
+        getConnection: () => connection,
+        getBalance: async () => balance,
+        getRecentPrioritizationFees: async () =>
+            fees.map((prioritizationFee, slot) => ({ slot, prioritizationFee }))
+    };
+}
+
+/**
+ * Stream that keeps what is written to it in its `text` property
+ */
+export function createCapture() {
+    const capture = new Writable({
+        write(chunk, encoding, callback) {
+            capture.text += chunk;
+            callback();
+        }
+    });
+    capture.text = '';
+    return capture;
+}
+
+/**
+ * Start an express app on an ephemeral port
+ * @param {Object} app - express application
+ */
+export async function listen(app) {
+    const server = await new Promise(resolve => {
+        const started = app.listen(0, '127.0.0.1', () => resolve(started));
+    });
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
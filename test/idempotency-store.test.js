@@ -0,0 +1,78 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { IdempotencyStore } from '../services/IdempotencyStore.js';
+
+describe('IdempotencyStore', () => {
+    let tmpDir;
+
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-'));
+    });
+    after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+    it('claims a new key, then returns its stored result', () => {
+        const store = new IdempotencyStore();
+        assert.equal(store.begin('k1', 'fp'), null);
+        assert.equal(store.begin('k1', 'fp').status, 'in_progress');
+        store.complete('k1', { signature: 'abc' });
+        const record = store.begin('k1', 'fp');
+        assert.equal(record.status, 'completed');
+        assert.deepEqual(record.result, { signature: 'abc' });
+    });
+
+    it('refuses a key reused for a different request', () => {
+        const store = new IdempotencyStore();
+        store.begin('k1', 'fp-a');
+        assert.throws(() => store.begin('k1', 'fp-b'), error => {
+            assert.equal(error.code, 'IDEMPOTENCY_KEY_REUSED');
+            return true;
+        });
+    });
+
+    it('frees released keys', () => {
+        const store = new IdempotencyStore();
+        store.begin('k1', 'fp-a');
+        store.release('k1');
+        assert.equal(store.begin('k1', 'fp-b'), null);
+    });
+
+    it('keeps results across restarts and marks unfinished work interrupted', () => {
+        const file = path.join(tmpDir, 'nested', 'store.json');
+        const first = new IdempotencyStore({ path: file });
+        first.begin('done', 'fp');
+        first.complete('done', { signature: 'abc' });
+        first.begin('running', 'fp');
+
+        const second = new IdempotencyStore({ path: file });
+        assert.deepEqual(second.begin('done', 'fp').result, { signature: 'abc' });
+        assert.equal(second.begin('running', 'fp').status, 'interrupted');
+        assert.deepEqual(fs.readdirSync(path.dirname(file)), ['store.json']);
+    });
+
+    it('forgets keys older than the TTL', () => {
+        const store = new IdempotencyStore({ ttlMs: 1000 });
+        store.begin('old', 'fp');
+        store.records.get('old').createdAt = new Date(Date.now() - 2000).toISOString();
+        assert.equal(store.begin('old', 'other-fp'), null);
+    });
+
+    it('fingerprints requests regardless of key order and undefined fields', () => {
+        assert.equal(
+            IdempotencyStore.fingerprint({ amount: '1', nested: { b: 2, a: 1 }, skipped: undefined }),
+            IdempotencyStore.fingerprint({ nested: { a: 1, b: 2 }, amount: '1' })
+        );
+        assert.notEqual(
+            IdempotencyStore.fingerprint({ amount: '1' }),
+            IdempotencyStore.fingerprint({ amount: '2' })
+        );
+    });
+
+    it('validates keys', () => {
+        assert.throws(() => IdempotencyStore.validateKey(''), /1 to 255 characters/);
+        assert.throws(() => IdempotencyStore.validateKey('x'.repeat(256)), /1 to 255 characters/);
+        assert.doesNotThrow(() => IdempotencyStore.validateKey('order-42'));
+    });
+});
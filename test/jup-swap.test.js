@@ -0,0 +1,512 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { getAssociatedTokenAddressSync } from '@solana/spl-token';
+import { Keypair, PublicKey } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { CoreSwap } from '../core-swap.js';
+import { SwapHistory } from '../services/SwapHistory.js';
+import { addToKeystore, keypairFromMnemonic } from '../services/WalletStore.js';
+import { RemoteSigner } from '../services/Signer.js';
+import { runCommand, parsePriorityFee, createContext as createCommandContext } from '../jup-swap.js';
+import { resolveConfig } from '../swap-config.js';
+import {
+    SOL_MINT,
+    USDC_MINT,
+    BONK_MINT,
+    quietConsole,
+    useSwapEnv,
+    createFakeConnection,
+    createFakeNetworkService,
+    createCapture
+} from './helpers.js';
+
+const QUOTE = {
+    inAmount: '100000000',
+    outAmount: '15000000',
+    otherAmountThreshold: '14850000',
+    slippageBps: 100,
+    priceImpactPct: '0.0012',
+    routePlan: [{ swapInfo: { label: 'Raydium' } }, { swapInfo: { label: 'Orca' } }]
+};
+
+/**
+ * Command context over a CoreSwap with fake services, recording the options swappers are made with
+ * and capturing stdout and stderr. The config holds the defaults and the given config flags.
+ */
+function createContext({ balance = 0, tokenBalances = {}, fees = [], flags = {} } = {}) {
+    const networkService = createFakeNetworkService({
+        balance,
+        fees,
+        connection: createFakeConnection({ tokenBalances })
+    });
+    const swapperOptions = [];
+    const config = resolveConfig({ env: {}, flags: { 'rpc-endpoint': 'http://localhost:8899', ...flags } });
+    return {
+        swapperOptions,
+        config,
+        stdout: createCapture(),
+        stderr: createCapture(),
+        createNetworkService: () => networkService,
+        loadAddress: () => createCommandContext(config).loadAddress(),
+        createSwapper(options = {}) {
+            swapperOptions.push(options);
+            return new CoreSwap({
+                networkService,
+                quoteService: { getQuote: async () => QUOTE },
+                txService: {},
+                priorityFeeService: {},
+                history: { record: () => {} },
+                ...options
+            });
+        }
+    };
+}
+
+// Everything the command printed to stdout
+function printed() {
+    return console.log.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+}
+
+describe('jup-swap', () => {
+    let env;
+
+    beforeEach(() => {
+        quietConsole();
+        env = useSwapEnv();
+    });
+    afterEach(() => {
+        env.restore();
+        mock.restoreAll();
+    });
+
+    it('lists the commands without one, and rejects an unknown one', async () => {
+        assert.equal(await runCommand([], createContext()), null);
+        assert.match(printed(), /Usage: jup-swap <command>/);
+        assert.match(printed(), /history +Show past swap attempts/);
+
+        await assert.rejects(runCommand(['trade'], createContext()), /Unknown command "trade"/);
+        await assert.rejects(runCommand(['toString'], createContext()), /Unknown command "toString"/);
+    });
+
+    it('prints a command\'s help without running it', async () => {
+        const context = createContext();
+        assert.equal(await runCommand(['swap', '--help'], context), null);
+        assert.match(printed(), /--priority-fee <fee>/);
+        assert.deepEqual(context.swapperOptions, []);
+    });
+
+    it('rejects flags the command does not take', async () => {
+        await assert.rejects(runCommand(['balance', '--amount', '5'], createContext()), /Unknown option '--amount'/);
+    });
+
+    it('passes swap flags through to CoreSwap.performSwap', async () => {
+        const context = createContext();
+        const swaps = [];
+        context.createSwapper = options => {
+            context.swapperOptions.push(options);
+            return {
+                async performSwap(params) {
+                    swaps.push(params);
+                    return { signature: 'sig1' };
+                }
+            };
+        };
+
+        await runCommand([
+            'swap', '--input-mint', USDC_MINT, '--output-mint', SOL_MINT, '--amount', '5000000',
+            '--exact-out', '--priority-fee', 'none', '--detailed-balance', '--idempotency-key', 'k1'
+        ], context);
+
+        assert.deepEqual(context.swapperOptions, [{ includeDetailedBalance: true }]);
+        assert.deepEqual(swaps, [{
+            inputMint: USDC_MINT,
+            outputMint: SOL_MINT,
+            amount: '5000000',
+            swapMode: 'ExactOut',
+            idempotencyKey: 'k1',
+            dryRun: undefined,
+            priorityFeeMicroLamports: 0
+        }]);
+        assert.match(printed(), /✅ Swap confirmed: sig1/);
+    });
+
+    it('maps --priority-fee onto CoreSwap priority fee parameters', () => {
+        assert.deepEqual(parsePriorityFee(), {});
+        assert.deepEqual(parsePriorityFee('none'), { priorityFeeMicroLamports: 0 });
+        assert.deepEqual(parsePriorityFee('2500'), { priorityFeeMicroLamports: 2500 });
+        assert.deepEqual(parsePriorityFee('median'), {
+            priorityFeeStrategy: 'statistical',
+            priorityFeeOptions: { percentile: 50 }
+        });
+        assert.throws(() => parsePriorityFee('fast'), /Invalid priority fee "fast"/);
+    });
+
+    it('quotes a pair with amounts, threshold, impact and route', async () => {
+        const quote = await runCommand(['quote', '--amount', '100000000'], createContext());
+
+        assert.deepEqual({ ...quote, inputToken: undefined, outputToken: undefined }, {
+            inputMint: SOL_MINT,
+            outputMint: USDC_MINT,
+            swapMode: 'ExactIn',
+            inputToken: undefined,
+            outputToken: undefined,
+            inAmount: '100000000',
+            outAmount: '15000000',
+            otherAmountThreshold: '14850000',
+            slippageBps: 100,
+            priceImpactPct: 0.12,
+            route: 'Raydium → Orca'
+        });
+        assert.match(printed(), /💱 0\.100000000 SOL → 15\.000000 USDC \(ExactIn\)/);
+        assert.match(printed(), /minimum received: 14\.850000 USDC/);
+    });
+
+    it('quotes without a wallet or the fee settings', async () => {
+        env.restore();
+        env = useSwapEnv({ PRIVATE_KEY: undefined, FEE_RECIPIENT: undefined, FEE_BASIS_POINTS: undefined });
+        const context = createContext();
+        const quote = await runCommand(['quote', '--amount', '100000000'], context);
+
+        assert.equal(quote.outAmount, '15000000');
+        assert.deepEqual(context.swapperOptions, [{ readOnly: true }]);
+    });
+
+    describe('JSON output', () => {
+        it('writes only the result document to stdout with --json, and the logs to stderr', async () => {
+            const context = createContext();
+            const log = console.log;
+            await runCommand(['quote', '--json'], context);
+
+            const document = JSON.parse(context.stdout.text);
+            assert.deepEqual({ ...document, result: undefined }, {
+                schemaVersion: 1,
+                command: 'quote',
+                ok: true,
+                result: undefined
+            });
+            assert.equal(document.result.route, 'Raydium → Orca');
+            assert.equal(document.result.otherAmountThreshold, '14850000');
+            assert.match(context.stderr.text, /Validating environment/);
+            assert.equal(console.log, log);
+            assert.equal(log.mock.callCount(), 0);
+        });
+
+        it('reports a failed command as an error document', async () => {
+            const context = createContext();
+            await assert.rejects(runCommand(['quote', '--amount', '0', '--json'], context), /Amount must be a positive integer/);
+
+            assert.deepEqual(JSON.parse(context.stdout.text), {
+                schemaVersion: 1,
+                command: 'quote',
+                ok: false,
+                error: { message: 'Amount must be a positive integer in base units, got 0', code: null }
+            });
+        });
+
+        it('streams swap stages with --ndjson before the result line', async () => {
+            const context = createContext();
+            context.createSwapper = () => ({
+                async performSwap(params, { onStage }) {
+                    onStage('quote', { inAmount: '100000000', outAmount: '15000000' });
+                    onStage('built', { priorityFeeMicroLamports: 0 });
+                    onStage('confirmed', { signature: 'sig1', computeUnitsConsumed: 42000 });
+                    return {
+                        signature: 'sig1',
+                        inputMint: SOL_MINT,
+                        outputMint: USDC_MINT,
+                        swapMode: 'ExactIn',
+                        quote: QUOTE,
+                        priorityFeeMicroLamports: 0,
+                        settlement: null
+                    };
+                }
+            });
+            await runCommand(['swap', '--ndjson', '--priority-fee', 'none'], context);
+
+            const lines = context.stdout.text.trim().split('\n').map(line => JSON.parse(line));
+            assert.deepEqual(lines.map(line => [line.type, line.stage]), [
+                ['stage', 'quote'],
+                ['stage', 'built'],
+                ['stage', 'confirmed'],
+                ['result', undefined]
+            ]);
+            assert.deepEqual(lines[2].data, { signature: 'sig1', computeUnitsConsumed: 42000 });
+            assert.ok(Date.parse(lines[0].timestamp));
+            assert.deepEqual(lines[3], {
+                schemaVersion: 1,
+                type: 'result',
+                command: 'swap',
+                ok: true,
+                result: {
+                    signature: 'sig1',
+                    dryRun: false,
+                    replayed: false,
+                    inputMint: SOL_MINT,
+                    outputMint: USDC_MINT,
+                    swapMode: 'ExactIn',
+                    inAmount: '100000000',
+                    outAmount: '15000000',
+                    otherAmountThreshold: '14850000',
+                    slippageBps: 100,
+                    priceImpactPct: 0.12,
+                    route: 'Raydium → Orca',
+                    priorityFeeMicroLamports: 0,
+                    settlement: null,
+                    simulation: null
+                }
+            });
+        });
+
+        it('gives fee estimates a fixed shape', async () => {
+            const context = createContext();
+            await runCommand(['fees', '--json'], context);
+
+            const { result } = JSON.parse(context.stdout.text);
+            assert.deepEqual(Object.keys(result), ['timestamp', 'strategies', 'recommendations', 'network']);
+            assert.deepEqual(Object.keys(result.strategies), ['fixed', 'dynamic', 'statistical']);
+            assert.deepEqual(Object.keys(result.strategies.fixed), ['fee', 'error']);
+            assert.deepEqual(result.network, { sampleSize: 0, min: null, max: null, avg: null });
+        });
+
+        it('refuses --json together with --ndjson', async () => {
+            await assert.rejects(runCommand(['balance', '--json', '--ndjson'], createContext()), /either --json or --ndjson/);
+        });
+    });
+
+    it('shows the SOL balance and the balances of the --mint tokens', async () => {
+        const context = createContext({ balance: 1500000000, tokenBalances: { [USDC_MINT]: 2500000n } });
+        const balance = await runCommand(['balance', '--mint', USDC_MINT, '--mint', BONK_MINT], context);
+
+        assert.equal(balance.wallet, env.keypair.publicKey.toBase58());
+        assert.equal(balance.lamports, '1500000000');
+        assert.deepEqual(balance.tokens.map(({ symbol, amount, uiAmount }) => ({ symbol, amount, uiAmount })), [
+            { symbol: 'USDC', amount: '2500000', uiAmount: '2.500000' },
+            { symbol: 'DezX…B263', amount: '0', uiAmount: '0.00000' }
+        ]);
+        assert.match(printed(), /💰 SOL: 1\.500000000/);
+    });
+
+    it('lists every token account of the wallet', async () => {
+        const context = createContext({ tokenBalances: { [USDC_MINT]: 2500000n, [BONK_MINT]: 100000n } });
+        const { accounts } = await runCommand(['tokens'], context);
+
+        const owner = env.keypair.publicKey;
+        assert.deepEqual(accounts, [
+            {
+                account: getAssociatedTokenAddressSync(new PublicKey(USDC_MINT), owner).toBase58(),
+                mint: USDC_MINT,
+                amount: '2500000',
+                decimals: 6,
+                uiAmount: '2.500000'
+            },
+            {
+                account: getAssociatedTokenAddressSync(new PublicKey(BONK_MINT), owner).toBase58(),
+                mint: BONK_MINT,
+                amount: '100000',
+                decimals: 5,
+                uiAmount: '1.00000'
+            }
+        ]);
+    });
+
+    it('estimates priority fees without loading the wallet', async () => {
+        env.restore();
+        env = useSwapEnv({ PRIVATE_KEY: undefined });
+        const context = createContext({ fees: [1000, 2000, 3000] });
+        const analysis = await runCommand(['fees'], context);
+
+        assert.deepEqual(context.swapperOptions, []);
+        assert.deepEqual(analysis.network, { sampleSize: 3, min: 1000, max: 3000, avg: 2000 });
+        assert.equal(analysis.strategies.fixed.enabled, true);
+        assert.match(printed(), /recommended: low [\d,]+, normal/);
+    });
+
+    describe('config', () => {
+        it('shows each setting with the layer it came from', async () => {
+            const context = createContext({ flags: { 'slippage-bps': '75' } });
+            const shown = await runCommand(['config', 'show'], context);
+
+            assert.equal(shown.profile, null);
+            assert.deepEqual(shown.settings.slippageBps, { value: 75, source: 'flag --slippage-bps' });
+            assert.deepEqual(shown.settings.priorityFee, { value: 'auto', source: 'default' });
+            assert.match(printed(), /slippageBps +75 +\(flag --slippage-bps\)/);
+        });
+
+        it('masks secrets in the JSON document', async () => {
+            const context = createContext();
+            context.config = resolveConfig({ env: { HELIUS_API_KEY: 'helius-secret' } });
+            await runCommand(['config', 'show', '--json'], context);
+
+            const { result } = JSON.parse(context.stdout.text);
+            assert.deepEqual(result.settings.heliusApiKey, { value: '********', source: 'env HELIUS_API_KEY' });
+            assert.doesNotMatch(context.stdout.text, /helius-secret/);
+        });
+
+        it('takes only the show subcommand', async () => {
+            await assert.rejects(runCommand(['config'], createContext()), /Usage: jup-swap config show/);
+            await assert.rejects(runCommand(['config', 'edit'], createContext()), /Usage: jup-swap config show/);
+            await assert.rejects(runCommand(['balance', 'extra'], createContext()), /Unexpected argument 'extra'/);
+        });
+    });
+
+    describe('wallet', () => {
+        let tmpDir;
+        let keystore;
+        let passphraseRequests;
+
+        // Context over a keystore in the temp dir, answering passphrase prompts with 'correct horse'
+        function createWalletContext(flags = {}) {
+            const context = createContext({ flags: { keystore, ...flags } });
+            context.readPassphrase = async (options = {}) => {
+                passphraseRequests.push(options);
+                return 'correct horse';
+            };
+            return context;
+        }
+
+        beforeEach(() => {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jup-swap-wallet-'));
+            keystore = path.join(tmpDir, 'wallets.keystore.json');
+            passphraseRequests = [];
+        });
+        afterEach(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+        it('creates wallets, confirming the passphrase only for the first, and lists them', async () => {
+            const created = await runCommand(['wallet', 'create'], createWalletContext());
+            const hot = await runCommand(['wallet', 'create'], createWalletContext({ 'wallet-id': 'hot' }));
+
+            assert.deepEqual(passphraseRequests, [{ confirm: true }, { confirm: false }]);
+            assert.equal(created.walletId, 'default');
+            assert.match(printed(), /✅ Wallet hot \(\w+\) saved to /);
+
+            const { wallets, signer } = await runCommand(['wallet', 'list'], createWalletContext());
+            assert.equal(signer, 'default');
+            assert.deepEqual(wallets, [
+                { walletId: 'default', publicKey: created.publicKey },
+                { walletId: 'hot', publicKey: hot.publicKey }
+            ]);
+            assert.equal(passphraseRequests.length, 2);
+            await assert.rejects(runCommand(['wallet', 'create'], createWalletContext()), /Wallet default already exists/);
+        });
+
+        it('imports a piped or typed secret key and a keypair file, and exports them back', async () => {
+            const typed = Keypair.generate();
+            const context = createWalletContext();
+            context.readSecret = async () => `${bs58.encode(typed.secretKey)}\n`;
+            await runCommand(['wallet', 'import'], context);
+
+            const fromFile = Keypair.generate();
+            const keyFile = path.join(tmpDir, 'ops.json');
+            fs.writeFileSync(keyFile, JSON.stringify([...fromFile.secretKey]));
+            await runCommand(['wallet', 'import', '--key-file', keyFile], createWalletContext({ 'wallet-id': 'ops' }));
+
+            const exported = await runCommand(['wallet', 'export'], createWalletContext());
+            assert.equal(exported.secretKey, bs58.encode(typed.secretKey));
+            const asJson = await runCommand(['wallet', 'export', '--format', 'json'], createWalletContext({ 'wallet-id': 'ops' }));
+            assert.deepEqual(asJson.secretKey, [...fromFile.secretKey]);
+            assert.equal(asJson.publicKey, fromFile.publicKey.toBase58());
+        });
+
+        it('imports a mnemonic at the given derivation path', async () => {
+            const mnemonic = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+            const context = createWalletContext({ 'wallet-id': 'seed' });
+            context.readSecret = async () => `${mnemonic}\n`;
+            const imported = await runCommand(['wallet', 'import', '--derivation-path', "m/44'/501'/1'/0'"], context);
+
+            const expected = keypairFromMnemonic(mnemonic, { derivationPath: "m/44'/501'/1'/0'" });
+            assert.equal(imported.publicKey, expected.publicKey.toBase58());
+            assert.notEqual(imported.publicKey, keypairFromMnemonic(mnemonic).publicKey.toBase58());
+        });
+
+        it('rejects a bad secret key, format or action', async () => {
+            const context = createWalletContext();
+            context.readSecret = async () => '[1, 2, 3]';
+            await assert.rejects(runCommand(['wallet', 'import'], context), /Invalid secret key: expected a JSON array of 64 bytes/);
+            await assert.rejects(runCommand(['wallet', 'export', '--format', 'hex'], createWalletContext()), /Invalid format "hex"/);
+            await assert.rejects(runCommand(['wallet', 'remove'], createWalletContext()), /Usage: jup-swap wallet/);
+        });
+
+        it('signs with the keystore wallet, or with PRIVATE_KEY until a flag asks for the keystore', async () => {
+            const hot = Keypair.generate();
+            addToKeystore(keystore, 'hot', hot, 'correct horse');
+            const config = resolveConfig({ env: { WALLET_KEYSTORE: keystore, WALLET_ID: 'hot' } });
+
+            const context = createCommandContext(config);
+            context.readPassphrase = async () => 'correct horse';
+            assert.equal((await context.loadKeypair()).publicKey.toBase58(), env.keypair.publicKey.toBase58());
+
+            env.restore();
+            env = useSwapEnv({ PRIVATE_KEY: undefined });
+            assert.equal((await context.loadKeypair()).publicKey.toBase58(), hot.publicKey.toBase58());
+
+            const missing = createCommandContext(resolveConfig({ env: {}, flags: { keystore: path.join(tmpDir, 'none.json') } }));
+            await assert.rejects(missing.loadKeypair(), /No keystore at .*none\.json/);
+        });
+
+        it('reads balances of the keystore wallet without unlocking it or the fee settings', async () => {
+            const hot = Keypair.generate();
+            addToKeystore(keystore, 'hot', hot, 'correct horse');
+            env.restore();
+            env = useSwapEnv({ PRIVATE_KEY: undefined, FEE_RECIPIENT: undefined, FEE_BASIS_POINTS: undefined });
+            const context = createContext({ balance: 1500000000, tokenBalances: { [USDC_MINT]: 2500000n }, flags: { keystore, 'wallet-id': 'hot' } });
+            context.readPassphrase = async () => assert.fail('asked for the passphrase');
+
+            const balance = await runCommand(['balance', '--mint', USDC_MINT], context);
+            assert.equal(balance.wallet, hot.publicKey.toBase58());
+            assert.equal(balance.tokens[0].amount, '2500000');
+            const tokens = await runCommand(['tokens'], context);
+            assert.equal(tokens.wallet, hot.publicKey.toBase58());
+            assert.deepEqual(context.swapperOptions, [{ readOnly: true }, { readOnly: true }]);
+
+            const missing = createContext({ flags: { keystore, 'wallet-id': 'cold' } });
+            await assert.rejects(runCommand(['balance'], missing), /Wallet cold is not in .*; available: hot/);
+        });
+
+        it('signs through REMOTE_SIGNER_URL unless a flag asks for the keystore', async () => {
+            const hot = Keypair.generate();
+            addToKeystore(keystore, 'hot', hot, 'correct horse');
+            const publicKey = Keypair.generate().publicKey.toBase58();
+            env.restore();
+            env = useSwapEnv({ PRIVATE_KEY: undefined, REMOTE_SIGNER_URL: 'http://127.0.0.1:3003', REMOTE_SIGNER_PUBLIC_KEY: publicKey });
+
+            const remoteContext = createCommandContext(resolveConfig({ env: {} }));
+            const remote = await remoteContext.loadSigner();
+            assert.ok(remote instanceof RemoteSigner);
+            assert.equal(remote.publicKey.toBase58(), publicKey);
+            assert.equal(remoteContext.loadAddress().toBase58(), publicKey);
+
+            const context = createCommandContext(resolveConfig({ env: {}, flags: { keystore, 'wallet-id': 'hot' } }));
+            context.readPassphrase = async () => 'correct horse';
+            assert.equal((await context.loadSigner()).publicKey.toBase58(), hot.publicKey.toBase58());
+        });
+    });
+
+    describe('history', () => {
+        let tmpDir;
+        let savedPath;
+
+        beforeEach(() => {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jup-swap-'));
+            savedPath = process.env.SWAP_HISTORY;
+            process.env.SWAP_HISTORY = path.join(tmpDir, 'history.jsonl');
+            const history = SwapHistory.fromEnv();
+            history.record({ source: 'coreswap', status: 'confirmed', inputMint: SOL_MINT, outputMint: USDC_MINT, signature: 'sig1' });
+            history.record({ source: 'server', status: 'failed', inputMint: USDC_MINT, outputMint: SOL_MINT, error: 'boom' });
+        });
+        afterEach(() => {
+            if (savedPath === undefined) delete process.env.SWAP_HISTORY;
+            else process.env.SWAP_HISTORY = savedPath;
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        it('filters the ledger with the history flags', async () => {
+            const entries = await runCommand(['history', '--status', 'failed'], createContext());
+
+            assert.deepEqual(entries.map(entry => entry.error), ['boom']);
+            assert.match(printed(), /❌ .* server/);
+        });
+    });
+});
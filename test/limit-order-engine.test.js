@@ -0,0 +1,314 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { LimitOrderEngine } from '../services/LimitOrderEngine.js';
+import { LimitOrderStore } from '../services/LimitOrderStore.js';
+import { TxService } from '../services/TxService.js';
+import { CoreSwap } from '../core-swap.js';
+import { SOL_MINT, USDC_MINT, quietConsole } from './helpers.js';
+
+const CREATED = new Date('2026-01-01T00:00:00Z');
+const LATER = new Date('2026-01-01T01:00:00Z');
+
+/**
+ * QuoteService and CoreSwap stand-ins quoting 1 SOL at `market.price` USDC
+ */
+function createServices(market = { price: 150 }) {
+    const quotes = [];
+    const swaps = [];
+    const quoteFor = ({ inputMint, amount }) => ({
+        inAmount: String(amount),
+        outAmount: inputMint === SOL_MINT
+            ? String(Math.floor(Number(amount) * market.price / 1000))
+            : String(Math.floor(Number(amount) * 1000 / market.price))
+    });
+    const quoteService = {
+        quotes,
+        async getQuote(params) {
+            quotes.push(params);
+            if (market.quoteError) throw new Error(market.quoteError);
+            return quoteFor(params);
+        }
+    };
+    const swapper = {
+        swaps,
+        async resolveSwapPair(params) {
+            const decimals = mint => (mint === SOL_MINT ? 9 : 6);
+            return {
+                ...params,
+                inputToken: { decimals: decimals(params.inputMint) },
+                outputToken: { decimals: decimals(params.outputMint) }
+            };
+        },
+        async performSwap(params) {
+            swaps.push(params);
+            if (market.swapError) throw new Error(market.swapError);
+            const quote = quoteFor(params);
+            return { signature: `sig-${swaps.length}`, quote, settlement: { inputAmount: quote.inAmount, outputAmount: quote.outAmount } };
+        }
+    };
+    return { quoteService, swapper };
+}
+
+describe('LimitOrderEngine', () => {
+    let store;
+
+    beforeEach(() => {
+        quietConsole();
+        store = new LimitOrderStore();
+    });
+    afterEach(() => mock.restoreAll());
+
+    function create(params = {}) {
+        return store.create({
+            inputMint: SOL_MINT,
+            outputMint: USDC_MINT,
+            amount: '1000000000',
+            minPrice: 200,
+            ...params
+        }, CREATED).id;
+    }
+
+    it('waits while the price is below a min price and sells once it is reached', async () => {
+        const id = create();
+        const market = { price: 150 };
+        const { quoteService, swapper } = createServices(market);
+        const engine = new LimitOrderEngine({ store, quoteService, swapper });
+
+        assert.deepEqual(await engine.checkOrders(LATER), [{ orderId: id, status: 'waiting', price: 150 }]);
+        assert.equal(swapper.swaps.length, 0);
+        assert.equal(store.get(id).lastPrice, 150);
+        assert.equal(store.get(id).lastCheckedAt, LATER.toISOString());
+        assert.equal(quoteService.quotes[0].swapMode, 'ExactIn');
+        assert.equal(quoteService.quotes[0].amount, '1000000000');
+
+        market.price = 210;
+        const [result] = await engine.checkOrders(LATER);
+        assert.equal(result.status, 'filled');
+        assert.equal(result.signature, 'sig-1');
+        assert.deepEqual(swapper.swaps, [{
+            inputMint: SOL_MINT,
+            outputMint: USDC_MINT,
+            amount: '1000000000',
+            idempotencyKey: `limit:${id}:0`
+        }]);
+        const order = store.get(id);
+        assert.equal(order.status, 'filled');
+        assert.equal(order.filledAmount, '1000000000');
+        assert.equal(order.receivedAmount, '210000000');
+        assert.deepEqual(await engine.checkOrders(LATER), []);
+    });
+
+    it('buys once the output token costs at most the max price', async () => {
+        const id = create({ inputMint: USDC_MINT, outputMint: SOL_MINT, amount: '300000000', minPrice: undefined, maxPrice: 140 });
+        const market = { price: 150 };
+        const { quoteService, swapper } = createServices(market);
+        const engine = new LimitOrderEngine({ store, quoteService, swapper });
+
+        const [waiting] = await engine.checkOrders(LATER);
+        assert.equal(waiting.status, 'waiting');
+        assert.equal(swapper.swaps.length, 0);
+
+        market.price = 130;
+        const [filled] = await engine.checkOrders(LATER);
+        assert.equal(filled.status, 'filled');
+        assert.equal(store.get(id).receivedAmount, '2307692307');
+    });
+
+    it('fills in slices', async () => {
+        const id = create({ sliceAmount: '400000000' });
+        const { quoteService, swapper } = createServices({ price: 250 });
+        const engine = new LimitOrderEngine({ store, quoteService, swapper });
+
+        assert.equal((await engine.checkOrders(LATER))[0].status, 'partially_filled');
+        assert.equal((await engine.checkOrders(LATER))[0].status, 'partially_filled');
+        assert.equal(store.get(id).filledAmount, '800000000');
+        assert.equal((await engine.checkOrders(LATER))[0].status, 'filled');
+
+        assert.deepEqual(swapper.swaps.map(swap => swap.amount), ['400000000', '400000000', '200000000']);
+        assert.deepEqual(swapper.swaps.map(swap => swap.idempotencyKey), [0, 1, 2].map(n => `limit:${id}:${n}`));
+        assert.equal(store.get(id).executions.length, 3);
+    });
+
+    it('expires orders past their expiry without quoting', async () => {
+        const id = create({ expiresAt: '2026-01-01T00:30:00Z' });
+        const { quoteService, swapper } = createServices({ price: 250 });
+        const engine = new LimitOrderEngine({ store, quoteService, swapper });
+
+        assert.deepEqual(await engine.checkOrders(LATER), [{ orderId: id, status: 'expired' }]);
+        assert.equal(store.get(id).status, 'expired');
+        assert.equal(quoteService.quotes.length, 0);
+    });
+
+    it('skips cancelled orders', async () => {
+        const id = create();
+        store.cancel(id);
+        const { quoteService, swapper } = createServices({ price: 250 });
+
+        assert.deepEqual(await new LimitOrderEngine({ store, quoteService, swapper }).checkOrders(LATER), []);
+        assert.equal(quoteService.quotes.length, 0);
+    });
+
+    it('reports quote errors and tries again on the next pass', async () => {
+        const id = create();
+        const market = { price: 250, quoteError: 'Jupiter API unavailable' };
+        const { quoteService, swapper } = createServices(market);
+        const engine = new LimitOrderEngine({ store, quoteService, swapper });
+
+        assert.deepEqual(await engine.checkOrders(LATER), [{ orderId: id, status: 'error', error: 'Jupiter API unavailable' }]);
+        assert.equal(store.get(id).status, 'open');
+
+        delete market.quoteError;
+        assert.equal((await engine.checkOrders(LATER))[0].status, 'filled');
+    });
+
+    it('gives up after maxFailures failed swaps in a row', async () => {
+        const id = create();
+        const market = { price: 250, swapError: 'Insufficient SOL balance' };
+        const { quoteService, swapper } = createServices(market);
+        const engine = new LimitOrderEngine({ store, quoteService, swapper }, { maxFailures: 2 });
+
+        const [first] = await engine.checkOrders(LATER);
+        assert.equal(first.status, 'failed');
+        assert.equal(first.error, 'Insufficient SOL balance');
+        assert.equal(store.get(id).status, 'open');
+
+        await engine.checkOrders(LATER);
+        const order = store.get(id);
+        assert.equal(order.status, 'failed');
+        assert.equal(order.failures, 2);
+        assert.deepEqual(swapper.swaps.map(swap => swap.idempotencyKey), [`limit:${id}:0`, `limit:${id}:1`]);
+        assert.deepEqual(await engine.checkOrders(LATER), []);
+    });
+
+    describe('with a fill interrupted by a crash', () => {
+        // CoreSwap's answer to a key whose swap was running when the process stopped
+        function interruptedSwapper(swapper) {
+            swapper.performSwap = async params => {
+                swapper.swaps.push(params);
+                const error = new Error(`Swap with idempotency key ${params.idempotencyKey} was interrupted before finishing`);
+                error.code = 'IDEMPOTENCY_INTERRUPTED';
+                throw error;
+            };
+            return swapper;
+        }
+
+        it('holds the order for review without re-keying when the history has no outcome', async () => {
+            const id = create();
+            const { quoteService, swapper } = createServices({ price: 250 });
+            const engine = new LimitOrderEngine({ store, quoteService, swapper: interruptedSwapper(swapper), history: { readAll: () => [] } });
+
+            const [result] = await engine.checkOrders(LATER);
+            assert.equal(result.status, 'needs_review');
+            const order = store.get(id);
+            assert.equal(order.status, 'needs_review');
+            assert.equal(order.attempts, 0);
+            assert.equal(order.failures, 0);
+            assert.match(order.reviewReason, new RegExp(`limit:${id}:0 was interrupted and is not in the swap history`));
+
+            // Held orders are not retried until someone resumes them
+            assert.deepEqual(await engine.checkOrders(LATER), []);
+            assert.equal(swapper.swaps.length, 1);
+            store.resume(id);
+            const resumed = createServices({ price: 250 });
+            await new LimitOrderEngine({ store, quoteService, swapper: resumed.swapper }).checkOrders(LATER);
+            assert.deepEqual(resumed.swapper.swaps.map(swap => swap.idempotencyKey), [`limit:${id}:1`]);
+        });
+
+        it('counts a fill the swap history recorded as confirmed', async () => {
+            const id = create({ sliceAmount: '400000000' });
+            const { quoteService, swapper } = createServices({ price: 250 });
+            const history = {
+                readAll: () => [
+                    { idempotencyKey: `limit:${id}:0`, status: 'confirmed', signature: 'landed', settlement: { inputAmount: '400000000', outputAmount: '99000000' } },
+                    { idempotencyKey: 'limit:other:0', status: 'confirmed', signature: 'other' }
+                ]
+            };
+            const engine = new LimitOrderEngine({ store, quoteService, swapper: interruptedSwapper(swapper), history });
+
+            const [result] = await engine.checkOrders(LATER);
+            assert.equal(result.status, 'partially_filled');
+            assert.equal(result.signature, 'landed');
+            const order = store.get(id);
+            assert.equal(order.filledAmount, '400000000');
+            assert.equal(order.receivedAmount, '99000000');
+            assert.equal(order.attempts, 1);
+        });
+
+        it('retries a fill that failed before it was sent, and reviews one that failed after', async () => {
+            const id = create();
+            const { quoteService, swapper } = createServices({ price: 250 });
+            const entries = [{ idempotencyKey: `limit:${id}:0`, status: 'failed', signature: null, error: 'Quote expired' }];
+            const engine = new LimitOrderEngine({ store, quoteService, swapper: interruptedSwapper(swapper), history: { readAll: () => entries } });
+
+            const [first] = await engine.checkOrders(LATER);
+            assert.equal(first.status, 'failed');
+            assert.equal(store.get(id).attempts, 1);
+
+            entries.push({ idempotencyKey: `limit:${id}:1`, status: 'failed', signature: 'sent', error: 'Confirmation timed out' });
+            const [second] = await engine.checkOrders(LATER);
+            assert.equal(second.status, 'needs_review');
+            assert.match(store.get(id).reviewReason, /was sent as sent but ended failed/);
+            assert.equal(store.get(id).attempts, 1);
+        });
+    });
+
+    describe('with a fill sent but never confirmed', () => {
+        // Swaps through CoreSwap.executeSwap and TxService, on a network that accepts the
+        // transaction and then never reports its outcome
+        function timingOutSwapper(swapper) {
+            const network = {
+                async simulateTransaction() {
+                    return { context: { slot: 1 }, value: { err: null, logs: [], unitsConsumed: 50000 } };
+                },
+                async sendTransaction() {
+                    return 'sent-sig';
+                },
+                async confirmTransaction() {
+                    throw new Error('Transaction confirmation timeout');
+                }
+            };
+            const txService = new TxService(network);
+            txService.prepareTransaction = async () => ({});
+            swapper.performSwap = async params => {
+                swapper.swaps.push(params);
+                return CoreSwap.prototype.executeSwap.call({ txService, signer: null }, 'serialized');
+            };
+            return swapper;
+        }
+
+        it('holds the order for review instead of swapping again under a new key', async () => {
+            const id = create();
+            const { quoteService, swapper } = createServices({ price: 250 });
+            const engine = new LimitOrderEngine({ store, quoteService, swapper: timingOutSwapper(swapper), history: { readAll: () => [] } });
+
+            const [result] = await engine.checkOrders(LATER);
+            assert.equal(result.status, 'needs_review');
+            const order = store.get(id);
+            assert.equal(order.status, 'needs_review');
+            assert.equal(order.attempts, 0);
+            assert.equal(order.failures, 0);
+            assert.deepEqual(order.executions, []);
+            assert.match(order.reviewReason, new RegExp(`limit:${id}:0 was sent as sent-sig but not confirmed .*timeout`));
+
+            assert.deepEqual(await engine.checkOrders(LATER), []);
+            assert.deepEqual(swapper.swaps.map(swap => swap.idempotencyKey), [`limit:${id}:0`]);
+        });
+
+        it('counts a fill that failed on chain as a failure', async () => {
+            const id = create();
+            const { quoteService, swapper } = createServices({ price: 250 });
+            swapper.performSwap = async params => {
+                swapper.swaps.push(params);
+                const error = new Error('Transaction execution failed: Transaction confirmation failed: slippage');
+                Object.assign(error, { signature: 'sent-sig', confirmationResult: { err: { InstructionError: [0, { Custom: 6001 }] } } });
+                throw error;
+            };
+            const engine = new LimitOrderEngine({ store, quoteService, swapper });
+
+            const [result] = await engine.checkOrders(LATER);
+            assert.equal(result.status, 'failed');
+            assert.equal(store.get(id).status, 'open');
+            assert.equal(store.get(id).attempts, 1);
+        });
+    });
+});
@@ -0,0 +1,98 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { LimitOrderStore } from '../services/LimitOrderStore.js';
+import { SOL_MINT, USDC_MINT } from './helpers.js';
+
+const NOW = new Date('2026-01-01T00:00:00Z');
+const PARAMS = { inputMint: SOL_MINT, outputMint: USDC_MINT, amount: '1000000000', minPrice: '200' };
+
+describe('LimitOrderStore', () => {
+    let tmpDir;
+
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'limit-order-store-'));
+    });
+    after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+    it('creates an open order', () => {
+        const order = new LimitOrderStore().create({
+            ...PARAMS,
+            sliceAmount: 250000000,
+            expiresAt: '2026-01-08T00:00:00Z'
+        }, NOW);
+        assert.match(order.id, /^[0-9a-f]{8}$/);
+        assert.equal(order.status, 'open');
+        assert.equal(order.minPrice, 200);
+        assert.equal(order.maxPrice, null);
+        assert.equal(order.sliceAmount, '250000000');
+        assert.equal(order.expiresAt, '2026-01-08T00:00:00.000Z');
+        assert.equal(order.filledAmount, '0');
+        assert.equal(order.attempts, 0);
+    });
+
+    for (const [label, params, error] of [
+        ['a bad mint', { outputMint: 'nope' }, 'Invalid output mint address: nope'],
+        ['the same mint twice', { outputMint: SOL_MINT }, 'Input and output mints must be different'],
+        ['a fractional amount', { amount: '1.5' }, 'Amount must be a positive integer in base units, got 1.5'],
+        ['a zero slice', { sliceAmount: '0' }, 'Slice amount must be a positive integer in base units, got 0'],
+        ['a negative price', { minPrice: '-1' }, 'Min price must be a positive number'],
+        ['both prices', { maxPrice: '150' }, 'Give exactly one of min price or max price'],
+        ['no price', { minPrice: undefined }, 'Give exactly one of min price or max price'],
+        ['a past expiry', { expiresAt: '2025-12-31T00:00:00Z' }, 'Expiry must be a future date, got 2025-12-31T00:00:00Z'],
+        ['an unreadable expiry', { expiresAt: 'soon' }, 'Expiry must be a future date, got soon']
+    ]) {
+        it(`rejects ${label}`, () => {
+            assert.throws(() => new LimitOrderStore().create({ ...PARAMS, ...params }, NOW), { message: error });
+        });
+    }
+
+    it('cancels only open orders', () => {
+        const store = new LimitOrderStore();
+        const { id } = store.create(PARAMS, NOW);
+        assert.equal(store.cancel(id).status, 'cancelled');
+        assert.throws(() => store.cancel(id), { message: `Order ${id} is cancelled, not open` });
+        assert.throws(() => store.cancel('missing'), { message: 'Unknown limit order: missing' });
+    });
+
+    it('reopens an order held for review under a new attempt', () => {
+        const store = new LimitOrderStore();
+        const { id } = store.create(PARAMS, NOW);
+        assert.throws(() => store.resume(id), { message: `Order ${id} is open, not needs_review` });
+        store.update(id, order => {
+            order.status = 'needs_review';
+            order.reviewReason = 'Fill limit:x:0 was interrupted';
+        });
+
+        const resumed = store.resume(id);
+        assert.equal(resumed.status, 'open');
+        assert.equal(resumed.attempts, 1);
+        assert.equal(resumed.reviewReason, undefined);
+        assert.equal(resumed.executions.at(-1).error, 'Resumed after review: Fill limit:x:0 was interrupted');
+
+        store.update(id, order => { order.status = 'needs_review'; });
+        assert.equal(store.cancel(id).status, 'cancelled');
+    });
+
+    it('shares orders through the file', () => {
+        const file = path.join(tmpDir, 'nested', 'orders.json');
+        const cli = new LimitOrderStore({ path: file });
+        const engine = new LimitOrderStore({ path: file });
+        const { id } = cli.create(PARAMS, NOW);
+
+        engine.load();
+        assert.equal(engine.get(id).status, 'open');
+        cli.cancel(id);
+        engine.update(id, order => { order.lastPrice = 190; });
+        assert.equal(engine.get(id).status, 'cancelled');
+        assert.equal(new LimitOrderStore({ path: file }).get(id).lastPrice, 190);
+        assert.deepEqual(fs.readdirSync(path.dirname(file)), ['orders.json']);
+    });
+
+    it('reads LIMIT_ORDER_STORE from the environment', () => {
+        const file = path.join(tmpDir, 'x.json');
+        assert.equal(LimitOrderStore.fromEnv({ LIMIT_ORDER_STORE: file }).path, file);
+    });
+});
@@ -0,0 +1,189 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { PriorityFeeService } from '../services/PriorityFeeService.js';
+import { quietConsole, createFakeNetworkService } from './helpers.js';
+
+const FEE_ENV_KEYS = [
+    'DYNAMIC_PRIORITY_FEE_MULTIPLIER',
+    'FIXED_PRIORITY_FEE_MICRO_LAMPORTS',
+    'MAX_PRIORITY_FEE_MICRO_LAMPORTS',
+    'HELIUS_API_KEY'
+];
+
+// Sorted samples: P50 = 3000, P75 = 4000; low enough variance to skip the volatility buffer
+const CALM_FEES = [1000, 2000, 0, 3000, 4000];
+
+function createService(fees = CALM_FEES, options = {}, connection) {
+    return new PriorityFeeService(createFakeNetworkService({ fees, connection }), options);
+}
+
+describe('PriorityFeeService strategies', () => {
+    let savedEnv;
+
+    beforeEach(() => {
+        quietConsole();
+        savedEnv = Object.fromEntries(FEE_ENV_KEYS.map(key => [key, process.env[key]]));
+        FEE_ENV_KEYS.forEach(key => delete process.env[key]);
+    });
+    afterEach(() => {
+        for (const [key, value] of Object.entries(savedEnv)) {
+            if (value !== undefined) process.env[key] = value;
+            else delete process.env[key];
+        }
+        mock.restoreAll();
+    });
+
+    describe('fixed', () => {
+        it('uses the fixedFee option', async () => {
+            assert.equal(await createService().calculatePriorityFee('fixed', { fixedFee: 7777 }), 7777);
+        });
+
+        it('falls back to FIXED_PRIORITY_FEE_MICRO_LAMPORTS, then the default fee', async () => {
+            assert.equal(await createService().calculatePriorityFee('fixed'), 5000);
+            process.env.FIXED_PRIORITY_FEE_MICRO_LAMPORTS = '1234';
+            assert.equal(createService().calculateFixedFee(), 1234);
+        });
+    });
+
+    describe('dynamic', () => {
+        it('multiplies the 75th percentile of non-zero fees', async () => {
+            assert.equal(await createService().calculatePriorityFee('dynamic'), 6000);
+        });
+
+        it('honours DYNAMIC_PRIORITY_FEE_MULTIPLIER', async () => {
+            process.env.DYNAMIC_PRIORITY_FEE_MULTIPLIER = '2';
+            assert.equal(await createService().calculatePriorityFee('dynamic'), 8000);
+        });
+
+        it('uses the default fee when every sample is zero', async () => {
+            assert.equal(await createService([0, 0]).calculatePriorityFee('dynamic'), 5000);
+        });
+    });
+
+    describe('statistical', () => {
+        it('uses the configured percentile', async () => {
+            assert.equal(await createService().calculatePriorityFee('statistical'), 4000);
+            assert.equal(await createService().calculatePriorityFee('statistical', { percentile: 50 }), 3000);
+        });
+
+        it('adds a 20% buffer when fees are volatile', async () => {
+            const service = createService([100, 100, 100, 10000]);
+            assert.equal(await service.calculatePriorityFee('statistical'), 12000);
+        });
+
+        it('only samples the most recent fees', async () => {
+            const service = createService([40000, 40000, 1000, 1000]);
+            assert.equal(await service.calculatePriorityFee('statistical', { sampleSize: 2 }), 1000);
+        });
+
+        it('uses the default fee without samples', async () => {
+            assert.equal(await createService([]).calculatePriorityFee('statistical'), 5000);
+        });
+    });
+
+    describe('helius', () => {
+        let server;
+        let heliusEndpoint;
+        let lastRequest;
+
+        before(async () => {
+            server = http.createServer((req, res) => {
+                let body = '';
+                req.on('data', chunk => { body += chunk; });
+                req.on('end', () => {
+                    lastRequest = { url: req.url, body: JSON.parse(body) };
+                    res.setHeader('Content-Type', 'application/json');
+                    res.end(JSON.stringify({ jsonrpc: '2.0', id: 1, result: { priorityFeeEstimate: 12345.6 } }));
+                });
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            heliusEndpoint = `http://127.0.0.1:${server.address().port}`;
+        });
+        after(() => new Promise(resolve => server.close(resolve)));
+
+        it('requests an estimate for the given accounts and level', async () => {
+            const service = createService(CALM_FEES, { heliusApiKey: 'test-key', heliusEndpoint });
+            const fee = await service.calculatePriorityFee('helius', {
+                accounts: ['JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4'],
+                priorityLevel: 'VeryHigh'
+            });
+
+            assert.equal(fee, 12345);
+            assert.equal(lastRequest.url, '/?api-key=test-key');
+            assert.equal(lastRequest.body.method, 'getPriorityFeeEstimate');
+            assert.deepEqual(lastRequest.body.params, [{
+                accountKeys: ['JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4'],
+                options: { priority_level: 'VeryHigh' }
+            }]);
+        });
+
+        it('falls back to the default fee without an API key', async () => {
+            assert.equal(await createService().calculatePriorityFee('helius'), 5000);
+        });
+    });
+
+    describe('network_congestion', () => {
+        const connection = {
+            getLatestBlockhash: async () => ({ blockhash: '11111111111111111111111111111111', lastValidBlockHeight: 1 }),
+            getSlot: async () => 1
+        };
+
+        for (const [label, fees, expected] of [
+            ['high', [40, 80], 10000],
+            ['medium', [30, 30], 7500],
+            ['low', [20, 20], 6000],
+            ['idle', [0, 5], 5000]
+        ]) {
+            it(`scales the default fee for ${label} congestion`, async () => {
+                const service = createService(fees, {}, connection);
+                assert.equal(await service.calculatePriorityFee('network_congestion'), expected);
+            });
+        }
+    });
+
+    describe('weighted_average', () => {
+        it('weights fixed, dynamic and statistical results', async () => {
+            // (5000 * 0.5 + 6000 * 1.5 + 4000 * 1.2) / 3.2
+            assert.equal(await createService().calculatePriorityFee('weighted_average'), 5093);
+        });
+
+        it('only uses the strategies it is given', async () => {
+            const strategies = { dynamic: { enabled: true, weight: 1 }, statistical: { enabled: false, weight: 1 } };
+            assert.equal(await createService().calculatePriorityFee('weighted_average', { strategies }), 6000);
+        });
+    });
+
+    describe('auto', () => {
+        it('takes the median of the enabled strategies', async () => {
+            // statistical = 4000, dynamic = 6000
+            assert.equal(await createService().calculatePriorityFee('auto'), 6000);
+        });
+
+        it('is used for unknown strategies', async () => {
+            assert.equal(await createService().calculatePriorityFee('fastest'), 6000);
+        });
+    });
+
+    describe('limits', () => {
+        it('caps fees at maxFee', async () => {
+            const service = createService([90000, 90000]);
+            assert.equal(await service.calculatePriorityFee('dynamic'), 50000);
+            assert.equal(await service.calculatePriorityFee('dynamic', { maxFee: 20000 }), 20000);
+        });
+
+        it('reads MAX_PRIORITY_FEE_MICRO_LAMPORTS when no maxFee is given', async () => {
+            process.env.MAX_PRIORITY_FEE_MICRO_LAMPORTS = '3500';
+            assert.equal(await createService().calculatePriorityFee('statistical'), 3500);
+        });
+
+        it('raises fees to minFee', async () => {
+            assert.equal(await createService([10]).calculatePriorityFee('statistical', { minFee: 100 }), 100);
+        });
+
+        it('replaces invalid fees with the default fee', () => {
+            assert.equal(createService().applyLimits(NaN), 5000);
+            assert.equal(createService().applyLimits(-1), 5000);
+        });
+    });
+});
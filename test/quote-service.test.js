@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { QuoteService } from '../services/QuoteService.js';
+
+function route(...exchanges) {
+    return { exchanges, hops: exchanges.length };
+}
+
+function quote(outAmount, priceImpactPct, labels = ['Orca']) {
+    return {
+        outAmount: String(outAmount),
+        priceImpactPct: String(priceImpactPct),
+        routePlan: labels.map(label => ({ swapInfo: { label } }))
+    };
+}
+
+describe('QuoteService.calculateAdaptiveSlippage', () => {
+    const service = new QuoteService({ baseSlippage: 100 });
+
+    it('uses the base slippage for a calm single-hop route', () => {
+        assert.equal(service.calculateAdaptiveSlippage(0.1, route('Orca')), 100);
+    });
+
+    it('adds nothing at exactly 0.5% price impact', () => {
+        assert.equal(service.calculateAdaptiveSlippage(0.5, route('Orca')), 100);
+    });
+
+    it('scales with price impact above 0.5%', () => {
+        // 100 + floor(1.0 * 2 * 100)
+        assert.equal(service.calculateAdaptiveSlippage(1.0, route('Orca')), 300);
+    });
+
+    it('adds 25 bps per extra hop', () => {
+        assert.equal(service.calculateAdaptiveSlippage(0, route('Orca', 'Meteora', 'Phoenix')), 150);
+    });
+
+    it('applies the volatility factor to volatile DEXes', () => {
+        assert.equal(service.calculateAdaptiveSlippage(0, route('Raydium CLMM')), 150);
+        assert.equal(service.calculateAdaptiveSlippage(0, route('Orca', 'OpenBook')), 187);
+    });
+
+    it('clamps to the configured maximum', () => {
+        assert.equal(service.calculateAdaptiveSlippage(5, route('Orca')), 500);
+    });
+
+    it('clamps to the configured minimum', () => {
+        const lowBase = new QuoteService({ baseSlippage: 10, minSlippage: 40 });
+        assert.equal(lowBase.calculateAdaptiveSlippage(0, route('Orca')), 40);
+    });
+
+    it('works on the route info produced by getRouteInfo', () => {
+        const routeInfo = service.getRouteInfo(quote(1, 0, ['Serum', 'Orca']));
+        // (100 + 25) * 1.5
+        assert.equal(service.calculateAdaptiveSlippage(0, routeInfo), 187);
+    });
+});
+
+describe('QuoteService.findBestQuote', () => {
+    const service = new QuoteService();
+
+    it('picks the highest output by default', () => {
+        const best = quote(1200, 0.1);
+        assert.equal(service.findBestQuote([quote(1000, 0.1), best, quote(1100, 0.1)]), best);
+    });
+
+    it('drops quotes above the price impact limit', () => {
+        const allowed = quote(1000, 1);
+        const result = service.findBestQuote([quote(5000, 6), allowed], { maxPriceImpact: 5 });
+        assert.equal(result, allowed);
+    });
+
+    it('reads price impact from enhanced quote metadata', () => {
+        const risky = { ...quote(5000, 0), metadata: { priceImpact: 9 } };
+        const safe = quote(1000, 0.2);
+        assert.equal(service.findBestQuote([risky, safe]), safe);
+    });
+
+    it('throws when no quote is within the price impact limit', () => {
+        assert.throws(
+            () => service.findBestQuote([quote(1000, 7), quote(900, 8)]),
+            { message: 'No valid quotes found within price impact constraints' }
+        );
+    });
+
+    it('picks the lowest price impact when output is not prioritized', () => {
+        const calm = quote(900, 0.05);
+        const result = service.findBestQuote([quote(1000, 0.3), calm], { prioritizeOutput: false });
+        assert.equal(result, calm);
+    });
+
+    it('prefers the best direct route when asked', () => {
+        const direct = quote(1000, 0.1, ['Orca']);
+        const multiHop = quote(1100, 0.1, ['Orca', 'Meteora']);
+        assert.equal(service.findBestQuote([multiHop, direct], { preferDirectRoutes: true }), direct);
+    });
+
+    it('falls back to the best quote when no direct route exists', () => {
+        const better = quote(1100, 0.1, ['Orca', 'Meteora']);
+        const quotes = [quote(1000, 0.1, ['Orca', 'Phoenix']), better];
+        assert.equal(service.findBestQuote(quotes, { preferDirectRoutes: true }), better);
+    });
+});
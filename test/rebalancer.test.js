@@ -0,0 +1,145 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Keypair } from '@solana/web3.js';
+import { Rebalancer } from '../services/Rebalancer.js';
+import { runRebalance } from '../rebalance.js';
+import { SOL_MINT, USDC_MINT, BONK_MINT, quietConsole, createFakeConnection, createCapture } from './helpers.js';
+
+const DECIMALS = { [SOL_MINT]: 9, [USDC_MINT]: 6, [BONK_MINT]: 5 };
+const PRICES = { [SOL_MINT]: 100, [BONK_MINT]: 0.00002 }; // In USDC per whole token
+
+/**
+ * CoreSwap stand-in holding `lamports` SOL and `tokenBalances`, quoting at PRICES
+ */
+function createSwapper({ lamports = 0, tokenBalances = {}, swapError } = {}) {
+    const swaps = [];
+    return {
+        swaps,
+        signer: { publicKey: Keypair.generate().publicKey },
+        connection: createFakeConnection({ tokenBalances }),
+        networkService: { getBalance: async () => lamports },
+        async getTokenInfo(mint) {
+            return { mint, decimals: DECIMALS[mint], symbol: { [SOL_MINT]: 'SOL', [USDC_MINT]: 'USDC' }[mint] ?? 'BONK' };
+        },
+        async resolveSwapPair(params) {
+            return { ...params, inputToken: await this.getTokenInfo(params.inputMint), outputToken: await this.getTokenInfo(params.outputMint) };
+        },
+        async getQuote(pair) {
+            const whole = Number(pair.amount) / 10 ** pair.inputToken.decimals;
+            return { inAmount: pair.amount, outAmount: String(Math.round(whole * PRICES[pair.inputMint] * 1e6)) };
+        },
+        async performSwap(params) {
+            swaps.push(params);
+            if (swapError) throw new Error(swapError);
+            return { signature: `sig-${swaps.length}` };
+        }
+    };
+}
+
+describe('Rebalancer', () => {
+    beforeEach(() => quietConsole());
+    afterEach(() => mock.restoreAll());
+
+    it('values holdings and sells the overweight mint into the underweight one', async () => {
+        // 8.05 SOL less the 0.05 reserve = 800 USDC, plus 200 USDC: 80/20 against a 60/40 target
+        const swapper = createSwapper({ lamports: 8050000000, tokenBalances: { [USDC_MINT]: 200000000 } });
+        const plan = await new Rebalancer({ swapper }).plan({ [SOL_MINT]: 60, [USDC_MINT]: 40 }, 5);
+
+        assert.equal(plan.totalValue, 1000);
+        assert.equal(plan.withinBand, false);
+        assert.deepEqual(plan.holdings.map(({ symbol, balance, price, weight, drift }) => ({ symbol, balance, price, weight, drift })), [
+            { symbol: 'SOL', balance: '8000000000', price: 100, weight: 80, drift: 20 },
+            { symbol: 'USDC', balance: '200000000', price: 1, weight: 20, drift: -20 }
+        ]);
+        assert.deepEqual(plan.trades, [{ inputMint: SOL_MINT, outputMint: USDC_MINT, amount: '2000000000', value: 200 }]);
+    });
+
+    it('leaves a wallet within the band alone', async () => {
+        const swapper = createSwapper({ lamports: 6350000000, tokenBalances: { [USDC_MINT]: 370000000 } });
+        const plan = await new Rebalancer({ swapper }).plan({ [SOL_MINT]: 60, [USDC_MINT]: 40 }, 5);
+
+        assert.equal(plan.withinBand, true);
+        assert.deepEqual(plan.trades, []);
+    });
+
+    it('splits the sale of one mint across several underweight ones', async () => {
+        const swapper = createSwapper({ lamports: 50000000, tokenBalances: { [USDC_MINT]: 1000000000 } });
+        const plan = await new Rebalancer({ swapper }).plan({ [SOL_MINT]: 50, [USDC_MINT]: 20, [BONK_MINT]: 30 }, 5);
+
+        assert.deepEqual(plan.trades, [
+            { inputMint: USDC_MINT, outputMint: SOL_MINT, amount: '500000000', value: 500 },
+            { inputMint: USDC_MINT, outputMint: BONK_MINT, amount: '300000000', value: 300 }
+        ]);
+    });
+
+    it('skips trades below the minimum value', async () => {
+        const swapper = createSwapper({ lamports: 50000000, tokenBalances: { [USDC_MINT]: 10000000 } });
+        const plan = await new Rebalancer({ swapper }, { minTradeValue: 20 }).plan({ [SOL_MINT]: 50, [USDC_MINT]: 50 });
+
+        assert.equal(plan.withinBand, false);
+        assert.deepEqual(plan.trades, []);
+    });
+
+    it('makes the trades through performSwap and stops at the first failure', async () => {
+        const swapper = createSwapper({ lamports: 50000000, tokenBalances: { [USDC_MINT]: 1000000000 } });
+        const rebalancer = new Rebalancer({ swapper });
+        const plan = await rebalancer.plan({ [SOL_MINT]: 50, [USDC_MINT]: 20, [BONK_MINT]: 30 });
+
+        const results = await rebalancer.execute(plan);
+        assert.deepEqual(results.map(result => [result.status, result.signature]), [['executed', 'sig-1'], ['executed', 'sig-2']]);
+        assert.deepEqual(swapper.swaps[0], { inputMint: USDC_MINT, outputMint: SOL_MINT, amount: '500000000' });
+
+        const failing = createSwapper({ lamports: 50000000, tokenBalances: { [USDC_MINT]: 1000000000 }, swapError: 'Slippage exceeded' });
+        const failed = await new Rebalancer({ swapper: failing }).execute(plan);
+        assert.deepEqual(failed.map(result => result.status), ['failed']);
+        assert.equal(failed[0].error, 'Slippage exceeded');
+    });
+
+    it('throws when the wallet holds none of the targets', async () => {
+        await assert.rejects(
+            new Rebalancer({ swapper: createSwapper() }).plan({ [SOL_MINT]: 50, [USDC_MINT]: 50 }),
+            { message: 'The wallet holds none of the target mints' }
+        );
+    });
+
+    for (const [label, targets, error] of [
+        ['a single target', { [SOL_MINT]: 100 }, 'Give target weights for at least two mints'],
+        ['a bad mint', { nope: 50, [USDC_MINT]: 50 }, 'Invalid target mint address: nope'],
+        ['a zero weight', { [SOL_MINT]: 0, [USDC_MINT]: 100 }, `Target weight for ${SOL_MINT} must be a positive percentage, got 0`],
+        ['weights not adding up to 100', { [SOL_MINT]: 60, [USDC_MINT]: 30 }, 'Target weights must add up to 100, got 90']
+    ]) {
+        it(`rejects ${label}`, () => {
+            assert.throws(() => Rebalancer.validateTargets(targets), { message: error });
+        });
+    }
+});
+
+describe('rebalance --json', () => {
+    beforeEach(() => quietConsole());
+    afterEach(() => mock.restoreAll());
+
+    it('writes only the plan to stdout, and the swapper logs to stderr', async () => {
+        const stdout = createCapture();
+        const stderr = createCapture();
+        const swapper = createSwapper({ lamports: 8050000000, tokenBalances: { [USDC_MINT]: 200000000 } });
+        const createSwapperLogging = () => {
+            // As CoreSwap and NetworkService do on startup
+            console.log('🔍 Validating environment...');
+            console.log('🌐 NetworkService connected to: http://localhost:8899');
+            return swapper;
+        };
+
+        const code = await runRebalance(
+            ['--target', 'SOL=60', '--target', 'USDC=40', '--json', '--dry-run'],
+            { createSwapper: createSwapperLogging, stdout, stderr }
+        );
+
+        assert.equal(code, 0);
+        const plan = JSON.parse(stdout.text);
+        assert.equal(plan.totalValue, 1000);
+        assert.deepEqual(plan.trades, [{ inputMint: SOL_MINT, outputMint: USDC_MINT, amount: '2000000000', value: 200 }]);
+        assert.match(stderr.text, /Validating environment/);
+        assert.match(stderr.text, /NetworkService connected/);
+        assert.deepEqual(swapper.swaps, []);
+    });
+});
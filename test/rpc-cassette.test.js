@@ -0,0 +1,197 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Keypair } from '@solana/web3.js';
+import { RpcCassette } from '../services/RpcCassette.js';
+import { NetworkService } from '../services/NetworkService.js';
+import { quietConsole } from './helpers.js';
+
+const RPC_URL = 'http://rpc.test';
+
+/**
+ * fetch() stand-in for an RPC node answering each method with the next of its `answers`
+ * @param {Object} answers - { [method]: result[] }
+ */
+function createRpcFetch(answers) {
+    const requests = [];
+    const rpcFetch = async (url, init) => {
+        const request = JSON.parse(init.body);
+        requests.push(request);
+        const result = answers[request.method].shift();
+        return new Response(JSON.stringify({ jsonrpc: '2.0', id: request.id, result }), {
+            status: 200,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    };
+    rpcFetch.requests = requests;
+    return rpcFetch;
+}
+
+// Request as Connection sends it
+function rpcRequest(id, method, params = []) {
+    return { method: 'POST', body: JSON.stringify({ jsonrpc: '2.0', id, method, params }) };
+}
+
+function writeCassette(file, interactions) {
+    fs.writeFileSync(file, JSON.stringify({ recordedAt: new Date().toISOString(), interactions }));
+}
+
+describe('RpcCassette', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+        quietConsole();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rpc-cassette-'));
+        file = path.join(dir, 'cassette.json');
+    });
+    afterEach(() => {
+        mock.restoreAll();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('records each call with its params, status and response, flushing the file as it goes', async () => {
+        const rpcFetch = createRpcFetch({ getSlot: [100], getBalance: [{ context: { slot: 100 }, value: 5000 }] });
+        const cassette = new RpcCassette({ mode: 'record', path: file, fetch: rpcFetch });
+
+        const response = await cassette.fetch(RPC_URL, rpcRequest('a', 'getSlot'));
+        assert.deepEqual(await response.json(), { jsonrpc: '2.0', id: 'a', result: 100 });
+        assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).interactions.length, 1);
+
+        await cassette.fetch(RPC_URL, rpcRequest('b', 'getBalance', ['wallet']));
+        const { interactions } = JSON.parse(fs.readFileSync(file, 'utf8'));
+        assert.deepEqual(interactions, [
+            { method: 'getSlot', params: [], status: 200, response: { jsonrpc: '2.0', id: 'a', result: 100 } },
+            {
+                method: 'getBalance',
+                params: ['wallet'],
+                status: 200,
+                response: { jsonrpc: '2.0', id: 'b', result: { context: { slot: 100 }, value: 5000 } }
+            }
+        ]);
+        assert.equal(rpcFetch.requests.length, 2);
+    });
+
+    it('replays each method in recorded order, independently of other methods', async () => {
+        writeCassette(file, [
+            { method: 'getSlot', params: [], status: 200, response: { jsonrpc: '2.0', id: 1, result: 100 } },
+            { method: 'getBalance', params: [], status: 200, response: { jsonrpc: '2.0', id: 2, result: 7 } },
+            { method: 'getSlot', params: [], status: 200, response: { jsonrpc: '2.0', id: 3, result: 101 } }
+        ]);
+        const cassette = new RpcCassette({ mode: 'replay', path: file, fetch: () => assert.fail('replay went to the network') });
+
+        const results = [];
+        for (const method of ['getBalance', 'getSlot', 'getSlot']) {
+            const response = await cassette.fetch(RPC_URL, rpcRequest(9, method));
+            results.push((await response.json()).result);
+        }
+        assert.deepEqual(results, [7, 100, 101]);
+    });
+
+    it('answers with the id of the live request, not the recorded one', async () => {
+        writeCassette(file, [
+            { method: 'getSlot', params: [], status: 200, response: { jsonrpc: '2.0', id: 'recorded', result: 100 } },
+            {
+                method: 'getSlot,getBalance',
+                params: [[], []],
+                status: 200,
+                response: [{ jsonrpc: '2.0', id: 'r1', result: 100 }, { jsonrpc: '2.0', id: 'r2', result: 7 }]
+            }
+        ]);
+        const cassette = new RpcCassette({ mode: 'replay', path: file });
+
+        const single = await cassette.fetch(RPC_URL, rpcRequest('live', 'getSlot'));
+        assert.deepEqual(await single.json(), { jsonrpc: '2.0', id: 'live', result: 100 });
+
+        const batch = await cassette.fetch(RPC_URL, {
+            method: 'POST',
+            body: JSON.stringify([
+                { jsonrpc: '2.0', id: 'l1', method: 'getSlot', params: [] },
+                { jsonrpc: '2.0', id: 'l2', method: 'getBalance', params: [] }
+            ])
+        });
+        assert.deepEqual((await batch.json()).map(entry => entry.id), ['l1', 'l2']);
+    });
+
+    it('replays the recorded HTTP status', async () => {
+        writeCassette(file, [
+            { method: 'getSlot', params: [], status: 429, response: { jsonrpc: '2.0', id: 1, error: { code: 429, message: 'Too many requests' } } }
+        ]);
+        const response = await new RpcCassette({ mode: 'replay', path: file }).fetch(RPC_URL, rpcRequest(1, 'getSlot'));
+
+        assert.equal(response.status, 429);
+    });
+
+    it('fails a call the cassette has no recording of, and one past the recorded responses', async () => {
+        writeCassette(file, [
+            { method: 'getSlot', params: [], status: 200, response: { jsonrpc: '2.0', id: 1, result: 100 } }
+        ]);
+        const cassette = new RpcCassette({ mode: 'replay', path: file });
+
+        await assert.rejects(
+            cassette.fetch(RPC_URL, rpcRequest(1, 'getBalance')),
+            { message: `No recorded getBalance response left in cassette ${file}` }
+        );
+        await cassette.fetch(RPC_URL, rpcRequest(2, 'getSlot'));
+        await assert.rejects(
+            cassette.fetch(RPC_URL, rpcRequest(3, 'getSlot')),
+            { message: `No recorded getSlot response left in cassette ${file}` }
+        );
+    });
+
+    it('rejects a missing cassette file and an unknown mode', () => {
+        assert.throws(
+            () => new RpcCassette({ mode: 'replay', path: path.join(dir, 'missing.json') }),
+            { message: `Cassette not found: ${path.join(dir, 'missing.json')}` }
+        );
+        assert.throws(
+            () => new RpcCassette({ mode: 'rewind', path: file }),
+            { message: 'Invalid cassette mode "rewind". Use one of: record, replay' }
+        );
+    });
+
+    describe('in NetworkService', () => {
+        it('records the calls its connection makes and replays them offline', async () => {
+            const wallet = Keypair.generate().publicKey;
+            const rpcFetch = createRpcFetch({ getBalance: [{ context: { slot: 100 }, value: 5000 }] });
+            const recording = new NetworkService({ rpcEndpoint: RPC_URL, cassette: { mode: 'record', path: file, fetch: rpcFetch } });
+            assert.equal(await recording.getConnection().getBalance(wallet), 5000);
+            assert.equal(rpcFetch.requests[0].params[0], wallet.toBase58());
+
+            const replaying = new NetworkService({ rpcEndpoint: RPC_URL, cassette: { mode: 'replay', path: file } });
+            assert.equal(await replaying.getConnection().getBalance(wallet), 5000);
+        });
+
+        it('records the confirmTransaction result and replays it without the websocket', async () => {
+            const confirmation = { context: { slot: 100 }, value: { err: null } };
+            const recording = new NetworkService({ rpcEndpoint: RPC_URL, cassette: { mode: 'record', path: file, fetch: createRpcFetch({}) } });
+            mock.method(recording.connection, 'confirmTransaction', async () => confirmation);
+            assert.deepEqual(await recording.confirmTransaction('sig-1'), confirmation);
+            assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')).interactions, [
+                { method: 'confirmTransaction', params: ['sig-1', 'confirmed'], status: 200, response: confirmation }
+            ]);
+
+            const replaying = new NetworkService({ rpcEndpoint: RPC_URL, cassette: { mode: 'replay', path: file } });
+            mock.method(replaying.connection, 'confirmTransaction', async () => assert.fail('replay went to the network'));
+            assert.deepEqual(await replaying.confirmTransaction('sig-2'), confirmation);
+            await assert.rejects(replaying.confirmTransaction('sig-3'), {
+                message: `Transaction confirmation failed: No recorded confirmTransaction response left in cassette ${file}`
+            });
+        });
+
+        it('replays a failed confirmation as a failure', async () => {
+            writeCassette(file, [
+                { method: 'confirmTransaction', params: ['sig-1', 'confirmed'], status: 200, response: { context: { slot: 100 }, value: { err: { InstructionError: [0, 'Custom'] } } } }
+            ]);
+            const replaying = new NetworkService({ rpcEndpoint: RPC_URL, cassette: { mode: 'replay', path: file } });
+
+            await assert.rejects(replaying.confirmTransaction('sig-1'), error => {
+                assert.equal(error.message, 'Transaction confirmation failed');
+                assert.deepEqual(error.confirmationResult.err, { InstructionError: [0, 'Custom'] });
+                return true;
+            });
+        });
+    });
+});
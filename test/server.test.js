@@ -0,0 +1,1249 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Keypair, LAMPORTS_PER_SOL, VersionedTransaction } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { createApp } from '../server.js';
+import { createMockJupiterApp } from '../mock-jupiter-server.js';
+import { WalletStore } from '../services/WalletStore.js';
+import { ApiKeyStore, signRequest } from '../api-auth.js';
+import { QuoteService } from '../services/QuoteService.js';
+import { IdempotencyStore } from '../services/IdempotencyStore.js';
+import { SwapHistory } from '../services/SwapHistory.js';
+import { RemoteSigner, verifySignature } from '../services/Signer.js';
+import { createSignerApp } from '../signer-server.js';
+import { SOL_MINT, USDC_MINT, BONK_MINT, quietConsole, listen, createFakeConnection as createFakeMintConnection } from './helpers.js';
+
+/**
+ * Connection stand-in for the /swap route: fixed balance, records sent and simulated transactions
+ */
+function createFakeConnection({ balance = LAMPORTS_PER_SOL, confirmationErr = null, simulationErr = null } = {}) {
+    return {
+        sent: [],
+        simulated: [],
+        async getBalance() {
+            return balance;
+        },
+        async getMultipleAccountsInfo(addresses) {
+            return addresses.map((address, index) => (index === 0 ? { lamports: balance, data: Buffer.alloc(0) } : null));
+        },
+        async getFeeForMessage() {
+            return { context: { slot: 1 }, value: 5000 };
+        },
+        async simulateTransaction(transaction) {
+            this.simulated.push(transaction);
+            return {
+                context: { slot: 1 },
+                value: simulationErr
+                    ? { err: simulationErr, logs: ['Program log: Error: SlippageToleranceExceeded'], accounts: null }
+                    : { err: null, logs: ['Program log: Instruction: Route'], unitsConsumed: 61000, accounts: [{ lamports: balance - 105000, data: ['', 'base64'] }, null] }
+            };
+        },
+        async sendTransaction(transaction) {
+            this.sent.push(transaction);
+            return bs58.encode(transaction.signatures[0]);
+        },
+        async confirmTransaction() {
+            return { context: { slot: 1 }, value: { err: confirmationErr } };
+        }
+    };
+}
+
+/**
+ * NetworkService stand-in for the TxService send path: simulate, send and confirm
+ */
+function createFakeTxNetwork({ simulationErr = null } = {}) {
+    return {
+        simulated: [],
+        sent: [],
+        async simulateTransaction(transaction) {
+            this.simulated.push(transaction);
+            if (simulationErr) {
+                const error = new Error('Transaction simulation failed');
+                error.simulationResult = { err: simulationErr, logs: [] };
+                throw error;
+            }
+            return { context: { slot: 1 }, value: { err: null, logs: [], unitsConsumed: 50000 } };
+        },
+        async sendTransaction(transaction) {
+            this.sent.push(transaction);
+            return bs58.encode(transaction.signatures[0]);
+        },
+        async confirmTransaction() {
+            return { context: { slot: 2 }, value: { err: null } };
+        }
+    };
+}
+
+describe('POST /swap', () => {
+    let jupiter;
+    let brokenJupiter;
+    let wallet;
+    let walletStore;
+    let feeRecipient;
+
+    before(async () => {
+        jupiter = await listen(createMockJupiterApp());
+        // No USDC pricing, so every SOL → USDC quote fails with "Could not find any route"
+        brokenJupiter = await listen(createMockJupiterApp({ tokens: { [USDC_MINT]: undefined } }));
+    });
+    after(async () => {
+        await jupiter.close();
+        await brokenJupiter.close();
+    });
+
+    beforeEach(() => {
+        quietConsole();
+        wallet = Keypair.generate();
+        walletStore = new WalletStore();
+        walletStore.add('trading', wallet);
+        feeRecipient = Keypair.generate().publicKey.toBase58();
+    });
+    afterEach(() => mock.restoreAll());
+
+    async function postSwap(body, {
+        connection = createFakeConnection(),
+        jupiterBase = jupiter.url,
+        headers = () => ({}),
+        ...appOptions
+    } = {}) {
+        const rpcEndpoints = [];
+        const app = createApp({
+            jupiterEndpoints: { quote: `${jupiterBase}/v6/quote`, swap: `${jupiterBase}/v6/swap` },
+            createConnection: endpoint => {
+                rpcEndpoints.push(endpoint);
+                return connection;
+            },
+            walletStore,
+            allowInsecurePrivateKey: false,
+            allowUnauthenticated: true,
+            auditLog: { record: () => {} },
+            history: { record: () => {} },
+            ...appOptions
+        });
+        const server = await listen(app);
+        const payload = JSON.stringify({ walletId: 'trading', feeRecipient, feeBps: 30, ...body });
+        try {
+            const response = await fetch(`${server.url}/swap`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers(payload) },
+                body: payload
+            });
+            return { status: response.status, headers: response.headers, body: await response.json(), rpcEndpoints };
+        } finally {
+            await server.close();
+        }
+    }
+
+    it('swaps SOL to USDC and returns the signature', async () => {
+        const connection = createFakeConnection();
+        const { status, body, rpcEndpoints } = await postSwap({}, { connection, rpcEndpoint: 'http://rpc.test' });
+
+        assert.equal(status, 200);
+        assert.equal(body.success, true);
+        assert.equal(connection.sent.length, 1);
+        assert.equal(body.signature, bs58.encode(connection.sent[0].signatures[0]));
+        assert.equal(connection.sent[0].message.staticAccountKeys[0].toBase58(), wallet.publicKey.toBase58());
+        assert.deepEqual(rpcEndpoints, ['http://rpc.test']);
+        assert.ok(body.logs.includes('🎉 Swap completed successfully!'));
+        assert.ok(body.logs.includes(`   💸 Platform Fee: 30 bps to ${feeRecipient}`));
+    });
+
+    it('connects to the configured RPC endpoint when the request names none', async () => {
+        const saved = process.env.RPC_ENDPOINT;
+        process.env.RPC_ENDPOINT = 'http://env-rpc.test';
+        try {
+            const fromOption = await postSwap({}, { rpcEndpoint: 'http://profile-rpc.test' });
+            assert.equal(fromOption.status, 200);
+            assert.deepEqual(fromOption.rpcEndpoints, ['http://profile-rpc.test']);
+
+            const fromEnv = await postSwap({});
+            assert.equal(fromEnv.status, 200);
+            assert.deepEqual(fromEnv.rpcEndpoints, ['http://env-rpc.test']);
+        } finally {
+            if (saved === undefined) delete process.env.RPC_ENDPOINT;
+            else process.env.RPC_ENDPOINT = saved;
+        }
+    });
+
+    it('rejects a client-supplied rpcEndpoint unless the dev flag allows it', async () => {
+        const connection = createFakeConnection();
+        const rejected = await postSwap({ rpcEndpoint: 'http://attacker.test' }, { connection, rpcEndpoint: 'http://rpc.test' });
+        assert.equal(rejected.status, 400);
+        assert.match(rejected.body.error, /rpcEndpoint is not accepted/);
+        assert.deepEqual(rejected.rpcEndpoints, []);
+        assert.equal(connection.sent.length, 0);
+
+        const allowed = await postSwap({ rpcEndpoint: 'http://local-validator.test' }, { allowClientRpcEndpoint: true });
+        assert.equal(allowed.status, 200);
+        assert.deepEqual(allowed.rpcEndpoints, ['http://local-validator.test']);
+    });
+
+    it('records the attempt in the swap history', async () => {
+        const entries = [];
+        const { body } = await postSwap({}, { history: { record: entry => entries.push(entry) } });
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(entries.length, 1);
+        assert.equal(entries[0].source, 'server');
+        assert.equal(entries[0].walletId, 'trading');
+        assert.equal(entries[0].wallet, wallet.publicKey.toBase58());
+        assert.equal(entries[0].outputMint, USDC_MINT);
+        assert.equal(entries[0].inAmount, '100000');
+        assert.ok(entries[0].outAmount);
+        assert.equal(entries[0].signature, body.signature);
+        assert.equal(entries[0].status, 'confirmed');
+    });
+
+    it('records failed attempts with the error', async () => {
+        const entries = [];
+        const { status } = await postSwap({}, {
+            connection: createFakeConnection({ confirmationErr: { InstructionError: [0, 'Custom'] } }),
+            history: { record: entry => entries.push(entry) }
+        });
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(status, 500);
+        assert.equal(entries[0].status, 'failed');
+        assert.ok(entries[0].signature);
+        assert.match(entries[0].error, /^Transaction execution failed/);
+    });
+
+    it('records a swap sent but never confirmed as unconfirmed', async () => {
+        const entries = [];
+        const connection = createFakeConnection();
+        connection.confirmTransaction = async () => {
+            throw new Error('Transaction was not confirmed in 30.00 seconds');
+        };
+        const { status } = await postSwap({}, { connection, history: { record: entry => entries.push(entry) } });
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(status, 500);
+        assert.equal(entries[0].status, 'unconfirmed');
+        assert.equal(entries[0].signature, bs58.encode(connection.sent[0].signatures[0]));
+    });
+
+    it('signs with a remote signer wallet, for sends and dry runs', async () => {
+        const remoteKeypair = Keypair.generate();
+        const signerServer = await listen(createSignerApp({ keypair: remoteKeypair, token: 'signer-token' }));
+        try {
+            walletStore.add('remote', new RemoteSigner({ url: signerServer.url, publicKey: remoteKeypair.publicKey, token: 'signer-token' }));
+            const connection = createFakeConnection();
+
+            const { status, body } = await postSwap({ walletId: 'remote' }, { connection });
+            assert.equal(status, 200);
+            const [sent] = connection.sent;
+            assert.equal(sent.message.staticAccountKeys[0].toBase58(), remoteKeypair.publicKey.toBase58());
+            assert.ok(verifySignature(remoteKeypair.publicKey, sent.message.serialize(), sent.signatures[0]));
+            assert.equal(body.signature, bs58.encode(sent.signatures[0]));
+
+            const dryRun = await postSwap({ walletId: 'remote', dryRun: true }, { connection });
+            assert.equal(dryRun.status, 200);
+            const [simulated] = connection.simulated;
+            assert.ok(verifySignature(remoteKeypair.publicKey, simulated.message.serialize(), simulated.signatures[0]));
+        } finally {
+            await signerServer.close();
+        }
+    });
+
+    it('does not record requests rejected by its checks', async () => {
+        const entries = [];
+        const history = { record: entry => entries.push(entry) };
+        const rejected = [
+            await postSwap({ feeRecipient: 'nope' }, { history }),
+            await postSwap({ feeBps: 20000 }, { history }),
+            await postSwap({}, { history, connection: createFakeConnection({ balance: 999999 }) }),
+            await postSwap({ amount: '50001' }, {
+                history,
+                allowUnauthenticated: false,
+                apiKeys: new ApiKeyStore([{ id: 'capped', secret: 'capped-secret-0123456789', scopes: ['swap'], maxNotional: { [SOL_MINT]: '50000' } }]),
+                headers: () => ({ 'X-API-Key': 'capped-secret-0123456789' })
+            })
+        ];
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.deepEqual(rejected.map(({ status }) => status), [400, 400, 400, 403]);
+        assert.deepEqual(entries, []);
+    });
+
+    it('simulates a dry run without sending or recording it', async () => {
+        const connection = createFakeConnection();
+        const entries = [];
+        const { status, body } = await postSwap({ dryRun: true }, { connection, history: { record: entry => entries.push(entry) } });
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.equal(status, 200);
+        assert.equal(body.success, true);
+        assert.equal(body.dryRun, true);
+        assert.equal(body.signature, undefined);
+        assert.equal(connection.sent.length, 0);
+        assert.equal(connection.simulated.length, 1);
+        assert.equal(connection.simulated[0].signatures.length, 1);
+        assert.equal(body.simulation.computeUnitsConsumed, 61000);
+        assert.equal(body.simulation.feeLamports, 5000);
+        assert.deepEqual(body.simulation.balanceChanges.map(({ mint, change }) => [mint, change]), [
+            [SOL_MINT, '-105000'],
+            [USDC_MINT, '0']
+        ]);
+        assert.deepEqual(body.simulation.logs, ['Program log: Instruction: Route']);
+        assert.ok(body.quote.outAmount);
+        assert.ok(body.logs.includes('✅ Dry run succeeded; nothing was sent'));
+        assert.deepEqual(entries, []);
+    });
+
+    it('answers 400 with the logs when the dry run simulation fails', async () => {
+        const connection = createFakeConnection({ simulationErr: { InstructionError: [2, { Custom: 6001 }] } });
+        const { status, body } = await postSwap({ dryRun: true }, { connection });
+
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Simulation failed: {"InstructionError":[2,{"Custom":6001}]}');
+        assert.deepEqual(body.simulation.logs, ['Program log: Error: SlippageToleranceExceeded']);
+        assert.equal(connection.sent.length, 0);
+    });
+
+    it('supports ExactOut and logs the max input', async () => {
+        const { status, body } = await postSwap({ swapMode: 'ExactOut', amount: '10000' });
+        assert.equal(status, 200);
+        assert.ok(body.logs.some(line => line.startsWith('   🔒 Max Input:')));
+    });
+
+    for (const [label, body, error] of [
+        ['missing fields', { feeBps: undefined }, 'Missing required fields'],
+        ['an unknown swapMode', { swapMode: 'ExactBoth' }, 'swapMode must be one of ExactIn, ExactOut'],
+        ['a fractional amount', { amount: '1.5' }, 'Amount must be a positive integer in base units'],
+        ['a zero amount', { amount: 0 }, 'Amount must be a positive integer in base units'],
+        ['a non-boolean dryRun', { dryRun: 'yes' }, 'dryRun must be a boolean'],
+        ['an unknown walletId', { walletId: 'treasury' }, 'Unknown walletId: treasury'],
+        ['an invalid fee recipient', { feeRecipient: 'nope' }, 'Invalid fee recipient address'],
+        ['fee basis points above 10000', { feeBps: 10001 }, 'Fee basis points must be between 0 and 10000']
+    ]) {
+        it(`rejects ${label} with 400`, async () => {
+            const response = await postSwap(body);
+            assert.equal(response.status, 400);
+            assert.equal(response.body.error, error);
+            assert.deepEqual(response.rpcEndpoints, []);
+        });
+    }
+
+    it('rejects privateKey in the body', async () => {
+        const { status, body, rpcEndpoints } = await postSwap({
+            walletId: undefined,
+            privateKey: bs58.encode(wallet.secretKey)
+        });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'privateKey is not accepted; reference a server-side wallet with walletId');
+        assert.deepEqual(rpcEndpoints, []);
+    });
+
+    describe('with allowInsecurePrivateKey', () => {
+        it('signs with the privateKey from the body', async () => {
+            const connection = createFakeConnection();
+            const { status, body } = await postSwap(
+                { walletId: undefined, privateKey: bs58.encode(wallet.secretKey) },
+                { connection, walletStore: new WalletStore(), allowInsecurePrivateKey: true }
+            );
+            assert.equal(status, 200);
+            assert.equal(connection.sent[0].message.staticAccountKeys[0].toBase58(), wallet.publicKey.toBase58());
+            assert.ok(body.logs.includes('⚠️  Using privateKey from the request body (insecure dev mode)'));
+        });
+
+        it('still validates the key', async () => {
+            const { status, body } = await postSwap(
+                { walletId: undefined, privateKey: bs58.encode(Buffer.alloc(32)) },
+                { allowInsecurePrivateKey: true }
+            );
+            assert.equal(status, 400);
+            assert.equal(body.error, 'Invalid private key: Private key must be 64 bytes');
+        });
+    });
+
+    describe('with an Idempotency-Key', () => {
+        let idempotencyStore;
+
+        beforeEach(() => {
+            idempotencyStore = new IdempotencyStore();
+        });
+
+        const withKey = (key, options = {}) => ({
+            idempotencyStore,
+            headers: () => ({ 'Idempotency-Key': key }),
+            ...options
+        });
+
+        it('returns the original response instead of swapping again', async () => {
+            const connection = createFakeConnection();
+            const first = await postSwap({}, withKey('order-1', { connection }));
+            const second = await postSwap({}, withKey('order-1', { connection }));
+            assert.equal(first.status, 200);
+            assert.equal(second.status, 200);
+            assert.deepEqual(second.body, first.body);
+            assert.equal(second.headers.get('idempotent-replayed'), 'true');
+            assert.equal(first.headers.get('idempotent-replayed'), null);
+            assert.equal(connection.sent.length, 1);
+        });
+
+        it('replays a failure once the transaction was sent', async () => {
+            const connection = createFakeConnection({ confirmationErr: { InstructionError: [0, 'Custom'] } });
+            const first = await postSwap({}, withKey('order-1', { connection }));
+            const second = await postSwap({}, withKey('order-1', { connection }));
+            assert.equal(first.status, 500);
+            assert.deepEqual(second.body, first.body);
+            assert.equal(connection.sent.length, 1);
+        });
+
+        it('frees the key when the request was rejected before sending', async () => {
+            const connection = createFakeConnection();
+            const rejected = await postSwap({ amount: '0' }, withKey('order-1', { connection }));
+            assert.equal(rejected.status, 400);
+            const retried = await postSwap({}, withKey('order-1', { connection }));
+            assert.equal(retried.status, 200);
+            assert.equal(connection.sent.length, 1);
+        });
+
+        it('rejects the key for a different request', async () => {
+            await postSwap({}, withKey('order-1'));
+            const { status, body } = await postSwap({ amount: '200000' }, withKey('order-1'));
+            assert.equal(status, 422);
+            assert.equal(body.error, 'Idempotency key was already used for a different request');
+        });
+
+        it('reports a request still in progress or interrupted', async () => {
+            const fingerprint = IdempotencyStore.fingerprint({
+                method: 'POST',
+                path: '/swap',
+                body: { walletId: 'trading', feeRecipient, feeBps: 30 }
+            });
+            idempotencyStore.begin('http:-:busy', fingerprint);
+            const busy = await postSwap({}, withKey('busy'));
+            assert.equal(busy.status, 409);
+            assert.equal(busy.body.status, 'in_progress');
+
+            idempotencyStore.begin('http:-:lost', fingerprint);
+            idempotencyStore.records.get('http:-:lost').status = 'interrupted';
+            const lost = await postSwap({}, withKey('lost'));
+            assert.equal(lost.status, 409);
+            assert.match(lost.body.error, /interrupted by a server restart/);
+        });
+    });
+
+    describe('authentication', () => {
+        const SECRET = 'ops-bot-secret-0123456789';
+        let auditEvents;
+        let apiKeys;
+
+        beforeEach(() => {
+            auditEvents = [];
+            apiKeys = new ApiKeyStore([
+                { id: 'ops-bot', secret: SECRET, scopes: ['swap'], wallets: ['trading'] },
+                { id: 'ui', secret: 'ui-secret-0123456789ab', scopes: ['quote'] },
+                {
+                    id: 'capped',
+                    secret: 'capped-secret-0123456789',
+                    scopes: ['swap'],
+                    allowedMints: ['So11111111111111111111111111111111111111112', USDC_MINT],
+                    maxNotional: { So11111111111111111111111111111111111111112: '50000' }
+                }
+            ]);
+        });
+
+        const authed = (options = {}) => ({
+            apiKeys,
+            allowUnauthenticated: false,
+            auditLog: { record: event => auditEvents.push(event) },
+            ...options
+        });
+
+        it('refuses every request when no keys are configured', async () => {
+            const { status, body } = await postSwap({}, authed({ apiKeys: null }));
+            assert.equal(status, 401);
+            assert.equal(body.error, 'API authentication is not configured');
+        });
+
+        it('requires credentials', async () => {
+            const { status, body, rpcEndpoints } = await postSwap({}, authed());
+            assert.equal(status, 401);
+            assert.equal(body.error, 'Missing API credentials');
+            assert.deepEqual(rpcEndpoints, []);
+            assert.equal(auditEvents[0].event, 'auth_denied');
+        });
+
+        it('swaps with a bearer API key and audits the key', async () => {
+            const { status, body } = await postSwap({}, authed({
+                headers: () => ({ Authorization: `Bearer ${SECRET}` })
+            }));
+            assert.equal(status, 200);
+
+            await new Promise(resolve => setImmediate(resolve));
+            assert.equal(auditEvents.length, 1);
+            assert.deepEqual(
+                {
+                    ...auditEvents[0],
+                    ip: undefined
+                },
+                {
+                    event: 'swap',
+                    walletId: 'trading',
+                    wallet: wallet.publicKey.toBase58(),
+                    inputMint: 'So11111111111111111111111111111111111111112',
+                    outputMint: USDC_MINT,
+                    swapMode: 'ExactIn',
+                    amount: '100000',
+                    signature: body.signature,
+                    keyId: 'ops-bot',
+                    authMethod: 'api-key',
+                    ip: undefined,
+                    status: 200,
+                    outcome: 'succeeded'
+                }
+            );
+        });
+
+        it('rejects an unknown API key', async () => {
+            const { status, body } = await postSwap({}, authed({
+                headers: () => ({ 'X-API-Key': 'not-a-real-key-0123456789' })
+            }));
+            assert.equal(status, 401);
+            assert.equal(body.error, 'Invalid API key');
+        });
+
+        it('rejects keys without the swap scope', async () => {
+            const { status, body } = await postSwap({}, authed({
+                headers: () => ({ 'X-API-Key': 'ui-secret-0123456789ab' })
+            }));
+            assert.equal(status, 403);
+            assert.equal(body.error, 'API key ui lacks the swap scope');
+        });
+
+        it('accepts HMAC-signed requests', async () => {
+            const headers = payload => signRequest({ keyId: 'ops-bot', secret: SECRET, method: 'POST', path: '/swap', body: payload });
+            const { status } = await postSwap({}, authed({ headers }));
+            assert.equal(status, 200);
+            await new Promise(resolve => setImmediate(resolve));
+            assert.equal(auditEvents[0].authMethod, 'hmac');
+        });
+
+        it('rejects HMAC signatures over a different body', async () => {
+            const headers = () => signRequest({ keyId: 'ops-bot', secret: SECRET, method: 'POST', path: '/swap', body: '{}' });
+            const { status, body } = await postSwap({}, authed({ headers }));
+            assert.equal(status, 401);
+            assert.equal(body.error, 'Invalid request signature');
+        });
+
+        it('rejects stale HMAC timestamps', async () => {
+            const headers = payload => signRequest({
+                keyId: 'ops-bot',
+                secret: SECRET,
+                method: 'POST',
+                path: '/swap',
+                body: payload,
+                timestamp: Date.now() - 10 * 60 * 1000
+            });
+            const { status, body } = await postSwap({}, authed({ headers }));
+            assert.equal(status, 401);
+            assert.equal(body.error, 'Request timestamp is outside the allowed window');
+        });
+
+        it('limits keys to their wallets', async () => {
+            walletStore.add('treasury', Keypair.generate());
+            const { status, body } = await postSwap({ walletId: 'treasury' }, authed({
+                headers: () => ({ Authorization: `Bearer ${SECRET}` })
+            }));
+            assert.equal(status, 403);
+            assert.equal(body.error, 'API key ops-bot may not use wallet treasury');
+        });
+
+        it('rejects a privateKey swap from a key restricted to server wallets', async () => {
+            const connection = createFakeConnection();
+            const { status, body } = await postSwap(
+                { walletId: undefined, privateKey: bs58.encode(Keypair.generate().secretKey) },
+                authed({
+                    connection,
+                    allowInsecurePrivateKey: true,
+                    headers: () => ({ Authorization: `Bearer ${SECRET}` })
+                })
+            );
+            assert.equal(status, 403);
+            assert.equal(body.error, 'API key ops-bot may not use a privateKey wallet');
+            assert.equal(connection.sent.length, 0);
+        });
+
+        it('enforces the per-key notional limit for ExactIn', async () => {
+            const connection = createFakeConnection();
+            const { status, body } = await postSwap({ amount: '50001' }, authed({
+                connection,
+                headers: () => ({ 'X-API-Key': 'capped-secret-0123456789' })
+            }));
+            assert.equal(status, 403);
+            assert.match(body.error, /^Amount 50001 exceeds the 50000 limit of API key capped/);
+            assert.equal(connection.sent.length, 0);
+        });
+
+        it('enforces the per-key notional limit on the ExactOut max input', async () => {
+            const { status, body } = await postSwap({ swapMode: 'ExactOut', amount: '10000' }, authed({
+                headers: () => ({ 'X-API-Key': 'capped-secret-0123456789' })
+            }));
+            // 0.01 USDC needs ~67k lamports at the mock's prices, above the 50k cap
+            assert.equal(status, 403);
+            assert.match(body.error, /exceeds the 50000 limit of API key capped/);
+        });
+    });
+
+    it('rejects wallets below 0.001 SOL', async () => {
+        const connection = createFakeConnection({ balance: 999999 });
+        const { status, body } = await postSwap({}, { connection });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Insufficient SOL balance. Please fund your wallet.');
+        assert.equal(connection.sent.length, 0);
+    });
+
+    it('rejects ExactOut swaps the balance cannot cover at max input', async () => {
+        // 1 USDC costs roughly 0.0067 SOL at the mock's $150/SOL
+        const connection = createFakeConnection({ balance: 0.002 * LAMPORTS_PER_SOL });
+        const { status, body } = await postSwap({ swapMode: 'ExactOut', amount: '1000000' }, { connection });
+        assert.equal(status, 400);
+        assert.match(body.error, /^Insufficient SOL balance for ExactOut swap\. Need up to 0\.00\d+ SOL, have 0\.002 SOL$/);
+        assert.equal(connection.sent.length, 0);
+    });
+
+    it('returns 500 when Jupiter cannot quote', async () => {
+        const { status, body } = await postSwap({}, { jupiterBase: brokenJupiter.url });
+        assert.equal(status, 500);
+        assert.match(body.error, /^Quote request failed: /);
+    });
+
+    it('returns 500 when the transaction fails on chain', async () => {
+        const connection = createFakeConnection({ confirmationErr: { InstructionError: [2, { Custom: 6001 }] } });
+        const { status, body } = await postSwap({}, { connection });
+        assert.equal(status, 500);
+        assert.equal(
+            body.error,
+            'Transaction execution failed: Transaction failed: {"InstructionError":[2,{"Custom":6001}]}'
+        );
+    });
+});
+
+describe('GET /wallets', () => {
+    it('lists wallet ids and public keys without secrets', async () => {
+        const walletStore = new WalletStore();
+        const trading = walletStore.add('trading', Keypair.generate(), '/secrets/trading.json');
+        const server = await listen(createApp({
+            walletStore,
+            jupiterEndpoints: {},
+            allowUnauthenticated: true,
+            auditLog: { record: () => {} },
+            history: { record: () => {} }
+        }));
+        try {
+            const response = await fetch(`${server.url}/wallets`);
+            assert.deepEqual(await response.json(), {
+                wallets: [{ walletId: 'trading', publicKey: trading.publicKey.toBase58() }]
+            });
+        } finally {
+            await server.close();
+        }
+    });
+});
+
+describe('quote routes', () => {
+    let jupiter;
+    let server;
+    let rpcEndpoints;
+
+    before(async () => {
+        jupiter = await listen(createMockJupiterApp({
+            tokens: { [BONK_MINT]: { symbol: 'BONK', decimals: 5, priceUsd: 0.00002 } }
+        }));
+    });
+    after(() => jupiter.close());
+
+    beforeEach(() => {
+        quietConsole();
+        rpcEndpoints = [];
+    });
+    afterEach(async () => {
+        await server?.close();
+        server = undefined;
+        mock.restoreAll();
+    });
+
+    async function start(appOptions = {}) {
+        const endpoints = { quote: `${jupiter.url}/v6/quote`, swap: `${jupiter.url}/v6/swap` };
+        server = await listen(createApp({
+            jupiterEndpoints: endpoints,
+            // One attempt, so failing quotes don't sit through the retry backoff
+            quoteService: new QuoteService({
+                jupiterQuoteApi: endpoints.quote,
+                jupiterSwapApi: endpoints.swap,
+                retries: 1
+            }),
+            createConnection: endpoint => {
+                rpcEndpoints.push(endpoint);
+                return createFakeMintConnection();
+            },
+            rpcEndpoint: 'http://rpc.test',
+            walletStore: new WalletStore(),
+            allowUnauthenticated: true,
+            auditLog: { record: () => {} },
+            history: { record: () => {} },
+            ...appOptions
+        }));
+        return server;
+    }
+
+    async function get(path, headers = {}) {
+        const response = await fetch(`${server.url}${path}`, { headers });
+        return { status: response.status, body: await response.json() };
+    }
+
+    describe('GET /quote', () => {
+        it('returns the enhanced quote for any pair', async () => {
+            await start();
+            const { status, body } = await get(
+                `/quote?inputMint=${USDC_MINT}&outputMint=${BONK_MINT}&amount=1000000&slippageBps=100`
+            );
+            assert.equal(status, 200);
+            assert.equal(body.quote.inAmount, '1000000');
+            assert.equal(body.quote.slippageBps, 100);
+            assert.equal(body.quote.metadata.routeInfo.route, 'Raydium');
+            assert.equal(body.quote.metadata.slippageUsed, 100);
+            assert.equal(typeof body.quote.metadata.priceImpact, 'number');
+            assert.ok('totalFeeAmount' in body.quote.metadata.estimatedFees);
+            assert.equal(typeof body.quote.recommendedSlippage, 'number');
+        });
+
+        it('supports ExactOut', async () => {
+            await start();
+            const { status, body } = await get(
+                `/quote?inputMint=${SOL_MINT}&outputMint=${USDC_MINT}&amount=5000000&swapMode=ExactOut`
+            );
+            assert.equal(status, 200);
+            assert.equal(body.quote.swapMode, 'ExactOut');
+            assert.equal(body.quote.outAmount, '5000000');
+            assert.ok(Number(body.quote.metadata.otherAmountThreshold) > Number(body.quote.inAmount));
+        });
+
+        for (const [query, error] of [
+            [`inputMint=${SOL_MINT}&amount=1`, 'inputMint, outputMint and amount are required'],
+            [`inputMint=nope&outputMint=${USDC_MINT}&amount=1`, 'Invalid input mint address: nope'],
+            [`inputMint=${SOL_MINT}&outputMint=${SOL_MINT}&amount=1`, 'Input and output mints must be different'],
+            [`inputMint=${SOL_MINT}&outputMint=${USDC_MINT}&amount=1.5`, 'Amount must be a positive integer in base units'],
+            [`inputMint=${SOL_MINT}&outputMint=${USDC_MINT}&amount=1&swapMode=Exact`, 'swapMode must be one of ExactIn, ExactOut'],
+            [`inputMint=${SOL_MINT}&outputMint=${USDC_MINT}&amount=1&slippageBps=10001`, 'slippageBps must be an integer between 0 and 10000'],
+            [`inputMint=${SOL_MINT}&outputMint=${USDC_MINT}&amount=1&onlyDirectRoutes=yes`, 'onlyDirectRoutes must be true or false']
+        ]) {
+            it(`rejects ${error}`, async () => {
+                await start();
+                const { status, body } = await get(`/quote?${query}`);
+                assert.equal(status, 400);
+                assert.equal(body.error, error);
+            });
+        }
+
+        it('returns 502 when Jupiter has no route', async () => {
+            await start();
+            const unknownMint = Keypair.generate().publicKey.toBase58();
+            const { status, body } = await get(`/quote?inputMint=${SOL_MINT}&outputMint=${unknownMint}&amount=1000`);
+            assert.equal(status, 502);
+            assert.equal(body.error, 'Jupiter API error: Could not find any route');
+        });
+
+        it('accepts quote-only API keys', async () => {
+            const secret = 'ui-secret-0123456789ab';
+            await start({
+                apiKeys: new ApiKeyStore([{ id: 'ui', secret, scopes: ['quote'] }]),
+                allowUnauthenticated: false
+            });
+            const query = `/quote?inputMint=${SOL_MINT}&outputMint=${USDC_MINT}&amount=1000`;
+            assert.equal((await get(query)).status, 401);
+            assert.equal((await get(query, { Authorization: `Bearer ${secret}` })).status, 200);
+        });
+    });
+
+    describe('GET /price', () => {
+        it('prices one whole token in USDC by default', async () => {
+            await start();
+            const { status, body } = await get(`/price?mint=${SOL_MINT}`);
+            assert.equal(status, 200);
+            assert.equal(body.mint, SOL_MINT);
+            assert.equal(body.vsMint, USDC_MINT);
+            assert.equal(body.inAmount, '1000000000');
+            // 150 USD less the mock's 0.25% LP fee and a sliver of price impact
+            assert.ok(body.price > 149 && body.price < 150, `price ${body.price}`);
+            // Known mints need no RPC lookup
+            assert.deepEqual(rpcEndpoints, []);
+        });
+
+        it('looks up decimals of other mints over RPC', async () => {
+            await start();
+            const { status, body } = await get(`/price?mint=${BONK_MINT}&amount=100000000000`);
+            assert.equal(status, 200);
+            assert.equal(body.inAmount, '100000000000');
+            assert.ok(body.price > 0.0000199 && body.price < 0.00002, `price ${body.price}`);
+            assert.deepEqual(rpcEndpoints, ['http://rpc.test']);
+        });
+
+        it('rejects accounts that are not mints', async () => {
+            await start();
+            const notAMint = Keypair.generate().publicKey.toBase58();
+            const { status, body } = await get(`/price?mint=${notAMint}`);
+            assert.equal(status, 400);
+            assert.equal(body.error, `${notAMint} is not an SPL token mint`);
+        });
+
+        it('rejects a missing or repeated mint', async () => {
+            await start();
+            assert.equal((await get('/price')).body.error, 'mint is required');
+            assert.equal((await get(`/price?mint=${USDC_MINT}`)).body.error, 'mint and vsMint must differ');
+        });
+    });
+});
+
+describe('client-signed swaps', () => {
+    let jupiter;
+    let server;
+    let user;
+    let network;
+    let feeAccount;
+
+    before(async () => {
+        jupiter = await listen(createMockJupiterApp());
+    });
+    after(() => jupiter.close());
+
+    beforeEach(() => {
+        quietConsole();
+        user = Keypair.generate();
+        network = createFakeTxNetwork();
+        feeAccount = Keypair.generate().publicKey.toBase58();
+    });
+    afterEach(async () => {
+        await server?.close();
+        server = undefined;
+        mock.restoreAll();
+    });
+
+    async function start(appOptions = {}) {
+        const endpoints = { quote: `${jupiter.url}/v6/quote`, swap: `${jupiter.url}/v6/swap` };
+        server = await listen(createApp({
+            jupiterEndpoints: endpoints,
+            quoteService: new QuoteService({
+                jupiterQuoteApi: endpoints.quote,
+                jupiterSwapApi: endpoints.swap,
+                retries: 1
+            }),
+            createNetworkService: () => network,
+            platformFee: { feeAccount, feeBps: 30 },
+            walletStore: new WalletStore(),
+            allowUnauthenticated: true,
+            auditLog: { record: () => {} },
+            history: { record: () => {} },
+            ...appOptions
+        }));
+    }
+
+    async function post(path, body) {
+        const response = await fetch(`${server.url}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    function build(body = {}) {
+        return post('/swap/build', { userPublicKey: user.publicKey.toBase58(), amount: '100000', ...body });
+    }
+
+    function sign(swapTransaction, signers = [user]) {
+        const transaction = VersionedTransaction.deserialize(Buffer.from(swapTransaction, 'base64'));
+        transaction.sign(signers);
+        return Buffer.from(transaction.serialize()).toString('base64');
+    }
+
+    it('builds an unsigned transaction paid by the client with the platform fee', async () => {
+        await start();
+        const { status, body } = await build({ priorityFeeMicroLamports: 7000 });
+        assert.equal(status, 200);
+        const transaction = VersionedTransaction.deserialize(Buffer.from(body.swapTransaction, 'base64'));
+        assert.ok(transaction.message.staticAccountKeys[0].equals(user.publicKey));
+        assert.ok(transaction.signatures[0].every(byte => byte === 0));
+        // Compute unit limit, compute unit price and the swap itself
+        assert.equal(transaction.message.compiledInstructions.length, 3);
+        assert.deepEqual(body.platformFee, { feeAccount, feeBps: 30 });
+        assert.equal(body.quote.platformFee.feeBps, 30);
+        assert.equal(body.quote.inputMint, SOL_MINT);
+        assert.equal(body.quote.outputMint, USDC_MINT);
+        assert.equal(body.priorityFeeMicroLamports, 7000);
+        assert.ok(Date.parse(body.expiresAt) > Date.now());
+    });
+
+    it('rejects invalid build requests', async () => {
+        await start();
+        assert.equal((await build({ userPublicKey: 'nope' })).body.error, 'userPublicKey must be a valid wallet address');
+        assert.equal((await build({ amount: '0' })).body.error, 'Amount must be a positive integer in base units');
+        assert.equal(
+            (await build({ priorityFeeMicroLamports: 'fast' })).body.error,
+            'priorityFeeMicroLamports must be "auto" or a whole number'
+        );
+    });
+
+    it('applies API key limits when building', async () => {
+        const secret = 'capped-secret-0123456789';
+        await start({
+            allowUnauthenticated: false,
+            apiKeys: new ApiKeyStore([{ id: 'capped', secret, scopes: ['swap'], maxNotional: { [SOL_MINT]: '50000' } }])
+        });
+        const response = await fetch(`${server.url}/swap/build`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${secret}` },
+            body: JSON.stringify({ userPublicKey: user.publicKey.toBase58(), amount: '100000' })
+        });
+        assert.equal(response.status, 403);
+        assert.match((await response.json()).error, /exceeds the 50000 limit of API key capped/);
+    });
+
+    it('submits a transaction only with the key that built it, within that key\'s limits', async () => {
+        const apiKeys = new ApiKeyStore([
+            { id: 'alice', secret: 'alice-secret-0123456789', scopes: ['swap'], maxNotional: { [SOL_MINT]: '1000000' } },
+            { id: 'bob', secret: 'bob-secret-0123456789ab', scopes: ['swap'] }
+        ]);
+        await start({ allowUnauthenticated: false, apiKeys });
+        const postAs = async (secret, path, body) => {
+            const response = await fetch(`${server.url}${path}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${secret}` },
+                body: JSON.stringify(body)
+            });
+            return { status: response.status, body: await response.json() };
+        };
+        const buildAs = secret => postAs(secret, '/swap/build', { userPublicKey: user.publicKey.toBase58(), amount: '100000' });
+
+        const built = await buildAs('alice-secret-0123456789');
+        const signedTransaction = sign(built.body.swapTransaction);
+        const stolen = await postAs('bob-secret-0123456789ab', '/swap/submit', { signedTransaction });
+        assert.equal(stolen.status, 403);
+        assert.equal(stolen.body.error, 'Transaction was built with another API key');
+
+        // Limits lowered between build and submit apply to the submit
+        apiKeys.getById('alice').maxNotional[SOL_MINT] = 50000n;
+        const capped = await postAs('alice-secret-0123456789', '/swap/submit', { signedTransaction });
+        assert.equal(capped.status, 403);
+        assert.match(capped.body.error, /^Amount 100000 exceeds the 50000 limit of API key alice/);
+        assert.equal(network.sent.length, 0);
+
+        apiKeys.getById('alice').maxNotional[SOL_MINT] = 1000000n;
+        const submitted = await postAs('alice-secret-0123456789', '/swap/submit', { signedTransaction });
+        assert.equal(submitted.status, 200);
+        assert.equal(network.sent.length, 1);
+    });
+
+    it('simulates, sends and confirms the signed transaction', async () => {
+        await start();
+        const built = await build();
+        const { status, body } = await post('/swap/submit', { signedTransaction: sign(built.body.swapTransaction) });
+        assert.equal(status, 200);
+        assert.equal(body.success, true);
+        assert.equal(network.simulated.length, 1);
+        assert.equal(network.sent.length, 1);
+        assert.equal(body.signature, bs58.encode(network.sent[0].signatures[0]));
+    });
+
+    it('records submitted transactions in the swap history', async () => {
+        const entries = [];
+        await start({ history: { record: entry => entries.push(entry) } });
+        const built = await build({ priorityFeeMicroLamports: 7000 });
+        const { body } = await post('/swap/submit', { signedTransaction: sign(built.body.swapTransaction) });
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(entries.length, 1);
+        assert.equal(entries[0].source, 'client-signed');
+        assert.equal(entries[0].wallet, user.publicKey.toBase58());
+        assert.equal(entries[0].inputMint, SOL_MINT);
+        assert.equal(entries[0].outAmount, built.body.quote.outAmount);
+        assert.equal(entries[0].priorityFeeMicroLamports, 7000);
+        assert.equal(entries[0].computeUnitsConsumed, 50000);
+        assert.equal(entries[0].signature, body.signature);
+        assert.equal(entries[0].status, 'confirmed');
+    });
+
+    it('accepts each built transaction once', async () => {
+        await start();
+        const signedTransaction = sign((await build()).body.swapTransaction);
+        assert.equal((await post('/swap/submit', { signedTransaction })).status, 200);
+        const { status, body } = await post('/swap/submit', { signedTransaction });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Transaction was not built by /swap/build or has expired');
+        assert.equal(network.sent.length, 1);
+    });
+
+    it('refuses transactions it did not build', async () => {
+        await start();
+        const other = await listen(createMockJupiterApp());
+        try {
+            const quote = await (await fetch(`${other.url}/v6/quote?inputMint=${SOL_MINT}&outputMint=${USDC_MINT}&amount=1000`)).json();
+            const { swapTransaction } = await (await fetch(`${other.url}/v6/swap`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ quoteResponse: quote, userPublicKey: user.publicKey.toBase58() })
+            })).json();
+            const { status, body } = await post('/swap/submit', { signedTransaction: sign(swapTransaction) });
+            assert.equal(status, 400);
+            assert.equal(body.error, 'Transaction was not built by /swap/build or has expired');
+            assert.equal(network.sent.length, 0);
+        } finally {
+            await other.close();
+        }
+    });
+
+    it('rejects unsigned and malformed transactions', async () => {
+        await start();
+        const built = await build();
+        let { status, body } = await post('/swap/submit', { signedTransaction: built.body.swapTransaction });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Transaction is not fully signed');
+        ({ status, body } = await post('/swap/submit', { signedTransaction: 'AAAA' }));
+        assert.equal(status, 400);
+        assert.equal(body.error, 'signedTransaction is not a valid transaction');
+    });
+
+    it('returns 500 when simulation fails', async () => {
+        network = createFakeTxNetwork({ simulationErr: { InstructionError: [2, { Custom: 6001 }] } });
+        await start();
+        const built = await build();
+        const { status, body } = await post('/swap/submit', { signedTransaction: sign(built.body.swapTransaction) });
+        assert.equal(status, 500);
+        assert.match(body.error, /^Transaction execution failed: Transaction simulation failed/);
+        assert.equal(network.sent.length, 0);
+    });
+});
+
+describe('swap jobs', () => {
+    let jupiter;
+    let server;
+    let network;
+    let walletStore;
+
+    before(async () => {
+        jupiter = await listen(createMockJupiterApp());
+    });
+    after(() => jupiter.close());
+
+    beforeEach(() => {
+        quietConsole();
+        network = createFakeTxNetwork();
+        walletStore = new WalletStore();
+        walletStore.add('trading', Keypair.generate());
+    });
+    afterEach(async () => {
+        await server?.close();
+        server = undefined;
+        mock.restoreAll();
+    });
+
+    async function start(appOptions = {}) {
+        const endpoints = { quote: `${jupiter.url}/v6/quote`, swap: `${jupiter.url}/v6/swap` };
+        server = await listen(createApp({
+            jupiterEndpoints: endpoints,
+            quoteService: new QuoteService({
+                jupiterQuoteApi: endpoints.quote,
+                jupiterSwapApi: endpoints.swap,
+                retries: 1
+            }),
+            createNetworkService: () => network,
+            platformFee: null,
+            walletStore,
+            allowUnauthenticated: true,
+            auditLog: { record: () => {} },
+            history: { record: () => {} },
+            ...appOptions
+        }));
+    }
+
+    async function submit(body, headers = {}) {
+        const response = await fetch(`${server.url}/swaps`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify({ walletId: 'trading', amount: '100000', ...body })
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    async function getJob(id, headers = {}) {
+        const response = await fetch(`${server.url}/swaps/${id}`, { headers });
+        return { status: response.status, body: await response.json() };
+    }
+
+    // Read the whole event stream; it ends once the job is confirmed or failed
+    async function readEvents(id) {
+        const response = await fetch(`${server.url}/swaps/${id}/events`);
+        assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+        return (await response.text()).trim().split('\n\n').map(block => {
+            const fields = Object.fromEntries(block.split('\n').map(line => {
+                const separator = line.indexOf(': ');
+                return [line.slice(0, separator), line.slice(separator + 2)];
+            }));
+            return { id: Number(fields.id), event: fields.event, data: JSON.parse(fields.data) };
+        });
+    }
+
+    it('accepts the swap as a job and streams its stages', async () => {
+        await start();
+        const { status, body } = await submit({});
+        assert.equal(status, 202);
+        assert.equal(body.job.stage, 'queued');
+        assert.equal(body.statusUrl, `/swaps/${body.job.id}`);
+        assert.equal(body.eventsUrl, `/swaps/${body.job.id}/events`);
+
+        const events = await readEvents(body.job.id);
+        assert.deepEqual(events.map(({ event }) => event), ['queued', 'quote', 'built', 'simulated', 'sent', 'confirmed']);
+        assert.deepEqual(events.map(({ id }) => id), [0, 1, 2, 3, 4, 5]);
+        const signature = bs58.encode(network.sent[0].signatures[0]);
+        assert.equal(events.at(-1).data.signature, signature);
+
+        const job = await getJob(body.job.id);
+        assert.equal(job.status, 200);
+        assert.equal(job.body.job.status, 'confirmed');
+        assert.equal(job.body.job.signature, signature);
+        assert.equal(job.body.job.request.walletId, 'trading');
+        assert.equal('owner' in job.body.job, false);
+    });
+
+    it('signs jobs with a remote signer wallet', async () => {
+        const remoteKeypair = Keypair.generate();
+        const signerServer = await listen(createSignerApp({ keypair: remoteKeypair }));
+        try {
+            walletStore.add('remote', new RemoteSigner({ url: signerServer.url, publicKey: remoteKeypair.publicKey }));
+            await start();
+            const { body } = await submit({ walletId: 'remote' });
+            const events = await readEvents(body.job.id);
+
+            assert.equal(events.at(-1).event, 'confirmed');
+            const [sent] = network.sent;
+            assert.equal(sent.message.staticAccountKeys[0].toBase58(), remoteKeypair.publicKey.toBase58());
+            assert.ok(verifySignature(remoteKeypair.publicKey, sent.message.serialize(), sent.signatures[0]));
+        } finally {
+            await signerServer.close();
+        }
+    });
+
+    it('streams the failure and the stage it happened after', async () => {
+        network = createFakeTxNetwork({ simulationErr: { InstructionError: [2, { Custom: 6001 }] } });
+        await start();
+        const { body } = await submit({});
+        const events = await readEvents(body.job.id);
+        const failed = events.at(-1);
+        assert.equal(failed.event, 'failed');
+        assert.equal(failed.data.after, 'built');
+        assert.match(failed.data.error, /^Transaction simulation failed/);
+        assert.equal((await getJob(body.job.id)).body.job.status, 'failed');
+    });
+
+    it('creates one job per Idempotency-Key', async () => {
+        await start({ idempotencyStore: new IdempotencyStore() });
+        const headers = { 'Idempotency-Key': 'job-1' };
+        const first = await submit({}, headers);
+        const second = await submit({}, headers);
+        assert.equal(second.status, 202);
+        assert.equal(second.body.job.id, first.body.job.id);
+        await readEvents(first.body.job.id);
+        assert.equal(network.sent.length, 1);
+    });
+
+    it('validates the request before creating a job', async () => {
+        await start();
+        assert.equal((await submit({ walletId: undefined })).body.error, 'walletId is required');
+        assert.equal((await submit({ walletId: 'nope' })).body.error, 'Unknown walletId: nope');
+        assert.equal((await submit({ swapMode: 'Exact' })).body.error, 'swapMode must be one of ExactIn, ExactOut');
+        assert.equal((await getJob('missing')).status, 404);
+    });
+
+    it('shows jobs only to the key that created them', async () => {
+        const ops = 'ops-secret-0123456789ab';
+        const other = 'other-secret-0123456789';
+        await start({
+            allowUnauthenticated: false,
+            apiKeys: new ApiKeyStore([
+                { id: 'ops', secret: ops, scopes: ['swap'] },
+                { id: 'other', secret: other, scopes: ['swap'] }
+            ])
+        });
+        const { status, body } = await submit({}, { Authorization: `Bearer ${ops}` });
+        assert.equal(status, 202);
+        assert.equal((await getJob(body.job.id, { Authorization: `Bearer ${ops}` })).status, 200);
+        const hidden = await getJob(body.job.id, { Authorization: `Bearer ${other}` });
+        assert.equal(hidden.status, 404);
+        assert.equal(hidden.body.error, `Unknown swap job: ${body.job.id}`);
+    });
+
+    it('fails ExactOut jobs whose max input exceeds the key limit', async () => {
+        const secret = 'capped-secret-0123456789';
+        await start({
+            allowUnauthenticated: false,
+            apiKeys: new ApiKeyStore([{ id: 'capped', secret, scopes: ['swap'], maxNotional: { [SOL_MINT]: '1000' } }])
+        });
+        const headers = { Authorization: `Bearer ${secret}` };
+        const { status, body } = await submit({ swapMode: 'ExactOut', amount: '5000000' }, headers);
+        assert.equal(status, 202);
+        let job;
+        do {
+            job = (await getJob(body.job.id, headers)).body.job;
+        } while (job.status !== 'failed' && job.status !== 'confirmed');
+        assert.equal(job.status, 'failed');
+        assert.match(job.error, /exceeds the 1000 limit of API key capped/);
+        assert.equal(network.sent.length, 0);
+    });
+});
+
+describe('GET /history', () => {
+    let tmpDir;
+    let history;
+    let server;
+
+    beforeEach(() => {
+        quietConsole();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-history-'));
+        history = new SwapHistory({ path: path.join(tmpDir, 'history.jsonl') });
+        history.record({ source: 'server', walletId: 'trading', inputMint: SOL_MINT, outputMint: USDC_MINT, status: 'confirmed' });
+        history.record({ source: 'server', walletId: 'treasury', inputMint: SOL_MINT, outputMint: BONK_MINT, status: 'failed' });
+        history.record({ source: 'client-signed', inputMint: USDC_MINT, outputMint: SOL_MINT, status: 'confirmed' });
+    });
+    afterEach(async () => {
+        await server?.close();
+        server = undefined;
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+        mock.restoreAll();
+    });
+
+    async function getHistory(query, { headers = {}, ...appOptions } = {}) {
+        server = await listen(createApp({
+            walletStore: new WalletStore(),
+            allowUnauthenticated: true,
+            auditLog: { record: () => {} },
+            history,
+            ...appOptions
+        }));
+        const response = await fetch(`${server.url}/history?${new URLSearchParams(query)}`, { headers });
+        return { status: response.status, body: await response.json() };
+    }
+
+    it('returns matching attempts, newest first', async () => {
+        const { status, body } = await getHistory({ mint: SOL_MINT, status: 'confirmed' });
+        assert.equal(status, 200);
+        assert.deepEqual(body.entries.map(entry => entry.source), ['client-signed', 'server']);
+    });
+
+    it('rejects bad filters with 400', async () => {
+        const { status, body } = await getHistory({ from: 'soon' });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Invalid from date: soon');
+    });
+
+    it('shows keys limited to some wallets only those wallets', async () => {
+        const secret = 'ops-bot-secret-0123456789';
+        const { status, body } = await getHistory({}, {
+            allowUnauthenticated: false,
+            apiKeys: new ApiKeyStore([{ id: 'ops-bot', secret, scopes: ['swap'], wallets: ['trading'] }]),
+            headers: { Authorization: `Bearer ${secret}` }
+        });
+        assert.equal(status, 200);
+        assert.deepEqual(body.entries.map(entry => entry.walletId), ['trading']);
+    });
+});
@@ -0,0 +1,173 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Keypair, PublicKey } from '@solana/web3.js';
+import { SettlementService } from '../services/SettlementService.js';
+import { NetworkService } from '../services/NetworkService.js';
+import { SOL_MINT, USDC_MINT, quietConsole } from './helpers.js';
+
+const wallet = Keypair.generate().publicKey;
+const usdcAccount = Keypair.generate().publicKey;
+const feeOwner = Keypair.generate().publicKey;
+const feeAccount = Keypair.generate().publicKey;
+const tempWsolAccount = Keypair.generate().publicKey;
+const program = Keypair.generate().publicKey;
+
+const token = (accountIndex, mint, owner, amount) => ({
+    accountIndex,
+    mint,
+    owner: owner.toBase58(),
+    uiTokenAmount: { amount: String(amount) }
+});
+
+/**
+ * getParsedTransaction result for one signer; balances are listed per account in order
+ */
+function parsedTransaction({ accounts, preBalances, postBalances, preTokenBalances = [], postTokenBalances = [], fee = 10000, err = null }) {
+    return {
+        slot: 123,
+        meta: { err, fee, preBalances, postBalances, preTokenBalances, postTokenBalances, computeUnitsConsumed: 61000 },
+        transaction: {
+            signatures: ['sig1'],
+            message: { accountKeys: accounts.map(pubkey => ({ pubkey: new PublicKey(pubkey) })) }
+        }
+    };
+}
+
+// Sold 100000 lamports for 15000 USDC units, opening the USDC account on the way
+const SOL_TO_USDC = parsedTransaction({
+    accounts: [wallet, usdcAccount, program],
+    preBalances: [1000000000, 0, 1],
+    postBalances: [1000000000 - 100000 - 10000 - 2039280, 2039280, 1],
+    postTokenBalances: [token(1, USDC_MINT, wallet, 15000)]
+});
+
+// Sold 10000 USDC units for 55000 lamports, 30 units going to the platform fee account
+const USDC_TO_SOL = parsedTransaction({
+    accounts: [wallet, usdcAccount, feeAccount, tempWsolAccount, program],
+    preBalances: [500000000, 2039280, 2039280, 0, 1],
+    postBalances: [500000000 + 55000 - 10000, 2039280, 2039280, 0, 1],
+    preTokenBalances: [token(1, USDC_MINT, wallet, 20000), token(2, USDC_MINT, feeOwner, 0)],
+    postTokenBalances: [token(1, USDC_MINT, wallet, 10000), token(2, USDC_MINT, feeOwner, 30)]
+});
+
+function quote(overrides) {
+    return {
+        inputMint: SOL_MINT,
+        outputMint: USDC_MINT,
+        swapMode: 'ExactIn',
+        inAmount: '100000',
+        outAmount: '15100',
+        otherAmountThreshold: '14900',
+        ...overrides
+    };
+}
+
+describe('SettlementService', () => {
+    const settlements = new SettlementService(null);
+
+    it('reports the realized output, slippage, fees and rent of a SOL sale', () => {
+        const settlement = settlements.analyze(SOL_TO_USDC, { owner: wallet, quote: quote() });
+        assert.deepEqual(settlement, {
+            signature: 'sig1',
+            slot: 123,
+            swapMode: 'ExactIn',
+            inputMint: SOL_MINT,
+            outputMint: USDC_MINT,
+            inputAmount: '100000',
+            outputAmount: '15000',
+            quotedInAmount: '100000',
+            quotedOutAmount: '15100',
+            otherAmountThreshold: '14900',
+            slippageBps: 66.22,
+            worseThanThreshold: false,
+            platformFeeAmount: null,
+            fees: { baseLamports: '5000', priorityLamports: '5000', rentLamports: '2039280', totalLamports: '2049280' },
+            computeUnitsConsumed: 61000
+        });
+    });
+
+    it('counts unwrapped SOL output and the platform fee account', () => {
+        const settlement = settlements.analyze(USDC_TO_SOL, {
+            owner: wallet.toBase58(),
+            feeAccount: feeOwner,
+            quote: quote({ inputMint: USDC_MINT, outputMint: SOL_MINT, inAmount: '10000', outAmount: '56000', otherAmountThreshold: '55500' })
+        });
+        assert.equal(settlement.inputAmount, '10000');
+        assert.equal(settlement.outputAmount, '55000');
+        assert.equal(settlement.platformFeeAmount, '30');
+        assert.equal(settlement.fees.rentLamports, '0');
+        assert.equal(settlement.worseThanThreshold, true);
+        assert.equal(
+            settlements.analyze(USDC_TO_SOL, { owner: wallet, feeAccount, quote: quote({ inputMint: USDC_MINT, outputMint: SOL_MINT }) })
+                .platformFeeAmount,
+            '30'
+        );
+    });
+
+    it('measures ExactOut slippage on the input', () => {
+        const settlement = settlements.analyze(SOL_TO_USDC, {
+            owner: wallet,
+            quote: quote({ swapMode: 'ExactOut', inAmount: '99000', outAmount: '15000', otherAmountThreshold: '99500' })
+        });
+        assert.equal(settlement.slippageBps, 101.01);
+        assert.equal(settlement.worseThanThreshold, true);
+    });
+
+    it('reports a better fill than quoted as negative slippage', () => {
+        const settlement = settlements.analyze(SOL_TO_USDC, { owner: wallet, quote: quote({ outAmount: '14000' }) });
+        assert.equal(settlement.slippageBps, -714.28);
+    });
+
+    it('rejects transactions the wallet is not part of', () => {
+        assert.throws(
+            () => settlements.analyze(SOL_TO_USDC, { owner: Keypair.generate().publicKey, quote: quote() }),
+            /is not part of transaction sig1/
+        );
+    });
+
+    it('fetches the transaction and refuses failed ones', async () => {
+        const calls = [];
+        const networkService = {
+            getTransaction: async (signature, options) => {
+                calls.push({ signature, options });
+                return signature === 'failed' ? { ...SOL_TO_USDC, meta: { ...SOL_TO_USDC.meta, err: { InstructionError: [2, 'Custom'] } } } : SOL_TO_USDC;
+            }
+        };
+        const service = new SettlementService(networkService, { attempts: 2, retryDelay: 0 });
+        assert.equal((await service.verifySwap({ signature: 'sig1', owner: wallet, quote: quote() })).outputAmount, '15000');
+        assert.deepEqual(calls[0], { signature: 'sig1', options: { attempts: 2, retryDelay: 0 } });
+        await assert.rejects(
+            service.verifySwap({ signature: 'failed', owner: wallet, quote: quote() }),
+            /Transaction failed failed on chain/
+        );
+    });
+});
+
+describe('NetworkService.getTransaction', () => {
+    beforeEach(() => quietConsole());
+    afterEach(() => mock.restoreAll());
+
+    it('polls until the RPC has the transaction', async () => {
+        const network = new NetworkService({ rpcEndpoint: 'http://127.0.0.1:8899' });
+        const results = [null, null, SOL_TO_USDC];
+        const requests = [];
+        network.connection = {
+            getParsedTransaction: async (signature, config) => {
+                requests.push(config);
+                return results.shift();
+            }
+        };
+        assert.equal(await network.getTransaction('sig1', { retryDelay: 0 }), SOL_TO_USDC);
+        assert.equal(requests.length, 3);
+        assert.deepEqual(requests[0], { commitment: 'confirmed', maxSupportedTransactionVersion: 0 });
+    });
+
+    it('gives up after the last attempt', async () => {
+        const network = new NetworkService({ rpcEndpoint: 'http://127.0.0.1:8899' });
+        network.connection = { getParsedTransaction: async () => null };
+        await assert.rejects(
+            network.getTransaction('sig1', { attempts: 2, retryDelay: 0 }),
+            /Transaction sig1 not found after 2 attempts/
+        );
+    });
+});
@@ -0,0 +1,138 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import {
+    ComputeBudgetProgram,
+    Keypair,
+    PublicKey,
+    TransactionInstruction,
+    TransactionMessage,
+    VersionedTransaction
+} from '@solana/web3.js';
+import bs58 from 'bs58';
+import { createSignerApp } from '../signer-server.js';
+import { KeypairSigner, RemoteSigner, asSigner, signerFromEnv, verifySignature } from '../services/Signer.js';
+import { TxService } from '../services/TxService.js';
+import { quietConsole, listen } from './helpers.js';
+
+const MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
+
+// Unsigned transaction paid for by `payer`, shaped like a Jupiter swap
+function createTransaction(payer) {
+    const message = new TransactionMessage({
+        payerKey: payer,
+        recentBlockhash: Keypair.generate().publicKey.toBase58(),
+        instructions: [
+            ComputeBudgetProgram.setComputeUnitLimit({ units: 200000 }),
+            new TransactionInstruction({ programId: MEMO_PROGRAM_ID, keys: [], data: Buffer.from('swap') })
+        ]
+    }).compileToV0Message();
+    return new VersionedTransaction(message);
+}
+
+describe('KeypairSigner', () => {
+    it('signs in place with its keypair', async () => {
+        const keypair = Keypair.generate();
+        const signer = asSigner(keypair);
+        const transaction = createTransaction(keypair.publicKey);
+
+        assert.ok(signer instanceof KeypairSigner);
+        assert.equal(asSigner(signer), signer);
+        assert.equal(await signer.signTransaction(transaction), transaction);
+        assert.ok(verifySignature(keypair.publicKey, transaction.message.serialize(), transaction.signatures[0]));
+    });
+});
+
+describe('RemoteSigner', () => {
+    const keypair = Keypair.generate();
+    let service;
+
+    before(async () => {
+        service = await listen(createSignerApp({ keypair, token: 'signer-token' }));
+    });
+    after(() => service.close());
+    beforeEach(() => quietConsole());
+    afterEach(() => mock.restoreAll());
+
+    it('adds the signature the service makes, as a local keypair would', async () => {
+        const signer = new RemoteSigner({ url: `${service.url}/`, publicKey: keypair.publicKey, token: 'signer-token' });
+        const transaction = createTransaction(keypair.publicKey);
+        const local = VersionedTransaction.deserialize(transaction.serialize());
+
+        await signer.signTransaction(transaction);
+        local.sign([keypair]);
+        assert.deepEqual(transaction.signatures, local.signatures);
+    });
+
+    it('learns the public key from the service with connect()', async () => {
+        const signer = await RemoteSigner.connect({ url: service.url, token: 'signer-token' });
+        assert.equal(signer.publicKey.toBase58(), keypair.publicKey.toBase58());
+    });
+
+    it('signs the swap transactions TxService prepares', async () => {
+        const signer = new RemoteSigner({ url: service.url, publicKey: keypair.publicKey, token: 'signer-token' });
+        const serialized = Buffer.from(createTransaction(keypair.publicKey).serialize()).toString('base64');
+
+        const transaction = await new TxService(null).prepareTransaction(serialized, signer);
+        assert.ok(verifySignature(keypair.publicKey, transaction.message.serialize(), transaction.signatures[0]));
+    });
+
+    it('reports what the service refused', async () => {
+        const transaction = createTransaction(keypair.publicKey);
+        const unauthorized = new RemoteSigner({ url: service.url, publicKey: keypair.publicKey, token: 'wrong' });
+        await assert.rejects(unauthorized.signTransaction(transaction), /refused \/sign \(401\): Invalid signer token/);
+
+        const other = Keypair.generate();
+        const wrongKey = new RemoteSigner({ url: service.url, publicKey: other.publicKey, token: 'signer-token' });
+        await assert.rejects(wrongKey.signTransaction(createTransaction(other.publicKey)),
+            /refused \/sign \(400\): This signer holds/);
+    });
+
+    it('refuses transactions it is not a signer of, without asking the service', async () => {
+        const signer = new RemoteSigner({ url: 'http://127.0.0.1:9', publicKey: keypair.publicKey });
+        await assert.rejects(signer.signTransaction(createTransaction(Keypair.generate().publicKey)),
+            /Transaction does not need a signature from/);
+        await assert.rejects(signer.signTransaction(createTransaction(keypair.publicKey)), /Remote signer http:\/\/127\.0\.0\.1:9 is unreachable/);
+    });
+
+    it('rejects a signature that does not verify', async () => {
+        const app = express();
+        app.post('/sign', (req, res) => res.json({ signature: bs58.encode(Keypair.generate().secretKey) }));
+        const forger = await listen(app);
+        try {
+            const signer = new RemoteSigner({ url: forger.url, publicKey: keypair.publicKey });
+            const transaction = createTransaction(keypair.publicKey);
+            await assert.rejects(signer.signTransaction(transaction), /returned an invalid signature/);
+            assert.deepEqual(transaction.signatures[0], new Uint8Array(64));
+        } finally {
+            await forger.close();
+        }
+    });
+});
+
+describe('signerFromEnv', () => {
+    const publicKey = Keypair.generate().publicKey.toBase58();
+
+    it('uses the signing service when REMOTE_SIGNER_URL is set', () => {
+        const signer = signerFromEnv({ REMOTE_SIGNER_URL: 'http://signer:3003', REMOTE_SIGNER_PUBLIC_KEY: publicKey, REMOTE_SIGNER_TOKEN: 'secret' });
+        assert.ok(signer instanceof RemoteSigner);
+        assert.equal(signer.publicKey.toBase58(), publicKey);
+        assert.equal(signer.token, 'secret');
+    });
+
+    it('falls back to a local key', () => {
+        const keypair = Keypair.generate();
+        const signer = signerFromEnv({ PRIVATE_KEY: bs58.encode(keypair.secretKey) });
+        assert.ok(signer instanceof KeypairSigner);
+        assert.equal(signer.publicKey.toBase58(), keypair.publicKey.toBase58());
+    });
+
+    it('needs the expected public key and no local key next to the service', () => {
+        assert.throws(() => signerFromEnv({ REMOTE_SIGNER_URL: 'http://signer:3003' }),
+            /REMOTE_SIGNER_URL is set but REMOTE_SIGNER_PUBLIC_KEY is not/);
+        assert.throws(() => signerFromEnv({ REMOTE_SIGNER_URL: 'http://signer:3003', REMOTE_SIGNER_PUBLIC_KEY: 'nope' }),
+            /Invalid REMOTE_SIGNER_PUBLIC_KEY: nope/);
+        assert.throws(() => signerFromEnv({ REMOTE_SIGNER_URL: 'http://signer:3003', REMOTE_SIGNER_PUBLIC_KEY: publicKey, MNEMONIC: 'words' }),
+            /Set either REMOTE_SIGNER_URL or a local key, not both; found MNEMONIC/);
+    });
+});
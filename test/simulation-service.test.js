@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Keypair, PublicKey } from '@solana/web3.js';
+import { AccountLayout, getAssociatedTokenAddressSync } from '@solana/spl-token';
+import { SimulationService } from '../services/SimulationService.js';
+import { SOL_MINT, USDC_MINT } from './helpers.js';
+
+// Raw SPL token account data holding `amount`
+function tokenAccountData(mint, owner, amount) {
+    const data = Buffer.alloc(AccountLayout.span);
+    AccountLayout.encode({
+        mint: new PublicKey(mint),
+        owner,
+        amount: BigInt(amount),
+        delegateOption: 0,
+        delegate: PublicKey.default,
+        state: 1,
+        isNativeOption: 0,
+        isNative: 0n,
+        delegatedAmount: 0n,
+        closeAuthorityOption: 0,
+        closeAuthority: PublicKey.default
+    }, data);
+    return data;
+}
+
+/**
+ * Connection stand-in with current accounts and a canned simulation result
+ */
+function createConnection({ before, simulation, fee = 5000 }) {
+    return {
+        requests: [],
+        async getMultipleAccountsInfo(addresses) {
+            this.requests.push({ method: 'getMultipleAccountsInfo', addresses: addresses.map(key => key.toBase58()) });
+            return before;
+        },
+        async getFeeForMessage() {
+            return { context: { slot: 1 }, value: fee };
+        },
+        async simulateTransaction(transaction, config) {
+            this.requests.push({ method: 'simulateTransaction', config });
+            return { context: { slot: 1 }, value: simulation };
+        }
+    };
+}
+
+describe('SimulationService', () => {
+    const owner = Keypair.generate().publicKey;
+    const usdcAccount = getAssociatedTokenAddressSync(new PublicKey(USDC_MINT), owner).toBase58();
+    const transaction = { message: {} };
+
+    it('reports balance changes, compute units, fee and logs of a simulated swap', async () => {
+        const connection = createConnection({
+            before: [{ lamports: 1000000000, data: Buffer.alloc(0) }, null],
+            simulation: {
+                err: null,
+                logs: ['Program log: Instruction: Route'],
+                unitsConsumed: 61000,
+                accounts: [
+                    { lamports: 999895000, data: ['', 'base64'], owner: '11111111111111111111111111111111', executable: false },
+                    { lamports: 2039280, data: [tokenAccountData(USDC_MINT, owner, 15000).toString('base64'), 'base64'] }
+                ]
+            }
+        });
+
+        const report = await new SimulationService(connection).simulate(transaction, { owner, mints: [SOL_MINT, USDC_MINT] });
+
+        assert.deepEqual(report, {
+            success: true,
+            error: null,
+            computeUnitsConsumed: 61000,
+            feeLamports: 5000,
+            balanceChanges: [
+                { mint: SOL_MINT, account: owner.toBase58(), before: '1000000000', after: '999895000', change: '-105000' },
+                { mint: USDC_MINT, account: usdcAccount, before: '0', after: '15000', change: '15000' }
+            ],
+            logs: ['Program log: Instruction: Route']
+        });
+        const [lookup, simulate] = connection.requests;
+        assert.deepEqual(lookup.addresses, [owner.toBase58(), usdcAccount]);
+        assert.deepEqual(simulate.config.accounts, { encoding: 'base64', addresses: [owner.toBase58(), usdcAccount] });
+        assert.equal(simulate.config.sigVerify, false);
+    });
+
+    it('reads existing token balances and reports no change when the simulation fails', async () => {
+        const connection = createConnection({
+            before: [{ lamports: 2039280, data: tokenAccountData(USDC_MINT, owner, 250000) }, { lamports: 5000000, data: Buffer.alloc(0) }],
+            simulation: { err: { InstructionError: [2, { Custom: 6001 }] }, logs: ['Program log: Error: SlippageToleranceExceeded'], accounts: null }
+        });
+
+        const report = await new SimulationService(connection).simulate(transaction, { owner, mints: [USDC_MINT, SOL_MINT] });
+
+        assert.equal(report.success, false);
+        assert.deepEqual(report.error, { InstructionError: [2, { Custom: 6001 }] });
+        assert.equal(report.computeUnitsConsumed, null);
+        assert.deepEqual(report.balanceChanges.map(({ mint, before, change }) => [mint, before, change]), [
+            [USDC_MINT, '250000', '0'],
+            [SOL_MINT, '5000000', '0']
+        ]);
+        assert.deepEqual(report.logs, ['Program log: Error: SlippageToleranceExceeded']);
+    });
+});
@@ -0,0 +1,134 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { DEFAULT_JUPITER_API_BASE } from '../jupiter-api.js';
+import { resolveConfig, describeConfig, DEFAULT_SLIPPAGE_BPS, DEFAULT_KEYSTORE_PATH } from '../swap-config.js';
+
+describe('swap-config', () => {
+    let tmpDir;
+    let configPath;
+
+    // Write a config file and return its path
+    function writeConfig(contents) {
+        fs.writeFileSync(configPath, JSON.stringify(contents));
+        return configPath;
+    }
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'swap-config-'));
+        configPath = path.join(tmpDir, 'jup-swap.config.json');
+    });
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('uses the built-in defaults without a file, env or flags', () => {
+        const resolved = resolveConfig({ env: {} });
+
+        assert.equal(resolved.path, null);
+        assert.equal(resolved.profile, null);
+        assert.deepEqual(resolved.settings, {
+            rpcEndpoint: 'https://api.mainnet-beta.solana.com',
+            jupiterApiBase: DEFAULT_JUPITER_API_BASE,
+            slippageBps: DEFAULT_SLIPPAGE_BPS,
+            priorityFee: 'auto',
+            maxPriorityFeeMicroLamports: 50000,
+            keystore: DEFAULT_KEYSTORE_PATH,
+            walletId: 'default',
+            heliusApiKey: null
+        });
+        assert.ok(Object.values(resolved.sources).every(source => source === 'default'));
+    });
+
+    it('layers the file, the profile, the environment and the flags in that order', () => {
+        writeConfig({
+            settings: { slippageBps: 30, priorityFee: 'median', rpcEndpoint: 'https://file.example' },
+            profiles: { 'mainnet-prod': { slippageBps: 20, priorityFee: 1000 } }
+        });
+        const resolved = resolveConfig({
+            path: configPath,
+            profile: 'mainnet-prod',
+            env: { PRIORITY_FEE: 'none', SLIPPAGE_BPS: '15' },
+            flags: { 'slippage-bps': '10' }
+        });
+
+        assert.equal(resolved.path, configPath);
+        assert.equal(resolved.settings.rpcEndpoint, 'https://file.example');
+        assert.equal(resolved.settings.priorityFee, 'none');
+        assert.equal(resolved.settings.slippageBps, 10);
+        assert.deepEqual(resolved.sources, {
+            rpcEndpoint: 'file',
+            jupiterApiBase: 'default',
+            slippageBps: 'flag --slippage-bps',
+            priorityFee: 'env PRIORITY_FEE',
+            maxPriorityFeeMicroLamports: 'default',
+            keystore: 'default',
+            walletId: 'default',
+            heliusApiKey: 'default'
+        });
+    });
+
+    it('picks the profile from the argument, then JUP_SWAP_PROFILE, then defaultProfile', () => {
+        writeConfig({
+            defaultProfile: 'mainnet-prod',
+            profiles: {
+                'mainnet-prod': { rpcEndpoint: 'https://mainnet.example' },
+                'devnet-test': { rpcEndpoint: 'https://api.devnet.solana.com' }
+            }
+        });
+
+        assert.equal(resolveConfig({ path: configPath, env: {} }).profile, 'mainnet-prod');
+        const fromEnv = resolveConfig({ env: { JUP_SWAP_CONFIG: configPath, JUP_SWAP_PROFILE: 'devnet-test' } });
+        assert.equal(fromEnv.profile, 'devnet-test');
+        assert.equal(fromEnv.settings.rpcEndpoint, 'https://api.devnet.solana.com');
+        assert.equal(fromEnv.sources.rpcEndpoint, 'profile devnet-test');
+        const fromArgument = resolveConfig({ path: configPath, profile: 'mainnet-prod', env: { JUP_SWAP_PROFILE: 'devnet-test' } });
+        assert.equal(fromArgument.settings.rpcEndpoint, 'https://mainnet.example');
+    });
+
+    it('names the offending setting and value in validation errors', () => {
+        writeConfig({ settings: { slipageBps: 50 } });
+        assert.throws(() => resolveConfig({ path: configPath, env: {} }),
+            /Unknown setting "slipageBps" in .*jup-swap\.config\.json\. Known settings: rpcEndpoint/);
+
+        writeConfig({ profiles: { fast: { slippageBps: 20000 } } });
+        assert.throws(() => resolveConfig({ path: configPath, env: {} }),
+            /"slippageBps" in profile "fast" of .* must be an integer between 0 and 10000, got 20000/);
+
+        writeConfig({ settings: {}, extra: true });
+        assert.throws(() => resolveConfig({ path: configPath, env: {} }), /Unknown key "extra"/);
+
+        assert.throws(() => resolveConfig({ env: { RPC_ENDPOINT: 'localhost:8899' } }),
+            /RPC_ENDPOINT must be an http\(s\) URL, got "localhost:8899"/);
+        assert.throws(() => resolveConfig({ env: {}, flags: { 'wallet-id': 'Treasury' } }),
+            /--wallet-id must be a wallet id of lowercase letters, digits, "-" and "_", got "Treasury"/);
+        assert.throws(() => resolveConfig({ env: {}, flags: { 'priority-fee': 'fast' } }),
+            /--priority-fee must be auto, median, none or a number of micro-lamports, got "fast"/);
+    });
+
+    it('rejects a profile that the file does not define', () => {
+        writeConfig({ profiles: { 'devnet-test': {} } });
+        assert.throws(() => resolveConfig({ path: configPath, profile: 'mainnet', env: {} }),
+            /Profile "mainnet" is not in .*; available: devnet-test/);
+        assert.throws(() => resolveConfig({ profile: 'mainnet', env: {} }), /Profile "mainnet" needs a config file/);
+
+        writeConfig({ defaultProfile: 'missing', profiles: {} });
+        assert.throws(() => resolveConfig({ path: configPath, env: {} }), /defaultProfile "missing" is not one of the profiles/);
+    });
+
+    it('fails when a named config file cannot be read', () => {
+        assert.throws(() => resolveConfig({ path: path.join(tmpDir, 'missing.json'), env: {} }),
+            /Could not read config file .*missing\.json/);
+        fs.writeFileSync(configPath, '{ not json');
+        assert.throws(() => resolveConfig({ env: { JUP_SWAP_CONFIG: configPath } }), /Could not read config file/);
+    });
+
+    it('masks secrets when describing the config', () => {
+        const described = describeConfig(resolveConfig({ env: { HELIUS_API_KEY: 'helius-secret' } }));
+
+        assert.deepEqual(described.settings.heliusApiKey, { value: '********', source: 'env HELIUS_API_KEY' });
+        assert.deepEqual(described.settings.slippageBps, { value: DEFAULT_SLIPPAGE_BPS, source: 'default' });
+    });
+});
@@ -0,0 +1,74 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { SwapHistory } from '../services/SwapHistory.js';
+import { SOL_MINT, USDC_MINT, BONK_MINT } from './helpers.js';
+
+describe('SwapHistory', () => {
+    let tmpDir;
+    let history;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'swap-history-'));
+        history = new SwapHistory({ path: path.join(tmpDir, 'nested', 'history.jsonl') });
+    });
+    afterEach(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+    // Write entries with fixed timestamps, oldest first
+    function seed(entries) {
+        fs.mkdirSync(path.dirname(history.path), { recursive: true });
+        fs.writeFileSync(history.path, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    }
+
+    it('appends attempts with an id and timestamp', () => {
+        const entry = history.record({ source: 'coreswap', status: 'confirmed', signature: 'sig1' });
+        history.record({ source: 'server', status: 'failed', error: 'boom' });
+
+        assert.match(entry.id, /^[0-9a-f-]{36}$/);
+        assert.ok(Date.parse(entry.timestamp));
+        const entries = history.readAll();
+        assert.deepEqual(entries.map(e => e.source), ['coreswap', 'server']);
+        assert.deepEqual(entries[0], entry);
+    });
+
+    it('reads nothing before the first attempt and skips a torn last line', () => {
+        assert.deepEqual(history.readAll(), []);
+        history.record({ status: 'confirmed' });
+        fs.appendFileSync(history.path, '{"status":"fai');
+        assert.equal(history.readAll().length, 1);
+    });
+
+    it('filters by date, pair, status and wallet, newest first', () => {
+        seed([
+            { id: 'a', timestamp: '2026-01-01T10:00:00.000Z', inputMint: SOL_MINT, outputMint: USDC_MINT, status: 'confirmed', wallet: 'W1', walletId: 'trading' },
+            { id: 'b', timestamp: '2026-01-02T23:30:00.000Z', inputMint: USDC_MINT, outputMint: BONK_MINT, status: 'failed', wallet: 'W2' },
+            { id: 'c', timestamp: '2026-01-03T08:00:00.000Z', inputMint: SOL_MINT, outputMint: BONK_MINT, status: 'confirmed', wallet: 'W1', walletId: 'trading' }
+        ]);
+        const ids = filters => history.query(filters).map(entry => entry.id);
+
+        assert.deepEqual(ids(), ['c', 'b', 'a']);
+        assert.deepEqual(ids({ from: '2026-01-02', to: '2026-01-02' }), ['b']);
+        assert.deepEqual(ids({ to: '2026-01-02T12:00:00Z' }), ['a']);
+        assert.deepEqual(ids({ inputMint: SOL_MINT }), ['c', 'a']);
+        assert.deepEqual(ids({ outputMint: BONK_MINT }), ['c', 'b']);
+        assert.deepEqual(ids({ mint: USDC_MINT }), ['b', 'a']);
+        assert.deepEqual(ids({ status: 'failed' }), ['b']);
+        assert.deepEqual(ids({ wallet: 'W1' }), ['c', 'a']);
+        assert.deepEqual(ids({ wallet: 'trading' }), ['c', 'a']);
+        assert.deepEqual(ids({ walletIds: ['trading'] }), ['c', 'a']);
+        assert.deepEqual(ids({ limit: '1' }), ['c']);
+    });
+
+    it('rejects bad filters', () => {
+        assert.throws(() => history.query({ from: 'yesterday' }), /Invalid from date: yesterday/);
+        assert.throws(() => history.query({ status: 'pending' }), /Invalid status "pending"/);
+        assert.throws(() => history.query({ limit: '0' }), /limit must be a positive integer/);
+    });
+
+    it('reads SWAP_HISTORY from the environment', () => {
+        assert.equal(SwapHistory.fromEnv({ SWAP_HISTORY: '/tmp/x.jsonl' }).path, '/tmp/x.jsonl');
+        assert.equal(SwapHistory.fromEnv({}).path, 'data/swap-history.jsonl');
+    });
+});
@@ -0,0 +1,153 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { Keypair } from '@solana/web3.js';
+import { SwapJobService } from '../services/SwapJobService.js';
+import { WalletStore } from '../services/WalletStore.js';
+import { SOL_MINT, USDC_MINT, quietConsole } from './helpers.js';
+
+const QUOTE = {
+    inAmount: '100000',
+    outAmount: '15000',
+    otherAmountThreshold: '14925',
+    recommendedSlippage: 50,
+    metadata: { priceImpact: 0.0001, routeInfo: { route: 'Raydium' } }
+};
+
+/**
+ * Quote and tx service stand-ins recording what the pipeline asked of them
+ */
+function createServices({ failAt } = {}) {
+    const calls = [];
+    const step = (name, result) => async (...args) => {
+        calls.push({ name, args });
+        if (failAt === name) throw new Error(`${name} broke`);
+        return result;
+    };
+    const walletStore = new WalletStore();
+    walletStore.add('trading', Keypair.generate());
+    return {
+        calls,
+        walletStore,
+        quoteService: {
+            getQuote: step('getQuote', QUOTE),
+            createSwapTransaction: step('createSwapTransaction', 'base64tx')
+        },
+        txService: {
+            prepareTransaction: step('prepareTransaction', { signed: true }),
+            simulateTransaction: step('simulateTransaction', {
+                success: true,
+                analysis: { computeUnitsConsumed: 42000 }
+            }),
+            sendTransaction: step('sendTransaction', 'sig123'),
+            confirmTransaction: step('confirmTransaction', { confirmationTime: 900 })
+        }
+    };
+}
+
+const REQUEST = { walletId: 'trading', inputMint: SOL_MINT, outputMint: USDC_MINT, amount: '100000', swapMode: 'ExactIn' };
+
+async function finished(jobs, job) {
+    while (!jobs.isFinished(job)) {
+        await once(jobs, 'stage');
+    }
+    return job;
+}
+
+describe('SwapJobService', () => {
+    beforeEach(() => quietConsole());
+    afterEach(() => mock.restoreAll());
+
+    it('runs a job through every stage to confirmed', async () => {
+        const services = createServices();
+        const jobs = new SwapJobService(services, { platformFee: { feeAccount: 'fees', feeBps: 30 } });
+        const job = await finished(jobs, jobs.submit(REQUEST));
+
+        assert.equal(job.status, 'confirmed');
+        assert.equal(job.signature, 'sig123');
+        assert.deepEqual(job.events.map(event => event.stage), ['queued', 'quote', 'built', 'simulated', 'sent', 'confirmed']);
+        assert.equal(job.events[1].route, 'Raydium');
+        assert.equal(job.events[3].computeUnitsConsumed, 42000);
+        assert.equal(job.events[5].confirmationTime, 900);
+
+        const [quoteParams] = services.calls.find(call => call.name === 'getQuote').args;
+        assert.equal(quoteParams.platformFeeBps, 30);
+        assert.equal(quoteParams.feeAccount, 'fees');
+        assert.equal('walletId' in quoteParams, false);
+        const [{ userPublicKey, computeUnitPriceMicroLamports }] =
+            services.calls.find(call => call.name === 'createSwapTransaction').args;
+        assert.ok(userPublicKey.equals(services.walletStore.get('trading').publicKey));
+        assert.equal(computeUnitPriceMicroLamports, 'auto');
+    });
+
+    for (const [failAt, after] of [
+        ['getQuote', 'queued'],
+        ['simulateTransaction', 'built'],
+        ['confirmTransaction', 'sent']
+    ]) {
+        it(`fails the job when ${failAt} throws`, async () => {
+            const jobs = new SwapJobService(createServices({ failAt }));
+            const job = await finished(jobs, jobs.submit(REQUEST));
+            assert.equal(job.status, 'failed');
+            assert.equal(job.error, `${failAt} broke`);
+            assert.deepEqual(job.events.at(-1), {
+                jobId: job.id,
+                stage: 'failed',
+                timestamp: job.events.at(-1).timestamp,
+                error: `${failAt} broke`,
+                after
+            });
+        });
+    }
+
+    it('records finished jobs in the swap history', async () => {
+        const entries = [];
+        const services = createServices({ failAt: 'confirmTransaction' });
+        const jobs = new SwapJobService(services, { history: { record: entry => entries.push(entry) } });
+        const job = await finished(jobs, jobs.submit(REQUEST, { owner: 'ops-bot' }));
+        assert.equal(entries.length, 1);
+        assert.equal(entries[0].source, 'server-job');
+        assert.equal(entries[0].jobId, job.id);
+        assert.equal(entries[0].keyId, 'ops-bot');
+        assert.equal(entries[0].wallet, services.walletStore.get('trading').publicKey.toBase58());
+        assert.equal(entries[0].route, 'Raydium');
+        assert.equal(entries[0].computeUnitsConsumed, 42000);
+        assert.equal(entries[0].signature, 'sig123');
+        assert.equal(entries[0].status, 'failed');
+        assert.equal(entries[0].error, 'confirmTransaction broke');
+    });
+
+    it('stops before building when the quote is not authorized', async () => {
+        const services = createServices();
+        const jobs = new SwapJobService(services);
+        const job = await finished(jobs, jobs.submit(REQUEST, { authorizeQuote: quote => `too much: ${quote.inAmount}` }));
+        assert.equal(job.error, 'too much: 100000');
+        assert.equal(services.calls.some(call => call.name === 'createSwapTransaction'), false);
+    });
+
+    it('rejects unknown wallets up front', () => {
+        const jobs = new SwapJobService(createServices());
+        assert.throws(() => jobs.submit({ ...REQUEST, walletId: 'nope' }), /Unknown walletId: nope/);
+    });
+
+    it('streams stages of one job to its subscribers', async () => {
+        const jobs = new SwapJobService(createServices());
+        const stages = [];
+        const job = jobs.submit(REQUEST);
+        jobs.submit(REQUEST); // Another job's events must not leak in
+        jobs.subscribe(job.id, event => stages.push(event.stage));
+        await finished(jobs, job);
+        assert.deepEqual(stages, ['quote', 'built', 'simulated', 'sent', 'confirmed']);
+    });
+
+    it('forgets the oldest finished jobs beyond maxJobs', async () => {
+        const jobs = new SwapJobService(createServices(), { maxJobs: 2 });
+        const first = await finished(jobs, jobs.submit(REQUEST));
+        const second = await finished(jobs, jobs.submit(REQUEST));
+        const third = jobs.submit(REQUEST);
+        assert.equal(jobs.get(first.id), undefined);
+        assert.equal(jobs.get(second.id), second);
+        assert.equal(jobs.get(third.id), third);
+        await finished(jobs, third);
+    });
+});
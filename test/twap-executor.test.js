@@ -0,0 +1,186 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { TwapExecutor } from '../services/TwapExecutor.js';
+import { runTwap } from '../twap.js';
+import { SOL_MINT, USDC_MINT, quietConsole, createCapture } from './helpers.js';
+
+const PARAMS = { inputMint: SOL_MINT, outputMint: USDC_MINT, amount: '1000000000', slices: 4 };
+
+/**
+ * CoreSwap stand-in quoting SOL at `market.price` USDC with 1% price impact per whole SOL
+ */
+function createSwapper(market = { price: 100 }) {
+    const quotes = [];
+    const swaps = [];
+    const quoteFor = amount => ({
+        inAmount: String(amount),
+        outAmount: String(Math.floor(Number(amount) * market.price / 1000)),
+        metadata: { priceImpact: Number(amount) / 1e11 }
+    });
+    return {
+        quotes,
+        swaps,
+        async resolveSwapPair(params) {
+            return { ...params, inputToken: { decimals: 9 }, outputToken: { decimals: 6 } };
+        },
+        async getQuote(pair) {
+            quotes.push(pair.amount);
+            return quoteFor(pair.amount);
+        },
+        async performSwap(params) {
+            swaps.push(params);
+            if (market.swapError) throw new Error(market.swapError);
+            const quote = quoteFor(params.amount);
+            // Each fill moves the market against the next one
+            market.price -= market.drift ?? 0;
+            return { signature: `sig-${swaps.length}`, quote, settlement: { inputAmount: quote.inAmount, outputAmount: quote.outAmount } };
+        }
+    };
+}
+
+describe('TwapExecutor', () => {
+    let sleeps;
+    let sleep;
+
+    beforeEach(() => {
+        quietConsole();
+        sleeps = [];
+        sleep = async ms => { sleeps.push(ms); };
+    });
+    afterEach(() => mock.restoreAll());
+
+    it('splits the order into even children spread over the window', async () => {
+        const swapper = createSwapper();
+        const summary = await new TwapExecutor({ swapper }, { sleep }).execute({ ...PARAMS, duration: 60000 });
+
+        assert.equal(summary.status, 'completed');
+        assert.deepEqual(swapper.swaps.map(swap => swap.amount), ['250000000', '250000000', '250000000', '250000000']);
+        assert.equal(sleeps.length, 3);
+        assert.ok(sleeps.every(ms => ms > 0 && ms <= 45000));
+        assert.equal(summary.filledAmount, '1000000000');
+        assert.equal(summary.receivedAmount, '100000000');
+        assert.equal(summary.averagePrice, 100);
+        assert.equal(summary.priceDifferenceBps, 0);
+        assert.deepEqual(summary.children.map(child => child.priceImpactPct), [0.25, 0.25, 0.25, 0.25]);
+    });
+
+    it('reports the average price against the first quote', async () => {
+        const swapper = createSwapper({ price: 100, drift: 2 });
+        const summary = await new TwapExecutor({ swapper }, { sleep }).execute(PARAMS);
+
+        assert.deepEqual(summary.children.map(child => child.price), [100, 98, 96, 94]);
+        assert.equal(summary.firstQuotePrice, 100);
+        assert.equal(summary.averagePrice, 97);
+        assert.equal(summary.priceDifferenceBps, 300);
+    });
+
+    it('shrinks children quoted above the target impact and leaves the rest to later ones', async () => {
+        const swapper = createSwapper();
+        const summary = await new TwapExecutor({ swapper }, { sleep }).execute({
+            ...PARAMS,
+            amount: '8000000000',
+            maxPriceImpactPct: 10,
+            targetPriceImpactPct: 1
+        });
+
+        // Children quoted above 1% impact shrink to about 1 SOL; the last child takes the rest
+        const amounts = swapper.swaps.map(swap => Number(swap.amount));
+        assert.deepEqual(swapper.quotes.slice(0, 2), ['2000000000', '1000000000']);
+        assert.ok(amounts.slice(0, 3).every(amount => Math.abs(amount - 1e9) < 1e5), String(amounts));
+        assert.equal(amounts[3], 8e9 - amounts[0] - amounts[1] - amounts[2]);
+        assert.equal(summary.children[3].priceImpactPct, 5);
+        assert.equal(summary.status, 'completed');
+        assert.equal(summary.filledAmount, '8000000000');
+    });
+
+    it('never shrinks a child below a quarter of its even split', async () => {
+        const swapper = createSwapper();
+        await new TwapExecutor({ swapper }, { sleep }).execute({
+            ...PARAMS,
+            amount: '40000000000',
+            slices: 2,
+            targetPriceImpactPct: 1
+        });
+
+        assert.equal(swapper.swaps[0].amount, '5000000000');
+    });
+
+    it('stops when the price impact is above the limit', async () => {
+        const swapper = createSwapper();
+        const summary = await new TwapExecutor({ swapper }, { sleep }).execute({
+            ...PARAMS,
+            amount: '4000000000',
+            slices: 2,
+            maxPriceImpactPct: 1.5,
+            targetPriceImpactPct: 1
+        });
+
+        // The first child shrinks to 1 SOL; the last must take the other 3 SOL at 3% impact
+        assert.equal(summary.status, 'aborted');
+        assert.equal(summary.reason, 'Price impact 3% is above the limit of 1.5%');
+        assert.deepEqual(swapper.swaps.map(swap => swap.amount), ['1000000000']);
+        assert.equal(summary.filledAmount, '1000000000');
+    });
+
+    it('stops at the first failed child', async () => {
+        const swapper = createSwapper({ price: 100, swapError: 'Insufficient SOL balance' });
+        const summary = await new TwapExecutor({ swapper }, { sleep }).execute(PARAMS);
+
+        assert.equal(summary.status, 'failed');
+        assert.equal(summary.reason, 'Child 1 failed: Insufficient SOL balance');
+        assert.equal(swapper.swaps.length, 1);
+        assert.equal(summary.filledAmount, '0');
+        assert.equal(summary.averagePrice, null);
+    });
+
+    for (const [label, params, error] of [
+        ['a fractional amount', { amount: '1.5' }, 'Amount must be a positive integer in base units, got 1.5'],
+        ['more slices than base units', { amount: '3' }, 'Slices must be a whole number between 1 and the amount, got 4'],
+        ['a negative duration', { duration: -1 }, 'Duration must be a non-negative number of milliseconds, got -1'],
+        ['a zero max impact', { maxPriceImpactPct: '0' }, 'Max price impact must be a positive percentage'],
+        ['a target above the max', { maxPriceImpactPct: 1, targetPriceImpactPct: 2 },
+            'Target price impact must be a positive percentage no higher than the max']
+    ]) {
+        it(`rejects ${label}`, async () => {
+            await assert.rejects(new TwapExecutor({ swapper: createSwapper() }).execute({ ...PARAMS, ...params }), { message: error });
+        });
+    }
+
+    it('defaults the target impact to half the max', () => {
+        const params = TwapExecutor.validate({ ...PARAMS, maxPriceImpactPct: '2' });
+        assert.equal(params.maxPriceImpactPct, 2);
+        assert.equal(params.targetPriceImpactPct, 1);
+        assert.equal(TwapExecutor.validate(PARAMS).targetPriceImpactPct, null);
+    });
+});
+
+describe('twap --json', () => {
+    beforeEach(() => quietConsole());
+    afterEach(() => mock.restoreAll());
+
+    it('writes only the summary to stdout, and the swapper logs to stderr', async () => {
+        const stdout = createCapture();
+        const stderr = createCapture();
+        const swapper = createSwapper();
+        const createSwapperLogging = () => {
+            // As CoreSwap and NetworkService do on startup
+            console.log('🔍 Validating environment...');
+            console.log('🌐 NetworkService connected to: http://localhost:8899');
+            return swapper;
+        };
+
+        const code = await runTwap(
+            ['--amount', '1000000000', '--slices', '2', '--json'],
+            { createSwapper: createSwapperLogging, stdout, stderr }
+        );
+
+        assert.equal(code, 0);
+        const summary = JSON.parse(stdout.text);
+        assert.equal(summary.status, 'completed');
+        assert.equal(summary.filledAmount, '1000000000');
+        assert.equal(summary.children.length, 2);
+        assert.match(stderr.text, /Validating environment/);
+        assert.match(stderr.text, /NetworkService connected/);
+        assert.equal(swapper.swaps.length, 2);
+    });
+});
@@ -0,0 +1,182 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { TxService } from '../services/TxService.js';
+import { quietConsole } from './helpers.js';
+
+describe('TxService.shouldRetryTransaction', () => {
+    const service = new TxService(null);
+    const shouldRetry = message => service.shouldRetryTransaction(new Error(message), 0);
+
+    for (const message of [
+        'Request timeout after 30000ms',
+        'Network error',
+        'connection reset by peer',
+        'Rate limit exceeded',
+        'Internal server error',
+        '502 Bad Gateway',
+        '503 Service Unavailable',
+        '504 Gateway Timeout'
+    ]) {
+        it(`retries "${message}"`, () => {
+            assert.equal(shouldRetry(message), true);
+        });
+    }
+
+    for (const message of [
+        'Attempt to debit an account but found no record of a prior credit: insufficient funds',
+        'Invalid signature for transaction',
+        'Account not found',
+        'Blockhash not found',
+        'Transaction too large: 1300 > 1232'
+    ]) {
+        it(`does not retry "${message}"`, () => {
+            assert.equal(shouldRetry(message), false);
+        });
+    }
+
+    it('lets non-retryable errors win over retryable keywords', () => {
+        assert.equal(shouldRetry('Blockhash not found after connection timeout'), false);
+    });
+
+    it('does not retry unrecognised errors', () => {
+        assert.equal(shouldRetry('custom program error: 0x1771'), false);
+    });
+});
+
+describe('TxService.analyzeSimulationResult', () => {
+    const service = new TxService(null, { maxComputeUnits: 1000000, computeUnitBuffer: 0.1 });
+
+    it('reports compute usage with a buffered limit', () => {
+        const analysis = service.analyzeSimulationResult({ value: { err: null, unitsConsumed: 150001 } });
+        assert.equal(analysis.success, true);
+        assert.deepEqual(analysis.computeEfficiency, {
+            used: 150001,
+            percentage: 15.0001,
+            recommendedLimit: 165002,
+            isEfficient: true
+        });
+    });
+
+    it('flags usage at 80% of the limit as inefficient', () => {
+        const analysis = service.analyzeSimulationResult({ value: { err: null, unitsConsumed: 800000 } });
+        assert.equal(analysis.computeEfficiency.isEfficient, false);
+    });
+
+    it('omits compute analysis when nothing was consumed', () => {
+        const analysis = service.analyzeSimulationResult({ value: { err: null } });
+        assert.equal(analysis.computeUnitsConsumed, 0);
+        assert.equal(analysis.computeEfficiency, undefined);
+    });
+
+    it('classifies program, error and warning logs', () => {
+        const logs = [
+            'Program JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4 invoke [1]',
+            'Program log: Warning: stale oracle',
+            'Program log: Error: slippage tolerance exceeded',
+            'Program JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4 consumed 41000 of 200000 compute units',
+            'Program JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4 failed: custom program error: 0x1771'
+        ];
+        const analysis = service.analyzeSimulationResult({ value: { err: { Custom: 6001 }, logs } });
+
+        assert.deepEqual(analysis.programLogs, [logs[0], logs[3]]);
+        assert.deepEqual(analysis.errorLogs, [logs[2], logs[4]]);
+        assert.deepEqual(analysis.warningLogs, [logs[1]]);
+    });
+
+    it('returns empty log groups when the RPC sent no logs', () => {
+        const analysis = service.analyzeSimulationResult({ value: { err: null, logs: null } });
+        assert.deepEqual(analysis.programLogs, []);
+        assert.deepEqual(analysis.errorLogs, []);
+        assert.deepEqual(analysis.warningLogs, []);
+    });
+
+    it('adds success metrics only for successful simulations', () => {
+        const success = service.analyzeSimulationResult({
+            value: {
+                err: null,
+                innerInstructions: [{ index: 0 }, { index: 1 }],
+                accounts: [{ data: ['', 'base64'] }, null, { data: ['', 'base64'] }]
+            }
+        });
+        assert.deepEqual(success.successMetrics, { instructionsExecuted: 3, accountsModified: 2 });
+
+        const failure = service.analyzeSimulationResult({ value: { err: 'BlockhashNotFound' } });
+        assert.equal(failure.success, false);
+        assert.equal(failure.error, 'BlockhashNotFound');
+        assert.equal(failure.successMetrics, undefined);
+    });
+});
+
+describe('TxService.confirmTransaction', () => {
+    beforeEach(() => quietConsole());
+    afterEach(() => mock.restoreAll());
+
+    it('keeps the signature of a transaction that failed on chain', async () => {
+        const service = new TxService({
+            async confirmTransaction() {
+                const error = new Error('Transaction confirmation failed');
+                error.confirmationResult = { err: 'BlockhashNotFound' };
+                throw error;
+            }
+        });
+        await assert.rejects(service.confirmTransaction('sig-1'), error => {
+            assert.equal(error.signature, 'sig-1');
+            assert.deepEqual(error.confirmationResult, { err: 'BlockhashNotFound' });
+            assert.equal(error.code, undefined);
+            return true;
+        });
+    });
+
+    it('marks a confirmation without a result as unknown, with the signature', async () => {
+        const service = new TxService({
+            async confirmTransaction() {
+                throw new Error('Transaction confirmation timeout');
+            }
+        });
+        await assert.rejects(service.confirmTransaction('sig-1'), {
+            message: 'Transaction confirmation failed: Transaction confirmation timeout',
+            code: 'CONFIRMATION_UNKNOWN',
+            signature: 'sig-1'
+        });
+    });
+});
+
+describe('TxService.executeTransaction', () => {
+    beforeEach(() => quietConsole());
+    afterEach(() => mock.restoreAll());
+
+    // NetworkService stand-in that logs each call, with a simulation that fails when told to
+    function createNetwork({ simulationErr = null } = {}) {
+        const calls = [];
+        return {
+            calls,
+            async simulateTransaction() {
+                calls.push('simulate');
+                return { context: { slot: 1 }, value: { err: simulationErr, logs: [], unitsConsumed: 50000 } };
+            },
+            async sendTransaction() {
+                calls.push('send');
+                return 'sig-1';
+            },
+            async confirmTransaction() {
+                calls.push('confirm');
+                return { context: { slot: 1 }, value: { err: null } };
+            }
+        };
+    }
+
+    it('calls onSend after the simulation passed, just before sending', async () => {
+        const network = createNetwork();
+        const service = new TxService(network);
+        await service.executeTransaction({}, { onSend: () => network.calls.push('onSend') });
+        assert.deepEqual(network.calls, ['simulate', 'onSend', 'send', 'confirm']);
+    });
+
+    it('does not call onSend when the simulation fails', async () => {
+        const network = createNetwork({ simulationErr: { InstructionError: [3, { Custom: 6001 }] } });
+        const service = new TxService(network);
+        const onSend = mock.fn();
+        await assert.rejects(service.executeTransaction({}, { onSend }), /Pre-execution simulation failed/);
+        assert.equal(onSend.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,237 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Keypair } from '@solana/web3.js';
+import bs58 from 'bs58';
+import {
+    WalletStore,
+    DEFAULT_DERIVATION_PATH,
+    deriveEd25519Seed,
+    keypairFromEnv,
+    keypairFromMnemonic,
+    keypairFromSecret,
+    loadSignerFromEnv,
+    addToKeystore,
+    listKeystore,
+    loadFromKeystore,
+    readKeystore,
+    encryptKeypair,
+    decryptKeypair
+} from '../services/WalletStore.js';
+
+// BIP39 test vector: with passphrase TREZOR this mnemonic gives BIP39_SEED
+const MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+const BIP39_SEED = 'c55257c360c07c72029aebc1b53c05ed0362ada38ead3e3e9efa3708e53495531f09a6987599d18264c1e1c92f2cf141630c7a3c4ab7c81b2f001698e7463b04';
+
+describe('key formats', () => {
+    let tmpDir;
+
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'key-formats-'));
+    });
+    after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+    it('derives ed25519 seeds like the SLIP-0010 test vectors', () => {
+        const seed = Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex');
+        assert.equal(deriveEd25519Seed(seed, 'm').toString('hex'),
+            '2b4be7f19ee27bbf30c667b642d5f4aa69fd169872f8fc3059c08ebae2eb19e7');
+        assert.equal(deriveEd25519Seed(seed, "m/0'/1'/2'/2'/1000000000'").toString('hex'),
+            '8f94d394a8e8fd6b1bc2f3f49f5c47e385281d5c17e65324b0f62483e37e8793');
+        assert.throws(() => deriveEd25519Seed(seed, "m/44'/501'/0"), /Invalid derivation path "m\/44'\/501'\/0": use hardened indexes only/);
+    });
+
+    it('derives a mnemonic\'s key from its BIP39 seed along the derivation path', () => {
+        const expected = Keypair.fromSeed(deriveEd25519Seed(Buffer.from(BIP39_SEED, 'hex'), DEFAULT_DERIVATION_PATH));
+        const keypair = keypairFromMnemonic(`  ${MNEMONIC.toUpperCase()}\n`, { passphrase: 'TREZOR' });
+        assert.equal(keypair.publicKey.toBase58(), expected.publicKey.toBase58());
+
+        const otherAccount = keypairFromMnemonic(MNEMONIC, { passphrase: 'TREZOR', derivationPath: "m/44'/501'/1'/0'" });
+        assert.notEqual(otherAccount.publicKey.toBase58(), keypair.publicKey.toBase58());
+        assert.throws(() => keypairFromMnemonic(MNEMONIC.replace('about', 'abandon')), /not a valid BIP39 mnemonic/);
+    });
+
+    it('reads base58, byte arrays and mnemonics with the same checks', () => {
+        const keypair = Keypair.generate();
+        assert.deepEqual(keypairFromSecret(bs58.encode(keypair.secretKey)).secretKey, keypair.secretKey);
+        assert.deepEqual(keypairFromSecret(JSON.stringify([...keypair.secretKey])).secretKey, keypair.secretKey);
+        assert.equal(keypairFromSecret(MNEMONIC).publicKey.toBase58(), keypairFromMnemonic(MNEMONIC).publicKey.toBase58());
+
+        assert.throws(() => keypairFromSecret(bs58.encode(keypair.secretKey.slice(0, 32))), { message: 'Private key must be 64 bytes' });
+        assert.throws(() => keypairFromSecret('[1, 2, 3]'), { message: 'expected a JSON array of 64 bytes' });
+        assert.throws(() => keypairFromSecret('[1, 2,'), { message: 'expected a JSON array of 64 bytes' });
+        const mismatched = [...keypair.secretKey.slice(0, 32), ...Keypair.generate().publicKey.toBytes()];
+        assert.throws(() => keypairFromSecret(JSON.stringify(mismatched)), /public key half does not match/);
+    });
+
+    it('loads one signer from PRIVATE_KEY, KEYPAIR_PATH, MNEMONIC or the keystore', () => {
+        const cli = Keypair.generate();
+        const keyFile = path.join(tmpDir, 'id.json');
+        fs.writeFileSync(keyFile, JSON.stringify([...cli.secretKey]));
+
+        assert.equal(keypairFromEnv({}), null);
+        assert.equal(loadSignerFromEnv({ KEYPAIR_PATH: keyFile }).keypair.publicKey.toBase58(), cli.publicKey.toBase58());
+        const derived = loadSignerFromEnv({ MNEMONIC, DERIVATION_PATH: "m/44'/501'/1'/0'" });
+        assert.equal(derived.source, "env:MNEMONIC (m/44'/501'/1'/0')");
+        assert.equal(derived.keypair.publicKey.toBase58(),
+            keypairFromMnemonic(MNEMONIC, { derivationPath: "m/44'/501'/1'/0'" }).publicKey.toBase58());
+
+        const keystorePath = path.join(tmpDir, 'signer.keystore.json');
+        const stored = Keypair.generate();
+        addToKeystore(keystorePath, 'default', stored, 'pass');
+        const fromKeystore = loadSignerFromEnv({ WALLET_KEYSTORE: keystorePath, WALLET_KEYSTORE_PASSPHRASE: 'pass' });
+        assert.equal(fromKeystore.keypair.publicKey.toBase58(), stored.publicKey.toBase58());
+        assert.equal(fromKeystore.source, `${keystorePath}#default`);
+    });
+
+    it('names the variable at fault', () => {
+        assert.throws(() => loadSignerFromEnv({}), /No signer configured: set PRIVATE_KEY, KEYPAIR_PATH, MNEMONIC or WALLET_KEYSTORE/);
+        assert.throws(() => keypairFromEnv({ PRIVATE_KEY: 'abc', MNEMONIC }), /Set only one of PRIVATE_KEY, KEYPAIR_PATH, MNEMONIC; found PRIVATE_KEY and MNEMONIC/);
+        assert.throws(() => keypairFromEnv({ PRIVATE_KEY: '[1]' }), { message: 'Invalid private key: expected a JSON array of 64 bytes' });
+        assert.throws(() => keypairFromEnv({ MNEMONIC: 'not a mnemonic' }), /^Error: Invalid mnemonic: not a valid BIP39 mnemonic/);
+        assert.throws(() => keypairFromEnv({ MNEMONIC, DERIVATION_PATH: 'm/44/501' }), /Invalid mnemonic: Invalid derivation path/);
+        assert.throws(() => keypairFromEnv({ KEYPAIR_PATH: path.join(tmpDir, 'missing.json') }), /Invalid keypair file .*missing\.json: ENOENT/);
+    });
+});
+
+describe('WalletStore', () => {
+    let tmpDir;
+
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wallet-store-'));
+    });
+    after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+    describe('fromEnv', () => {
+        it('loads PRIVATE_KEY as "default" and WALLET_KEY_<ID> entries', () => {
+            const main = Keypair.generate();
+            const hot = Keypair.generate();
+            const store = WalletStore.fromEnv({
+                PRIVATE_KEY: bs58.encode(main.secretKey),
+                WALLET_KEY_TREASURY_HOT: bs58.encode(hot.secretKey)
+            });
+
+            assert.deepEqual(store.list(), [
+                { walletId: 'default', publicKey: main.publicKey.toBase58(), source: 'env:PRIVATE_KEY' },
+                { walletId: 'treasury-hot', publicKey: hot.publicKey.toBase58(), source: 'env:WALLET_KEY_TREASURY_HOT' }
+            ]);
+        });
+
+        it('accepts every key format for "default" and WALLET_KEY_<ID>', () => {
+            const dir = fs.mkdtempSync(path.join(tmpDir, 'formats-'));
+            const cli = Keypair.generate();
+            const ops = Keypair.generate();
+            fs.writeFileSync(path.join(dir, 'id.json'), JSON.stringify([...cli.secretKey]));
+            const store = WalletStore.fromEnv({
+                KEYPAIR_PATH: path.join(dir, 'id.json'),
+                WALLET_KEY_OPS: JSON.stringify([...ops.secretKey]),
+                WALLET_KEY_SEED: MNEMONIC
+            });
+
+            assert.equal(store.get('default').publicKey.toBase58(), cli.publicKey.toBase58());
+            assert.equal(store.get('ops').publicKey.toBase58(), ops.publicKey.toBase58());
+            assert.equal(store.get('seed').publicKey.toBase58(), keypairFromMnemonic(MNEMONIC).publicKey.toBase58());
+        });
+
+        it('is empty without wallet variables', () => {
+            assert.equal(WalletStore.fromEnv({}).size, 0);
+        });
+
+        it('names the variable holding a bad key', () => {
+            assert.throws(
+                () => WalletStore.fromEnv({ WALLET_KEY_OPS: bs58.encode(Buffer.alloc(32)) }),
+                { message: 'Invalid private key for wallet ops (env:WALLET_KEY_OPS): Private key must be 64 bytes' }
+            );
+        });
+
+        it('requires a passphrase for the keystore', () => {
+            assert.throws(
+                () => WalletStore.fromEnv({ WALLET_KEYSTORE: path.join(tmpDir, 'missing.json') }),
+                { message: 'WALLET_KEYSTORE is set but WALLET_KEYSTORE_PASSPHRASE is not' }
+            );
+        });
+    });
+
+    describe('keypair files', () => {
+        it('loads each <walletId>.json in WALLET_DIR', () => {
+            const dir = fs.mkdtempSync(path.join(tmpDir, 'keys-'));
+            const ops = Keypair.generate();
+            fs.writeFileSync(path.join(dir, 'ops.json'), JSON.stringify([...ops.secretKey]));
+            fs.writeFileSync(path.join(dir, 'README.txt'), 'ignored');
+
+            const store = WalletStore.fromEnv({ WALLET_DIR: dir });
+            assert.equal(store.size, 1);
+            assert.equal(store.get('ops').publicKey.toBase58(), ops.publicKey.toBase58());
+        });
+
+        it('rejects files that are not 64-byte arrays', () => {
+            const dir = fs.mkdtempSync(path.join(tmpDir, 'keys-'));
+            fs.writeFileSync(path.join(dir, 'bad.json'), JSON.stringify([1, 2, 3]));
+            assert.throws(() => new WalletStore().loadKeypairDir(dir), /Invalid keypair file .*bad\.json: expected a JSON array of 64 bytes/);
+        });
+    });
+
+    describe('encrypted keystore', () => {
+        it('round-trips a keypair through encryption', () => {
+            const keypair = Keypair.generate();
+            const entry = encryptKeypair(keypair, 'correct horse');
+            assert.equal(entry.publicKey, keypair.publicKey.toBase58());
+            assert.ok(!JSON.stringify(entry).includes(bs58.encode(keypair.secretKey)));
+            assert.deepEqual(decryptKeypair(entry, 'correct horse').secretKey, keypair.secretKey);
+        });
+
+        it('rejects a wrong passphrase', () => {
+            const entry = encryptKeypair(Keypair.generate(), 'correct horse');
+            assert.throws(() => decryptKeypair(entry, 'battery staple'), {
+                message: 'Could not decrypt keystore entry (wrong passphrase?)'
+            });
+        });
+
+        it('loads every wallet from WALLET_KEYSTORE', () => {
+            const keystorePath = path.join(tmpDir, 'keystore.json');
+            const treasury = Keypair.generate();
+            addToKeystore(keystorePath, 'treasury', treasury, 'pass');
+            addToKeystore(keystorePath, 'ops', Keypair.generate(), 'pass');
+
+            assert.deepEqual(Object.keys(readKeystore(keystorePath).wallets), ['treasury', 'ops']);
+            assert.equal(fs.statSync(keystorePath).mode & 0o777, 0o600);
+
+            const store = WalletStore.fromEnv({ WALLET_KEYSTORE: keystorePath, WALLET_KEYSTORE_PASSPHRASE: 'pass' });
+            assert.equal(store.size, 2);
+            assert.equal(store.get('treasury').publicKey.toBase58(), treasury.publicKey.toBase58());
+
+            assert.throws(() => addToKeystore(keystorePath, 'ops', Keypair.generate(), 'pass'), /already exists/);
+        });
+
+        it('keeps one passphrase per keystore', () => {
+            const keystorePath = path.join(tmpDir, 'shared.json');
+            addToKeystore(keystorePath, 'ops', Keypair.generate(), 'pass');
+            assert.throws(() => addToKeystore(keystorePath, 'hot', Keypair.generate(), 'other'), /wrong passphrase/);
+            assert.deepEqual(Object.keys(readKeystore(keystorePath).wallets), ['ops']);
+        });
+
+        it('lists public keys without the passphrase and decrypts a single wallet', () => {
+            const keystorePath = path.join(tmpDir, 'single.json');
+            const hot = Keypair.generate();
+            addToKeystore(keystorePath, 'hot', hot, 'pass');
+
+            assert.deepEqual(listKeystore(keystorePath), [{ walletId: 'hot', publicKey: hot.publicKey.toBase58() }]);
+            assert.deepEqual(listKeystore(path.join(tmpDir, 'none.json')), []);
+            assert.deepEqual(loadFromKeystore(keystorePath, 'hot', 'pass').secretKey, hot.secretKey);
+            assert.throws(() => loadFromKeystore(keystorePath, 'cold', 'pass'), /Wallet cold is not in .*; available: hot/);
+            assert.throws(() => loadFromKeystore(keystorePath, 'hot', 'nope'), /Failed to load wallet hot from .*wrong passphrase/);
+            assert.throws(() => loadFromKeystore(path.join(tmpDir, 'none.json'), 'hot', 'pass'), /Keystore not found/);
+        });
+    });
+
+    it('rejects duplicate and malformed wallet ids', () => {
+        const store = new WalletStore();
+        store.add('ops', Keypair.generate(), 'first');
+        assert.throws(() => store.add('ops', Keypair.generate(), 'second'), {
+            message: 'Duplicate wallet id "ops" (second and first)'
+        });
+        assert.throws(() => store.add('../ops', Keypair.generate()), /Invalid wallet id/);
+        assert.equal(store.get('missing'), undefined);
+    });
+});
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+import { parseArgs } from 'node:util';
+import { config } from 'dotenv';
+import { CoreSwap, SOL_MINT, USDC_MINT } from './core-swap.js';
+import { parseDuration, withLogsOnStderr } from './cli-args.js';
+import { TwapExecutor } from './services/TwapExecutor.js';
+
+config();
+
+const TWAP_USAGE = `Usage: npm run twap -- --amount <amount> [options]
+
+Splits one large swap into child swaps spread over a time window.
+
+Options:
+  --input-mint <mint>    Mint to sell (default: SOL)
+  --output-mint <mint>   Mint to buy (default: USDC)
+  --amount <amount>      Total to sell, in base units of the input mint
+  --slices <n>           Number of child swaps (default: 10)
+  --duration <time>      Window the children are spread over, such as 90s, 30m or 2h
+                         (default: 0, one child after another)
+  --max-impact <pct>     Stop once a child's quoted price impact is above pct percent
+  --target-impact <pct>  Shrink children quoted above pct percent impact
+                         (default: half of --max-impact)
+  --json                 Print the summary as JSON
+  -h, --help             Show this help`;
+
+/**
+ * Render a TWAP summary
+ * @param {Object} summary - Result of TwapExecutor.execute()
+ */
+export function formatTwapSummary(summary) {
+    const icon = { completed: '✅', aborted: '🛑', failed: '❌' }[summary.status];
+    const lines = [
+        `${icon} TWAP ${summary.status}${summary.reason ? `: ${summary.reason}` : ''}`,
+        `   filled ${summary.filledAmount} of ${summary.amount}, received ${summary.receivedAmount}`
+    ];
+    for (const child of summary.children) {
+        const detail = child.status === 'executed'
+            ? `${child.inputAmount} → ${child.outputAmount} at ${child.price}, ${child.signature}`
+            : child.error;
+        lines.push(`   ${child.index + 1}. ${child.status} (impact ${child.priceImpactPct}%): ${detail}`);
+    }
+    if (summary.averagePrice !== null) {
+        lines.push(`   average price ${summary.averagePrice} vs first quote ${summary.firstQuotePrice}` +
+            ` (${summary.priceDifferenceBps} bps ${summary.priceDifferenceBps > 0 ? 'worse' : 'better or equal'})`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Run the twap command. With --json the summary is the only thing written to stdout; the
+ * swapper's logs go to stderr
+ * @param {string[]} argv - Command-line arguments
+ * @param {Object} options - { createSwapper: makes the CoreSwap (default: new CoreSwap()),
+ *   stdout: where the JSON goes (default: process.stdout), stderr: where logs go under --json
+ *   (default: process.stderr) }
+ * @returns {Promise<number>} Exit code
+ */
+export async function runTwap(argv, { createSwapper = () => new CoreSwap(), stdout = process.stdout, stderr = process.stderr } = {}) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            'input-mint': { type: 'string' },
+            'output-mint': { type: 'string' },
+            amount: { type: 'string' },
+            slices: { type: 'string' },
+            duration: { type: 'string' },
+            'max-impact': { type: 'string' },
+            'target-impact': { type: 'string' },
+            json: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (values.help || !values.amount) {
+        console.log(TWAP_USAGE);
+        return values.help ? 0 : 1;
+    }
+
+    const run = async () => {
+        const params = TwapExecutor.validate({
+            inputMint: values['input-mint'] || SOL_MINT,
+            outputMint: values['output-mint'] || USDC_MINT,
+            amount: values.amount,
+            slices: values.slices,
+            duration: values.duration ? parseDuration(values.duration) : undefined,
+            maxPriceImpactPct: values['max-impact'],
+            targetPriceImpactPct: values['target-impact']
+        });
+        const summary = await new TwapExecutor({ swapper: createSwapper() }).execute(params);
+        if (values.json) {
+            stdout.write(`${JSON.stringify(summary, null, 2)}\n`);
+        } else {
+            console.log(`\n${formatTwapSummary(summary)}`);
+        }
+        return summary.status === 'completed' ? 0 : 1;
+    };
+    return values.json ? withLogsOnStderr(run, stderr) : run();
+}
+
+// Main execution
+async function main() {
+    try {
+        process.exit(await runTwap(process.argv.slice(2)));
+    } catch (error) {
+        console.error(`\n💥 Fatal error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main();
+}
+
+export default main;